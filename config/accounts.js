@@ -0,0 +1,112 @@
+const fs = require("fs");
+const { HDNodeWallet, Wallet, computeAddress } = require("ethers");
+
+/**
+ * Account loading for remote networks.
+ *
+ * Each role (deployer, system, treasury) takes its key from the first source that is set:
+ *   HETU_<ROLE>_PRIVATE_KEY                          raw hex private key
+ *   HETU_<ROLE>_KEYSTORE                             path to an encrypted JSON keystore, unlocked with
+ *                                                    HETU_<ROLE>_KEYSTORE_PASSWORD or HETU_KEYSTORE_PASSWORD
+ *   HETU_MNEMONIC (+ HETU_HD_PATH, HETU_MNEMONIC_PASSPHRASE)
+ *                                                    derives <HETU_HD_PATH>/<index>, deployer 0, system 1, treasury 2
+ *
+ * Nothing is read from the repository itself; see .env.example.
+ */
+
+const ROLES = ["deployer", "system", "treasury"];
+
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
+
+const cache = new Map();
+
+function envName(role, suffix) {
+  return `HETU_${role.toUpperCase()}_${suffix}`;
+}
+
+function normalizeKey(key, source) {
+  const hex = key.trim().startsWith("0x") ? key.trim() : `0x${key.trim()}`;
+  if (!/^0x[0-9a-fA-F]{64}$/.test(hex)) {
+    throw new Error(`${source} is not a 32-byte hex private key`);
+  }
+  return hex;
+}
+
+function keyFromKeystore(role, env) {
+  const file = env[envName(role, "KEYSTORE")];
+  const password = env[envName(role, "KEYSTORE_PASSWORD")] ?? env.HETU_KEYSTORE_PASSWORD;
+  if (password === undefined) {
+    throw new Error(
+      `${envName(role, "KEYSTORE")} is set but neither ${envName(role, "KEYSTORE_PASSWORD")} nor HETU_KEYSTORE_PASSWORD is`
+    );
+  }
+  if (!fs.existsSync(file)) {
+    throw new Error(`Keystore ${file} (${envName(role, "KEYSTORE")}) not found`);
+  }
+  return Wallet.fromEncryptedJsonSync(fs.readFileSync(file, "utf8"), password).privateKey;
+}
+
+function keyFromMnemonic(role, env) {
+  const path = `${env.HETU_HD_PATH || DEFAULT_HD_PATH}/${ROLES.indexOf(role)}`;
+  return HDNodeWallet.fromPhrase(env.HETU_MNEMONIC.trim(), env.HETU_MNEMONIC_PASSPHRASE || "", path).privateKey;
+}
+
+/**
+ * Resolve the private key of every role that has a key source configured
+ * @param {Object} [env] Environment (defaults to process.env)
+ * @returns {{ deployer?: string, system?: string, treasury?: string }}
+ */
+function resolveRoleKeys(env = process.env) {
+  const cacheKey = JSON.stringify(
+    Object.entries(env).filter(([name]) => name.startsWith("HETU_")).sort()
+  );
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const keys = {};
+  for (const role of ROLES) {
+    if (env[envName(role, "PRIVATE_KEY")]) {
+      keys[role] = normalizeKey(env[envName(role, "PRIVATE_KEY")], envName(role, "PRIVATE_KEY"));
+    } else if (env[envName(role, "KEYSTORE")]) {
+      keys[role] = keyFromKeystore(role, env);
+    } else if (env.HETU_MNEMONIC) {
+      keys[role] = keyFromMnemonic(role, env);
+    }
+  }
+
+  cache.set(cacheKey, keys);
+  return keys;
+}
+
+/**
+ * Hardhat `accounts` value for a remote network: the configured role keys, deployer first,
+ * so `ethers.getSigners()[0]` is always the deployer
+ * @param {Object} [env] Environment (defaults to process.env)
+ * @returns {string[]}
+ */
+function networkAccounts(env = process.env) {
+  const keys = resolveRoleKeys(env);
+  return [...new Set(ROLES.map((role) => keys[role]).filter(Boolean))];
+}
+
+/**
+ * Addresses of the roles that have a key configured
+ * @param {Object} [env] Environment (defaults to process.env)
+ * @returns {{ deployer?: string, system?: string, treasury?: string }}
+ */
+function roleAddresses(env = process.env) {
+  const keys = resolveRoleKeys(env);
+  return Object.fromEntries(
+    Object.entries(keys).map(([role, key]) => [role, computeAddress(key)])
+  );
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_HD_PATH,
+  envName,
+  resolveRoleKeys,
+  networkAccounts,
+  roleAddresses
+};
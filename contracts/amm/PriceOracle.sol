@@ -0,0 +1,172 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+
+/**
+ * @title PriceOracle
+ * @dev Cumulative price observations kept in a ring buffer, in the style of Uniswap V3's Oracle library.
+ * Each observation stores the sum of (alpha price * seconds) since the pool was created, so the
+ * time weighted average price over any window covered by the buffer is
+ * (cumulative(end) - cumulative(start)) / (end - start).
+ */
+library PriceOracle {
+    using SafeCast for uint256;
+
+    struct Observation {
+        uint32 blockTimestamp;       // Timestamp of the observation
+        uint216 priceCumulative;     // Sum of alpha price (HETU per alpha, 1e18 scale) * seconds
+        bool initialized;            // Whether the slot has been written
+    }
+
+    /**
+     * @dev Write the first observation, returns (cardinality, cardinalityNext)
+     */
+    function initialize(Observation[65535] storage self, uint32 time) internal returns (uint16, uint16) {
+        self[0] = Observation({ blockTimestamp: time, priceCumulative: 0, initialized: true });
+        return (1, 1);
+    }
+
+    /**
+     * @dev Observation that follows `last` at `time`, with `price` held since `last`
+     */
+    function transform(
+        Observation memory last,
+        uint32 time,
+        uint256 price
+    ) internal pure returns (Observation memory) {
+        return Observation({
+            blockTimestamp: time,
+            priceCumulative: (uint256(last.priceCumulative) + price * (time - last.blockTimestamp)).toUint216(),
+            initialized: true
+        });
+    }
+
+    /**
+     * @dev Record the price held since the last observation. At most one observation is written per block.
+     * The buffer grows to `cardinalityNext` once the index reaches the end of the current buffer.
+     * @return indexUpdated Index of the latest observation
+     * @return cardinalityUpdated Number of populated slots
+     */
+    function write(
+        Observation[65535] storage self,
+        uint16 index,
+        uint32 time,
+        uint256 price,
+        uint16 cardinality,
+        uint16 cardinalityNext
+    ) internal returns (uint16 indexUpdated, uint16 cardinalityUpdated) {
+        Observation memory last = self[index];
+        if (last.blockTimestamp == time) return (index, cardinality);
+
+        if (cardinalityNext > cardinality && index == cardinality - 1) {
+            cardinalityUpdated = cardinalityNext;
+        } else {
+            cardinalityUpdated = cardinality;
+        }
+
+        indexUpdated = (index + 1) % cardinalityUpdated;
+        self[indexUpdated] = transform(last, time, price);
+    }
+
+    /**
+     * @dev Prepare slots up to `next` so later writes do not pay for fresh storage
+     */
+    function grow(Observation[65535] storage self, uint16 current, uint16 next) internal returns (uint16) {
+        if (next <= current) return current;
+        for (uint16 i = current; i < next; i++) {
+            self[i].blockTimestamp = 1;
+        }
+        return next;
+    }
+
+    /**
+     * @dev Cumulative price `secondsAgo` before `time`, interpolated between observations.
+     * Reverts with "AMM: OLD" when the buffer does not reach back that far.
+     */
+    function observeSingle(
+        Observation[65535] storage self,
+        uint32 time,
+        uint32 secondsAgo,
+        uint256 price,
+        uint16 index,
+        uint16 cardinality
+    ) internal view returns (uint256) {
+        require(secondsAgo <= time, "AMM: OLD");
+        uint32 target = time - secondsAgo;
+
+        Observation memory last = self[index];
+        if (target >= last.blockTimestamp) {
+            // The price has not changed since the latest observation
+            if (target == last.blockTimestamp) return last.priceCumulative;
+            return transform(last, target, price).priceCumulative;
+        }
+
+        // Oldest observation: the next slot once the buffer has wrapped, otherwise slot 0
+        Observation memory oldest = self[(index + 1) % cardinality];
+        if (!oldest.initialized) oldest = self[0];
+        require(oldest.blockTimestamp <= target, "AMM: OLD");
+
+        (Observation memory beforeOrAt, Observation memory atOrAfter) =
+            _binarySearch(self, target, index, cardinality);
+
+        if (target == beforeOrAt.blockTimestamp) return beforeOrAt.priceCumulative;
+        if (target == atOrAfter.blockTimestamp) return atOrAfter.priceCumulative;
+
+        uint256 observationDelta = atOrAfter.blockTimestamp - beforeOrAt.blockTimestamp;
+        uint256 targetDelta = target - beforeOrAt.blockTimestamp;
+        return beforeOrAt.priceCumulative +
+            ((atOrAfter.priceCumulative - beforeOrAt.priceCumulative) * targetDelta) / observationDelta;
+    }
+
+    /**
+     * @dev Cumulative prices for each of `secondsAgos`
+     */
+    function observe(
+        Observation[65535] storage self,
+        uint32 time,
+        uint32[] memory secondsAgos,
+        uint256 price,
+        uint16 index,
+        uint16 cardinality
+    ) internal view returns (uint256[] memory priceCumulatives) {
+        priceCumulatives = new uint256[](secondsAgos.length);
+        for (uint256 i = 0; i < secondsAgos.length; i++) {
+            priceCumulatives[i] = observeSingle(self, time, secondsAgos[i], price, index, cardinality);
+        }
+    }
+
+    /**
+     * @dev Observations around `target`, which must lie between the oldest and the latest observation
+     */
+    function _binarySearch(
+        Observation[65535] storage self,
+        uint32 target,
+        uint16 index,
+        uint16 cardinality
+    ) private view returns (Observation memory beforeOrAt, Observation memory atOrAfter) {
+        uint256 l = (uint256(index) + 1) % cardinality;
+        uint256 r = l + cardinality - 1;
+
+        while (true) {
+            uint256 i = (l + r) / 2;
+            beforeOrAt = self[i % cardinality];
+
+            // Slot prepared by grow() but not written yet
+            if (!beforeOrAt.initialized) {
+                l = i + 1;
+                continue;
+            }
+
+            atOrAfter = self[(i + 1) % cardinality];
+            bool targetAtOrAfter = beforeOrAt.blockTimestamp <= target;
+            if (targetAtOrAfter && target <= atOrAfter.blockTimestamp) break;
+
+            if (!targetAtOrAfter) {
+                r = i - 1;
+            } else {
+                l = i + 1;
+            }
+        }
+    }
+}
@@ -5,6 +5,8 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "../interfaces/ISubnetAMMFactory.sol";
+import "./PriceOracle.sol";
 
 /**
  * @title SubnetAMM
@@ -13,6 +15,7 @@ import "@openzeppelin/contracts/utils/math/Math.sol";
  */
 contract SubnetAMM is ReentrancyGuard {
     using Math for uint256;
+    using PriceOracle for PriceOracle.Observation[65535];
     
     // Mechanism type enumeration
     enum MechanismType { 
@@ -36,6 +39,12 @@ contract SubnetAMM is ReentrancyGuard {
     // Liquidity protection (set at deployment, cannot be changed)
     uint256 public immutable minimumPoolLiquidity;
     
+    // Swap fees (set at deployment, cannot be changed)
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public immutable swapFee;            // Fee on each swap in basis points, charged in HETU
+    uint256 public immutable protocolFeeShare;   // Basis points of the fee sent to the factory's feeTo
+    address public immutable factory;            // Factory the fee recipient is read from
+    
     // Price tracking
     uint256 public currentAlphaPrice;     // Current Alpha price (HETU/Alpha)
     uint256 public movingAlphaPrice;      // Moving average price
@@ -44,8 +53,16 @@ contract SubnetAMM is ReentrancyGuard {
     // Moving average parameters (constants)
     uint256 public constant HALVING_TIME = 1000;  // Half-life period (blocks)
     
+    // TWAP oracle (cumulative spot price, one observation per block at most)
+    PriceOracle.Observation[65535] public observations;
+    uint16 public observationIndex;           // Index of the latest observation
+    uint16 public observationCardinality;     // Number of populated observations
+    uint16 public observationCardinalityNext; // Buffer size the oracle grows to on its next wrap
+    
     // Statistics
     uint256 public totalVolume;           // Total trading volume
+    uint256 public totalFees;             // Total swap fees (HETU)
+    uint256 public totalProtocolFees;     // Part of totalFees sent to the protocol (HETU)
     mapping(address => uint256) public userVolume;  // User trading volume
     
     // System addresses (set at deployment, cannot be changed)
@@ -79,7 +96,14 @@ contract SubnetAMM is ReentrancyGuard {
         uint256 hetuAmount,
         uint256 alphaAmount
     );
+    event SwapFeeCharged(
+        address indexed user,
+        uint256 fee,
+        uint256 protocolFee,
+        address indexed feeTo
+    );
     event PriceUpdated(uint256 currentPrice, uint256 movingPrice);
+    event ObservationCardinalityIncreased(uint16 cardinalityNextOld, uint16 cardinalityNextNew);
     event ReservesUpdated(uint256 subnetHetu, uint256 subnetAlphaIn, uint256 subnetAlphaOut);
     
     modifier onlySystem() {
@@ -91,33 +115,46 @@ contract SubnetAMM is ReentrancyGuard {
         _;
     }
     
-    constructor(
-        address _hetuToken,
-        address _alphaToken,
-        uint16 _netuid,
-        address _systemAddress,
-        address _subnetContract,
-        MechanismType _mechanism,
-        uint256 _minimumPoolLiquidity
-    ) {
+    /**
+     * @dev Deployed by SubnetAMMFactory with CREATE2; the arguments are read from the factory
+     */
+    constructor() {
+        (
+            address _hetuToken,
+            address _alphaToken,
+            uint16 _netuid,
+            address _systemAddress,
+            address _subnetContract,
+            uint8 _mechanism,
+            uint256 _minimumPoolLiquidity,
+            uint256 _swapFee,
+            uint256 _protocolFeeShare
+        ) = ISubnetAMMFactory(msg.sender).parameters();
+        
         require(_hetuToken != address(0), "AMM: ZERO_HETU_ADDRESS");
         require(_alphaToken != address(0), "AMM: ZERO_ALPHA_ADDRESS");
         require(_systemAddress != address(0), "AMM: ZERO_SYSTEM_ADDRESS");
         require(_subnetContract != address(0), "AMM: ZERO_SUBNET_ADDRESS");
         require(_minimumPoolLiquidity > 0, "AMM: ZERO_MIN_LIQUIDITY");
+        require(_swapFee < FEE_DENOMINATOR, "AMM: INVALID_SWAP_FEE");
+        require(_protocolFeeShare <= FEE_DENOMINATOR, "AMM: INVALID_PROTOCOL_FEE_SHARE");
         
         hetuToken = IERC20(_hetuToken);
         alphaToken = IERC20(_alphaToken);
         netuid = _netuid;
         systemAddress = _systemAddress;
         subnetContract = _subnetContract;
-        mechanism = _mechanism;
+        mechanism = MechanismType(_mechanism);
         minimumPoolLiquidity = _minimumPoolLiquidity;
+        swapFee = _swapFee;
+        protocolFeeShare = _protocolFeeShare;
+        factory = msg.sender;
         
         // Record creator information (for recording only)
         creator = msg.sender;
         createdAt = block.timestamp;
         priceUpdateBlock = block.number;
+        (observationCardinality, observationCardinalityNext) = observations.initialize(uint32(block.timestamp));
     }
     
     /**
@@ -129,6 +166,7 @@ contract SubnetAMM is ReentrancyGuard {
         uint256 alphaAmount
     ) external onlySystem nonReentrant {
         require(hetuAmount > 0 || alphaAmount > 0, "AMM: ZERO_AMOUNTS");
+        _writeObservation();
         
         if (hetuAmount > 0) {
             hetuToken.transferFrom(msg.sender, address(this), hetuAmount);
@@ -148,6 +186,7 @@ contract SubnetAMM is ReentrancyGuard {
     /**
      * @dev System withdraws liquidity
      * Only system address can call, creator has no permission
+     * A reserve can only be withdrawn down to minimumPoolLiquidity or in full (used when a subnet is dissolved)
      */
     function withdrawLiquidity(
         uint256 hetuAmount,
@@ -156,10 +195,14 @@ contract SubnetAMM is ReentrancyGuard {
     ) external onlySystem nonReentrant {
         require(hetuAmount > 0 || alphaAmount > 0, "AMM: ZERO_AMOUNTS");
         require(to != address(0), "AMM: ZERO_ADDRESS");
+        _writeObservation();
         
         if (hetuAmount > 0) {
             require(hetuAmount <= subnetHetu, "AMM: INSUFFICIENT_HETU_RESERVE");
-            require(subnetHetu - hetuAmount >= minimumPoolLiquidity, "AMM: BELOW_MIN_LIQUIDITY");
+            require(
+                hetuAmount == subnetHetu || subnetHetu - hetuAmount >= minimumPoolLiquidity,
+                "AMM: BELOW_MIN_LIQUIDITY"
+            );
             
             hetuToken.transfer(to, hetuAmount);
             subnetHetu -= hetuAmount;
@@ -167,7 +210,10 @@ contract SubnetAMM is ReentrancyGuard {
         
         if (alphaAmount > 0) {
             require(alphaAmount <= subnetAlphaIn, "AMM: INSUFFICIENT_ALPHA_RESERVE");
-            require(subnetAlphaIn - alphaAmount >= minimumPoolLiquidity, "AMM: BELOW_MIN_LIQUIDITY");
+            require(
+                alphaAmount == subnetAlphaIn || subnetAlphaIn - alphaAmount >= minimumPoolLiquidity,
+                "AMM: BELOW_MIN_LIQUIDITY"
+            );
             
             alphaToken.transfer(to, alphaAmount);
             subnetAlphaIn -= alphaAmount;
@@ -190,23 +236,30 @@ contract SubnetAMM is ReentrancyGuard {
         require(hetuAmountIn > 0, "AMM: INSUFFICIENT_INPUT_AMOUNT");
         require(to != address(0), "AMM: ZERO_ADDRESS");
         
-        // Simulate swap check
-        alphaAmountOut = simSwapHETUForAlpha(hetuAmountIn);
+        // Simulate swap check (the fee is taken from the HETU input)
+        uint256 fee;
+        (alphaAmountOut, fee) = _quoteHETUForAlpha(hetuAmountIn);
         require(alphaAmountOut > 0, "AMM: INSUFFICIENT_LIQUIDITY");
         require(alphaAmountOut >= alphaAmountOutMin, "AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+        (uint256 protocolFee, address feeRecipient) = _protocolFee(fee);
+        _writeObservation();
         
         // Execute swap
         hetuToken.transferFrom(msg.sender, address(this), hetuAmountIn);
         alphaToken.transfer(to, alphaAmountOut);
+        if (protocolFee > 0) {
+            hetuToken.transfer(feeRecipient, protocolFee);
+        }
         
-        // Update reserves
-        subnetHetu += hetuAmountIn;
+        // Update reserves (the rest of the fee stays in the pool)
+        subnetHetu += hetuAmountIn - protocolFee;
         subnetAlphaIn -= alphaAmountOut;
         subnetAlphaOut += alphaAmountOut;
         
         // Update statistics
         totalVolume += hetuAmountIn;
         userVolume[msg.sender] += hetuAmountIn;
+        _recordFee(fee, protocolFee, feeRecipient);
         
         _updatePrice();
         
@@ -226,24 +279,31 @@ contract SubnetAMM is ReentrancyGuard {
         require(alphaAmountIn > 0, "AMM: INSUFFICIENT_INPUT_AMOUNT");
         require(to != address(0), "AMM: ZERO_ADDRESS");
         
-        // Simulate swap check
-        hetuAmountOut = simSwapAlphaForHETU(alphaAmountIn);
+        // Simulate swap check (the fee is taken from the HETU output)
+        uint256 fee;
+        (hetuAmountOut, fee) = _quoteAlphaForHETU(alphaAmountIn);
         require(hetuAmountOut > 0, "AMM: INSUFFICIENT_LIQUIDITY");
         require(hetuAmountOut >= hetuAmountOutMin, "AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+        (uint256 protocolFee, address feeRecipient) = _protocolFee(fee);
+        _writeObservation();
         
         // Execute swap
         alphaToken.transferFrom(msg.sender, address(this), alphaAmountIn);
         hetuToken.transfer(to, hetuAmountOut);
+        if (protocolFee > 0) {
+            hetuToken.transfer(feeRecipient, protocolFee);
+        }
         
-        // Update reserves
+        // Update reserves (the rest of the fee stays in the pool)
         subnetAlphaIn += alphaAmountIn;
         subnetAlphaOut -= alphaAmountIn;
-        subnetHetu -= hetuAmountOut;
+        subnetHetu -= hetuAmountOut + protocolFee;
         
         // Update statistics
         uint256 hetuValue = _convertToHETUValue(alphaAmountIn);
         totalVolume += hetuValue;
         userVolume[msg.sender] += hetuValue;
+        _recordFee(fee, protocolFee, feeRecipient);
         
         _updatePrice();
         
@@ -252,9 +312,63 @@ contract SubnetAMM is ReentrancyGuard {
     }
     
     /**
-     * @dev Simulate HETU to Alpha swap
+     * @dev Simulate HETU to Alpha swap, net of the swap fee
      */
     function simSwapHETUForAlpha(uint256 hetuAmount) public view returns (uint256 alphaAmount) {
+        (alphaAmount, ) = _quoteHETUForAlpha(hetuAmount);
+    }
+    
+    /**
+     * @dev Simulate Alpha to HETU swap, net of the swap fee
+     */
+    function simSwapAlphaForHETU(uint256 alphaAmount) public view returns (uint256 hetuAmount) {
+        (hetuAmount, ) = _quoteAlphaForHETU(alphaAmount);
+    }
+    
+    /**
+     * @dev Swap fee on a trade: HETU input for HETU to Alpha, HETU output for Alpha to HETU
+     * @return fee Total fee in HETU
+     * @return protocolFee Part of the fee sent to the protocol (0 while the factory has no feeTo)
+     */
+    function getSwapFee(
+        uint256 amountIn,
+        bool isHETUToAlpha
+    ) external view returns (uint256 fee, uint256 protocolFee) {
+        if (isHETUToAlpha) {
+            (, fee) = _quoteHETUForAlpha(amountIn);
+        } else {
+            (, fee) = _quoteAlphaForHETU(amountIn);
+        }
+        (protocolFee, ) = _protocolFee(fee);
+    }
+    
+    /**
+     * @dev Alpha out for a HETU input after the fee
+     */
+    function _quoteHETUForAlpha(uint256 hetuAmount) internal view returns (uint256 alphaAmount, uint256 fee) {
+        fee = (hetuAmount * swapFee) / FEE_DENOMINATOR;
+        alphaAmount = _getAlphaOut(hetuAmount - fee);
+        if (alphaAmount == 0) {
+            fee = 0;
+        }
+    }
+    
+    /**
+     * @dev HETU out for an Alpha input, with the fee taken from the output
+     */
+    function _quoteAlphaForHETU(uint256 alphaAmount) internal view returns (uint256 hetuAmount, uint256 fee) {
+        hetuAmount = _getHETUOut(alphaAmount);
+        fee = (hetuAmount * swapFee) / FEE_DENOMINATOR;
+        hetuAmount -= fee;
+        if (hetuAmount == 0) {
+            fee = 0;
+        }
+    }
+    
+    /**
+     * @dev Alpha out for a HETU amount without fee
+     */
+    function _getAlphaOut(uint256 hetuAmount) internal view returns (uint256 alphaAmount) {
         if (mechanism == MechanismType.Stable) {
             // Stable mechanism: 1:1 exchange
             alphaAmount = hetuAmount;
@@ -284,9 +398,9 @@ contract SubnetAMM is ReentrancyGuard {
     }
     
     /**
-     * @dev Simulate Alpha to HETU swap
+     * @dev HETU out for an Alpha amount without fee
      */
-    function simSwapAlphaForHETU(uint256 alphaAmount) public view returns (uint256 hetuAmount) {
+    function _getHETUOut(uint256 alphaAmount) internal view returns (uint256 hetuAmount) {
         if (mechanism == MechanismType.Stable) {
             // Stable mechanism: 1:1 exchange
             hetuAmount = alphaAmount;
@@ -369,6 +483,78 @@ contract SubnetAMM is ReentrancyGuard {
         emit PriceUpdated(currentAlphaPrice, movingAlphaPrice);
     }
     
+    /**
+     * @dev Accumulate the price held since the last observation, before the reserves change
+     */
+    function _writeObservation() internal {
+        (observationIndex, observationCardinality) = observations.write(
+            observationIndex,
+            uint32(block.timestamp),
+            getAlphaPrice(),
+            observationCardinality,
+            observationCardinalityNext
+        );
+    }
+    
+    /**
+     * @dev Cumulative alpha price (HETU per alpha, 1e18 scale, times seconds) at each `secondsAgos` before now.
+     * The TWAP between two points is the difference of their cumulatives divided by the seconds between them.
+     */
+    function observe(uint32[] calldata secondsAgos) external view returns (uint256[] memory priceCumulatives) {
+        return observations.observe(
+            uint32(block.timestamp),
+            secondsAgos,
+            getAlphaPrice(),
+            observationIndex,
+            observationCardinality
+        );
+    }
+    
+    /**
+     * @dev Time weighted average alpha price over the last `secondsAgo` seconds
+     */
+    function consult(uint32 secondsAgo) external view returns (uint256 twapPrice) {
+        require(secondsAgo > 0, "AMM: ZERO_PERIOD");
+        uint32 time = uint32(block.timestamp);
+        uint256 price = getAlphaPrice();
+        uint256 startCumulative = observations.observeSingle(time, secondsAgo, price, observationIndex, observationCardinality);
+        uint256 endCumulative = observations.observeSingle(time, 0, price, observationIndex, observationCardinality);
+        return (endCumulative - startCumulative) / secondsAgo;
+    }
+    
+    /**
+     * @dev Grow the observation buffer so the oracle covers a longer window.
+     * Anyone can call; the caller pays for the new storage slots.
+     */
+    function increaseObservationCardinalityNext(uint16 cardinalityNext) external nonReentrant {
+        uint16 cardinalityNextOld = observationCardinalityNext;
+        uint16 cardinalityNextNew = observations.grow(cardinalityNextOld, cardinalityNext);
+        observationCardinalityNext = cardinalityNextNew;
+        if (cardinalityNextOld != cardinalityNextNew) {
+            emit ObservationCardinalityIncreased(cardinalityNextOld, cardinalityNextNew);
+        }
+    }
+    
+    /**
+     * @dev Protocol share of a fee and its recipient. Without a recipient the whole fee stays in the pool.
+     */
+    function _protocolFee(uint256 fee) internal view returns (uint256 protocolFee, address recipient) {
+        if (fee == 0 || protocolFeeShare == 0) {
+            return (0, address(0));
+        }
+        recipient = ISubnetAMMFactory(factory).feeTo();
+        if (recipient != address(0)) {
+            protocolFee = (fee * protocolFeeShare) / FEE_DENOMINATOR;
+        }
+    }
+    
+    function _recordFee(uint256 fee, uint256 protocolFee, address feeRecipient) internal {
+        if (fee == 0) return;
+        totalFees += fee;
+        totalProtocolFees += protocolFee;
+        emit SwapFeeCharged(msg.sender, fee, protocolFee, feeRecipient);
+    }
+    
     /**
      * @dev Convert Alpha amount to HETU value
      */
@@ -436,13 +622,15 @@ contract SubnetAMM is ReentrancyGuard {
         bool isLiquiditySufficient
     ) {
         if (isHETUToAlpha) {
-            amountOut = simSwapHETUForAlpha(amountIn);
+            uint256 fee;
+            (amountOut, fee) = _quoteHETUForAlpha(amountIn);
             isLiquiditySufficient = amountOut > 0;
             
             if (mechanism == MechanismType.Dynamic && subnetAlphaIn > 0) {
                 // Calculate price impact
                 uint256 oldPrice = getAlphaPrice();
-                uint256 newsubnetHetu = subnetHetu + amountIn;
+                (uint256 protocolFee, ) = _protocolFee(fee);
+                uint256 newsubnetHetu = subnetHetu + amountIn - protocolFee;
                 uint256 newSubnetAlphaIn = subnetAlphaIn - amountOut;
                 newPrice = newSubnetAlphaIn > 0 ? (newsubnetHetu * 1e18) / newSubnetAlphaIn : 0;
                 
@@ -455,13 +643,15 @@ contract SubnetAMM is ReentrancyGuard {
                 priceImpact = 0;
             }
         } else {
-            amountOut = simSwapAlphaForHETU(amountIn);
+            uint256 fee;
+            (amountOut, fee) = _quoteAlphaForHETU(amountIn);
             isLiquiditySufficient = amountOut > 0;
             
             if (mechanism == MechanismType.Dynamic && subnetAlphaIn > 0) {
                 // Calculate price impact
                 uint256 oldPrice = getAlphaPrice();
-                uint256 newsubnetHetu = subnetHetu - amountOut;
+                (uint256 protocolFee, ) = _protocolFee(fee);
+                uint256 newsubnetHetu = subnetHetu - amountOut - protocolFee;
                 uint256 newSubnetAlphaIn = subnetAlphaIn + amountIn;
                 newPrice = (newsubnetHetu * 1e18) / newSubnetAlphaIn;
                 
@@ -551,14 +741,18 @@ contract SubnetAMM is ReentrancyGuard {
         uint256 _currentPrice,
         uint256 _movingPrice,
         uint256 _priceUpdateBlock,
-        uint256 _totalLiquidity
+        uint256 _totalLiquidity,
+        uint256 _totalFees,
+        uint256 _totalProtocolFees
     ) {
         return (
             totalVolume,
             currentAlphaPrice,
             movingAlphaPrice,
             priceUpdateBlock,
-            subnetHetu + _convertToHETUValue(subnetAlphaIn)
+            subnetHetu + _convertToHETUValue(subnetAlphaIn),
+            totalFees,
+            totalProtocolFees
         );
     }
     
@@ -628,20 +822,20 @@ contract SubnetAMM is ReentrancyGuard {
     }
     
     /**
-     * @dev Calculate slippage
+     * @dev Calculate slippage, including the swap fee
      */
     function calculateSlippage(
         uint256 amountIn,
         bool isHETUToAlpha
     ) external view returns (uint256 slippageRate) {
-        if (mechanism == MechanismType.Stable) {
-            return 0; // No slippage for stable mechanism
-        }
-        
         uint256 theoreticalOut;
         uint256 actualOut;
         
-        if (isHETUToAlpha) {
+        if (mechanism == MechanismType.Stable) {
+            // Stable mechanism: only the fee
+            theoreticalOut = amountIn;
+            actualOut = isHETUToAlpha ? simSwapHETUForAlpha(amountIn) : simSwapAlphaForHETU(amountIn);
+        } else if (isHETUToAlpha) {
             theoreticalOut = (amountIn * subnetAlphaIn) / subnetHetu;
             actualOut = simSwapHETUForAlpha(amountIn);
         } else {
@@ -0,0 +1,142 @@
+// contracts/amm/SubnetAMMRouter.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./SubnetAMM.sol";
+import "../factory/SubnetAMMFactory.sol";
+
+/**
+ * @title SubnetAMMRouter
+ * @dev Routes swaps across the pools of SubnetAMMFactory with a deadline and a minimum output
+ * for the whole route. Alpha to alpha swaps go through HETU: the input pool sells alpha for
+ * HETU, which the output pool sells for alpha, all in one transaction.
+ * The router holds no funds between transactions and has no owner.
+ */
+contract SubnetAMMRouter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    SubnetAMMFactory public immutable factory;
+    IERC20 public immutable hetuToken;
+
+    event RouteSwapped(
+        address indexed sender,
+        uint16 fromNetuid,
+        uint16 toNetuid,
+        uint256 amountIn,
+        uint256 hetuAmount,
+        uint256 amountOut,
+        address to
+    );
+
+    modifier ensure(uint256 deadline) {
+        require(block.timestamp <= deadline, "Router: EXPIRED");
+        _;
+    }
+
+    constructor(address _factory, address _hetuToken) {
+        require(_factory != address(0), "Router: ZERO_FACTORY_ADDRESS");
+        require(_hetuToken != address(0), "Router: ZERO_HETU_ADDRESS");
+        factory = SubnetAMMFactory(_factory);
+        hetuToken = IERC20(_hetuToken);
+    }
+
+    // ============ Swap Functions ============
+
+    /**
+     * @dev Swap an exact amount of HETU for the alpha of a subnet
+     */
+    function swapExactHETUForAlpha(
+        uint16 netuid,
+        uint256 hetuAmountIn,
+        uint256 alphaAmountOutMin,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 alphaAmountOut) {
+        SubnetAMM pool = _pool(netuid);
+        hetuToken.safeTransferFrom(msg.sender, address(this), hetuAmountIn);
+
+        hetuToken.forceApprove(address(pool), hetuAmountIn);
+        alphaAmountOut = pool.swapHETUForAlpha(hetuAmountIn, alphaAmountOutMin, to);
+
+        emit RouteSwapped(msg.sender, 0, netuid, hetuAmountIn, hetuAmountIn, alphaAmountOut, to);
+    }
+
+    /**
+     * @dev Swap an exact amount of a subnet's alpha for HETU
+     */
+    function swapExactAlphaForHETU(
+        uint16 netuid,
+        uint256 alphaAmountIn,
+        uint256 hetuAmountOutMin,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 hetuAmountOut) {
+        SubnetAMM pool = _pool(netuid);
+        IERC20 alphaToken = pool.alphaToken();
+        alphaToken.safeTransferFrom(msg.sender, address(this), alphaAmountIn);
+
+        alphaToken.forceApprove(address(pool), alphaAmountIn);
+        hetuAmountOut = pool.swapAlphaForHETU(alphaAmountIn, hetuAmountOutMin, to);
+
+        emit RouteSwapped(msg.sender, netuid, 0, alphaAmountIn, hetuAmountOut, hetuAmountOut, to);
+    }
+
+    /**
+     * @dev Swap an exact amount of one subnet's alpha for another subnet's alpha through HETU.
+     * Only the final output is checked against alphaAmountOutMin, the HETU leg has no own limit.
+     */
+    function swapExactAlphaForAlpha(
+        uint16 fromNetuid,
+        uint16 toNetuid,
+        uint256 alphaAmountIn,
+        uint256 alphaAmountOutMin,
+        address to,
+        uint256 deadline
+    ) external nonReentrant ensure(deadline) returns (uint256 alphaAmountOut) {
+        require(fromNetuid != toNetuid, "Router: IDENTICAL_SUBNETS");
+        SubnetAMM fromPool = _pool(fromNetuid);
+        SubnetAMM toPool = _pool(toNetuid);
+
+        IERC20 fromAlpha = fromPool.alphaToken();
+        fromAlpha.safeTransferFrom(msg.sender, address(this), alphaAmountIn);
+
+        fromAlpha.forceApprove(address(fromPool), alphaAmountIn);
+        uint256 hetuAmount = fromPool.swapAlphaForHETU(alphaAmountIn, 0, address(this));
+
+        hetuToken.forceApprove(address(toPool), hetuAmount);
+        alphaAmountOut = toPool.swapHETUForAlpha(hetuAmount, alphaAmountOutMin, to);
+
+        emit RouteSwapped(msg.sender, fromNetuid, toNetuid, alphaAmountIn, hetuAmount, alphaAmountOut, to);
+    }
+
+    // ============ Query Functions ============
+
+    /**
+     * @dev Quote an alpha to alpha route against current reserves
+     * @return hetuAmount HETU produced by the first leg
+     * @return alphaAmountOut Alpha received from the second leg (0 if either leg lacks liquidity)
+     */
+    function quoteAlphaForAlpha(
+        uint16 fromNetuid,
+        uint16 toNetuid,
+        uint256 alphaAmountIn
+    ) external view returns (uint256 hetuAmount, uint256 alphaAmountOut) {
+        require(fromNetuid != toNetuid, "Router: IDENTICAL_SUBNETS");
+        hetuAmount = _pool(fromNetuid).simSwapAlphaForHETU(alphaAmountIn);
+        if (hetuAmount > 0) {
+            alphaAmountOut = _pool(toNetuid).simSwapHETUForAlpha(hetuAmount);
+        }
+    }
+
+    // ============ Internal Functions ============
+
+    function _pool(uint16 netuid) internal view returns (SubnetAMM pool) {
+        address poolAddress = factory.getPool(netuid);
+        require(poolAddress != address(0), "Router: POOL_NOT_FOUND");
+        pool = SubnetAMM(poolAddress);
+        require(address(pool.hetuToken()) == address(hetuToken), "Router: HETU_MISMATCH");
+    }
+}
@@ -0,0 +1,36 @@
+// contracts/factory/AlphaTokenFactory.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../tokens/AlphaToken.sol";
+
+/**
+ * @title AlphaTokenFactory
+ * @dev Deploys the alpha tokens of new subnets for the SubnetManager that created it
+ * Keeps the AlphaToken init code out of SubnetManager's runtime code
+ */
+contract AlphaTokenFactory {
+    // The only account allowed to create tokens (the SubnetManager that deployed the factory)
+    address public immutable subnetManager;
+    
+    // System address of every token
+    address public immutable systemAddress;
+    
+    constructor(address _systemAddress) {
+        require(_systemAddress != address(0), "Factory: ZERO_SYSTEM_ADDRESS");
+        systemAddress = _systemAddress;
+        subnetManager = msg.sender;
+    }
+    
+    /**
+     * @dev Create the alpha token of a subnet (SubnetManager only), with SubnetManager as its owner and minter
+     */
+    function createAlphaToken(
+        string calldata name,
+        string calldata symbol,
+        uint16 netuid
+    ) external returns (address) {
+        require(msg.sender == subnetManager, "Factory: ONLY_SUBNET_MANAGER");
+        return address(new AlphaToken(name, symbol, subnetManager, netuid, systemAddress));
+    }
+}
@@ -3,21 +3,46 @@
 pragma solidity ^0.8.19;
 
 import "../amm/SubnetAMM.sol";
+import "../interfaces/ISubnetAMMFactory.sol";
 
 /**
  * @title SubnetAMMFactory
  * @dev Factory contract for creating and managing SubnetAMM pools
  * Even factory creators cannot operate specific pools
+ * Pools are deployed with CREATE2 and the netuid as salt, so a subnet's pool address is known before it registers
+ * Removing the pool of a dissolved subnet bumps the netuid's pool generation, so the next subnet gets a fresh address
  */
-contract SubnetAMMFactory {
+contract SubnetAMMFactory is ISubnetAMMFactory {
     // Pool mappings
     mapping(uint16 => address) public getPool; // netuid => pool address
     mapping(address => bool) public isPool;
     address[] public allPools;
+    mapping(uint16 => uint256) public poolGeneration; // netuid => pools removed so far, part of the CREATE2 salt
     
     // System address
     address public immutable systemAddress;
     
+    // The only account allowed to create pools (the SubnetManager that deployed the factory)
+    address public immutable subnetManager;
+    
+    // Arguments of the pool being deployed, read back by its constructor
+    struct Parameters {
+        address hetuToken;
+        address alphaToken;
+        uint16 netuid;
+        address systemAddress;
+        address subnetContract;
+        uint8 mechanism;
+        uint256 minimumPoolLiquidity;
+        uint256 swapFee;
+        uint256 protocolFeeShare;
+    }
+    Parameters public override parameters;
+    
+    // Protocol fee recipient for all pools (zero keeps the whole swap fee in the pools)
+    address public feeTo;
+    uint256 public constant MAX_SWAP_FEE = 1000; // 10% in basis points
+    
     // Creator (only recorded, no special permissions)
     address public immutable creator;
     uint256 public immutable createdAt;
@@ -29,17 +54,31 @@ contract SubnetAMMFactory {
         address pool,
         uint256 poolsLength
     );
+    event PoolRemoved(uint16 indexed netuid, address pool, uint256 poolGeneration);
+    event FeeToUpdated(address indexed oldFeeTo, address indexed newFeeTo);
     
     constructor(address _systemAddress) {
         require(_systemAddress != address(0), "Factory: ZERO_SYSTEM_ADDRESS");
         systemAddress = _systemAddress;
+        subnetManager = msg.sender;
         creator = msg.sender;
         createdAt = block.timestamp;
     }
     
     /**
-     * @dev Create new AMM pool
-     * Anyone can create, but creators cannot operate the pool
+     * @dev Set the protocol fee recipient of all pools (system address only)
+     */
+    function setFeeTo(address _feeTo) external {
+        require(msg.sender == systemAddress, "Factory: ONLY_SYSTEM");
+        emit FeeToUpdated(feeTo, _feeTo);
+        feeTo = _feeTo;
+    }
+    
+    /**
+     * @dev Create new AMM pool (SubnetManager only, so nobody can take a netuid's pool before its subnet registers)
+     * The pool is deployed at the CREATE2 address of salt keccak256(abi.encode(netuid, poolGeneration[netuid])); see computePoolAddress
+     * @param swapFee Swap fee in basis points (at most MAX_SWAP_FEE)
+     * @param protocolFeeShare Basis points of the swap fee sent to feeTo, the rest stays in the reserves
      */
     function createPool(
         address hetuToken,
@@ -47,25 +86,34 @@ contract SubnetAMMFactory {
         uint16 netuid,
         address subnetContract,
         SubnetAMM.MechanismType mechanism,
-        uint256 minimumPoolLiquidity
+        uint256 minimumPoolLiquidity,
+        uint256 swapFee,
+        uint256 protocolFeeShare
     ) external returns (address pool) {
+        require(msg.sender == subnetManager, "Factory: ONLY_SUBNET_MANAGER");
         require(hetuToken != address(0), "Factory: ZERO_HETU_ADDRESS");
         require(alphaToken != address(0), "Factory: ZERO_ALPHA_ADDRESS");
         require(hetuToken != alphaToken, "Factory: IDENTICAL_ADDRESSES");
         require(subnetContract != address(0), "Factory: ZERO_SUBNET_ADDRESS");
         require(getPool[netuid] == address(0), "Factory: POOL_EXISTS");
         require(minimumPoolLiquidity > 0, "Factory: ZERO_MIN_LIQUIDITY");
+        require(swapFee <= MAX_SWAP_FEE, "Factory: SWAP_FEE_TOO_HIGH");
+        require(protocolFeeShare <= 10000, "Factory: INVALID_PROTOCOL_FEE_SHARE");
         
         // Create new AMM pool
-        pool = address(new SubnetAMM(
-            hetuToken,
-            alphaToken,
-            netuid,
-            systemAddress,
-            subnetContract,
-            mechanism,
-            minimumPoolLiquidity
-        ));
+        parameters = Parameters({
+            hetuToken: hetuToken,
+            alphaToken: alphaToken,
+            netuid: netuid,
+            systemAddress: systemAddress,
+            subnetContract: subnetContract,
+            mechanism: uint8(mechanism),
+            minimumPoolLiquidity: minimumPoolLiquidity,
+            swapFee: swapFee,
+            protocolFeeShare: protocolFeeShare
+        });
+        pool = address(new SubnetAMM{salt: _salt(netuid)}());
+        delete parameters;
         
         // Record pool information
         getPool[netuid] = pool;
@@ -75,6 +123,38 @@ contract SubnetAMMFactory {
         emit PoolCreated(netuid, hetuToken, alphaToken, pool, allPools.length);
     }
     
+    /**
+     * @dev Remove the pool of a dissolved subnet (SubnetManager only)
+     * The pool stays in allPools; the netuid can get a new pool at the address of the next generation.
+     */
+    function removePool(uint16 netuid) external {
+        require(msg.sender == subnetManager, "Factory: ONLY_SUBNET_MANAGER");
+        address pool = getPool[netuid];
+        require(pool != address(0), "Factory: POOL_NOT_EXISTS");
+        
+        delete getPool[netuid];
+        isPool[pool] = false;
+        poolGeneration[netuid]++;
+        
+        emit PoolRemoved(netuid, pool, poolGeneration[netuid]);
+    }
+    
+    /**
+     * @dev CREATE2 address of a netuid's pool in its current generation, whether or not it has been created yet
+     */
+    function computePoolAddress(uint16 netuid) external view returns (address) {
+        return address(uint160(uint256(keccak256(abi.encodePacked(
+            bytes1(0xff),
+            address(this),
+            _salt(netuid),
+            keccak256(type(SubnetAMM).creationCode)
+        )))));
+    }
+    
+    function _salt(uint16 netuid) internal view returns (bytes32) {
+        return keccak256(abi.encode(netuid, poolGeneration[netuid]));
+    }
+    
     /**
      * @dev Get total number of pools
      */
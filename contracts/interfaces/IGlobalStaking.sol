@@ -5,6 +5,13 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
 interface IGlobalStaking {
+    // What happens to a neuron's registration cost when it deregisters
+    enum CostPolicy {
+        Treasury,             // 0: Paid to the treasury at registration
+        Burn,                 // 1: Burned at registration
+        RefundAfterImmunity   // 2: Held until deregistration, refunded once immunityPeriod has passed, otherwise sent to the treasury
+    }
+    
     struct StakeInfo {
         uint256 totalStaked;           // Total staked amount
         uint256 totalAllocated;        // Total allocated amount
@@ -12,6 +19,17 @@ interface IGlobalStaking {
         uint256 lastUpdateBlock;       // Last update block
     }
     
+    struct WithdrawalRequest {
+        uint256 id;                    // Withdrawal ID
+        uint256 amount;                // Amount to withdraw
+        uint256 unlockBlock;           // Block from which the withdrawal can be claimed
+    }
+    
+    struct Unbonding {
+        uint256 amount;                // Released amount still locked
+        uint256 unlockBlock;           // Block from which the amount is available again
+    }
+    
     struct SubnetAllocation {
         uint256 allocated;             // Amount allocated to subnet
         uint256 cost;                  // Costed amount (locked during registration)
@@ -30,21 +48,48 @@ interface IGlobalStaking {
     event DeallocatedFromSubnet(address indexed user, uint16 indexed netuid, uint256 amount); // User withdraws stake from subnet
     event RegistrationCost(address indexed user, uint16 indexed netuid, uint256 cost); // User pays registration cost in subnet
     event AuthorizedCallerUpdated(address indexed caller, bool authorized); // Authorized caller update event
+    event RegistrationCostSettled(
+        address indexed user,
+        uint16 indexed netuid,
+        uint256 cost,
+        uint256 refunded
+    ); // Registration cost released on deregistration, `refunded` goes back to the user's stake
+    event StakeUnbonding(address indexed user, uint256 amount, uint256 unlockBlock); // A release locked until unlockBlock
+    event CostPolicyUpdated(CostPolicy oldPolicy, CostPolicy newPolicy);
+    event UnbondingPeriodUpdated(uint256 oldPeriod, uint256 newPeriod);
+    event WithdrawalRequested(address indexed user, uint256 indexed id, uint256 amount, uint256 unlockBlock); // Stake removed and queued for withdrawal
+    event WithdrawalClaimed(address indexed user, uint256 indexed id, uint256 amount); // Matured withdrawal paid out
+    event WithdrawalCancelled(address indexed user, uint256 indexed id, uint256 amount); // Queued withdrawal staked again
+    event WithdrawalCooldownUpdated(uint256 oldCooldown, uint256 newCooldown);
+    event DelegatedStakeChanged(address indexed user, uint256 oldAmount, uint256 newAmount); // Stake locked for delegation changed
 
     // ============ Core Functions ============
     function addGlobalStake(uint256 amount) external;
-    function removeGlobalStake(uint256 amount) external;
+    function removeGlobalStake(uint256 amount) external returns (uint256 id);
+    function claimWithdrawal(uint256 id) external;
+    function claimWithdrawals() external returns (uint256 amount);
+    function cancelWithdrawal(uint256 id) external;
     function allocateToSubnet(uint16 netuid, uint256 amount) external;
     function deallocateFromSubnet(uint16 netuid, uint256 amount) external;
     
     // ============ Authorized Functions ============
     function allocateToSubnetWithMinThreshold(uint16 netuid, uint256 amount, uint256 minThreshold) external;
+    function setNeuronStake(address user, uint16 netuid, uint256 stake) external;
     function chargeRegistrationCost(address user, uint16 netuid, uint256 cost) external;
+    function releaseSubnetStake(address user, uint16 netuid, bool immunityElapsed) external returns (uint256 released, uint256 refunded);
+    function lockDelegatedStake(address user, uint256 amount) external;
+    function releaseDelegatedStake(address user, uint256 amount) external;
     
     // ============ View Functions ============
     function getAvailableStake(address user) external view returns (uint256);
     function getStakeInfo(address user) external view returns (StakeInfo memory);
     function getSubnetAllocation(address user, uint16 netuid) external view returns (SubnetAllocation memory);
+    function getGlobalTotals() external view returns (uint256 staked, uint256 allocated, uint256 cost);
+    function getUnbonding(address user) external view returns (uint256 amount, uint256 unlockBlock);
+    function getUnbondings(address user) external view returns (Unbonding[] memory);
+    function neuronStake(address user, uint16 netuid) external view returns (uint256);
+    function delegatedStake(address user) external view returns (uint256);
+    function getPendingWithdrawals(address user) external view returns (WithdrawalRequest[] memory);
     function canAllocateToSubnet(address user, uint256 amount) external view returns (bool);
     function canPayRegistrationCost(address user, uint256 cost) external view returns (bool);
     
@@ -0,0 +1,49 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ISubnetTypes.sol";
+
+interface IHyperparamsGovernor {
+    struct PendingHyperparams {
+        SubnetTypes.SubnetHyperparams params; // Full hyperparameter set to apply
+        address proposer;              // Subnet owner that proposed the change
+        uint256 proposedAt;            // Block the change was proposed at
+        uint256 executableAt;          // Block from which the change can be executed (0 when none is pending)
+        address alphaToken;            // Alpha token of the subnet the change was proposed for
+        uint32 changedFields;          // Bit i set for each field i the proposal changes, only these are applied
+    }
+
+    struct FieldBound {
+        uint256 min;                   // Lowest value a subnet owner may set
+        uint256 max;                   // Highest value a subnet owner may set
+        bool set;                      // Whether the field is bounded at all
+    }
+
+    // ============ Events ============
+
+    event HyperparamsProposed(
+        uint16 indexed netuid,
+        address indexed proposer,
+        SubnetTypes.SubnetHyperparams params,
+        uint256 executableAt
+    );
+    event HyperparamsExecuted(uint16 indexed netuid, address indexed executor);
+    event HyperparamsCancelled(uint16 indexed netuid, address indexed canceller);
+    event HyperparamsVetoed(uint16 indexed netuid, address indexed vetoer);
+    event TimelockUpdated(uint256 oldTimelock, uint256 newTimelock);
+    event FieldBoundUpdated(uint8 indexed field, uint256 min, uint256 max);
+    event FieldBoundCleared(uint8 indexed field);
+
+    // ============ Core Functions ============
+
+    function propose(uint16 netuid, SubnetTypes.SubnetHyperparams calldata params) external returns (uint256 executableAt);
+    function execute(uint16 netuid) external;
+    function cancel(uint16 netuid) external;
+    function veto(uint16 netuid) external;
+
+    // ============ View Functions ============
+
+    function timelock() external view returns (uint256);
+    function getPending(uint16 netuid) external view returns (PendingHyperparams memory);
+    function getFieldBound(uint8 field) external view returns (FieldBound memory);
+}
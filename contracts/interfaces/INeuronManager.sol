@@ -47,6 +47,40 @@ interface INeuronManager {
         uint256 blockNumber
     );
     
+    /**
+     * @dev Validator promotion/demotion event
+     */
+    event ValidatorStatusChanged(
+        uint16 indexed netuid,
+        address indexed account,
+        bool isValidator,
+        uint256 blockNumber
+    );
+    
+    /**
+     * @dev Delegation events
+     */
+    event Delegated(
+        uint16 indexed netuid,
+        address indexed validator,
+        address indexed delegator,
+        uint256 amount,
+        uint256 blockNumber
+    );
+    event Undelegated(
+        uint16 indexed netuid,
+        address indexed validator,
+        address indexed delegator,
+        uint256 amount,
+        uint256 blockNumber
+    );
+    event CommissionUpdated(
+        uint16 indexed netuid,
+        address indexed validator,
+        uint16 oldCommission,
+        uint16 newCommission
+    );
+    
     /**
      * @dev Service information update event
      */
@@ -100,6 +134,31 @@ interface INeuronManager {
         uint256 newStake
     ) external;
 
+    /**
+     * @dev Delegate available global stake to a neuron
+     */
+    function delegate(uint16 netuid, address validator, uint256 amount) external;
+
+    /**
+     * @dev Withdraw a delegation; the amount unbonds in GlobalStaking
+     */
+    function undelegate(uint16 netuid, address validator, uint256 amount) external;
+
+    /**
+     * @dev Set the commission (basis points) taken from delegators' rewards
+     */
+    function setCommission(uint16 netuid, uint16 commission) external;
+
+    /**
+     * @dev Ask for or give up the validator role (neuron only)
+     */
+    function setValidatorRole(uint16 netuid, bool requested) external;
+
+    /**
+     * @dev Remove a neuron of a dissolved subnet (anyone); its stake is released without forfeiting the registration cost
+     */
+    function removeDissolvedNeuron(uint16 netuid, address account) external;
+
     // ============ View Functions ============
     
     /**
@@ -131,6 +190,45 @@ interface INeuronManager {
     function getNeuronCount(uint16 netuid) external view returns (uint256);
 
 
+    /**
+     * @dev Get the alpha token of the subnet the current neurons of a netuid registered on
+     */
+    function subnetToken(uint16 netuid) external view returns (address);
+
+    /**
+     * @dev Check whether the subnet the neurons of a netuid registered on has been dissolved
+     */
+    function isSubnetDissolved(uint16 netuid) external view returns (bool);
+
+    /**
+     * @dev Get reward distributor address
+     */
+    function rewardDistributor() external view returns (address);
+
+    /**
+     * @dev Get validators of a subnet
+     */
+    function getSubnetValidators(uint16 netuid) external view returns (address[] memory);
+
+    /**
+     * @dev Get total stake delegated to a neuron, and its commission (basis points)
+     */
+    function delegatedStake(uint16 netuid, address validator) external view returns (uint256);
+    function commission(uint16 netuid, address validator) external view returns (uint16);
+
+    /**
+     * @dev Get own stake plus delegated stake of a neuron
+     */
+    function getEffectiveStake(uint16 netuid, address account) external view returns (uint256);
+
+    /**
+     * @dev Get delegators of a neuron and their delegated amounts
+     */
+    function getDelegators(uint16 netuid, address validator)
+        external
+        view
+        returns (address[] memory delegators, uint256[] memory amounts);
+
     /**
      * @dev Get subnet validator count (internal use)
      */
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+interface IRewardDistributor {
+    struct EmissionSplit {
+        uint16 ownerShare;             // Subnet owner share (basis points)
+        uint16 validatorShare;         // Validator share (basis points)
+        uint16 minerShare;             // Miner share (basis points)
+    }
+
+    struct Epoch {
+        uint256 blockNumber;           // Block the epoch was distributed at
+        uint256 emission;              // Alpha emitted for the tempo
+        uint256 ownerReward;           // Alpha assigned to the subnet owner
+        uint256 validatorReward;       // Alpha assigned to validators and their delegators
+        uint256 minerReward;           // Alpha assigned to miners
+        address alphaToken;            // Alpha token the rewards were minted in
+    }
+
+    // ============ Events ============
+
+    event EpochDistributed(
+        uint16 indexed netuid,
+        uint256 indexed epoch,
+        uint256 emission,
+        uint256 minted,
+        uint256 blockNumber
+    ); // Alpha minted for one tempo of a subnet
+    event RewardAccrued(uint16 indexed netuid, uint256 indexed epoch, address indexed account, uint256 amount);
+    event RewardClaimed(uint16 indexed netuid, uint256 indexed epoch, address indexed account, uint256 amount);
+    event EmissionPerBlockUpdated(uint256 oldEmission, uint256 newEmission);
+    event EmissionSplitUpdated(uint16 ownerShare, uint16 validatorShare, uint16 minerShare);
+    event EpochRunnerUpdated(address indexed runner, bool authorized);
+
+    // ============ Core Functions ============
+
+    function distribute(
+        uint16 netuid,
+        address[] calldata validators,
+        uint256[] calldata validatorWeights,
+        address[] calldata miners,
+        uint256[] calldata minerWeights
+    ) external returns (uint256 epoch);
+    function claim(uint16 netuid, uint256 epoch) external returns (uint256 amount);
+    function claimEpochs(uint16 netuid, uint256[] calldata epochs) external returns (uint256 amount);
+
+    // ============ View Functions ============
+
+    function rewards(uint16 netuid, uint256 epoch, address account) external view returns (uint256);
+    function epochCount(uint16 netuid) external view returns (uint256);
+    function getEpoch(uint16 netuid, uint256 epoch) external view returns (Epoch memory);
+    function nextEpochBlock(uint16 netuid) external view returns (uint256);
+}
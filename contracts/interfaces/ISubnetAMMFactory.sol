@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ISubnetAMMFactory
+ * @dev The part of SubnetAMMFactory that pools read back from their factory
+ */
+interface ISubnetAMMFactory {
+    /**
+     * @dev Recipient of the protocol share of swap fees (zero keeps the whole fee in the pools)
+     */
+    function feeTo() external view returns (address);
+    
+    /**
+     * @dev Constructor arguments of the pool being deployed, set only for the duration of createPool.
+     * Pools read them back so their init code, and therefore their CREATE2 address, only depends on the netuid.
+     */
+    function parameters() external view returns (
+        address hetuToken,
+        address alphaToken,
+        uint16 netuid,
+        address systemAddress,
+        address subnetContract,
+        uint8 mechanism,
+        uint256 minimumPoolLiquidity,
+        uint256 swapFee,
+        uint256 protocolFeeShare
+    );
+}
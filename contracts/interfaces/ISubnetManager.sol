@@ -33,12 +33,47 @@ interface ISubnetManager {
         uint256 blockNumber
     );
 
+    event SubnetDeactivated(
+        uint16 indexed netuid,
+        address indexed owner,
+        uint256 timestamp,
+        uint256 blockNumber
+    );
+
+    event SubnetDissolved(
+        uint16 indexed netuid,
+        address indexed owner,
+        address indexed dissolvedBy,
+        uint256 refundedAmount,
+        uint256 redeemableAmount
+    );
+
+    event AlphaRedeemed(
+        address indexed alphaToken,
+        address indexed holder,
+        uint256 alphaAmount,
+        uint256 hetuAmount
+    );
+
     event NetworkConfigUpdated(
         string indexed paramName,
         uint256 oldValue,
         uint256 newValue,
         address indexed updater
     );
+
+    event HyperparamsUpdated(
+        uint16 indexed netuid,
+        SubnetTypes.SubnetHyperparams oldParams,
+        SubnetTypes.SubnetHyperparams newParams,
+        address indexed updater
+    );
+
+    event HyperparamsGovernorUpdated(address oldGovernor, address newGovernor);
+
+    event SubnetOwnershipTransferStarted(uint16 indexed netuid, address indexed owner, address indexed pendingOwner);
+
+    event SubnetOwnershipTransferred(uint16 indexed netuid, address indexed previousOwner, address indexed newOwner);
     // ============ Core Functions ============
     
     /**
@@ -57,11 +92,45 @@ interface ISubnetManager {
     ) external returns (uint16 netuid);
     
     /**
-     * @dev Transfer subnet ownership
+     * @dev Start a subnet ownership transfer (subnet owner only); the new owner has to accept it
+     * @param netuid Subnet ID
+     * @param newOwner New owner address (zero cancels a pending transfer)
+     */
+    function transferSubnetOwnership(uint16 netuid, address newOwner) external;
+
+    /**
+     * @dev Accept a pending subnet ownership transfer (pending owner only)
      * @param netuid Subnet ID
-     * @param newOwner New owner address
      */
-    // function transferSubnetOwnership(uint16 netuid, address newOwner) external;
+    function acceptSubnetOwnership(uint16 netuid) external;
+
+    /**
+     * @dev Stop an active subnet (subnet owner only); neuron registrations and emissions pause until it is activated again
+     * @param netuid Subnet ID
+     */
+    function deactivateSubnet(uint16 netuid) external;
+
+    /**
+     * @dev Dissolve an inactive subnet: unwind its pool, refund the owner and free the netuid
+     * The subnet owner or the protocol owner, once it has been inactive for subnetInactivityPeriod blocks
+     * @param netuid Subnet ID
+     */
+    function dissolveSubnet(uint16 netuid) external;
+
+    /**
+     * @dev Burn alpha of a dissolved subnet for its pro rata share of the pool HETU above the owner's refund
+     * @param alphaToken Alpha token of the dissolved subnet
+     * @param amount Alpha to redeem
+     * @return hetuAmount HETU paid out
+     */
+    function redeemAlpha(address alphaToken, uint256 amount) external returns (uint256 hetuAmount);
+
+    /**
+     * @dev Replace subnet hyperparameters (protocol owner or hyperparamsGovernor)
+     * @param netuid Subnet ID
+     * @param newHyperparams New hyperparameters
+     */
+    function updateSubnetHyperparams(uint16 netuid, SubnetTypes.SubnetHyperparams calldata newHyperparams) external;
     
 
     
@@ -130,6 +199,20 @@ interface ISubnetManager {
      * @return Whether exists
      */
     function subnetExists(uint16 netuid) external view returns (bool);
+
+    /**
+     * @dev Get the account a subnet is being transferred to
+     * @param netuid Subnet ID
+     * @return Pending owner (zero when no transfer is pending)
+     */
+    function pendingSubnetOwner(uint16 netuid) external view returns (address);
+
+    /**
+     * @dev Get the block a subnet became inactive at (registration or deactivation)
+     * @param netuid Subnet ID
+     * @return Block number (zero while the subnet is active)
+     */
+    function inactiveSince(uint16 netuid) external view returns (uint256);
     
     // ============ Network Parameters ============
     
@@ -141,7 +224,11 @@ interface ISubnetManager {
     function networkLastLockBlock() external view returns (uint256);
     function networkRateLimit() external view returns (uint256);
     function lockReductionInterval() external view returns (uint256);
+    function poolSwapFee() external view returns (uint256);
+    function poolProtocolFeeShare() external view returns (uint256);
     function totalNetworks() external view returns (uint16);
     function nextNetuid() external view returns (uint16);
+    function hyperparamsGovernor() external view returns (address);
+    function subnetInactivityPeriod() external view returns (uint256);
     
 }
@@ -58,5 +58,6 @@ library SubnetTypes {
         uint32 axonPort;              // Axon port
         string prometheusEndpoint;    // Prometheus endpoint
         uint32 prometheusPort;        // Prometheus port
+        bool requestedValidator;      // Whether the neuron asked for the validator role, only such neurons are promoted
     }
 }
@@ -0,0 +1,340 @@
+// contracts/rewards/RewardDistributor.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/ISubnetTypes.sol";
+import "../interfaces/ISubnetManager.sol";
+import "../interfaces/INeuronManager.sol";
+import "../interfaces/IAlphaToken.sol";
+import "../interfaces/IRewardDistributor.sol";
+
+/**
+ * @title RewardDistributor
+ * @dev Subnet emission distribution - the rewardDistributor configured in NeuronManager
+ * Responsibilities:
+ * 1. Mints emissionPerBlock * tempo alpha once per tempo of a subnet (it must be a minter of the subnet's alpha)
+ * 2. Splits the emission between the subnet owner, validators and miners
+ * 3. Passes validator rewards on to delegators, minus the validator's commission
+ * 4. Holds the rewards until each account claims them per epoch, in the alpha token the epoch was minted in
+ */
+contract RewardDistributor is ReentrancyGuard, Ownable, IRewardDistributor {
+    uint256 public constant BASIS_POINTS = 10000;
+
+    ISubnetManager public immutable subnetManager;
+    INeuronManager public immutable neuronManager;
+
+    // Emission configuration
+    uint256 public emissionPerBlock = 1e18;
+    EmissionSplit public emissionSplit = EmissionSplit({
+        ownerShare: 1800,
+        validatorShare: 4100,
+        minerShare: 4100
+    });
+
+    // Addresses allowed to submit epochs (system address, epoch runner)
+    mapping(address => bool) public epochRunners;
+
+    // Per netuid epoch bookkeeping. Epoch indexes keep counting when a new subnet reuses a
+    // dissolved subnet's netuid, so the old subnet's rewards stay claimable.
+    mapping(uint16 => uint256) public override epochCount;
+    mapping(uint16 => uint256) public lastEpochBlock;
+    mapping(uint16 => mapping(uint256 => Epoch)) internal _epochs;
+    // netuid => epoch => account => unclaimed alpha
+    mapping(uint16 => mapping(uint256 => mapping(address => uint256))) public override rewards;
+
+    modifier onlyEpochRunner() {
+        require(epochRunners[msg.sender], "NOT_EPOCH_RUNNER");
+        _;
+    }
+
+    constructor(
+        address _subnetManager,
+        address _neuronManager,
+        address _initialOwner
+    ) Ownable(_initialOwner) {
+        require(_subnetManager != address(0), "ZERO_SUBNET_MANAGER");
+        require(_neuronManager != address(0), "ZERO_NEURON_MANAGER");
+
+        subnetManager = ISubnetManager(_subnetManager);
+        neuronManager = INeuronManager(_neuronManager);
+    }
+
+    /**
+     * @dev Distribute one tempo of emission for a subnet
+     * Validators and miners are rewarded in proportion to the submitted weights. An empty list
+     * falls back to stake shares: effective stake for validators, own stake for miners.
+     * Shares without recipients are not minted.
+     * @return epoch Index of the distributed epoch
+     */
+    function distribute(
+        uint16 netuid,
+        address[] calldata validators,
+        uint256[] calldata validatorWeights,
+        address[] calldata miners,
+        uint256[] calldata minerWeights
+    ) external onlyEpochRunner nonReentrant returns (uint256 epoch) {
+        require(neuronManager.rewardDistributor() == address(this), "NOT_REWARD_DISTRIBUTOR");
+        SubnetTypes.SubnetInfo memory info = subnetManager.getSubnetInfo(netuid);
+        require(info.isActive, "SUBNET_NOT_ACTIVE");
+        require(block.number >= nextEpochBlock(netuid), "EPOCH_NOT_DUE");
+        // Neurons left over from a dissolved subnet with the same netuid are not rewarded
+        require(
+            !neuronManager.isSubnetDissolved(netuid) || neuronManager.getNeuronCount(netuid) == 0,
+            "DISSOLVED_SUBNET_NEURONS"
+        );
+
+        uint256 emission = emissionPerBlock * subnetManager.getSubnetParams(netuid).tempo;
+        epoch = epochCount[netuid]++;
+        lastEpochBlock[netuid] = block.number;
+
+        Epoch storage record = _epochs[netuid][epoch];
+        record.blockNumber = block.number;
+        record.emission = emission;
+        record.alphaToken = info.alphaToken;
+
+        // 1. Subnet owner
+        record.ownerReward = emission * emissionSplit.ownerShare / BASIS_POINTS;
+        _accrue(netuid, epoch, info.owner, record.ownerReward);
+
+        // 2. Validators (and their delegators)
+        uint256 validatorPool = emission * emissionSplit.validatorShare / BASIS_POINTS;
+        if (validators.length == 0) {
+            (address[] memory accounts, uint256[] memory weights) = _stakeShares(netuid, true);
+            record.validatorReward = _distributeValidators(netuid, epoch, accounts, weights, validatorPool);
+        } else {
+            _checkRecipients(netuid, validators, validatorWeights, true);
+            record.validatorReward = _distributeValidators(netuid, epoch, validators, validatorWeights, validatorPool);
+        }
+
+        // 3. Miners
+        uint256 minerPool = emission * emissionSplit.minerShare / BASIS_POINTS;
+        if (miners.length == 0) {
+            (address[] memory accounts, uint256[] memory weights) = _stakeShares(netuid, false);
+            record.minerReward = _distributeMiners(netuid, epoch, accounts, weights, minerPool);
+        } else {
+            _checkRecipients(netuid, miners, minerWeights, false);
+            record.minerReward = _distributeMiners(netuid, epoch, miners, minerWeights, minerPool);
+        }
+
+        uint256 minted = record.ownerReward + record.validatorReward + record.minerReward;
+        if (minted > 0) {
+            IAlphaToken(info.alphaToken).mint(address(this), minted);
+        }
+
+        emit EpochDistributed(netuid, epoch, emission, minted, block.number);
+    }
+
+    /**
+     * @dev Claim the caller's reward of one epoch
+     */
+    function claim(uint16 netuid, uint256 epoch) external nonReentrant returns (uint256 amount) {
+        amount = _claim(netuid, epoch);
+        require(amount > 0, "NO_REWARD");
+        _payout(_epochs[netuid][epoch].alphaToken, amount);
+    }
+
+    /**
+     * @dev Claim the caller's rewards of several epochs; epochs without a reward are skipped
+     * Epochs of a dissolved subnet are paid in its alpha token, even when the netuid has a new subnet
+     */
+    function claimEpochs(uint16 netuid, uint256[] calldata epochs) external nonReentrant returns (uint256 amount) {
+        address token;
+        uint256 owed;
+        for (uint256 i = 0; i < epochs.length; i++) {
+            address epochToken = _epochs[netuid][epochs[i]].alphaToken;
+            if (epochToken != token) {
+                _payout(token, owed);
+                token = epochToken;
+                owed = 0;
+            }
+            uint256 claimed = _claim(netuid, epochs[i]);
+            owed += claimed;
+            amount += claimed;
+        }
+        require(amount > 0, "NO_REWARD");
+        _payout(token, owed);
+    }
+
+    // ============ View Functions ============
+
+    /**
+     * @dev Get a distributed epoch
+     */
+    function getEpoch(uint16 netuid, uint256 epoch) external view returns (Epoch memory) {
+        return _epochs[netuid][epoch];
+    }
+
+    /**
+     * @dev First block at which the next epoch of a subnet can be distributed
+     * The first epoch of a subnet is due at once, also on a netuid a dissolved subnet had
+     */
+    function nextEpochBlock(uint16 netuid) public view returns (uint256) {
+        uint256 count = epochCount[netuid];
+        if (count == 0 || _epochs[netuid][count - 1].alphaToken != subnetManager.getSubnetInfo(netuid).alphaToken) {
+            return 0;
+        }
+        return lastEpochBlock[netuid] + subnetManager.getSubnetParams(netuid).tempo;
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Split a validator pool by weight; delegated stake earns its share of each validator's
+     * reward, minus the validator's commission
+     */
+    function _distributeValidators(
+        uint16 netuid,
+        uint256 epoch,
+        address[] memory validators,
+        uint256[] memory weights,
+        uint256 pool
+    ) internal returns (uint256 paid) {
+        uint256 totalWeight = _sum(weights);
+        if (totalWeight == 0) return 0;
+
+        for (uint256 i = 0; i < validators.length; i++) {
+            uint256 reward = pool * weights[i] / totalWeight;
+            if (reward == 0) continue;
+            paid += reward;
+
+            uint256 delegated = neuronManager.delegatedStake(netuid, validators[i]);
+            if (delegated > 0) {
+                uint256 delegatorPool = reward * delegated / neuronManager.getEffectiveStake(netuid, validators[i]);
+                delegatorPool -= delegatorPool * neuronManager.commission(netuid, validators[i]) / BASIS_POINTS;
+
+                (address[] memory delegators, uint256[] memory amounts) = neuronManager.getDelegators(netuid, validators[i]);
+                for (uint256 j = 0; j < delegators.length; j++) {
+                    uint256 share = delegatorPool * amounts[j] / delegated;
+                    _accrue(netuid, epoch, delegators[j], share);
+                    reward -= share;
+                }
+            }
+            _accrue(netuid, epoch, validators[i], reward);
+        }
+    }
+
+    /**
+     * @dev Split a miner pool by weight
+     */
+    function _distributeMiners(
+        uint16 netuid,
+        uint256 epoch,
+        address[] memory miners,
+        uint256[] memory weights,
+        uint256 pool
+    ) internal returns (uint256 paid) {
+        uint256 totalWeight = _sum(weights);
+        if (totalWeight == 0) return 0;
+
+        for (uint256 i = 0; i < miners.length; i++) {
+            uint256 reward = pool * weights[i] / totalWeight;
+            _accrue(netuid, epoch, miners[i], reward);
+            paid += reward;
+        }
+    }
+
+    /**
+     * @dev Current validators weighted by effective stake, or miners weighted by own stake
+     */
+    function _stakeShares(uint16 netuid, bool validatorRole)
+        internal
+        view
+        returns (address[] memory accounts, uint256[] memory weights)
+    {
+        if (validatorRole) {
+            accounts = neuronManager.getSubnetValidators(netuid);
+            weights = new uint256[](accounts.length);
+            for (uint256 i = 0; i < accounts.length; i++) {
+                weights[i] = neuronManager.getEffectiveStake(netuid, accounts[i]);
+            }
+            return (accounts, weights);
+        }
+
+        address[] memory neurons = neuronManager.getNeuronList(netuid);
+        accounts = new address[](neurons.length);
+        weights = new uint256[](neurons.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < neurons.length; i++) {
+            if (!neuronManager.isValidator(netuid, neurons[i])) {
+                accounts[count] = neurons[i];
+                weights[count] = neuronManager.getNeuronInfo(netuid, neurons[i]).stake;
+                count++;
+            }
+        }
+        // Shrink to the number of miners
+        assembly {
+            mstore(accounts, count)
+            mstore(weights, count)
+        }
+    }
+
+    /**
+     * @dev Submitted recipients must be registered neurons with the expected role
+     */
+    function _checkRecipients(
+        uint16 netuid,
+        address[] calldata accounts,
+        uint256[] calldata weights,
+        bool validatorRole
+    ) internal view {
+        require(accounts.length == weights.length, "LENGTH_MISMATCH");
+        for (uint256 i = 0; i < accounts.length; i++) {
+            if (validatorRole) {
+                require(neuronManager.isValidator(netuid, accounts[i]), "NOT_VALIDATOR");
+            } else {
+                require(neuronManager.isNeuron(netuid, accounts[i]), "NOT_NEURON");
+                require(!neuronManager.isValidator(netuid, accounts[i]), "NOT_MINER");
+            }
+        }
+    }
+
+    function _accrue(uint16 netuid, uint256 epoch, address account, uint256 amount) internal {
+        if (amount == 0) return;
+        rewards[netuid][epoch][account] += amount;
+        emit RewardAccrued(netuid, epoch, account, amount);
+    }
+
+    function _claim(uint16 netuid, uint256 epoch) internal returns (uint256 amount) {
+        amount = rewards[netuid][epoch][msg.sender];
+        if (amount > 0) {
+            rewards[netuid][epoch][msg.sender] = 0;
+            emit RewardClaimed(netuid, epoch, msg.sender, amount);
+        }
+    }
+
+    function _payout(address alphaToken, uint256 amount) internal {
+        if (amount == 0) return;
+        require(IAlphaToken(alphaToken).transfer(msg.sender, amount), "TRANSFER_FAILED");
+    }
+
+    function _sum(uint256[] memory values) internal pure returns (uint256 total) {
+        for (uint256 i = 0; i < values.length; i++) {
+            total += values[i];
+        }
+    }
+
+    // ============ Admin Functions ============
+
+    function setEmissionPerBlock(uint256 _emissionPerBlock) external onlyOwner {
+        emit EmissionPerBlockUpdated(emissionPerBlock, _emissionPerBlock);
+        emissionPerBlock = _emissionPerBlock;
+    }
+
+    function setEmissionSplit(uint16 ownerShare, uint16 validatorShare, uint16 minerShare) external onlyOwner {
+        require(uint256(ownerShare) + validatorShare + minerShare == BASIS_POINTS, "INVALID_SPLIT");
+        emissionSplit = EmissionSplit({
+            ownerShare: ownerShare,
+            validatorShare: validatorShare,
+            minerShare: minerShare
+        });
+        emit EmissionSplitUpdated(ownerShare, validatorShare, minerShare);
+    }
+
+    function setEpochRunner(address runner, bool authorized) external onlyOwner {
+        require(runner != address(0), "ZERO_ADDRESS");
+        epochRunners[runner] = authorized;
+        emit EpochRunnerUpdated(runner, authorized);
+    }
+}
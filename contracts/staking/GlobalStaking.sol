@@ -18,6 +18,7 @@ import "../interfaces/IGlobalStaking.sol";
 contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
     IERC20 public immutable hetuToken;
     address public treasury; // Protocol treasury address
+    address public constant BURN_ADDRESS = 0x000000000000000000000000000000000000dEaD;
     
     // Authorized contract addresses (NeuronManager, etc.)
     mapping(address => bool) public authorizedCallers;
@@ -27,6 +28,34 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
     
     // Subnet allocation information
     mapping(address => mapping(uint16 => SubnetAllocation)) private subnetAllocations;
+
+    // Network wide totals, the sums of the per-user StakeInfo fields
+    uint256 public totalStaked;
+    uint256 public totalAllocated;
+    uint256 public totalCost;
+    mapping(uint16 => uint256) public subnetTotalAllocated;
+
+    // Registration cost policy, and the part of each cost still held by this contract (RefundAfterImmunity only)
+    CostPolicy public costPolicy;
+    mapping(address => mapping(uint16 => uint256)) public escrowedCost;
+
+    // Stake released on deregistration stays locked for unbondingPeriod blocks, each release on its own
+    uint256 public unbondingPeriod = 7200; // About 1 day at 12s blocks
+    mapping(address => Unbonding[]) private unbondings;
+
+    // Part of each subnet allocation that backs a registered neuron, kept in sync by NeuronManager.
+    // Allocations can't be reduced below it directly.
+    mapping(address => mapping(uint16 => uint256)) public neuronStake;
+
+    // Stake delegated to validators through NeuronManager
+    mapping(address => uint256) public delegatedStake;
+    uint256 public totalDelegated;
+
+    // Stake removed with removeGlobalStake is paid out after withdrawalCooldown blocks
+    uint256 public withdrawalCooldown = 7200; // About 1 day at 12s blocks
+    uint256 public nextWithdrawalId = 1;
+    uint256 public totalPendingWithdrawals;
+    mapping(address => WithdrawalRequest[]) private pendingWithdrawals;
     
     modifier onlyAuthorizedCaller() {
         require(authorizedCallers[msg.sender], "UNAUTHORIZED_CALLER");
@@ -52,33 +81,103 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         StakeInfo storage stakeInfo = userStakes[msg.sender];
         stakeInfo.totalStaked += amount;
         stakeInfo.lastUpdateBlock = block.number;
+        totalStaked += amount;
         
         emit GlobalStakeAdded(msg.sender, amount);
     }
     
     /**
-     * @dev Remove global stake
+     * @dev Remove global stake - The amount leaves the user's stake now and is queued
+     * for withdrawal; it can be claimed after withdrawalCooldown blocks
+     * @return id Withdrawal ID, used to claim or cancel
      */
-    function removeGlobalStake(uint256 amount) external nonReentrant {
+    function removeGlobalStake(uint256 amount) external nonReentrant returns (uint256 id) {
         require(amount > 0, "ZERO_AMOUNT");
         
         StakeInfo storage stakeInfo = userStakes[msg.sender];
         require(stakeInfo.totalStaked >= amount, "INSUFFICIENT_STAKE");
         
-        // Calculate available balance: total staked - allocated - cost consumed
-        uint256 available = stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost;
-        require(available >= amount, "AMOUNT_NOT_AVAILABLE");
+        // Available balance: total staked - allocated - cost consumed - delegated - unbonding
+        require(_available(msg.sender) >= amount, "AMOUNT_NOT_AVAILABLE");
 
         stakeInfo.totalStaked -= amount;
         stakeInfo.lastUpdateBlock = block.number;
+        totalStaked -= amount;
         
-        require(hetuToken.transfer(msg.sender, amount), "TRANSFER_FAILED");
+        id = nextWithdrawalId++;
+        uint256 unlockBlock = block.number + withdrawalCooldown;
+        pendingWithdrawals[msg.sender].push(WithdrawalRequest({
+            id: id,
+            amount: amount,
+            unlockBlock: unlockBlock
+        }));
+        totalPendingWithdrawals += amount;
         
         emit GlobalStakeRemoved(msg.sender, amount);
+        emit WithdrawalRequested(msg.sender, id, amount, unlockBlock);
+    }
+
+    /**
+     * @dev Claim a matured withdrawal
+     */
+    function claimWithdrawal(uint256 id) external nonReentrant {
+        uint256 index = _findWithdrawal(msg.sender, id);
+        WithdrawalRequest memory request = pendingWithdrawals[msg.sender][index];
+        require(block.number >= request.unlockBlock, "WITHDRAWAL_NOT_READY");
+        
+        _removeWithdrawal(msg.sender, index);
+        totalPendingWithdrawals -= request.amount;
+        
+        require(hetuToken.transfer(msg.sender, request.amount), "TRANSFER_FAILED");
+        
+        emit WithdrawalClaimed(msg.sender, id, request.amount);
+    }
+
+    /**
+     * @dev Claim every matured withdrawal of the caller
+     * @return amount Total amount paid out
+     */
+    function claimWithdrawals() external nonReentrant returns (uint256 amount) {
+        WithdrawalRequest[] storage requests = pendingWithdrawals[msg.sender];
+        uint256 i = 0;
+        while (i < requests.length) {
+            WithdrawalRequest memory request = requests[i];
+            if (block.number < request.unlockBlock) {
+                i++;
+                continue;
+            }
+            // The last request moves into slot i, so i is checked again
+            _removeWithdrawal(msg.sender, i);
+            amount += request.amount;
+            emit WithdrawalClaimed(msg.sender, request.id, request.amount);
+        }
+        require(amount > 0, "NO_MATURED_WITHDRAWALS");
+        
+        totalPendingWithdrawals -= amount;
+        require(hetuToken.transfer(msg.sender, amount), "TRANSFER_FAILED");
+    }
+
+    /**
+     * @dev Cancel a pending withdrawal and stake the amount again
+     */
+    function cancelWithdrawal(uint256 id) external nonReentrant {
+        uint256 index = _findWithdrawal(msg.sender, id);
+        uint256 amount = pendingWithdrawals[msg.sender][index].amount;
+        
+        _removeWithdrawal(msg.sender, index);
+        totalPendingWithdrawals -= amount;
+        
+        StakeInfo storage stakeInfo = userStakes[msg.sender];
+        stakeInfo.totalStaked += amount;
+        stakeInfo.lastUpdateBlock = block.number;
+        totalStaked += amount;
+        
+        emit WithdrawalCancelled(msg.sender, id, amount);
     }
 
     /**
      * @dev Allocate stake to subnet
+     * A lower amount than the current allocation unbonds the difference
      * @param netuid Subnet ID
      * @param amount Allocation amount
      */
@@ -102,30 +201,33 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         // Get real user address from tx.origin
         address user = tx.origin;
         _allocateToSubnetInternal(user, netuid, amount);
+        neuronStake[user][netuid] = amount;
+    }
+
+    /**
+     * @dev Change a registered neuron's stake (called by NeuronManager)
+     * The allocation grows or shrinks by the difference; a reduction unbonds
+     * @param user Neuron owner
+     * @param netuid Subnet ID
+     * @param stake New neuron stake
+     */
+    function setNeuronStake(address user, uint16 netuid, uint256 stake) external onlyAuthorizedCaller {
+        uint256 oldStake = neuronStake[user][netuid];
+        neuronStake[user][netuid] = stake;
+        if (stake > oldStake) {
+            uint256 allocated = subnetAllocations[user][netuid].allocated;
+            _allocateToSubnetInternal(user, netuid, allocated + (stake - oldStake));
+        } else if (stake < oldStake) {
+            _deallocateFromSubnetInternal(user, netuid, oldStake - stake);
+        }
     }
 
     /**
      * @dev User withdraws allocation from subnet
+     * The amount unbonds; the allocation can't drop below the stake of the user's neuron on the subnet
      */
     function deallocateFromSubnet(uint16 netuid, uint256 amount) external {
-        require(amount > 0, "ZERO_AMOUNT");
-        
-        SubnetAllocation storage allocation = subnetAllocations[msg.sender][netuid];
-        require(allocation.allocated >= amount, "INSUFFICIENT_ALLOCATION");
-
-        StakeInfo storage stakeInfo = userStakes[msg.sender];
-        
-        // Update subnet allocation
-        uint256 oldAmount = allocation.allocated;
-        allocation.allocated -= amount;
-        allocation.lastUpdateBlock = block.number;
-        
-        // Update global allocation
-        stakeInfo.totalAllocated -= amount;
-        stakeInfo.lastUpdateBlock = block.number;
-        
-        emit DeallocatedFromSubnet(msg.sender, netuid, amount);
-        emit SubnetAllocationChanged(msg.sender, netuid, oldAmount, allocation.allocated);
+        _deallocateFromSubnetInternal(msg.sender, netuid, amount);
     }
 
         // ============ Cost Functions ============
@@ -142,32 +244,122 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         StakeInfo storage stakeInfo = userStakes[user];
         
         // Check if available balance is sufficient to pay the cost
-        uint256 available = stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost;
-        require(available >= cost, "INSUFFICIENT_AVAILABLE_STAKE");
+        require(_available(user) >= cost, "INSUFFICIENT_AVAILABLE_STAKE");
 
         // Update user total cost
         stakeInfo.totalCost += cost;
         stakeInfo.lastUpdateBlock = block.number;
+        totalCost += cost;
         
         // Update subnet cost
         SubnetAllocation storage allocation = subnetAllocations[user][netuid];
         allocation.cost += cost;
         allocation.lastUpdateBlock = block.number;
         
-        // Transfer cost to protocol treasury
-        require(hetuToken.transfer(treasury, cost), "TRANSFER_FAILED");
+        // Pay the cost out now, or hold it until deregistration decides between refund and treasury
+        if (costPolicy == CostPolicy.RefundAfterImmunity) {
+            escrowedCost[user][netuid] += cost;
+        } else if (costPolicy == CostPolicy.Burn) {
+            require(hetuToken.transfer(BURN_ADDRESS, cost), "TRANSFER_FAILED");
+        } else {
+            require(hetuToken.transfer(treasury, cost), "TRANSFER_FAILED");
+        }
         
         emit RegistrationCost(user, netuid, cost);
     }
 
+    /**
+     * @dev Release a deregistered neuron's subnet stake (called by NeuronManager)
+     * The whole allocation starts unbonding. The registration cost stops counting against the stake:
+     * held costs are refunded (also through unbonding) when immunityElapsed, otherwise sent to the treasury.
+     * Costs already paid out at registration are removed from totalStaked.
+     * @param immunityElapsed Whether the neuron outlived its subnet's immunityPeriod
+     */
+    function releaseSubnetStake(address user, uint16 netuid, bool immunityElapsed)
+        external
+        onlyAuthorizedCaller
+        nonReentrant
+        returns (uint256 released, uint256 refunded)
+    {
+        StakeInfo storage stakeInfo = userStakes[user];
+        SubnetAllocation storage allocation = subnetAllocations[user][netuid];
+
+        released = allocation.allocated;
+        delete neuronStake[user][netuid];
+        if (released > 0) {
+            allocation.allocated = 0;
+            stakeInfo.totalAllocated -= released;
+            totalAllocated -= released;
+            subnetTotalAllocated[netuid] -= released;
+
+            emit DeallocatedFromSubnet(user, netuid, released);
+            emit SubnetAllocationChanged(user, netuid, released, 0);
+        }
+
+        uint256 cost = allocation.cost;
+        if (cost > 0) {
+            uint256 escrowed = escrowedCost[user][netuid];
+            refunded = immunityElapsed ? escrowed : 0;
+            uint256 forfeited = escrowed - refunded;
+            uint256 paidOut = cost - refunded;
+
+            allocation.cost = 0;
+            escrowedCost[user][netuid] = 0;
+            stakeInfo.totalCost -= cost;
+            totalCost -= cost;
+            stakeInfo.totalStaked -= paidOut;
+            totalStaked -= paidOut;
+
+            if (forfeited > 0) {
+                require(hetuToken.transfer(treasury, forfeited), "TRANSFER_FAILED");
+            }
+            emit RegistrationCostSettled(user, netuid, cost, refunded);
+        }
+
+        allocation.lastUpdateBlock = block.number;
+        stakeInfo.lastUpdateBlock = block.number;
+        _startUnbonding(user, released + refunded);
+    }
+
+    /**
+     * @dev Lock available stake for a delegation (called by NeuronManager)
+     */
+    function lockDelegatedStake(address user, uint256 amount) external onlyAuthorizedCaller {
+        require(amount > 0, "ZERO_AMOUNT");
+        require(_available(user) >= amount, "INSUFFICIENT_AVAILABLE_STAKE");
+
+        uint256 oldAmount = delegatedStake[user];
+        delegatedStake[user] = oldAmount + amount;
+        totalDelegated += amount;
+        userStakes[user].lastUpdateBlock = block.number;
+
+        emit DelegatedStakeChanged(user, oldAmount, oldAmount + amount);
+    }
+
+    /**
+     * @dev Release undelegated stake (called by NeuronManager). The amount unbonds
+     * for unbondingPeriod blocks like a deregistered neuron's stake.
+     */
+    function releaseDelegatedStake(address user, uint256 amount) external onlyAuthorizedCaller {
+        require(amount > 0, "ZERO_AMOUNT");
+        uint256 oldAmount = delegatedStake[user];
+        require(oldAmount >= amount, "INSUFFICIENT_DELEGATED_STAKE");
+
+        delegatedStake[user] = oldAmount - amount;
+        totalDelegated -= amount;
+        userStakes[user].lastUpdateBlock = block.number;
+
+        emit DelegatedStakeChanged(user, oldAmount, oldAmount - amount);
+        _startUnbonding(user, amount);
+    }
+
         // ============ View Functions ============
 
     /**
      * @dev Get user available balance
      */
     function getAvailableStake(address user) external view returns (uint256) {
-        StakeInfo storage stakeInfo = userStakes[user];
-        return stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost;
+        return _available(user);
     }
 
     /**
@@ -184,22 +376,67 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         return subnetAllocations[user][netuid];
     }
 
+    /**
+     * @dev Get network wide staking totals
+     */
+    function getGlobalTotals() external view returns (uint256 staked, uint256 allocated, uint256 cost) {
+        return (totalStaked, totalAllocated, totalCost);
+    }
+
+    /**
+     * @dev Get stake still unbonding after releases, and the block the last of it unlocks at (both zero when none is)
+     */
+    function getUnbonding(address user) external view returns (uint256 amount, uint256 unlockBlock) {
+        Unbonding[] storage list = unbondings[user];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (block.number < list[i].unlockBlock) {
+                amount += list[i].amount;
+                if (list[i].unlockBlock > unlockBlock) {
+                    unlockBlock = list[i].unlockBlock;
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Get the releases still unbonding, each with the block it unlocks at
+     */
+    function getUnbondings(address user) external view returns (Unbonding[] memory pending) {
+        Unbonding[] storage list = unbondings[user];
+        uint256 count = 0;
+        for (uint256 i = 0; i < list.length; i++) {
+            if (block.number < list[i].unlockBlock) {
+                count++;
+            }
+        }
+        pending = new Unbonding[](count);
+        count = 0;
+        for (uint256 i = 0; i < list.length; i++) {
+            if (block.number < list[i].unlockBlock) {
+                pending[count++] = list[i];
+            }
+        }
+    }
+
+    /**
+     * @dev Get the user's pending withdrawals (in no particular order)
+     */
+    function getPendingWithdrawals(address user) external view returns (WithdrawalRequest[] memory) {
+        return pendingWithdrawals[user];
+    }
+
     /**
      * @dev Check if user can allocate specified amount to subnet
      */
     function canAllocateToSubnet(address user, uint256 amount) external view returns (bool) {
-        StakeInfo storage stakeInfo = userStakes[user];
-        uint256 available = stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost;
-        return available >= amount;
+        return _available(user) >= amount;
     }
 
     /**
      * @dev Check if user can pay registration cost
      */
     function canPayRegistrationCost(address user, uint256 cost) external view returns (bool) {
-        StakeInfo storage stakeInfo = userStakes[user];
-        uint256 available = stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost;
-        return available >= cost;
+        return _available(user) >= cost;
     }
 
     // ============ Internal Functions ============
@@ -213,14 +450,19 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         if (amount > oldAmount) {
             // Increase allocation
             uint256 additional = amount - oldAmount;
-            uint256 available = stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost;
-            require(available >= additional, "INSUFFICIENT_AVAILABLE_STAKE");
+            require(_available(user) >= additional, "INSUFFICIENT_AVAILABLE_STAKE");
             
             stakeInfo.totalAllocated += additional;
+            totalAllocated += additional;
+            subnetTotalAllocated[netuid] += additional;
         } else if (amount < oldAmount) {
-            // Decrease allocation
+            // Decrease allocation, the reduction unbonds
+            require(amount >= neuronStake[user][netuid], "BELOW_NEURON_STAKE");
             uint256 reduction = oldAmount - amount;
             stakeInfo.totalAllocated -= reduction;
+            totalAllocated -= reduction;
+            subnetTotalAllocated[netuid] -= reduction;
+            _startUnbonding(user, reduction);
         }
         
         // Update allocation information
@@ -230,6 +472,85 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         
         emit SubnetAllocationChanged(user, netuid, oldAmount, amount);
     }
+
+    function _deallocateFromSubnetInternal(address user, uint16 netuid, uint256 amount) internal {
+        require(amount > 0, "ZERO_AMOUNT");
+        
+        SubnetAllocation storage allocation = subnetAllocations[user][netuid];
+        require(allocation.allocated >= amount, "INSUFFICIENT_ALLOCATION");
+        require(allocation.allocated - amount >= neuronStake[user][netuid], "BELOW_NEURON_STAKE");
+
+        StakeInfo storage stakeInfo = userStakes[user];
+        
+        // Update subnet allocation
+        uint256 oldAmount = allocation.allocated;
+        allocation.allocated -= amount;
+        allocation.lastUpdateBlock = block.number;
+        
+        // Update global allocation
+        stakeInfo.totalAllocated -= amount;
+        stakeInfo.lastUpdateBlock = block.number;
+        totalAllocated -= amount;
+        subnetTotalAllocated[netuid] -= amount;
+        
+        emit DeallocatedFromSubnet(user, netuid, amount);
+        emit SubnetAllocationChanged(user, netuid, oldAmount, allocation.allocated);
+        _startUnbonding(user, amount);
+    }
+
+    function _findWithdrawal(address user, uint256 id) internal view returns (uint256) {
+        WithdrawalRequest[] storage requests = pendingWithdrawals[user];
+        for (uint256 i = 0; i < requests.length; i++) {
+            if (requests[i].id == id) {
+                return i;
+            }
+        }
+        revert("WITHDRAWAL_NOT_FOUND");
+    }
+
+    function _removeWithdrawal(address user, uint256 index) internal {
+        WithdrawalRequest[] storage requests = pendingWithdrawals[user];
+        requests[index] = requests[requests.length - 1];
+        requests.pop();
+    }
+
+    /**
+     * @dev Stake that is neither allocated, spent on costs, delegated nor unbonding
+     */
+    function _available(address user) internal view returns (uint256) {
+        StakeInfo storage stakeInfo = userStakes[user];
+        uint256 locked = 0;
+        Unbonding[] storage list = unbondings[user];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (block.number < list[i].unlockBlock) {
+                locked += list[i].amount;
+            }
+        }
+        return stakeInfo.totalStaked - stakeInfo.totalAllocated - stakeInfo.totalCost - delegatedStake[user] - locked;
+    }
+
+    /**
+     * @dev Lock `amount` for unbondingPeriod blocks as its own entry, so a later release (which other
+     * contracts can trigger) never delays stake that is already unbonding. Matured entries are pruned.
+     */
+    function _startUnbonding(address user, uint256 amount) internal {
+        if (amount == 0) return;
+        Unbonding[] storage list = unbondings[user];
+        for (uint256 i = list.length; i > 0; i--) {
+            if (block.number >= list[i - 1].unlockBlock) {
+                list[i - 1] = list[list.length - 1];
+                list.pop();
+            }
+        }
+
+        uint256 unlockBlock = block.number + unbondingPeriod;
+        if (list.length > 0 && list[list.length - 1].unlockBlock == unlockBlock) {
+            list[list.length - 1].amount += amount;
+        } else {
+            list.push(Unbonding({ amount: amount, unlockBlock: unlockBlock }));
+        }
+        emit StakeUnbonding(user, amount, unlockBlock);
+    }
     
       // ============ Admin Functions ============
 
@@ -238,6 +559,21 @@ contract GlobalStaking is ReentrancyGuard, Ownable, IGlobalStaking {
         treasury = _treasury;
     }
 
+    function setCostPolicy(CostPolicy _costPolicy) external onlyOwner {
+        emit CostPolicyUpdated(costPolicy, _costPolicy);
+        costPolicy = _costPolicy;
+    }
+
+    function setUnbondingPeriod(uint256 _unbondingPeriod) external onlyOwner {
+        emit UnbondingPeriodUpdated(unbondingPeriod, _unbondingPeriod);
+        unbondingPeriod = _unbondingPeriod;
+    }
+
+    function setWithdrawalCooldown(uint256 _withdrawalCooldown) external onlyOwner {
+        emit WithdrawalCooldownUpdated(withdrawalCooldown, _withdrawalCooldown);
+        withdrawalCooldown = _withdrawalCooldown;
+    }
+
     function setAuthorizedCaller(address caller, bool authorized) external onlyOwner {
         require(caller != address(0), "ZERO_ADDRESS");
         authorizedCallers[caller] = authorized;
@@ -31,7 +31,7 @@ library DefaultHyperparams {
             currentDifficulty: 10000000,       // Current mining difficulty
             targetRegsPerInterval: 2,          // Target registration rate (expected registrations per interval)
             maxRegsPerBlock: 1,                // Maximum registrations per block
-            weightsRateLimit: 15000,             // Weight setting rate limit (in blocks)
+            weightsRateLimit: 10000,           // Weight setting rate limit (in blocks, must exceed immunityPeriod)
             
             // Governance Parameters
             registrationAllowed: true,         // Whether new neuron registration is allowed
@@ -107,7 +107,6 @@ library DefaultHyperparams {
         perfParams.validatorThreshold = 5000;     // Higher validator threshold
         perfParams.neuronThreshold = 500;         // Higher neuron threshold
         perfParams.tempo = 200;                   // Slower network tempo for better stability
-        perfParams.weightsRateLimit = 200;        // Increase weight setting interval
         
         return perfParams;
     }
@@ -0,0 +1,257 @@
+// contracts/subnet/HyperparamsGovernor.sol
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/ISubnetTypes.sol";
+import "../interfaces/ISubnetManager.sol";
+import "../interfaces/IHyperparamsGovernor.sol";
+import "./DefaultHyperparams.sol";
+
+/**
+ * @title HyperparamsGovernor
+ * @dev Subnet-owner hyperparameter changes - the hyperparamsGovernor configured in SubnetManager
+ * Responsibilities:
+ * 1. Subnet owners propose a full hyperparameter set, checked by validateHyperparams and the per-field bounds
+ * 2. A proposal can be executed by anyone once timelock blocks have passed, applying only the fields it changed
+ * 3. The protocol owner (SubnetManager owner) can veto pending proposals and configures timelock and bounds
+ */
+contract HyperparamsGovernor is IHyperparamsGovernor {
+    // Number of SubnetHyperparams fields, field indexes follow the struct order
+    uint8 public constant FIELD_COUNT = 21;
+
+    ISubnetManager public immutable subnetManager;
+
+    // Blocks between a proposal and its execution
+    uint256 public timelock = 7200; // About 1 day at 12s blocks
+
+    mapping(uint8 => FieldBound) internal _fieldBounds;
+    mapping(uint16 => PendingHyperparams) internal _pending;
+
+    modifier onlyProtocolOwner() {
+        require(msg.sender == Ownable(address(subnetManager)).owner(), "NOT_PROTOCOL_OWNER");
+        _;
+    }
+
+    constructor(address _subnetManager) {
+        require(_subnetManager != address(0), "ZERO_SUBNET_MANAGER");
+        subnetManager = ISubnetManager(_subnetManager);
+
+        // Default bounds of the fields validateHyperparams leaves open
+        _setFieldBound(3, 10, 1000);                      // tempo (blocks)
+        _setFieldBound(10, 0.1 * 1e18, 100 * 1e18);       // baseNeuronCost
+        _setFieldBound(19, 1 * 1e18, 100000 * 1e18);      // validatorThreshold
+        _setFieldBound(20, 1 * 1e18, 100000 * 1e18);      // neuronThreshold
+    }
+
+    /**
+     * @dev Propose new hyperparameters for a subnet (subnet owner only)
+     * Replaces any pending proposal of the subnet. Fields that change must stay within their bound.
+     * Only the changed fields are recorded for execution, other fields keep whatever value they have then.
+     * @return executableAt Block from which the proposal can be executed
+     */
+    function propose(
+        uint16 netuid,
+        SubnetTypes.SubnetHyperparams calldata params
+    ) external returns (uint256 executableAt) {
+        SubnetTypes.SubnetInfo memory info = subnetManager.getSubnetInfo(netuid);
+        require(info.owner == msg.sender, "NOT_SUBNET_OWNER");
+        require(DefaultHyperparams.validateHyperparams(params), "INVALID_HYPERPARAMS");
+        uint32 changedFields = _changedFields(netuid, params);
+        require(changedFields != 0, "NO_CHANGE");
+
+        if (_pending[netuid].executableAt != 0) {
+            emit HyperparamsCancelled(netuid, msg.sender);
+        }
+        executableAt = block.number + timelock;
+        _pending[netuid] = PendingHyperparams({
+            params: params,
+            proposer: msg.sender,
+            proposedAt: block.number,
+            executableAt: executableAt,
+            alphaToken: info.alphaToken,
+            changedFields: changedFields
+        });
+
+        emit HyperparamsProposed(netuid, msg.sender, params, executableAt);
+    }
+
+    /**
+     * @dev Apply a pending proposal once its timelock has passed
+     * The proposed fields are written over the current hyperparameters, so changes the protocol owner made
+     * to other fields during the timelock are kept. The proposer must still own the subnet, the changes must
+     * still fit the current bounds and the merged set must pass validateHyperparams.
+     * Proposals for a dissolved subnet do not carry over to a new subnet with the same netuid.
+     */
+    function execute(uint16 netuid) external {
+        PendingHyperparams memory pending = _pending[netuid];
+        require(pending.executableAt != 0, "NO_PENDING_PROPOSAL");
+        require(block.number >= pending.executableAt, "TIMELOCK_NOT_EXPIRED");
+        SubnetTypes.SubnetInfo memory info = subnetManager.getSubnetInfo(netuid);
+        require(info.alphaToken == pending.alphaToken, "SUBNET_DISSOLVED");
+        require(info.owner == pending.proposer, "PROPOSER_NOT_OWNER");
+
+        uint256[21] memory values = _fieldValues(subnetManager.getSubnetParams(netuid));
+        uint256[21] memory proposed = _fieldValues(pending.params);
+        for (uint8 i = 0; i < FIELD_COUNT; i++) {
+            if (pending.changedFields & (uint32(1) << i) != 0) {
+                _checkBound(i, proposed[i]);
+                values[i] = proposed[i];
+            }
+        }
+        SubnetTypes.SubnetHyperparams memory params = _hyperparams(values);
+        require(DefaultHyperparams.validateHyperparams(params), "INVALID_HYPERPARAMS");
+
+        delete _pending[netuid];
+        subnetManager.updateSubnetHyperparams(netuid, params);
+
+        emit HyperparamsExecuted(netuid, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw a pending proposal (subnet owner only)
+     */
+    function cancel(uint16 netuid) external {
+        require(subnetManager.getSubnetInfo(netuid).owner == msg.sender, "NOT_SUBNET_OWNER");
+        require(_pending[netuid].executableAt != 0, "NO_PENDING_PROPOSAL");
+
+        delete _pending[netuid];
+        emit HyperparamsCancelled(netuid, msg.sender);
+    }
+
+    /**
+     * @dev Reject a pending proposal (protocol owner only)
+     */
+    function veto(uint16 netuid) external onlyProtocolOwner {
+        require(_pending[netuid].executableAt != 0, "NO_PENDING_PROPOSAL");
+
+        delete _pending[netuid];
+        emit HyperparamsVetoed(netuid, msg.sender);
+    }
+
+    // ============ View Functions ============
+
+    function getPending(uint16 netuid) external view returns (PendingHyperparams memory) {
+        return _pending[netuid];
+    }
+
+    function getFieldBound(uint8 field) external view returns (FieldBound memory) {
+        return _fieldBounds[field];
+    }
+
+    // ============ Internal Functions ============
+
+    /**
+     * @dev Mask of the fields that differ from the current hyperparameters, each checked against its bound
+     */
+    function _changedFields(
+        uint16 netuid,
+        SubnetTypes.SubnetHyperparams memory params
+    ) internal view returns (uint32 changedFields) {
+        uint256[21] memory current = _fieldValues(subnetManager.getSubnetParams(netuid));
+        uint256[21] memory proposed = _fieldValues(params);
+
+        for (uint8 i = 0; i < FIELD_COUNT; i++) {
+            if (proposed[i] != current[i]) {
+                _checkBound(i, proposed[i]);
+                changedFields |= uint32(1) << i;
+            }
+        }
+    }
+
+    function _checkBound(uint8 field, uint256 value) internal view {
+        FieldBound memory bound = _fieldBounds[field];
+        if (bound.set) {
+            require(value >= bound.min && value <= bound.max, "FIELD_OUT_OF_BOUNDS");
+        }
+    }
+
+    /**
+     * @dev Bound a field, also used for the defaults set at deployment
+     */
+    function _setFieldBound(uint8 field, uint256 min, uint256 max) internal {
+        require(min <= max, "INVALID_BOUND");
+        _fieldBounds[field] = FieldBound({ min: min, max: max, set: true });
+        emit FieldBoundUpdated(field, min, max);
+    }
+
+    /**
+     * @dev SubnetHyperparams as an array in struct order (booleans as 0 or 1)
+     */
+    function _fieldValues(SubnetTypes.SubnetHyperparams memory p) internal pure returns (uint256[21] memory v) {
+        v[0] = p.rho;
+        v[1] = p.kappa;
+        v[2] = p.immunityPeriod;
+        v[3] = p.tempo;
+        v[4] = p.maxValidators;
+        v[5] = p.activityCutoff;
+        v[6] = p.maxAllowedUids;
+        v[7] = p.maxAllowedValidators;
+        v[8] = p.minAllowedWeights;
+        v[9] = p.maxWeightsLimit;
+        v[10] = p.baseNeuronCost;
+        v[11] = p.currentDifficulty;
+        v[12] = p.targetRegsPerInterval;
+        v[13] = p.maxRegsPerBlock;
+        v[14] = p.weightsRateLimit;
+        v[15] = p.registrationAllowed ? 1 : 0;
+        v[16] = p.commitRevealEnabled ? 1 : 0;
+        v[17] = p.commitRevealPeriod;
+        v[18] = p.servingRateLimit;
+        v[19] = p.validatorThreshold;
+        v[20] = p.neuronThreshold;
+    }
+
+    /**
+     * @dev Inverse of _fieldValues, the values come from valid structs so the casts cannot truncate
+     */
+    function _hyperparams(uint256[21] memory v) internal pure returns (SubnetTypes.SubnetHyperparams memory p) {
+        p.rho = uint16(v[0]);
+        p.kappa = uint16(v[1]);
+        p.immunityPeriod = uint16(v[2]);
+        p.tempo = uint16(v[3]);
+        p.maxValidators = uint16(v[4]);
+        p.activityCutoff = uint16(v[5]);
+        p.maxAllowedUids = uint16(v[6]);
+        p.maxAllowedValidators = uint16(v[7]);
+        p.minAllowedWeights = uint16(v[8]);
+        p.maxWeightsLimit = uint16(v[9]);
+        p.baseNeuronCost = v[10];
+        p.currentDifficulty = uint64(v[11]);
+        p.targetRegsPerInterval = uint16(v[12]);
+        p.maxRegsPerBlock = uint16(v[13]);
+        p.weightsRateLimit = uint64(v[14]);
+        p.registrationAllowed = v[15] == 1;
+        p.commitRevealEnabled = v[16] == 1;
+        p.commitRevealPeriod = uint64(v[17]);
+        p.servingRateLimit = uint64(v[18]);
+        p.validatorThreshold = v[19];
+        p.neuronThreshold = v[20];
+    }
+
+    // ============ Admin Functions ============
+
+    function setTimelock(uint256 _timelock) external onlyProtocolOwner {
+        emit TimelockUpdated(timelock, _timelock);
+        timelock = _timelock;
+    }
+
+    /**
+     * @dev Bound the values subnet owners may set for a field (min == max pins it)
+     * @param field Field index in SubnetHyperparams order
+     */
+    function setFieldBound(uint8 field, uint256 min, uint256 max) external onlyProtocolOwner {
+        require(field < FIELD_COUNT, "INVALID_FIELD");
+        _setFieldBound(field, min, max);
+    }
+
+    /**
+     * @dev Let subnet owners set any value validateHyperparams accepts for a field
+     * @param field Field index in SubnetHyperparams order
+     */
+    function clearFieldBound(uint8 field) external onlyProtocolOwner {
+        require(field < FIELD_COUNT, "INVALID_FIELD");
+        delete _fieldBounds[field];
+        emit FieldBoundCleared(field);
+    }
+}
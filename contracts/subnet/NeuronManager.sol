@@ -20,7 +20,21 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
     // Core storage
     mapping(uint16 => mapping(address => SubnetTypes.NeuronInfo)) internal _neurons;
     mapping(uint16 => address[]) public neuronList;
+    // Alpha token of the subnet the neurons of a netuid registered on, tells a dissolved subnet
+    // apart from a new subnet that got the same netuid
+    mapping(uint16 => address) public subnetToken;
 
+    // Delegation: subnet token => validator => delegator => amount
+    // Keyed by the alpha token so a new subnet with a reused netuid starts without the delegations
+    // and commissions of the dissolved one; delegators withdraw those themselves
+    uint16 public constant MAX_COMMISSION = 10000; // Basis points
+    mapping(address => mapping(address => mapping(address => uint256))) internal _delegations;
+    mapping(address => mapping(address => uint256)) internal _delegatedStake;
+    mapping(address => mapping(address => uint16)) internal _commissions;
+    mapping(address => mapping(address => address[])) internal _delegators;
+    mapping(address => mapping(address => mapping(address => uint256))) internal _delegatorIndex; // index + 1
+    // Subnet token of a delegator's delegation: netuid => validator => delegator => token
+    mapping(uint16 => mapping(address => mapping(address => address))) internal _delegationToken;
     
     constructor(
         address _subnetManager, 
@@ -100,6 +114,12 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
         require(subnetManager.isSubnetActive(netuid), "SUBNET_NOT_ACTIVE");
         require(!_neurons[netuid][msg.sender].isActive, "ALREADY_REGISTERED");
 
+        // Neurons of a dissolved subnet with this netuid have to be removed first
+        address alphaToken = subnetManager.getSubnetInfo(netuid).alphaToken;
+        if (subnetToken[netuid] != alphaToken) {
+            require(neuronList[netuid].length == 0, "DISSOLVED_SUBNET_NEURONS");
+            subnetToken[netuid] = alphaToken;
+        }
     
         // 2. Get subnet info and parameters
         // SubnetTypes.SubnetInfo memory subnetInfo = subnetManager.getSubnetInfo(netuid);
@@ -122,21 +142,22 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
             require(currentValidatorCount < params.maxAllowedValidators, "SUBNET_VALIDATORS_FULL");
         }
         
-        // 5. Validate stake amount
+        // 5. Validate stake amount; the validator role counts delegations the account kept
+        // from an earlier registration on this subnet
+        uint256 effectiveStake = stakeAmount + getEffectiveStake(netuid, msg.sender);
         require(stakeAmount >= params.neuronThreshold, "INSUFFICIENT_NEURON_STAKE");
         if (isValidatorRole) {
-            require(stakeAmount >= params.validatorThreshold, "INSUFFICIENT_VALIDATOR_STAKE");
+            require(effectiveStake >= params.validatorThreshold, "INSUFFICIENT_VALIDATOR_STAKE");
         }
         
         // 7. Allocate stake to subnet
-        uint256 minThreshold = isValidatorRole ? params.validatorThreshold : params.neuronThreshold;
-        globalStaking.allocateToSubnetWithMinThreshold(netuid, stakeAmount, minThreshold);
+        globalStaking.allocateToSubnetWithMinThreshold(netuid, stakeAmount, params.neuronThreshold);
 
         // 7. Charge registration costs
         globalStaking.chargeRegistrationCost(msg.sender, netuid, params.baseNeuronCost);
         
         // 8. Determine final role
-        bool finalIsValidator = isValidatorRole && (stakeAmount >= params.validatorThreshold);
+        bool finalIsValidator = isValidatorRole && (effectiveStake >= params.validatorThreshold);
         
         // 9. Create neuron info
         _neurons[netuid][msg.sender] = SubnetTypes.NeuronInfo({
@@ -151,7 +172,8 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
             axonEndpoint: axonEndpoint,
             axonPort: axonPort,
             prometheusEndpoint: prometheusEndpoint,
-            prometheusPort: prometheusPort
+            prometheusPort: prometheusPort,
+            requestedValidator: isValidatorRole
         });
         
         // 11. Add to neuron list
@@ -175,41 +197,57 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
     
     /**
      * @dev Deregister neuron
+     * Releases the subnet stake in GlobalStaking; the registration cost is refunded or forfeited
+     * there depending on its cost policy and whether immunityPeriod has passed (nothing is forfeited
+     * once the subnet has been dissolved)
      */
     function deregisterNeuron(uint16 netuid) external nonReentrant {
         require(_neurons[netuid][msg.sender].isActive, "NOT_REGISTERED");
-        // Clear neuron
-        delete _neurons[netuid][msg.sender];
+        bool immunityElapsed = true;
+        if (!isSubnetDissolved(netuid)) {
+            SubnetTypes.SubnetHyperparams memory params = subnetManager.getSubnetParams(netuid);
+            immunityElapsed = block.number >=
+                uint256(_neurons[netuid][msg.sender].registrationBlock) + params.immunityPeriod;
+        }
         
-        // Remove from list
-        _removeFromNeuronList(netuid, msg.sender);
+        _removeNeuron(netuid, msg.sender, immunityElapsed);
+    }
+    
+    /**
+     * @dev Remove a neuron of a dissolved subnet (anyone)
+     * Frees the netuid for neurons of the next subnet that gets it
+     */
+    function removeDissolvedNeuron(uint16 netuid, address account) external nonReentrant {
+        require(_neurons[netuid][account].isActive, "NOT_REGISTERED");
+        require(isSubnetDissolved(netuid), "SUBNET_NOT_DISSOLVED");
         
-        // Emit event for native code to monitor
-        emit NeuronDeregistered(netuid, msg.sender, block.number);
+        _removeNeuron(netuid, account, true);
     }
     
     /**
-     * @dev Update stake allocation (New: check threshold limits)
+     * @dev Update the neuron's subnet stake (neuron owner only)
+     * The difference is allocated to the subnet in GlobalStaking, or deallocated and unbonded there.
+     * Crossing validatorThreshold with the effective stake promotes (if it asked for the validator role)
+     * or demotes the neuron.
      */
     function updateStakeAllocation(
         uint16 netuid,
         address account,
         uint256 newStake
-    ) external {
+    ) external nonReentrant {
+        require(msg.sender == account, "NOT_NEURON_OWNER");
         require(_neurons[netuid][account].isActive, "NEURON_NOT_ACTIVE");
+        require(!isSubnetDissolved(netuid), "SUBNET_DISSOLVED");
         
-        // New: check threshold limits
         SubnetTypes.SubnetHyperparams memory params = subnetManager.getSubnetParams(netuid);
         SubnetTypes.NeuronInfo storage neuron = _neurons[netuid][account];
-        
-        if (neuron.isValidator) {
-            require(newStake >= params.validatorThreshold, "VALIDATOR_STAKE_BELOW_THRESHOLD");
-        } else {
-            require(newStake >= params.neuronThreshold, "NEURON_STAKE_BELOW_THRESHOLD");
-        }
+        require(newStake >= params.neuronThreshold, "NEURON_STAKE_BELOW_THRESHOLD");
         
         uint256 oldStake = neuron.stake;
         
+        // Move the difference in GlobalStaking
+        globalStaking.setNeuronStake(account, netuid, newStake);
+        
         // Update neuron info
         neuron.stake = newStake;
         neuron.lastUpdate = block.timestamp;
@@ -222,6 +260,92 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
             newStake, 
             block.number
         );
+        
+        _updateValidatorStatus(netuid, account, params);
+    }
+    
+    /**
+     * @dev Ask for the validator role, promoting the neuron right away if its effective stake is enough
+     * and a slot is free, or give it up. Only neurons that asked for the role are promoted when their
+     * stake or delegations grow; others stay miners.
+     */
+    function setValidatorRole(uint16 netuid, bool requested) external nonReentrant {
+        SubnetTypes.NeuronInfo storage neuron = _neurons[netuid][msg.sender];
+        require(neuron.isActive, "NOT_REGISTERED");
+        require(!isSubnetDissolved(netuid), "SUBNET_DISSOLVED");
+        
+        neuron.requestedValidator = requested;
+        if (!requested && neuron.isValidator) {
+            neuron.isValidator = false;
+            emit ValidatorStatusChanged(netuid, msg.sender, false, block.number);
+        }
+        _updateValidatorStatus(netuid, msg.sender, subnetManager.getSubnetParams(netuid));
+    }
+    
+    // ============ Delegation Functions ============
+    
+    /**
+     * @dev Delegate available global stake to a neuron. Delegated stake counts toward the
+     * neuron's effective stake, which decides validator promotion and demotion.
+     * A delegation the caller still holds on a dissolved subnet with this netuid is withdrawn first.
+     */
+    function delegate(uint16 netuid, address validator, uint256 amount) external nonReentrant {
+        require(_neurons[netuid][validator].isActive, "NEURON_NOT_ACTIVE");
+        require(amount > 0, "ZERO_AMOUNT");
+        require(!isSubnetDissolved(netuid), "SUBNET_DISSOLVED");
+        
+        address token = subnetToken[netuid];
+        address previousToken = _delegationToken[netuid][validator][msg.sender];
+        if (previousToken != token) {
+            uint256 stale = _delegations[previousToken][validator][msg.sender];
+            if (stale > 0) {
+                _releaseDelegation(netuid, previousToken, validator, msg.sender, stale);
+            }
+            _delegationToken[netuid][validator][msg.sender] = token;
+        }
+        
+        globalStaking.lockDelegatedStake(msg.sender, amount);
+        
+        if (_delegatorIndex[token][validator][msg.sender] == 0) {
+            _delegators[token][validator].push(msg.sender);
+            _delegatorIndex[token][validator][msg.sender] = _delegators[token][validator].length;
+        }
+        _delegations[token][validator][msg.sender] += amount;
+        _delegatedStake[token][validator] += amount;
+        
+        emit Delegated(netuid, validator, msg.sender, amount, block.number);
+        
+        _updateValidatorStatus(netuid, validator, subnetManager.getSubnetParams(netuid));
+    }
+    
+    /**
+     * @dev Withdraw a delegation. Works after the neuron has deregistered or the subnet has been
+     * dissolved; the amount unbonds in GlobalStaking before it is available again.
+     */
+    function undelegate(uint16 netuid, address validator, uint256 amount) external nonReentrant {
+        require(amount > 0, "ZERO_AMOUNT");
+        address token = _delegationToken[netuid][validator][msg.sender];
+        require(_delegations[token][validator][msg.sender] >= amount, "INSUFFICIENT_DELEGATION");
+        
+        _releaseDelegation(netuid, token, validator, msg.sender, amount);
+        
+        if (token == subnetToken[netuid] && _neurons[netuid][validator].isActive && !isSubnetDissolved(netuid)) {
+            _updateValidatorStatus(netuid, validator, subnetManager.getSubnetParams(netuid));
+        }
+    }
+    
+    /**
+     * @dev Set the commission taken from delegators' rewards (neuron only)
+     * @param _commission Commission in basis points
+     */
+    function setCommission(uint16 netuid, uint16 _commission) external {
+        require(_neurons[netuid][msg.sender].isActive, "NOT_REGISTERED");
+        require(_commission <= MAX_COMMISSION, "COMMISSION_TOO_HIGH");
+        require(!isSubnetDissolved(netuid), "SUBNET_DISSOLVED");
+        
+        address token = subnetToken[netuid];
+        emit CommissionUpdated(netuid, msg.sender, _commissions[token][msg.sender], _commission);
+        _commissions[token][msg.sender] = _commission;
     }
     
     /**
@@ -235,6 +359,7 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
         uint32 prometheusPort
     ) external {
         require(_neurons[netuid][msg.sender].isActive, "NOT_REGISTERED");
+        require(!isSubnetDissolved(netuid), "SUBNET_DISSOLVED");
         
         SubnetTypes.NeuronInfo storage neuron = _neurons[netuid][msg.sender];
         neuron.axonEndpoint = axonEndpoint;
@@ -294,6 +419,60 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
         return _neurons[netuid][account].isActive && _neurons[netuid][account].isValidator;
     }
     
+    /**
+     * @dev Check whether the subnet the neurons of a netuid registered on has been dissolved
+     * True once the netuid is free or has been taken by a new subnet
+     */
+    function isSubnetDissolved(uint16 netuid) public view returns (bool) {
+        return !subnetManager.subnetExists(netuid) ||
+            subnetManager.getSubnetInfo(netuid).alphaToken != subnetToken[netuid];
+    }
+    
+    /**
+     * @dev Get own stake plus delegated stake of a neuron
+     */
+    function getEffectiveStake(uint16 netuid, address account) public view returns (uint256) {
+        return _neurons[netuid][account].stake + delegatedStake(netuid, account);
+    }
+    
+    /**
+     * @dev Get total stake delegated to a neuron on the subnet its neurons registered on
+     */
+    function delegatedStake(uint16 netuid, address validator) public view returns (uint256) {
+        return _delegatedStake[subnetToken[netuid]][validator];
+    }
+    
+    /**
+     * @dev Get the commission (basis points) of a neuron on the subnet its neurons registered on
+     */
+    function commission(uint16 netuid, address validator) external view returns (uint16) {
+        return _commissions[subnetToken[netuid]][validator];
+    }
+    
+    /**
+     * @dev Get the amount a delegator can undelegate from a neuron, including a delegation left
+     * on a dissolved subnet with this netuid
+     */
+    function delegations(uint16 netuid, address validator, address delegator) external view returns (uint256) {
+        return _delegations[_delegationToken[netuid][validator][delegator]][validator][delegator];
+    }
+    
+    /**
+     * @dev Get delegators of a neuron and their delegated amounts
+     */
+    function getDelegators(uint16 netuid, address validator)
+        external
+        view
+        returns (address[] memory delegators, uint256[] memory amounts)
+    {
+        address token = subnetToken[netuid];
+        delegators = _delegators[token][validator];
+        amounts = new uint256[](delegators.length);
+        for (uint i = 0; i < delegators.length; i++) {
+            amounts[i] = _delegations[token][validator][delegators[i]];
+        }
+    }
+    
     /**
      * @dev Get subnet neuron count
      */
@@ -327,6 +506,23 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
     
     // ============ Internal Functions ============
     
+    /**
+     * @dev Clear a neuron, unlock its allocation and settle its registration cost
+     */
+    function _removeNeuron(uint16 netuid, address account, bool immunityElapsed) internal {
+        // Clear neuron
+        delete _neurons[netuid][account];
+        
+        // Remove from list
+        _removeFromNeuronList(netuid, account);
+        
+        // Unlock the allocation and settle the registration cost
+        globalStaking.releaseSubnetStake(account, netuid, immunityElapsed);
+        
+        // Emit event for native code to monitor
+        emit NeuronDeregistered(netuid, account, block.number);
+    }
+    
     /**
      * @dev Remove address from neuron list
      */
@@ -341,6 +537,67 @@ contract NeuronManager is ReentrancyGuard, Ownable, INeuronManager {
         }
     }
 
+    /**
+     * @dev Promote or demote a neuron whose effective stake crossed validatorThreshold.
+     * Promotion only happens for neurons that asked for the validator role, while validator slots are free.
+     */
+    function _updateValidatorStatus(
+        uint16 netuid,
+        address account,
+        SubnetTypes.SubnetHyperparams memory params
+    ) internal {
+        SubnetTypes.NeuronInfo storage neuron = _neurons[netuid][account];
+        uint256 effectiveStake = getEffectiveStake(netuid, account);
+        
+        if (neuron.isValidator && effectiveStake < params.validatorThreshold) {
+            neuron.isValidator = false;
+            emit ValidatorStatusChanged(netuid, account, false, block.number);
+        } else if (
+            !neuron.isValidator &&
+            neuron.requestedValidator &&
+            effectiveStake >= params.validatorThreshold &&
+            getSubnetValidatorCount(netuid) < params.maxAllowedValidators
+        ) {
+            neuron.isValidator = true;
+            emit ValidatorStatusChanged(netuid, account, true, block.number);
+        }
+    }
+    
+    /**
+     * @dev Reduce a delegation made on the subnet of `token` and unbond the amount
+     */
+    function _releaseDelegation(
+        uint16 netuid,
+        address token,
+        address validator,
+        address delegator,
+        uint256 amount
+    ) internal {
+        uint256 delegated = _delegations[token][validator][delegator];
+        _delegations[token][validator][delegator] = delegated - amount;
+        _delegatedStake[token][validator] -= amount;
+        if (delegated == amount) {
+            _removeDelegator(token, validator, delegator);
+        }
+        
+        globalStaking.releaseDelegatedStake(delegator, amount);
+        
+        emit Undelegated(netuid, validator, delegator, amount, block.number);
+    }
+    
+    /**
+     * @dev Remove delegator from a neuron's delegator list
+     */
+    function _removeDelegator(address token, address validator, address delegator) internal {
+        address[] storage list = _delegators[token][validator];
+        uint256 index = _delegatorIndex[token][validator][delegator] - 1;
+        address last = list[list.length - 1];
+        list[index] = last;
+        _delegatorIndex[token][validator][last] = index + 1;
+        list.pop();
+        delete _delegatorIndex[token][validator][delegator];
+    }
+
     // function setAuthorizedCaller(address caller, bool authorized) external 
     //     onlyRole(DEFAULT_ADMIN_ROLE) 
     // {
@@ -9,6 +9,7 @@ import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "../tokens/AlphaToken.sol";
 import "../amm/SubnetAMM.sol";
 import "../factory/SubnetAMMFactory.sol";
+import "../factory/AlphaTokenFactory.sol";
 import "../interfaces/ISubnetManager.sol";
 import "../interfaces/ISubnetTypes.sol";
 import "./DefaultHyperparams.sol";
@@ -22,12 +23,16 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
 
     IERC20 public immutable  hetuToken;
     SubnetAMMFactory public immutable ammFactory;
+    AlphaTokenFactory public immutable alphaTokenFactory;
     address public immutable systemAddress;
 
     mapping(uint16 => SubnetTypes.SubnetInfo) public subnets;
     mapping(uint16 => SubnetTypes.SubnetHyperparams) public subnetHyperparams;
     mapping(uint16 => bool) public subnetExists;
     mapping(address => uint16[]) public ownerSubnets; // A user can own multiple subnets
+    mapping(uint16 => address) public pendingSubnetOwner; // Two-step ownership transfers
+    mapping(uint16 => uint256) public inactiveSince; // Block a subnet was registered or deactivated at, 0 while active
+    mapping(address => uint256) public redeemableHetu; // HETU left for the alpha holders of a dissolved subnet
     
     uint16 public totalNetworks;
     uint16 public nextNetuid = 1;
@@ -39,11 +44,22 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
     uint256 public networkRateLimit = 1000;
     uint256 public lockReductionInterval = 14400; // 14400 blocks (approx. 1 day)
     
+    // Swap fees of newly created AMM pools (basis points)
+    uint256 public poolSwapFee = 30;
+    uint256 public poolProtocolFeeShare = 2000;
+
+    // Contract allowed to apply subnet-owner hyperparameter changes (HyperparamsGovernor)
+    address public hyperparamsGovernor;
+
+    // Blocks a subnet has to be inactive before the protocol owner can dissolve it
+    uint256 public subnetInactivityPeriod = 50400; // About 7 days at 12s blocks
+    
     
     constructor(address _hetuToken, address _systemAddress)Ownable(msg.sender) {
         require(_hetuToken != address(0), "ZERO_HETU_ADDRESS");
         require(_systemAddress != address(0), "ZERO_SYSTEM_ADDRESS");
         ammFactory = new SubnetAMMFactory(_systemAddress);
+        alphaTokenFactory = new AlphaTokenFactory(_systemAddress);
         systemAddress = _systemAddress;
         
         hetuToken = IERC20(_hetuToken);
@@ -111,16 +127,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
         bytes32 r,
         bytes32 s
     ) external nonReentrant returns (uint16 netuid) {
-        uint256 lockAmount = getNetworkLockCost();
-        
-        // Use permit for authorization
-        IERC20Permit(address(hetuToken)).permit(
-            msg.sender,
-            address(this),
-            lockAmount,
-            deadline,
-            v, r, s
-        );
+        _permitLock(deadline, v, r, s);
         
         // Execute normal registration flow
         SubnetTypes.SubnetHyperparams memory defaultParams = DefaultHyperparams.getDefaultHyperparams();
@@ -148,16 +155,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
         bytes32 r,
         bytes32 s
     ) external nonReentrant returns (uint16 netuid) {
-        uint256 lockAmount = getNetworkLockCost();
-        
-        // Use permit for authorization
-        IERC20Permit(address(hetuToken)).permit(
-            msg.sender,
-            address(this),
-            lockAmount,
-            deadline,
-            v, r, s
-        );
+        _permitLock(deadline, v, r, s);
         
         // Merge custom parameters with defaults
         SubnetTypes.SubnetHyperparams memory mergedParams = DefaultHyperparams.mergeWithDefaults(
@@ -240,6 +238,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
         subnetHyperparams[netuid] = hyperparams;
         
         subnetExists[netuid] = true;
+        inactiveSince[netuid] = block.number;
         ownerSubnets[owner].push(netuid);
         totalNetworks++;
         
@@ -281,12 +280,13 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
      * @dev Activate subnet (subnet owner only)
      */
     function activateSubnet(uint16 netuid) external nonReentrant {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         require(subnets[netuid].owner == msg.sender, "NOT_OWNER");
         require(!subnets[netuid].isActive, "SUBNET_ALREADY_ACTIVE");
         
         // Activate subnet
         subnets[netuid].isActive = true;
+        delete inactiveSince[netuid];
         
         // Emit activation event
         emit SubnetActivated(
@@ -297,13 +297,94 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
         );
     }
     
+    /**
+     * @dev Deactivate subnet (subnet owner only)
+     * Pauses neuron registrations and emissions; the subnet can be activated again or dissolved
+     */
+    function deactivateSubnet(uint16 netuid) external {
+        _requireSubnetExists(netuid);
+        require(subnets[netuid].owner == msg.sender, "NOT_OWNER");
+        require(subnets[netuid].isActive, "SUBNET_NOT_ACTIVE");
+        
+        subnets[netuid].isActive = false;
+        inactiveSince[netuid] = block.number;
+        
+        emit SubnetDeactivated(netuid, msg.sender, block.timestamp, block.number);
+    }
+    
+    /**
+     * @dev Dissolve an inactive subnet and free its netuid
+     * The subnet owner or the protocol owner can dissolve it once it has been inactive for
+     * subnetInactivityPeriod blocks. Both pool reserves are withdrawn and the pool's alpha is burned:
+     * the owner is refunded the pool's HETU up to poolInitialTao (the part of the lock that was not burned),
+     * the rest came from traders and is left for the remaining alpha holders to redeem with redeemAlpha.
+     */
+    function dissolveSubnet(uint16 netuid) external nonReentrant {
+        _requireSubnetExists(netuid);
+        SubnetTypes.SubnetInfo storage info = subnets[netuid];
+        require(!info.isActive, "SUBNET_ACTIVE");
+        address subnetOwner = info.owner;
+        if (msg.sender != subnetOwner) {
+            _checkOwner();
+        }
+        require(block.number >= inactiveSince[netuid] + subnetInactivityPeriod, "SUBNET_NOT_INACTIVE_LONG_ENOUGH");
+        
+        // Unwind the pool
+        SubnetAMM pool = SubnetAMM(info.ammPool);
+        uint256 hetuReserve = pool.subnetHetu();
+        uint256 alphaReserve = pool.subnetAlphaIn();
+        if (hetuReserve > 0 || alphaReserve > 0) {
+            pool.withdrawLiquidity(hetuReserve, alphaReserve, address(this));
+        }
+        if (alphaReserve > 0) {
+            AlphaToken(info.alphaToken).burn(address(this), alphaReserve);
+        }
+        ammFactory.removePool(netuid);
+        
+        // Refund the unburned lock
+        uint256 refund = hetuReserve < info.poolInitialTao ? hetuReserve : info.poolInitialTao;
+        if (refund > 0) {
+            require(hetuToken.transfer(subnetOwner, refund), "TRANSFER_FAILED");
+        }
+        if (hetuReserve > refund) {
+            redeemableHetu[info.alphaToken] = hetuReserve - refund;
+        }
+        
+        // Free the netuid
+        delete subnets[netuid];
+        delete subnetHyperparams[netuid];
+        delete subnetExists[netuid];
+        delete pendingSubnetOwner[netuid];
+        delete inactiveSince[netuid];
+        _removeFromOwnerSubnets(subnetOwner, netuid);
+        totalNetworks--;
+        
+        emit SubnetDissolved(netuid, subnetOwner, msg.sender, refund, hetuReserve - refund);
+    }
+    
+    /**
+     * @dev Burn alpha of a dissolved subnet for its share of the HETU left in the pool
+     * Pays the amount's share of the alpha supply out of the HETU not redeemed yet, so every alpha gets the same.
+     */
+    function redeemAlpha(address alphaToken, uint256 amount) external nonReentrant returns (uint256 hetuAmount) {
+        uint256 hetuLeft = redeemableHetu[alphaToken];
+        require(hetuLeft > 0, "NOTHING_TO_REDEEM");
+        
+        hetuAmount = hetuLeft * amount / AlphaToken(alphaToken).totalSupply();
+        redeemableHetu[alphaToken] = hetuLeft - hetuAmount;
+        AlphaToken(alphaToken).burn(msg.sender, amount);
+        require(hetuToken.transfer(msg.sender, hetuAmount), "TRANSFER_FAILED");
+        
+        emit AlphaRedeemed(alphaToken, msg.sender, amount, hetuAmount);
+    }
+    
     /**
      * @dev Check if subnet active
      * @param netuid Subnet ID
      * @return isActive True if subnet is active
      */
     function isSubnetActive(uint16 netuid) external view returns (bool) {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         return subnets[netuid].isActive;
     }
 
@@ -311,7 +392,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
      * @dev Get subnet hyperparameters
      */
     function getSubnetHyperparams(uint16 netuid) external view returns (SubnetTypes.SubnetHyperparams memory) {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         return subnetHyperparams[netuid];
     }
 
@@ -326,7 +407,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
      * @dev Get subnet info struct
      */
     function getSubnetInfo(uint16 netuid) external view override returns (SubnetTypes.SubnetInfo memory) {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         return subnets[netuid];
     }
     
@@ -334,7 +415,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
      * @dev Get subnet hyperparameters
      */
     function getSubnetParams(uint16 netuid) external view override returns (SubnetTypes.SubnetHyperparams memory) {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         return subnetHyperparams[netuid];
     }
 
@@ -348,7 +429,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
         uint256 hetuReserve,
         uint256 alphaReserve
     ) {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         
         subnetInfo = subnets[netuid];
         
@@ -372,14 +453,14 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
     
     // Internal functions remain unchanged...
     function _createAlphaToken(uint16 netuid, string calldata name, string calldata symbol) internal returns (address) {
-        AlphaToken alphaToken = new AlphaToken(name, symbol, address(this), netuid, systemAddress);
+        AlphaToken alphaToken = AlphaToken(alphaTokenFactory.createAlphaToken(name, symbol, netuid));
         uint256 initialAlphaAmount = networkMinLock;
         alphaToken.mint(address(this), initialAlphaAmount);
         return address(alphaToken);
     }
 
     function addSubnetMinter(uint16 netuid, address minter) external {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         require(subnets[netuid].owner == msg.sender, "NOT_SUBNET_OWNER");
         require(minter != address(0), "ZERO_MINTER_ADDRESS");
         require(minter != address(this), "CANNOT_ADD_SELF");
@@ -389,7 +470,7 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
     }
 
     function removeSubnetMinter(uint16 netuid, address minter) external {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+        _requireSubnetExists(netuid);
         require(subnets[netuid].owner == msg.sender, "NOT_SUBNET_OWNER");
         require(minter != address(0), "ZERO_MINTER_ADDRESS");
         
@@ -404,7 +485,9 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
             netuid,
             address(this),
             SubnetAMM.MechanismType.Dynamic,
-            1000 * 1e18
+            1000 * 1e18,
+            poolSwapFee,
+            poolProtocolFeeShare
         );
         
         hetuToken.approve(poolAddress, poolInitialTao);
@@ -415,6 +498,44 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
         return poolAddress;
     }
     
+    /**
+     * @dev Start a subnet ownership transfer (subnet owner only); the new owner has to accept it.
+     * Proposing zero cancels a pending transfer.
+     */
+    function transferSubnetOwnership(uint16 netuid, address newOwner) external {
+        _requireSubnetExists(netuid);
+        require(subnets[netuid].owner == msg.sender, "NOT_SUBNET_OWNER");
+
+        pendingSubnetOwner[netuid] = newOwner;
+        emit SubnetOwnershipTransferStarted(netuid, msg.sender, newOwner);
+    }
+
+    /**
+     * @dev Accept a pending subnet ownership transfer (pending owner only)
+     */
+    function acceptSubnetOwnership(uint16 netuid) external {
+        require(pendingSubnetOwner[netuid] == msg.sender, "NOT_PENDING_OWNER");
+
+        address previousOwner = subnets[netuid].owner;
+        delete pendingSubnetOwner[netuid];
+        subnets[netuid].owner = msg.sender;
+        _removeFromOwnerSubnets(previousOwner, netuid);
+        ownerSubnets[msg.sender].push(netuid);
+
+        emit SubnetOwnershipTransferred(netuid, previousOwner, msg.sender);
+    }
+
+    /**
+     * @dev Approve the current lock cost through the caller's HETU permit
+     */
+    function _permitLock(uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        IERC20Permit(address(hetuToken)).permit(msg.sender, address(this), getNetworkLockCost(), deadline, v, r, s);
+    }
+    
+    function _requireSubnetExists(uint16 netuid) internal view {
+        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+    }
+    
     function _burnTokens(uint256 amount) internal {
         hetuToken.transfer(address(0x000000000000000000000000000000000000dEaD), amount);
     }
@@ -548,20 +669,53 @@ contract SubnetManager is ReentrancyGuard, Ownable, ISubnetManager {
     }
 
     /**
-     * @dev Update subnet hyperparameters (owner only, for testing purposes)
+     * @dev Update the swap fees of pools created from now on (existing pools keep theirs)
+     * @param newSwapFee Swap fee in basis points
+     * @param newProtocolFeeShare Basis points of the swap fee sent to the factory's feeTo
+     */
+    function updatePoolFees(uint256 newSwapFee, uint256 newProtocolFeeShare) external onlyOwner {
+        require(newSwapFee <= ammFactory.MAX_SWAP_FEE(), "INVALID_SWAP_FEE");
+        require(newProtocolFeeShare <= 10000, "INVALID_PROTOCOL_FEE_SHARE");
+
+        emit NetworkConfigUpdated("poolSwapFee", poolSwapFee, newSwapFee, msg.sender);
+        emit NetworkConfigUpdated("poolProtocolFeeShare", poolProtocolFeeShare, newProtocolFeeShare, msg.sender);
+        poolSwapFee = newSwapFee;
+        poolProtocolFeeShare = newProtocolFeeShare;
+    }
+
+    /**
+     * @dev Set the number of blocks a subnet has to be inactive before the protocol owner can dissolve it
+     */
+    function setSubnetInactivityPeriod(uint256 newPeriod) external onlyOwner {
+        emit NetworkConfigUpdated("subnetInactivityPeriod", subnetInactivityPeriod, newPeriod, msg.sender);
+        subnetInactivityPeriod = newPeriod;
+    }
+
+    /**
+     * @dev Set the contract that applies subnet-owner hyperparameter changes (zero disables it)
+     */
+    function setHyperparamsGovernor(address newGovernor) external onlyOwner {
+        emit HyperparamsGovernorUpdated(hyperparamsGovernor, newGovernor);
+        hyperparamsGovernor = newGovernor;
+    }
+
+    /**
+     * @dev Update subnet hyperparameters (owner, or the hyperparamsGovernor after its timelock)
      * @param netuid Subnet ID
      * @param newHyperparams New hyperparameters
      */
     function updateSubnetHyperparams(
         uint16 netuid,
         SubnetTypes.SubnetHyperparams calldata newHyperparams
-    ) external onlyOwner {
-        require(subnetExists[netuid], "SUBNET_NOT_EXISTS");
+    ) external {
+        if (msg.sender != hyperparamsGovernor) {
+            _checkOwner();
+        }
+        _requireSubnetExists(netuid);
         require(DefaultHyperparams.validateHyperparams(newHyperparams), "INVALID_HYPERPARAMS");
         
-        // Update hyperparameters
+        emit HyperparamsUpdated(netuid, subnetHyperparams[netuid], newHyperparams, msg.sender);
         subnetHyperparams[netuid] = newHyperparams;
-        
     }
 
 }
@@ -1,9 +1,10 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/hetu");
+const { extendEnvironment } = require("hardhat/config");
+const { networkAccounts } = require("./config/accounts");
 
-// 您提供的私钥
-const PRIVATE_KEY = "0xc526ee95bf44d8fc405a158bb884d9d1238d99f0612e9f33d006bb0789009aaa";
-// 您提供的RPC地址
-const CUSTOM_RPC_URL = "https://rpc.testchainv1.hetuscan.com";
+// RPC endpoint and keys come from the environment, see .env.example and config/accounts.js
+const CUSTOM_RPC_URL = process.env.HETU_RPC_URL || "";
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -25,8 +26,18 @@ module.exports = {
     // 您的自定义开发链
     customchain: {
       url: CUSTOM_RPC_URL,
-      accounts: [PRIVATE_KEY],
+      // accounts: resolved on first use, see extendEnvironment below
       chainId: 560000, // 您提供的Chain ID
     },
   },
 };
+
+// Remote keys are only resolved when the network's provider is first used, so commands on other
+// networks (including `hardhat test`) never unlock keystores or fail on missing keys
+extendEnvironment((hre) => {
+  Object.defineProperty(hre.config.networks.customchain, "accounts", {
+    get: () => networkAccounts(),
+    enumerable: true,
+    configurable: true
+  });
+});
@@ -1,36 +1,83 @@
 const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
 
+/**
+ * Core HETU subnet deployment.
+ *
+ * Parameters (see ignition/parameters/*.json for per-network presets):
+ *   systemAddress         System address wired into SubnetManager, the AMM factory and all pools (default: deployer)
+ *   treasury              GlobalStaking treasury receiving registration costs (default: deployer)
+ *   globalStakingOwner    Final GlobalStaking owner (default: deployer)
+ *   neuronManagerOwner    Final NeuronManager owner (default: deployer)
+ *   rewardDistributorOwner Final RewardDistributor owner (default: deployer)
+ *   epochRunner           Additional RewardDistributor epoch runner; systemAddress is always one (default: deployer)
+ *   networkMinLock        SubnetManager minimum lock cost in wei
+ *   networkRateLimit      Blocks between subnet registrations
+ *   lockReductionInterval Blocks for the lock cost to decay back to the minimum
+ *
+ * The deployer (account 0) owns every contract during setup and hands GlobalStaking,
+ * NeuronManager and RewardDistributor over to their final owners at the end. SubnetManager
+ * stays with the deployer.
+ */
 module.exports = buildModule("HetuSubnetModule", (m) => {
   // Parameters
   const deployer = m.getAccount(0);
-  // Use deployer as system address for now (can be changed to a multisig later)
-  const systemAddress = deployer;
+  const systemAddress = m.getParameter("systemAddress", deployer);
+  const treasury = m.getParameter("treasury", deployer);
+  const globalStakingOwner = m.getParameter("globalStakingOwner", deployer);
+  const neuronManagerOwner = m.getParameter("neuronManagerOwner", deployer);
+  const rewardDistributorOwner = m.getParameter("rewardDistributorOwner", deployer);
+  const epochRunner = m.getParameter("epochRunner", deployer);
+  const networkMinLock = m.getParameter("networkMinLock", 100n * 10n ** 18n);
+  const networkRateLimit = m.getParameter("networkRateLimit", 1000n);
+  const lockReductionInterval = m.getParameter("lockReductionInterval", 14400n);
 
   // 1. Deploy HETU Token (use WHETU as test token)
   const hetuToken = m.contract("WHETU");
 
   // 2. Deploy SubnetManager first (it will create the AMM Factory internally)
   const subnetManager = m.contract("SubnetManager", [hetuToken, systemAddress]);
+  m.call(subnetManager, "updateNetworkConfig", [networkMinLock, networkRateLimit, lockReductionInterval]);
+
+  // Swap router over the pools of the factory created by SubnetManager
+  const ammFactoryAddress = m.staticCall(subnetManager, "ammFactory");
+  const ammRouter = m.contract("SubnetAMMRouter", [ammFactoryAddress, hetuToken]);
 
   // 3. Deploy GlobalStaking (hetuToken, treasury, initialOwner)
-  const globalStaking = m.contract("GlobalStaking", [hetuToken, systemAddress, deployer]);
+  const globalStaking = m.contract("GlobalStaking", [hetuToken, treasury, deployer]);
 
   // 4. Deploy NeuronManager
   const neuronManager = m.contract("NeuronManager", [
     subnetManager,
     globalStaking,
-    systemAddress
+    deployer
   ]);
 
-  // 5. Set Permissions
-  m.call(globalStaking, "setAuthorizedCaller", [neuronManager, true]);
-  m.call(neuronManager, "setRewardDistributor", [systemAddress]);
+  // 5. Deploy RewardDistributor (subnetManager, neuronManager, initialOwner)
+  const rewardDistributor = m.contract("RewardDistributor", [subnetManager, neuronManager, deployer]);
+
+  // Subnet-owner hyperparameter changes, vetoed by the SubnetManager owner
+  const hyperparamsGovernor = m.contract("HyperparamsGovernor", [subnetManager]);
+
+  // 6. Set Permissions
+  const authorize = m.call(globalStaking, "setAuthorizedCaller", [neuronManager, true]);
+  const setDistributor = m.call(neuronManager, "setRewardDistributor", [rewardDistributor]);
+  // The system address runs epochs, as with scripts/deploy-with-system-address.js
+  const setSystemRunner = m.call(rewardDistributor, "setEpochRunner", [systemAddress, true], { id: "setSystemEpochRunner" });
+  const setRunner = m.call(rewardDistributor, "setEpochRunner", [epochRunner, true]);
+  m.call(subnetManager, "setHyperparamsGovernor", [hyperparamsGovernor]);
+
+  // 7. Hand over ownership
+  m.call(globalStaking, "transferOwnership", [globalStakingOwner], { after: [authorize] });
+  m.call(neuronManager, "transferOwnership", [neuronManagerOwner], { after: [setDistributor] });
+  m.call(rewardDistributor, "transferOwnership", [rewardDistributorOwner], { after: [setSystemRunner, setRunner] });
 
   return {
     hetuToken,
     subnetManager,
     globalStaking,
     neuronManager,
-    systemAddress
+    rewardDistributor,
+    hyperparamsGovernor,
+    ammRouter
   };
 });
@@ -1,69 +1,198 @@
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const HetuSubnetModule = require("../ignition/modules/HetuSubnet");
+const { buildDeployment, saveDeployment } = require("../sdk");
+const { check } = require("./utils/checks");
+const { findCreationTransactions } = require("./utils/network");
+const { getRoleSigners } = require("./utils/signers");
+
+const { ethers, ignition, network } = hre;
+
+// Parameter preset used for each configured network (ignition/parameters/<preset>.json)
+const PARAMETER_PRESETS = {
+  hardhat: "local",
+  localhost: "local",
+  customchain: "testnet"
+};
+
+// Address parameters of HetuSubnetModule; each defaults to the deployer when omitted
+const ADDRESS_PARAMETERS = [
+  "systemAddress",
+  "treasury",
+  "globalStakingOwner",
+  "neuronManagerOwner",
+  "rewardDistributorOwner",
+  "epochRunner"
+];
+
+/**
+ * Resolve the parameter file: IGNITION_PARAMETERS, else the preset for this network, else <network>.json
+ */
+function parameterFile() {
+  if (process.env.IGNITION_PARAMETERS) {
+    return path.resolve(process.env.IGNITION_PARAMETERS);
+  }
+  const preset = PARAMETER_PRESETS[network.name] || network.name;
+  return path.join(__dirname, "../ignition/parameters", `${preset}.json`);
+}
+
+/**
+ * Read module parameters, decoding Ignition's "123n" bigint notation and rejecting unset addresses
+ */
+function loadParameters(file) {
+  check(
+    fs.existsSync(file),
+    `No Ignition parameter file at ${file}. Set IGNITION_PARAMETERS or add ignition/parameters/${network.name}.json`
+  );
+  const all = JSON.parse(fs.readFileSync(file, "utf8"), (key, value) =>
+    typeof value === "string" && /^\d+n$/.test(value) ? BigInt(value.slice(0, -1)) : value
+  );
+  const parameters = all[HetuSubnetModule.id] || {};
+
+  for (const name of ADDRESS_PARAMETERS) {
+    const value = parameters[name];
+    if (value === undefined) {
+      continue;
+    }
+    check(
+      ethers.isAddress(value) && value !== ethers.ZeroAddress,
+      `Parameter ${name} in ${file} must be a non-zero address, got ${value}`
+    );
+  }
+  return parameters;
+}
 
 async function main() {
-  const [deployer] = await ethers.getSigners();
-  
+  // Ignition deploys from account 0, which config/accounts.js always makes the deployer key
+  const { deployer } = await getRoleSigners(hre, ["deployer"]);
+  const [firstAccount] = await ethers.getSigners();
+  check(firstAccount.address === deployer.address, "Account 0 is not the configured deployer");
+
+  const parameterFileUsed = parameterFile();
+  const parameters = loadParameters(parameterFileUsed);
+  const expected = Object.fromEntries(
+    ADDRESS_PARAMETERS.map((name) => [name, parameters[name] ? ethers.getAddress(parameters[name]) : deployer.address])
+  );
+
   console.log("Deploying contracts using Hardhat Ignition...");
   console.log("Deployer address:", deployer.address);
   console.log("Network:", network.name);
+  console.log("Parameters:", parameterFileUsed);
+
+  // Deploy using Ignition
+  const startBlock = await ethers.provider.getBlockNumber();
+  const {
+    hetuToken,
+    subnetManager,
+    globalStaking,
+    neuronManager,
+    rewardDistributor,
+    hyperparamsGovernor,
+    ammRouter
+  } = await ignition.deploy(HetuSubnetModule, {
+    parameters: { [HetuSubnetModule.id]: parameters }
+  });
+
+  const systemAddress = await subnetManager.systemAddress();
+  const ammFactoryAddress = await subnetManager.ammFactory();
+  const networkParams = await subnetManager.getNetworkParams();
 
-  try {
-    // Deploy using Ignition
-    const { hetuToken, subnetManager, globalStaking, neuronManager, systemAddress } = 
-      await ignition.deploy("HetuSubnetModule", {
-        parameters: {
-          HetuSubnetModule: {
-            deployer: deployer.address,
-            initialSupply: ethers.utils.parseEther("1000000000").toString()
-          }
-        }
-      });
-
-    console.log("\n=== Deployment Complete ===");
-    console.log("HETU Token:", hetuToken.address);
-    console.log("SubnetManager:", subnetManager.address);
-    console.log("GlobalStaking:", globalStaking.address);
-    console.log("NeuronManager:", neuronManager.address);
-    console.log("System Address:", systemAddress);
-
-    // Get AMM Factory address from SubnetManager
-    const ammFactoryAddress = await subnetManager.ammFactory();
-    console.log("AMM Factory (created by SubnetManager):", ammFactoryAddress);
-
-    // Save deployment addresses
-    const deploymentInfo = {
-      network: network.name,
-      timestamp: new Date().toISOString(),
-      contracts: {
-        hetuToken: hetuToken.address,
-        subnetManager: subnetManager.address,
-        ammFactory: ammFactoryAddress,
-        globalStaking: globalStaking.address,
-        neuronManager: neuronManager.address,
-        systemAddress: systemAddress
-      }
-    };
-
-    const fs = require("fs");
-    const path = require("path");
-    
-    const deploymentPath = path.join(__dirname, `../deployments/${network.name}-latest.json`);
-    fs.mkdirSync(path.dirname(deploymentPath), { recursive: true });
-    fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-    
-    console.log(`\nDeployment info saved to: ${deploymentPath}`);
-
-  } catch (error) {
-    console.error("Deployment failed:", error);
-    throw error;
+  const wiring = {
+    systemAddress: [systemAddress, expected.systemAddress],
+    treasury: [await globalStaking.treasury(), expected.treasury],
+    globalStakingOwner: [await globalStaking.owner(), expected.globalStakingOwner],
+    neuronManagerOwner: [await neuronManager.owner(), expected.neuronManagerOwner],
+    rewardDistributorOwner: [await rewardDistributor.owner(), expected.rewardDistributorOwner]
+  };
+  for (const [name, [actual, wanted]] of Object.entries(wiring)) {
+    check(actual === wanted, `${name} is ${actual}, expected ${wanted}`);
+  }
+  for (const [name, actual] of [
+    ["networkMinLock", networkParams.minLock],
+    ["networkRateLimit", networkParams.rateLimit],
+    ["lockReductionInterval", networkParams.reductionInterval]
+  ]) {
+    check(parameters[name] === undefined || actual === parameters[name], `${name} is ${actual}, expected ${parameters[name]}`);
+  }
+  check((await ammRouter.factory()) === ammFactoryAddress, "SubnetAMMRouter does not use the SubnetManager AMM factory");
+  check(
+    (await globalStaking.authorizedCallers(neuronManager.target)),
+    "NeuronManager is not an authorized GlobalStaking caller"
+  );
+  check(
+    (await neuronManager.rewardDistributor()) === rewardDistributor.target,
+    "NeuronManager.rewardDistributor is not the RewardDistributor"
+  );
+  for (const runner of [expected.systemAddress, expected.epochRunner]) {
+    check(await rewardDistributor.epochRunners(runner), `Epoch runner ${runner} is not authorized`);
   }
+  check(
+    (await subnetManager.hyperparamsGovernor()) === hyperparamsGovernor.target,
+    "SubnetManager.hyperparamsGovernor is not the HyperparamsGovernor"
+  );
+
+  console.log("\n=== Deployment Complete ===");
+  console.log("HETU Token:", hetuToken.target);
+  console.log("SubnetManager:", subnetManager.target);
+  console.log("GlobalStaking:", globalStaking.target);
+  console.log("NeuronManager:", neuronManager.target);
+  console.log("RewardDistributor:", rewardDistributor.target);
+  console.log("Epoch runners:", [...new Set([expected.systemAddress, expected.epochRunner])].join(", "));
+  console.log("HyperparamsGovernor:", hyperparamsGovernor.target);
+  console.log("System Address:", systemAddress);
+  console.log("Treasury:", expected.treasury);
+  console.log("AMM Factory (created by SubnetManager):", ammFactoryAddress);
+  console.log("AMM Router:", ammRouter.target);
+  console.log(`Network params: minLock ${ethers.formatEther(networkParams.minLock)} HETU, ` +
+    `rateLimit ${networkParams.rateLimit} blocks, reductionInterval ${networkParams.reductionInterval} blocks`);
+
+  // Record the deployment in the registry. Contracts that Ignition reused from an
+  // earlier run were not created in this block range and get a null txHash.
+  const createdBy = await findCreationTransactions(ethers.provider, {
+    from: deployer.address,
+    fromBlock: startBlock,
+    toBlock: await ethers.provider.getBlockNumber()
+  });
+  const entry = (contractName, address, txAddress = address) => ({
+    contractName,
+    address,
+    txHash: createdBy[txAddress] || null
+  });
+
+  const { deployment, file } = saveDeployment(await buildDeployment({
+    provider: ethers.provider,
+    network: network.name,
+    deployer: deployer.address,
+    systemAddress,
+    contracts: {
+      hetuToken: entry("WHETU", hetuToken.target),
+      subnetManager: entry("SubnetManager", subnetManager.target),
+      // The factory is created inside the SubnetManager constructor
+      ammFactory: entry("SubnetAMMFactory", ammFactoryAddress, subnetManager.target),
+      ammRouter: entry("SubnetAMMRouter", ammRouter.target),
+      globalStaking: entry("GlobalStaking", globalStaking.target),
+      neuronManager: entry("NeuronManager", neuronManager.target),
+      rewardDistributor: entry("RewardDistributor", rewardDistributor.target),
+      hyperparamsGovernor: entry("HyperparamsGovernor", hyperparamsGovernor.target)
+    },
+    metadata: {
+      script: "deploy-ignition",
+      parameters: path.relative(path.join(__dirname, ".."), parameterFileUsed)
+    }
+  }));
+
+  console.log(`\nDeployment ${network.name} v${deployment.version} saved to: ${file}`);
+  return deployment;
 }
 
 if (require.main === module) {
   main()
     .then(() => process.exit(0))
     .catch((error) => {
-      console.error(error);
+      console.error("Deployment failed:", error);
       process.exit(1);
     });
 }
+
+module.exports = { main };
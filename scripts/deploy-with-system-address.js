@@ -1,248 +1,270 @@
-const { ethers } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const hre = require("hardhat");
+const { HetuClient, buildDeployment, saveDeployment, addressBook, ensureMulticall3 } = require("../sdk");
+const { check, requireFunctions, expectRevert } = require("./utils/checks");
+const { ensureRegistrationWindow, isLocalNetwork } = require("./utils/network");
+const { getRoleSigners } = require("./utils/signers");
+
+const { ethers, network } = hre;
 
 /**
- * Enhanced deployment script that properly handles systemAddress for all contracts
- * This script is updated to work with the new AlphaToken constructor that requires systemAddress
+ * Deployment script that wires the system address into every contract, verifies the
+ * wiring on-chain and records the result in the deployment registry (deployments/<network>/).
+ *
+ * Set DEPLOY_SMOKE_TEST=false to skip the test subnet registration (it spends the network lock cost).
  */
+async function deployContract(name, args, deployed, gasUsed, key) {
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+    const receipt = await contract.deploymentTransaction().wait();
+    gasUsed[key] = receipt.gasUsed;
+    deployed[key] = { contractName: name, address: contract.target, txHash: receipt.hash };
+    console.log(`${name} deployment address:`, contract.target);
+    return contract;
+}
+
 async function main() {
-    console.log("Starting enhanced deployment with systemAddress support...");
-    
-    const [deployer, systemAddress] = await ethers.getSigners();
-    
-    // Use second account as system address if available, otherwise use deployer
-    const actualSystemAddress = systemAddress ? systemAddress.address : deployer.address;
-    
+    console.log("Starting deployment with systemAddress support...");
+
+    const { deployer, system, treasury } = await getRoleSigners(hre);
+    const systemAddress = system.address;
+
     console.log("Deployment account:", deployer.address);
-    console.log("System address:", actualSystemAddress);
-    console.log("Deployer balance:", ethers.utils.formatEther(await deployer.getBalance()));
-    
-    if (systemAddress) {
-        console.log("System address balance:", ethers.utils.formatEther(await systemAddress.getBalance()));
-    }
+    console.log("System address:", systemAddress);
+    console.log("Treasury:", treasury.address);
+    console.log("Deployer balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)));
 
     const deployedContracts = {};
     const gasUsed = {};
-    
-    try {
-        // 1. Deploy HETU Token (using WHETU for testing)
-        console.log("\n=== 1. Deploy HETU Token ===");
-        const HetuToken = await ethers.getContractFactory("WHETU");
-        const hetuToken = await HetuToken.deploy();
-        await hetuToken.deployed();
-        console.log("HETU Token (WHETU) deployment address:", hetuToken.address);
-        deployedContracts.hetuToken = hetuToken.address;
-        gasUsed.hetuToken = (await hetuToken.deployTransaction.wait()).gasUsed;
 
-        // 2. Deploy GlobalStaking
-        console.log("\n=== 2. Deploy GlobalStaking ===");
-        const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
-        const globalStaking = await GlobalStaking.deploy(
-            hetuToken.address,
-            actualSystemAddress
-        );
-        await globalStaking.deployed();
-        console.log("GlobalStaking deployment address:", globalStaking.address);
-        deployedContracts.globalStaking = globalStaking.address;
-        gasUsed.globalStaking = (await globalStaking.deployTransaction.wait()).gasUsed;
+    // 1. Deploy HETU Token (using WHETU for testing)
+    console.log("\n=== 1. Deploy HETU Token ===");
+    const hetuToken = await deployContract("WHETU", [], deployedContracts, gasUsed, "hetuToken");
 
-        // 3. Deploy SubnetManager (it will create AMM Factory internally)
-        console.log("\n=== 3. Deploy SubnetManager ===");
-        const SubnetManager = await ethers.getContractFactory("SubnetManager");
-        const subnetManager = await SubnetManager.deploy(
-            hetuToken.address,
-            actualSystemAddress
-        );
-        await subnetManager.deployed();
-        console.log("SubnetManager deployment address:", subnetManager.address);
-        deployedContracts.subnetManager = subnetManager.address;
-        gasUsed.subnetManager = (await subnetManager.deployTransaction.wait()).gasUsed;
+    // 2. Deploy GlobalStaking (hetuToken, treasury, initialOwner)
+    console.log("\n=== 2. Deploy GlobalStaking ===");
+    const globalStaking = await deployContract(
+        "GlobalStaking",
+        [hetuToken.target, treasury.address, deployer.address],
+        deployedContracts,
+        gasUsed,
+        "globalStaking"
+    );
 
-        // Get AMM Factory address from SubnetManager
-        const ammFactoryAddress = await subnetManager.ammFactory();
-        console.log("AMM Factory (created by SubnetManager):", ammFactoryAddress);
-        deployedContracts.ammFactory = ammFactoryAddress;
+    // 3. Deploy SubnetManager (it creates the AMM Factory internally)
+    console.log("\n=== 3. Deploy SubnetManager ===");
+    const subnetManager = await deployContract(
+        "SubnetManager",
+        [hetuToken.target, systemAddress],
+        deployedContracts,
+        gasUsed,
+        "subnetManager"
+    );
 
-        // 4. Deploy NeuronManager
-        console.log("\n=== 4. Deploy NeuronManager ===");
-        const NeuronManager = await ethers.getContractFactory("NeuronManager");
-        const neuronManager = await NeuronManager.deploy(
-            subnetManager.address,
-            globalStaking.address,
-            actualSystemAddress
-        );
-        await neuronManager.deployed();
-        console.log("NeuronManager deployment address:", neuronManager.address);
-        deployedContracts.neuronManager = neuronManager.address;
-        gasUsed.neuronManager = (await neuronManager.deployTransaction.wait()).gasUsed;
+    const ammFactory = await ethers.getContractAt("SubnetAMMFactory", await subnetManager.ammFactory());
+    console.log("AMM Factory (created by SubnetManager):", ammFactory.target);
+    // The factory is created inside the SubnetManager constructor
+    deployedContracts.ammFactory = {
+        contractName: "SubnetAMMFactory",
+        address: ammFactory.target,
+        txHash: deployedContracts.subnetManager.txHash
+    };
 
-        // 5. Set permissions and authorizations
-        console.log("\n=== 5. Set permissions and authorizations ===");
-        
-        // Authorize NeuronManager to call GlobalStaking
-        console.log("Authorizing NeuronManager to call GlobalStaking...");
-        await globalStaking.setAuthorizedCaller(neuronManager.address, true);
-        console.log("✅ NeuronManager has been authorized to call GlobalStaking");
+    const ammRouter = await deployContract(
+        "SubnetAMMRouter",
+        [ammFactory.target, hetuToken.target],
+        deployedContracts,
+        gasUsed,
+        "ammRouter"
+    );
 
-        // Set reward distributor for NeuronManager
-        console.log("Setting reward distributor for NeuronManager...");
-        await neuronManager.setRewardDistributor(actualSystemAddress);
-        console.log("✅ Reward distributor has been set to system address");
+    // 4. Deploy NeuronManager (owned by the deployer so it can finish the setup below)
+    console.log("\n=== 4. Deploy NeuronManager ===");
+    const neuronManager = await deployContract(
+        "NeuronManager",
+        [subnetManager.target, globalStaking.target, deployer.address],
+        deployedContracts,
+        gasUsed,
+        "neuronManager"
+    );
 
-        // 6. Verify deployment and system address integration
-        console.log("\n=== 6. Verify deployment ===");
-        
-        // Verify system addresses in all contracts
-        const globalStakingSystemAddr = await globalStaking.systemAddress();
-        const subnetManagerSystemAddr = await subnetManager.systemAddress();
-        const neuronManagerSystemAddr = await neuronManager.systemAddress();
-        
-        console.log("System address verification:");
-        console.log(`  Expected system address: ${actualSystemAddress}`);
-        console.log(`  GlobalStaking system address: ${globalStakingSystemAddr}`);
-        console.log(`  SubnetManager system address: ${subnetManagerSystemAddr}`);
-        console.log(`  NeuronManager system address: ${neuronManagerSystemAddr}`);
-        
-        const systemAddressMatch = 
-            globalStakingSystemAddr === actualSystemAddress &&
-            subnetManagerSystemAddr === actualSystemAddress &&
-            neuronManagerSystemAddr === actualSystemAddress;
-            
-        console.log(`✅ System address consistency: ${systemAddressMatch ? 'PASS' : 'FAIL'}`);
+    // 5. Deploy RewardDistributor (subnetManager, neuronManager, initialOwner) and HyperparamsGovernor
+    console.log("\n=== 5. Deploy RewardDistributor and HyperparamsGovernor ===");
+    const rewardDistributor = await deployContract(
+        "RewardDistributor",
+        [subnetManager.target, neuronManager.target, deployer.address],
+        deployedContracts,
+        gasUsed,
+        "rewardDistributor"
+    );
+    // The governor takes its veto and configuration rights from the SubnetManager owner
+    const hyperparamsGovernor = await deployContract(
+        "HyperparamsGovernor",
+        [subnetManager.target],
+        deployedContracts,
+        gasUsed,
+        "hyperparamsGovernor"
+    );
 
-        // Test subnet creation to verify AlphaToken integration
-        console.log("\n=== 7. Test subnet creation (AlphaToken integration) ===");
-        
-        // Give deployer some HETU tokens for testing
-        const initialBalance = await hetuToken.balanceOf(deployer.address);
-        if (initialBalance.eq(0)) {
-            console.log("Minting test HETU tokens...");
-            await hetuToken.deposit({ value: ethers.utils.parseEther("1000") });
-            console.log("✅ Minted 1000 WHETU for testing");
-        }
+    // 6. Set permissions and authorizations
+    console.log("\n=== 6. Set permissions and authorizations ===");
+    await (await globalStaking.setAuthorizedCaller(neuronManager.target, true)).wait();
+    console.log("✅ NeuronManager has been authorized to call GlobalStaking");
+
+    await (await neuronManager.setRewardDistributor(rewardDistributor.target)).wait();
+    console.log("✅ Reward distributor has been set to RewardDistributor");
+
+    await (await rewardDistributor.setEpochRunner(systemAddress, true)).wait();
+    console.log("✅ System address has been authorized to run epochs");
+
+    await (await subnetManager.setHyperparamsGovernor(hyperparamsGovernor.target)).wait();
+    console.log("✅ Subnet owners can propose hyperparameters through HyperparamsGovernor");
+
+    // Local chains have no Multicall3, install the bundled one so batched reads work
+    if (isLocalNetwork(network.name)) {
+        const multicall3 = await ensureMulticall3(ethers.provider);
+        deployedContracts.multicall3 = { contractName: "Multicall3", address: multicall3 };
+        console.log("✅ Multicall3 available at", multicall3);
+    }
 
-        // Create a test subnet
-        const lockCost = await subnetManager.getNetworkLockCost();
-        console.log(`Network lock cost: ${ethers.utils.formatEther(lockCost)} HETU`);
-        
-        await hetuToken.approve(subnetManager.address, lockCost);
-        const createSubnetTx = await subnetManager.registerNetwork(
-            "Test Subnet",
-            "Test subnet for system address integration",
-            "Test Alpha",
-            "TALPHA"
+    // 7. Verify deployment and system address integration
+    console.log("\n=== 7. Verify deployment ===");
+    requireFunctions(subnetManager, ["systemAddress", "ammFactory", "getNetworkParams", "getSubnetInfo"], "SubnetManager");
+    requireFunctions(ammFactory, ["systemAddress", "subnetManager"], "SubnetAMMFactory");
+    requireFunctions(globalStaking, ["treasury", "authorizedCallers"], "GlobalStaking");
+    requireFunctions(neuronManager, ["rewardDistributor"], "NeuronManager");
+    requireFunctions(rewardDistributor, ["distribute", "epochRunners"], "RewardDistributor");
+    requireFunctions(hyperparamsGovernor, ["propose", "execute", "veto"], "HyperparamsGovernor");
+
+    const wiring = {
+        "SubnetManager.systemAddress": await subnetManager.systemAddress(),
+        "SubnetAMMFactory.systemAddress": await ammFactory.systemAddress()
+    };
+    for (const [label, value] of Object.entries(wiring)) {
+        console.log(`  ${label}: ${value}`);
+        check(value === systemAddress, `${label} is ${value}, expected ${systemAddress}`);
+    }
+    check(
+        (await globalStaking.treasury()) === treasury.address,
+        `GlobalStaking.treasury is not ${treasury.address}`
+    );
+    check(
+        (await ammFactory.subnetManager()) === subnetManager.target,
+        "SubnetAMMFactory does not take pools from SubnetManager"
+    );
+    check(
+        (await ammRouter.factory()) === ammFactory.target,
+        "SubnetAMMRouter does not use the SubnetManager AMM factory"
+    );
+    check(
+        await globalStaking.authorizedCallers(neuronManager.target),
+        "NeuronManager is not an authorized GlobalStaking caller"
+    );
+    check(
+        (await neuronManager.rewardDistributor()) === rewardDistributor.target,
+        "NeuronManager.rewardDistributor is not the RewardDistributor"
+    );
+    check(await rewardDistributor.epochRunners(systemAddress), "System address is not a RewardDistributor epoch runner");
+    check(
+        (await subnetManager.hyperparamsGovernor()) === hyperparamsGovernor.target,
+        "SubnetManager.hyperparamsGovernor is not the HyperparamsGovernor"
+    );
+    console.log("✅ System address consistent across all contracts");
+
+    // 8. Test subnet creation to verify AlphaToken integration
+    let testSubnet = null;
+    if (process.env.DEPLOY_SMOKE_TEST !== "false") {
+        console.log("\n=== 8. Test subnet creation (AlphaToken integration) ===");
+        await ensureRegistrationWindow(hre, subnetManager);
+
+        const client = new HetuClient({
+            runner: deployer,
+            addresses: Object.fromEntries(Object.entries(deployedContracts).map(([key, c]) => [key, c.address]))
+        });
+        testSubnet = await client.registerSubnet({
+            name: "Test Subnet",
+            description: "Test subnet for system address integration",
+            tokenName: "Test Alpha",
+            tokenSymbol: "TALPHA"
+        }, { wrap: true });
+        console.log(`✅ Test subnet created with ID: ${testSubnet.netuid}`);
+
+        const alphaToken = await ethers.getContractAt("AlphaToken", testSubnet.alphaToken);
+        requireFunctions(alphaToken, ["getSystemAddress", "isSystemAddress", "addMinter"], "AlphaToken");
+        check(
+            (await alphaToken.getSystemAddress()) === systemAddress,
+            "AlphaToken system address does not match the deployment system address"
         );
-        
-        const receipt = await createSubnetTx.wait();
-        const networkRegisteredEvent = receipt.events.find(e => e.event === "NetworkRegistered");
-        
-        if (networkRegisteredEvent) {
-            const testNetuid = networkRegisteredEvent.args.netuid;
-            console.log(`✅ Test subnet created with ID: ${testNetuid}`);
-            
-            // Verify AlphaToken has correct system address
-            const subnetInfo = await subnetManager.getSubnetInfo(testNetuid);
-            const alphaToken = await ethers.getContractAt("AlphaToken", subnetInfo.alphaToken);
-            const alphaTokenSystemAddr = await alphaToken.getSystemAddress();
-            
-            console.log(`AlphaToken system address: ${alphaTokenSystemAddr}`);
-            console.log(`✅ AlphaToken system address match: ${alphaTokenSystemAddr === actualSystemAddress ? 'PASS' : 'FAIL'}`);
-            
-            // Test system address functionality
-            console.log("Testing system address emergency functions...");
-            try {
-                // This should work since we're using the system address
-                if (systemAddress) {
-                    await alphaToken.connect(systemAddress).emergencyFreeze();
-                    console.log("✅ System address emergency function test: PASS");
-                } else {
-                    await alphaToken.emergencyFreeze();
-                    console.log("✅ System address emergency function test: PASS (using deployer as system)");
-                }
-            } catch (error) {
-                console.log(`❌ System address emergency function test: FAIL - ${error.message}`);
-            }
-        }
+        check(await alphaToken.isSystemAddress(systemAddress), "AlphaToken does not recognize the system address");
+        await expectRevert(alphaToken.addMinter(deployer.address), "AlphaToken: ONLY_SUBNET_MANAGER");
+        console.log("✅ AlphaToken carries the system address and only SubnetManager manages minters");
 
-        // 8. Save deployment information
-        console.log("\n=== 8. Save deployment information ===");
-        const deploymentInfo = {
-            network: network.name,
-            chainId: network.config.chainId || "unknown",
-            deployer: deployer.address,
-            systemAddress: actualSystemAddress,
-            timestamp: new Date().toISOString(),
-            blockNumber: await ethers.provider.getBlockNumber(),
-            contracts: deployedContracts,
+        const pool = await ethers.getContractAt("SubnetAMM", testSubnet.ammPool);
+        check((await pool.systemAddress()) === systemAddress, "AMM pool system address mismatch");
+        console.log("✅ AMM pool carries the system address");
+    }
+
+    // 9. Record the deployment in the registry
+    console.log("\n=== 9. Save deployment information ===");
+    const networkParams = await subnetManager.getNetworkParams();
+    const { deployment, file: deploymentPath } = saveDeployment(await buildDeployment({
+        provider: ethers.provider,
+        network: network.name,
+        deployer: deployer.address,
+        systemAddress,
+        contracts: deployedContracts,
+        metadata: {
+            script: "deploy-with-system-address",
+            treasury: treasury.address,
             gasUsed: Object.fromEntries(
                 Object.entries(gasUsed).map(([key, value]) => [key, value.toString()])
             ),
-            contractAddresses: {
-                hetuToken: deployedContracts.hetuToken,
-                subnetManager: deployedContracts.subnetManager,
-                ammFactory: deployedContracts.ammFactory,
-                globalStaking: deployedContracts.globalStaking,
-                neuronManager: deployedContracts.neuronManager,
-                systemAddress: actualSystemAddress
-            },
             configuration: {
-                networkMinLock: "100000000000000000000", // 100 HETU
-                networkRateLimit: "1000",
-                lockReductionInterval: "14400"
+                networkMinLock: networkParams.minLock.toString(),
+                networkRateLimit: networkParams.rateLimit.toString(),
+                lockReductionInterval: networkParams.reductionInterval.toString()
             },
-            systemAddressIntegration: {
-                verified: true,
-                alphaTokenSupport: true,
-                emergencyFunctions: true
-            }
-        };
-
-        const deploymentPath = path.join(__dirname, `../deployments/${network.name}-with-system-${Date.now()}.json`);
-        fs.mkdirSync(path.dirname(deploymentPath), { recursive: true });
-        fs.writeFileSync(deploymentPath, JSON.stringify(deploymentInfo, null, 2));
-        console.log(`Deployment information saved to: ${deploymentPath}`);
-
-        // 9. Output deployment summary
-        console.log("\n" + "=".repeat(60));
-        console.log("🎉 Enhanced deployment with systemAddress support complete!");
-        console.log("=".repeat(60));
-        console.log("Contract addresses:");
-        console.log(`  HETU Token (WHETU): ${deployedContracts.hetuToken}`);
-        console.log(`  SubnetManager:      ${deployedContracts.subnetManager}`);
-        console.log(`  AMM Factory:        ${deployedContracts.ammFactory} (auto-created)`);
-        console.log(`  GlobalStaking:      ${deployedContracts.globalStaking}`);
-        console.log(`  NeuronManager:      ${deployedContracts.neuronManager}`);
-        console.log(`  System Address:     ${actualSystemAddress}`);
-        
-        console.log("\nGas usage:");
-        Object.entries(gasUsed).forEach(([contract, gas]) => {
-            console.log(`  ${contract}: ${gas.toString()} gas`);
-        });
+            testSubnet: testSubnet ? {
+                netuid: testSubnet.netuid,
+                alphaToken: testSubnet.alphaToken,
+                ammPool: testSubnet.ammPool
+            } : null
+        }
+    }));
+    console.log(`Deployment ${network.name} v${deployment.version} saved to: ${deploymentPath}`);
 
-        console.log("\nSystem Address Integration:");
-        console.log("✅ All contracts properly configured with system address");
-        console.log("✅ AlphaToken supports system address in constructor");
-        console.log("✅ Emergency functions available to system address");
-        console.log("✅ Consistent system address across all contracts");
+    // 10. Output deployment summary
+    console.log("\n" + "=".repeat(60));
+    console.log("🎉 Deployment with systemAddress support complete!");
+    console.log("=".repeat(60));
+    const addresses = addressBook(deployment);
+    console.log("Contract addresses:");
+    console.log(`  HETU Token (WHETU): ${addresses.hetuToken}`);
+    console.log(`  SubnetManager:      ${addresses.subnetManager}`);
+    console.log(`  AMM Factory:        ${addresses.ammFactory} (auto-created)`);
+    console.log(`  AMM Router:         ${addresses.ammRouter}`);
+    console.log(`  GlobalStaking:      ${addresses.globalStaking}`);
+    console.log(`  NeuronManager:      ${addresses.neuronManager}`);
+    console.log(`  RewardDistributor:  ${addresses.rewardDistributor}`);
+    console.log(`  HyperparamsGovernor: ${addresses.hyperparamsGovernor}`);
+    console.log(`  System Address:     ${systemAddress}`);
 
-        console.log("\nNext steps:");
-        console.log("1. Test the deployment:");
-        console.log(`   npx hardhat run scripts/test-system-integration.js --network ${network.name}`);
-        console.log("\n2. For production, consider:");
-        console.log("   - Using a multisig wallet as system address");
-        console.log("   - Implementing timelock for system operations");
-        console.log("   - Setting up proper access controls");
+    console.log("\nGas usage:");
+    Object.entries(gasUsed).forEach(([contract, gas]) => {
+        console.log(`  ${contract}: ${gas.toString()} gas`);
+    });
 
-        return {
-            contracts: deployedContracts,
-            systemAddress: actualSystemAddress
-        };
+    console.log("\nNext steps:");
+    console.log("1. Test the deployment:");
+    console.log(`   npx hardhat run scripts/test-system-integration.js --network ${network.name}`);
+    console.log("\n2. Distribute subnet emissions (subnet owners add the RewardDistributor as alpha minter first):");
+    console.log(`   npx hardhat run scripts/epoch-runner.js --network ${network.name}`);
+    console.log("\n3. For production, consider:");
+    console.log("   - Using a multisig wallet as system address");
+    console.log("   - Implementing timelock for system operations");
+    console.log("   - Setting up proper access controls");
 
-    } catch (error) {
-        console.error("❌ Enhanced deployment failed:", error);
-        throw error;
-    }
+    return { deployment, deploymentPath };
 }
 
 // If running this script directly
@@ -250,7 +272,7 @@ if (require.main === module) {
     main()
         .then(() => process.exit(0))
         .catch((error) => {
-            console.error(error);
+            console.error("❌ Deployment failed:", error);
             process.exit(1);
         });
 }
@@ -0,0 +1,89 @@
+const hre = require("hardhat");
+const { HetuClient, EpochRunner, getDeployment } = require("../sdk");
+const { isLocalNetwork } = require("./utils/network");
+const { check } = require("./utils/checks");
+const { getRoleSigners } = require("./utils/signers");
+
+const { ethers, network } = hre;
+
+/**
+ * Distribute subnet emissions of the newest registry deployment once per tempo.
+ * Transactions are sent by the first configured role (system, then deployer, then treasury) that
+ * the RewardDistributor accepts as an epoch runner; both deploy scripts make the system address one.
+ *
+ * Environment:
+ *   DEPLOYMENT_VERSION     registry version to use (default: latest)
+ *   EPOCH_NETUIDS          comma separated subnets to run (default: every subnet)
+ *   EPOCH_POLL_MS          keep running due epochs at this interval; 0 runs once (default: 0)
+ *   EPOCH_MINE             on local networks, mine up to the next epoch instead of waiting (default: false)
+ */
+async function main() {
+    const deployment = getDeployment(network.name, { version: process.env.DEPLOYMENT_VERSION });
+    const signers = await getRoleSigners(hre, []);
+    const distributor = HetuClient.fromDeployment(deployment, ethers.provider).rewardDistributor;
+    check(distributor, `${network.name} deployment v${deployment.version} has no RewardDistributor`);
+    let signer = null;
+    for (const role of ["system", "deployer", "treasury"]) {
+        if (signers[role] && await distributor.epochRunners(signers[role].address)) {
+            signer = signers[role];
+            break;
+        }
+    }
+    check(
+        signer,
+        `None of the configured accounts (${Object.values(signers).map((s) => s.address).join(", ")}) is a ` +
+        "RewardDistributor epoch runner; authorize one with setEpochRunner"
+    );
+    const client = HetuClient.fromDeployment(deployment, signer);
+    const runner = new EpochRunner(client);
+
+    const netuids = process.env.EPOCH_NETUIDS
+        ? process.env.EPOCH_NETUIDS.split(",").map((netuid) => Number(netuid.trim()))
+        : null;
+    const mineToEpoch = process.env.EPOCH_MINE === "true" && isLocalNetwork(network.name);
+
+    const runOnce = async () => {
+        const targets = netuids || await runner.reader.getNetuids();
+        if (mineToEpoch && targets.length > 0) {
+            const blocks = await runner.blocksUntilNextEpoch(targets);
+            if (blocks > 0) {
+                await network.provider.send("hardhat_mine", [`0x${blocks.toString(16)}`]);
+            }
+        }
+
+        let distributed = 0;
+        for (const netuid of targets) {
+            const result = await runner.run(netuid);
+            if (!result) {
+                continue;
+            }
+            distributed++;
+            console.log(
+                `Subnet ${result.netuid} epoch ${result.epoch}: minted ${ethers.formatEther(result.minted)} alpha ` +
+                `to ${Object.keys(result.rewards).length} accounts at block ${result.blockNumber}`
+            );
+        }
+        if (distributed === 0) {
+            console.log(`No epoch due at block ${await ethers.provider.getBlockNumber()}`);
+        }
+    };
+
+    console.log(`Running epochs of ${network.name} deployment v${deployment.version} as ${signer.address}`);
+    await runOnce();
+
+    const pollMs = Number(process.env.EPOCH_POLL_MS || 0);
+    if (pollMs > 0) {
+        console.log(`Checking for due epochs every ${pollMs}ms, Ctrl+C to stop`);
+        while (true) {
+            await new Promise((resolve) => setTimeout(resolve, pollMs));
+            await runOnce();
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
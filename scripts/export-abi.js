@@ -0,0 +1,33 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { ARTIFACT_PATHS, BYTECODE_FIELDS, ABI_DIR } = require("../sdk/contracts");
+
+/**
+ * Copy the ABIs of the contracts the SDK talks to from the Hardhat artifacts into sdk/abi,
+ * so the SDK works without compiling. Run through `npm run abi` after changing a contract.
+ */
+async function main() {
+    await hre.run("compile");
+    const artifactsDir = path.join(hre.config.paths.artifacts, "contracts");
+    fs.mkdirSync(ABI_DIR, { recursive: true });
+
+    for (const [name, relativePath] of Object.entries(ARTIFACT_PATHS)) {
+        const artifact = JSON.parse(fs.readFileSync(path.join(artifactsDir, relativePath), "utf8"));
+        const exported = { contractName: artifact.contractName, abi: artifact.abi };
+        for (const field of BYTECODE_FIELDS[name] || []) {
+            exported[field] = artifact[field];
+        }
+
+        const file = path.join(ABI_DIR, `${name}.json`);
+        fs.writeFileSync(file, `${JSON.stringify(exported, null, 2)}\n`);
+        console.log(`Exported ${name} to ${path.relative(process.cwd(), file)}`);
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
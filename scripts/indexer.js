@@ -0,0 +1,64 @@
+const hre = require("hardhat");
+const path = require("path");
+const { HetuIndexer, JsonFileStore, getDeployment } = require("../sdk");
+
+const { ethers, network } = hre;
+
+/**
+ * Index subnet, neuron and stake events of the newest registry deployment into a JSON store.
+ *
+ * Environment:
+ *   DEPLOYMENT_VERSION     registry version to index (default: latest)
+ *   INDEXER_STORE          store file (default: indexer/<network>.json)
+ *   INDEXER_START_BLOCK    first block when the store is empty (default: deployment block)
+ *   INDEXER_CONFIRMATIONS  blocks to stay behind the head (default: 0)
+ *   INDEXER_POLL_MS        keep following the chain at this interval; 0 syncs once (default: 0)
+ */
+async function main() {
+    const deployment = getDeployment(network.name, { version: process.env.DEPLOYMENT_VERSION });
+    const storeFile = process.env.INDEXER_STORE || path.join(__dirname, "..", "indexer", `${network.name}.json`);
+
+    const options = {
+        store: new JsonFileStore(storeFile),
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0)
+    };
+    if (process.env.INDEXER_START_BLOCK) {
+        options.startBlock = Number(process.env.INDEXER_START_BLOCK);
+    }
+    const indexer = HetuIndexer.fromDeployment(deployment, ethers.provider, options);
+
+    const report = (result) => {
+        if (result.reorg) {
+            console.log(`Reorg: rolled back from block ${result.reorg.from} to ${result.reorg.to}`);
+        }
+        if (result.fromBlock > result.toBlock) {
+            console.log(`Up to date at block ${result.toBlock}`);
+            return;
+        }
+        const { subnets, neurons, stakes } = indexer.state;
+        console.log(
+            `Indexed blocks ${result.fromBlock}-${result.toBlock}: ${result.events} events ` +
+            `(${Object.keys(subnets).length} subnets, ${Object.keys(neurons).length} neurons, ` +
+            `${Object.keys(stakes).length} stakers)`
+        );
+    };
+
+    console.log(`Indexing ${network.name} deployment v${deployment.version} into ${storeFile}`);
+    report(await indexer.sync());
+
+    const pollMs = Number(process.env.INDEXER_POLL_MS || 0);
+    if (pollMs > 0) {
+        console.log(`Following the chain every ${pollMs}ms, Ctrl+C to stop`);
+        while (true) {
+            await new Promise((resolve) => setTimeout(resolve, pollMs));
+            report(await indexer.sync());
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
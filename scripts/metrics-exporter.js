@@ -0,0 +1,40 @@
+const hre = require("hardhat");
+const { HetuClient, MetricsExporter, getDeployment } = require("../sdk");
+
+const { ethers, network } = hre;
+
+/**
+ * Prometheus exporter for the subnet contracts of the newest registry deployment.
+ *
+ * Environment:
+ *   DEPLOYMENT_VERSION      registry version to export (default: latest)
+ *   METRICS_PORT            listen port (default: 9464)
+ *   METRICS_HOST            listen address (default: 0.0.0.0)
+ *   METRICS_INTERVAL_MS     poll interval (default: 15000)
+ */
+async function main() {
+    const deployment = getDeployment(network.name, { version: process.env.DEPLOYMENT_VERSION });
+    const client = HetuClient.fromDeployment(deployment, ethers.provider);
+
+    const exporter = new MetricsExporter(client, {
+        intervalMs: Number(process.env.METRICS_INTERVAL_MS || 15000),
+        onError: (error) => console.error(`Poll failed: ${error.message}`)
+    });
+
+    const port = Number(process.env.METRICS_PORT || 9464);
+    const host = process.env.METRICS_HOST || "0.0.0.0";
+    await exporter.start(port, host);
+    console.log(`Exporting ${network.name} deployment v${deployment.version} on http://${host}:${port}/metrics`);
+
+    const shutdown = async () => {
+        await exporter.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,68 @@
+/**
+ * Assertion helpers for deployment and integration scripts.
+ * Every helper throws on failure so a broken flow never ends in a "PASS" report.
+ */
+
+class CheckError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "CheckError";
+    }
+}
+
+/**
+ * Throw unless `condition` holds
+ */
+function check(condition, message) {
+    if (!condition) {
+        throw new CheckError(message);
+    }
+}
+
+/**
+ * Make sure the contract ABI exposes every function in `names` before the script relies on it
+ */
+function requireFunctions(contract, names, label) {
+    const missing = names.filter((name) => contract.interface.getFunction(name) === null);
+    check(missing.length === 0, `${label} is missing expected functions: ${missing.join(", ")}`);
+}
+
+/**
+ * Await a transaction promise and throw unless it reverts with `reason`
+ */
+async function expectRevert(promise, reason) {
+    try {
+        const tx = await promise;
+        await tx.wait();
+    } catch (error) {
+        const message = error.reason || error.shortMessage || error.message || "";
+        check(message.includes(reason), `Expected revert "${reason}", got: ${message}`);
+        return;
+    }
+    throw new CheckError(`Expected revert "${reason}" but the transaction succeeded`);
+}
+
+/**
+ * Find and decode event `name` emitted by `contract` in `receipt`
+ */
+function findEvent(receipt, contract, name) {
+    for (const log of receipt.logs) {
+        try {
+            const parsed = contract.interface.parseLog(log);
+            if (parsed && parsed.name === name) {
+                return parsed;
+            }
+        } catch (e) {
+            // Ignore logs from other contracts
+        }
+    }
+    throw new CheckError(`${name} event not found in transaction ${receipt.hash}`);
+}
+
+module.exports = {
+    CheckError,
+    check,
+    requireFunctions,
+    expectRevert,
+    findEvent
+};
@@ -0,0 +1,63 @@
+const { CheckError } = require("./checks");
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * Whether `name` is a disposable development network
+ */
+function isLocalNetwork(name) {
+    return LOCAL_NETWORKS.includes(name);
+}
+
+/**
+ * Make sure the next block may register a subnet.
+ * On local networks the missing blocks are mined; elsewhere the script stops with the wait time.
+ */
+async function ensureRegistrationWindow(hre, subnetManager) {
+    const [lastLockBlock, rateLimit] = await Promise.all([
+        subnetManager.networkLastLockBlock(),
+        subnetManager.networkRateLimit()
+    ]);
+    const currentBlock = BigInt(await hre.ethers.provider.getBlockNumber());
+    // registerNetwork requires block.number > lastLockBlock + rateLimit for the block it is mined in
+    const blocksToWait = lastLockBlock + rateLimit - currentBlock;
+    if (blocksToWait <= 0n) {
+        return 0n;
+    }
+
+    if (!isLocalNetwork(hre.network.name)) {
+        throw new CheckError(
+            `Subnet registration is rate limited for another ${blocksToWait} blocks on ${hre.network.name}`
+        );
+    }
+    await hre.network.provider.send("hardhat_mine", [`0x${blocksToWait.toString(16)}`]);
+    return blocksToWait;
+}
+
+/**
+ * Map contract addresses created by `from` in blocks (fromBlock, toBlock] to their creation tx hash.
+ * Used to record tx hashes for deployments whose tooling does not expose them (e.g. Ignition).
+ */
+async function findCreationTransactions(provider, { from, fromBlock, toBlock }) {
+    const created = {};
+    for (let number = fromBlock + 1; number <= toBlock; number++) {
+        const block = await provider.getBlock(number, true);
+        for (const tx of block.prefetchedTransactions) {
+            if (tx.to !== null || tx.from !== from) {
+                continue;
+            }
+            const receipt = await provider.getTransactionReceipt(tx.hash);
+            if (receipt && receipt.contractAddress) {
+                created[receipt.contractAddress] = tx.hash;
+            }
+        }
+    }
+    return created;
+}
+
+module.exports = {
+    LOCAL_NETWORKS,
+    isLocalNetwork,
+    ensureRegistrationWindow,
+    findCreationTransactions
+};
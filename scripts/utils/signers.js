@@ -0,0 +1,44 @@
+const { ROLES, envName, roleAddresses } = require("../../config/accounts");
+const { check } = require("./checks");
+const { isLocalNetwork } = require("./network");
+
+/**
+ * Resolve the deployer / system / treasury signers for the current network.
+ *
+ * Local networks use the node's unlocked accounts in order (deployer 0, system 1, treasury 2).
+ * Remote networks use the keys from config/accounts.js, and the script stops when a required
+ * role has no key or the network has no RPC URL, instead of falling back to another account.
+ *
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {string[]} [required] Roles that must have a signer
+ * @returns {Promise<{ deployer: import("ethers").Signer, system?: import("ethers").Signer, treasury?: import("ethers").Signer }>}
+ */
+async function getRoleSigners(hre, required = ROLES) {
+    const { ethers, network } = hre;
+
+    if (isLocalNetwork(network.name)) {
+        const signers = await ethers.getSigners();
+        check(signers.length >= ROLES.length, `${network.name} exposes only ${signers.length} accounts`);
+        return Object.fromEntries(ROLES.map((role, i) => [role, signers[i]]));
+    }
+
+    check(network.config.url, `No RPC URL configured for ${network.name}, set HETU_RPC_URL`);
+    const addresses = roleAddresses();
+    for (const role of required) {
+        check(
+            addresses[role],
+            `Refusing to run on ${network.name} without a ${role} key: set ${envName(role, "PRIVATE_KEY")}, ` +
+            `${envName(role, "KEYSTORE")} or HETU_MNEMONIC`
+        );
+    }
+
+    const signers = {};
+    for (const [role, address] of Object.entries(addresses)) {
+        signers[role] = await ethers.getSigner(address);
+    }
+    return signers;
+}
+
+module.exports = {
+    getRoleSigners
+};
@@ -0,0 +1,1750 @@
+const { Contract, Signature, ZeroAddress } = require("ethers");
+const { getAbi, revertReason, computePoolAddress } = require("./contracts");
+const { addressBook, getDeployment, readDeployment, validateDeployment } = require("./deployments");
+const { buildMetagraph } = require("./metagraph");
+const { HyperparamsBuilder, HYPERPARAM_KEYS, diffHyperparams } = require("./hyperparams");
+const { LockCostForecaster } = require("./lockcost");
+const { BatchReader } = require("./multicall");
+
+/**
+ * @typedef {Object} HetuAddresses
+ * @property {string} hetuToken WHETU token address
+ * @property {string} subnetManager SubnetManager address
+ * @property {string} globalStaking GlobalStaking address
+ * @property {string} neuronManager NeuronManager address
+ * @property {string} [ammFactory] SubnetAMMFactory address (read from SubnetManager when omitted)
+ * @property {string} [ammRouter] SubnetAMMRouter address (required for multi-hop swaps)
+ * @property {string} [rewardDistributor] RewardDistributor address (required for reward queries and claims)
+ * @property {string} [hyperparamsGovernor] HyperparamsGovernor address (read from SubnetManager when omitted)
+ */
+
+/**
+ * @typedef {Object} TxOptions
+ * @property {boolean} [wrap] Wrap native HETU into WHETU when the WHETU balance is short
+ * @property {boolean} [dryRun] Simulate with staticCall/estimateGas instead of sending; methods then resolve to a {@link DryRunResult}
+ */
+
+/**
+ * @typedef {Object} DryRunStep
+ * @property {string} to Target contract address
+ * @property {string} method Contract method
+ * @property {any[]} args Call arguments
+ * @property {bigint} [value] Native value sent with the call
+ * @property {boolean} simulated Whether the step could be simulated against current state (or the snapshot left by the previous steps)
+ * @property {bigint} [gasEstimate] Estimated gas (simulated steps only)
+ * @property {any} [result] staticCall return value (simulated steps only)
+ * @property {string} [error] Revert reason when the simulation failed
+ * @property {string} [note] Why the step was not simulated
+ */
+
+/**
+ * @typedef {Object} DryRunResult
+ * @property {true} dryRun
+ * @property {DryRunStep[]} steps Transactions that would be sent, in order
+ */
+
+/**
+ * @typedef {Object} SubnetRegistration
+ * @property {number} netuid Assigned subnet ID
+ * @property {string} owner Subnet owner
+ * @property {string} alphaToken Alpha token address
+ * @property {string} ammPool AMM pool address
+ * @property {bigint} lockedAmount HETU locked for the registration
+ * @property {bigint} poolAmount HETU injected into the pool
+ * @property {bigint} burnedAmount HETU burned
+ * @property {string} hash Registration transaction hash
+ */
+
+/**
+ * @typedef {Object} LockCostStatus
+ * @property {number} blockNumber Current block
+ * @property {import("./lockcost").LockCostForecast} forecast Cost and rate limit status at the requested block
+ * @property {number | null} affordableAt First block from the requested one that accepts a registration costing
+ *   at most maxCost (null without maxCost, or when the cost never gets down to maxCost)
+ * @property {number} blocksLeft Blocks until affordableAt (or until the rate limit lifts without maxCost)
+ * @property {number} secondsLeft Estimated seconds for blocksLeft
+ */
+
+/**
+ * @typedef {Object} SubnetLifecycle
+ * @property {number} netuid Subnet ID
+ * @property {boolean} exists Whether a subnet has the netuid (false once it has been dissolved)
+ * @property {boolean} isActive Whether the subnet is active
+ * @property {bigint | null} inactiveSince Block the subnet was registered or deactivated at (null while active)
+ * @property {bigint | null} dissolvableAt Block from which the subnet or protocol owner can dissolve it (null while active)
+ * @property {bigint} blocksLeft Blocks until dissolvableAt
+ * @property {number} secondsLeft Estimated seconds until dissolvableAt
+ * @property {bigint} refund HETU the owner would get back if the subnet were dissolved now
+ */
+
+/**
+ * @typedef {Object} NeuronRegistration
+ * @property {number} netuid Subnet ID
+ * @property {string} account Neuron account
+ * @property {bigint} stake Stake allocated to the subnet
+ * @property {boolean} isValidator Final validator flag
+ * @property {bigint} blockNumber Registration block
+ * @property {string} hash Registration transaction hash
+ */
+
+/**
+ * @typedef {Object} DelegationInfo
+ * @property {number} netuid Subnet ID
+ * @property {string} validator Neuron the stake is delegated to
+ * @property {bigint} ownStake Neuron's own subnet stake
+ * @property {bigint} delegatedStake Total stake delegated to the neuron
+ * @property {bigint} effectiveStake Own plus delegated stake, compared against validatorThreshold
+ * @property {number} commission Commission in basis points
+ * @property {boolean} isValidator Current validator flag
+ * @property {{ delegator: string, amount: bigint }[]} delegators Delegators and their amounts
+ */
+
+/**
+ * @typedef {Object} PendingWithdrawal
+ * @property {bigint} id Withdrawal ID
+ * @property {bigint} amount Amount queued for withdrawal
+ * @property {bigint} unlockBlock Block from which the withdrawal can be claimed
+ * @property {bigint} blocksLeft Blocks until unlockBlock (0 when claimable)
+ * @property {number} secondsLeft Estimated seconds until unlockBlock, from the recent average block time
+ * @property {boolean} claimable Whether the withdrawal can be claimed now
+ */
+
+/**
+ * @typedef {Object} PendingReward
+ * @property {number} epoch Epoch index
+ * @property {bigint} amount Unclaimed alpha of the epoch
+ */
+
+/**
+ * @typedef {Object} HyperparamChange
+ * @property {string} field Hyperparameter name
+ * @property {bigint | boolean} from Current value
+ * @property {bigint | boolean} to Proposed value
+ */
+
+/**
+ * @typedef {Object} PendingHyperparams
+ * @property {number} netuid Subnet ID
+ * @property {string} proposer Subnet owner that proposed the change
+ * @property {bigint} proposedAt Proposal block
+ * @property {bigint} executableAt Block from which the change can be executed
+ * @property {bigint} blocksLeft Blocks until executableAt (0 when executable)
+ * @property {number} secondsLeft Estimated seconds until executableAt, from the recent average block time
+ * @property {boolean} executable Whether the timelock has passed
+ * @property {string[]} fields Fields the proposal changes; execution only writes these
+ * @property {Object<string, bigint | boolean>} params Hyperparameters execution would apply: the current values
+ *   with the proposed fields written over them
+ * @property {HyperparamChange[]} changes Fields that differ from the current hyperparameters
+ */
+
+/**
+ * @typedef {Object} SwapResult
+ * @property {number} netuid Subnet ID
+ * @property {string} pool AMM pool address
+ * @property {boolean} hetuToAlpha Swap direction
+ * @property {bigint} amountIn Input amount
+ * @property {bigint} amountOut Output amount
+ * @property {bigint} newPrice Alpha price after the swap
+ * @property {string} hash Swap transaction hash
+ */
+
+/**
+ * @typedef {Object} RouteQuote
+ * @property {number} fromNetuid Subnet whose alpha is sold
+ * @property {number} toNetuid Subnet whose alpha is bought
+ * @property {string} fromPool AMM pool of the input subnet
+ * @property {string} toPool AMM pool of the output subnet
+ * @property {bigint} amountIn Alpha sold
+ * @property {bigint} hetuAmount HETU produced by the first leg
+ * @property {bigint} amountOut Alpha bought (0 when either pool lacks liquidity)
+ * @property {bigint} minAmountOut amountOut reduced by the slippage tolerance
+ * @property {number} blockNumber Block both legs were quoted at
+ */
+
+/**
+ * @typedef {Object} RouteResult
+ * @property {number} fromNetuid Subnet whose alpha was sold
+ * @property {number} toNetuid Subnet whose alpha was bought
+ * @property {bigint} amountIn Alpha sold
+ * @property {bigint} hetuAmount HETU routed between the pools
+ * @property {bigint} amountOut Alpha received
+ * @property {string} hash Swap transaction hash
+ */
+
+/**
+ * @typedef {Object} TwapResult
+ * @property {number} netuid Subnet ID
+ * @property {string} pool AMM pool address
+ * @property {number} fromBlock Start of the window
+ * @property {number} toBlock End of the window
+ * @property {number} seconds Window length in seconds
+ * @property {bigint} startCumulative Pool price cumulative at fromBlock
+ * @property {bigint} endCumulative Pool price cumulative at toBlock
+ * @property {bigint} twapPrice Time weighted average alpha price in HETU (1e18 scale)
+ */
+
+// Blocks sampled to estimate the block time, and the fallback block time in seconds
+const BLOCK_TIME_SAMPLE = 100;
+const DEFAULT_BLOCK_TIME = 12;
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * @dev Sends the transactions of one client operation, or records them when dry-running.
+ * In dry-run mode on a node with `evm_snapshot` (a Hardhat or Anvil fork), every simulated step is also sent
+ * on a snapshot so later steps run against its effects; {@link TxPlan#summary} reverts the snapshot. Elsewhere
+ * only steps that do not depend on earlier (unsent) steps are simulated.
+ */
+class TxPlan {
+  constructor(dryRun) {
+    this.dryRun = !!dryRun;
+    this.steps = [];
+    this._provider = null;
+    this._snapshot = null;
+    this._failed = false;
+  }
+
+  /**
+   * Send `contract.method(...args)` and wait for the receipt, or record a simulated step
+   * @returns {Promise<import("ethers").TransactionReceipt | null>} The receipt; in dry-run mode only when the step ran on a snapshot
+   */
+  async send(contract, method, args = [], value) {
+    const overrides = value === undefined ? {} : { value };
+    const fn = contract.getFunction(method);
+
+    if (!this.dryRun) {
+      const tx = await fn(...args, overrides);
+      return tx.wait();
+    }
+
+    const step = { to: contract.target, method, args, value, simulated: false };
+    this.steps.push(step);
+    if (this._failed) {
+      step.note = "previous step failed";
+      return null;
+    }
+    if (this.steps.length > 1 && this._snapshot === null) {
+      step.note = "depends on previous steps";
+      return null;
+    }
+
+    try {
+      step.result = await fn.staticCall(...args, overrides);
+      step.gasEstimate = await fn.estimateGas(...args, overrides);
+      step.simulated = true;
+    } catch (error) {
+      step.error = revertReason(error);
+      this._failed = true;
+      await this._revert();
+      return null;
+    }
+
+    if (!(await this._takeSnapshot(contract.runner))) {
+      return null;
+    }
+    const tx = await fn(...args, overrides);
+    return tx.wait();
+  }
+
+  /**
+   * Revert the dry-run snapshot, if one was taken
+   * @returns {Promise<DryRunResult>}
+   */
+  async summary() {
+    await this._revert();
+    return { dryRun: true, steps: this.steps };
+  }
+
+  async _takeSnapshot(runner) {
+    if (this._snapshot !== null) {
+      return true;
+    }
+    if (this._provider !== null || !runner?.provider?.send) {
+      return false;
+    }
+    this._provider = runner.provider;
+    try {
+      this._snapshot = await this._provider.send("evm_snapshot", []);
+    } catch {
+      // Not a development node: never send dry-run steps
+      return false;
+    }
+    return true;
+  }
+
+  async _revert() {
+    if (this._snapshot === null) {
+      return;
+    }
+    const snapshot = this._snapshot;
+    this._snapshot = null;
+    await this._provider.send("evm_revert", [snapshot]);
+  }
+}
+
+/**
+ * @title HetuClient
+ * @dev High level client for SubnetManager, NeuronManager, GlobalStaking and SubnetAMM.
+ * Takes care of WHETU wrapping, approvals and permits, and returns decoded event results.
+ */
+class HetuClient {
+  /**
+   * @param {Object} config
+   * @param {import("ethers").Signer | import("ethers").Provider} config.runner Signer (for writes) or provider (read-only)
+   * @param {HetuAddresses} config.addresses Deployed contract addresses
+   */
+  constructor({ runner, addresses }) {
+    if (!runner) {
+      throw new Error("HetuClient: runner (signer or provider) is required");
+    }
+    for (const key of ["hetuToken", "subnetManager", "globalStaking", "neuronManager"]) {
+      if (!addresses || !addresses[key]) {
+        throw new Error(`HetuClient: missing address for ${key}`);
+      }
+    }
+
+    this.runner = runner;
+    this.addresses = { ...addresses };
+
+    this.hetuToken = new Contract(addresses.hetuToken, getAbi("WHETU"), runner);
+    this.subnetManager = new Contract(addresses.subnetManager, getAbi("SubnetManager"), runner);
+    this.globalStaking = new Contract(addresses.globalStaking, getAbi("GlobalStaking"), runner);
+    this.neuronManager = new Contract(addresses.neuronManager, getAbi("NeuronManager"), runner);
+    this.ammRouter = addresses.ammRouter
+      ? new Contract(addresses.ammRouter, getAbi("SubnetAMMRouter"), runner)
+      : null;
+    this.rewardDistributor = addresses.rewardDistributor
+      ? new Contract(addresses.rewardDistributor, getAbi("RewardDistributor"), runner)
+      : null;
+    this.hyperparamsGovernor = addresses.hyperparamsGovernor
+      ? new Contract(addresses.hyperparamsGovernor, getAbi("HyperparamsGovernor"), runner)
+      : null;
+    // Batches per-epoch and per-account reads
+    this.reader = new BatchReader(this);
+  }
+
+  /**
+   * Create a client from a deployment registry record
+   * @param {import("./deployments").Deployment} deployment Deployment record
+   * @param {import("ethers").Signer | import("ethers").Provider} runner
+   * @returns {HetuClient}
+   */
+  static fromDeployment(deployment, runner) {
+    return new HetuClient({ runner, addresses: addressBook(validateDeployment(deployment)) });
+  }
+
+  /**
+   * Create a client from a deployment record file on disk
+   * @param {string} file Path to the deployment JSON file
+   * @param {import("ethers").Signer | import("ethers").Provider} runner
+   * @returns {HetuClient}
+   */
+  static fromDeploymentFile(file, runner) {
+    return HetuClient.fromDeployment(readDeployment(file), runner);
+  }
+
+  /**
+   * Create a client for a network recorded in the deployment registry
+   * @param {string} network Network name, e.g. "localhost"
+   * @param {import("ethers").Signer | import("ethers").Provider} runner
+   * @param {Object} [options]
+   * @param {number | "latest"} [options.version] Registry version (defaults to the newest)
+   * @param {string} [options.dir] Registry directory
+   * @returns {HetuClient}
+   */
+  static fromRegistry(network, runner, options = {}) {
+    return HetuClient.fromDeployment(getDeployment(network, options), runner);
+  }
+
+  // ============ Subnet Functions ============
+
+  /**
+   * Register a new subnet, wrapping and approving (or permitting) the lock cost as needed
+   * @param {Object} params
+   * @param {string} params.name Subnet name
+   * @param {string} [params.description] Subnet description
+   * @param {string} params.tokenName Alpha token name
+   * @param {string} params.tokenSymbol Alpha token symbol
+   * @param {boolean} [params.usePermit] Authorize the lock cost with an EIP-2612 permit instead of approve
+   * @param {number} [params.deadline] Permit deadline (unix seconds), defaults to one hour from now
+   * @param {HyperparamsBuilder | Object} [params.hyperparams] Custom hyperparameters (a builder, or field overrides
+   *   of the defaults); validated before anything is sent
+   * @param {TxOptions} [options]
+   * @returns {Promise<SubnetRegistration | DryRunResult>}
+   * @throws {import("./hyperparams").HyperparamsError} When the hyperparameters break a contract rule
+   */
+  async registerSubnet({
+    name,
+    description = "",
+    tokenName,
+    tokenSymbol,
+    usePermit = false,
+    deadline,
+    hyperparams
+  }, options = {}) {
+    let custom = null;
+    if (hyperparams) {
+      const builder = hyperparams instanceof HyperparamsBuilder ? hyperparams : new HyperparamsBuilder().set(hyperparams);
+      const { customHyperparams, useCustomFlags } = builder.build();
+      custom = [customHyperparams, useCustomFlags];
+    }
+
+    const plan = new TxPlan(options.dryRun);
+    // Charged at the block the registration lands in; the cost only decays from the next block on
+    const { cost: lockCost } = (await LockCostForecaster.fromSubnetManager(this.subnetManager)).forecast();
+    await this._ensureHetuBalance(plan, lockCost, options);
+
+    let receipt;
+    if (usePermit) {
+      const { v, r, s, deadline: permitDeadline } = await this._signPermit(
+        this.addresses.subnetManager,
+        lockCost,
+        deadline
+      );
+      receipt = custom
+        ? await plan.send(this.subnetManager, "registerNetworkWithPartialCustomAndPermit", [
+          name, description, tokenName, tokenSymbol, ...custom, permitDeadline, v, r, s
+        ])
+        : await plan.send(this.subnetManager, "registerNetworkWithPermit", [
+          name, description, tokenName, tokenSymbol, permitDeadline, v, r, s
+        ]);
+    } else {
+      await this._ensureAllowance(plan, this.hetuToken, this.addresses.subnetManager, lockCost);
+      receipt = custom
+        ? await plan.send(this.subnetManager, "registerNetworkWithPartialCustom", [
+          name, description, tokenName, tokenSymbol, ...custom
+        ])
+        : await plan.send(this.subnetManager, "registerNetwork", [name, description, tokenName, tokenSymbol]);
+    }
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "NetworkRegistered");
+    return {
+      netuid: Number(event.args.netuid),
+      owner: event.args.owner,
+      alphaToken: event.args.alphaToken,
+      ammPool: event.args.ammPool,
+      lockedAmount: event.args.lockedAmount,
+      poolAmount: event.args.poolAmount,
+      burnedAmount: event.args.burnedAmount,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Forecast the subnet lock cost, assuming nobody else registers first
+   * @param {Object} [params]
+   * @param {number} [params.atBlock] Block the registration would execute in (defaults to the next block)
+   * @param {bigint} [params.maxCost] Also find the first block whose cost is at most this amount
+   * @returns {Promise<LockCostStatus>}
+   */
+  async forecastLockCost({ atBlock, maxCost } = {}) {
+    const forecaster = await LockCostForecaster.fromSubnetManager(this.subnetManager);
+    const blockNumber = forecaster.block;
+    const forecast = forecaster.forecast(atBlock === undefined ? blockNumber + 1 : Number(atBlock));
+    const affordableAt = maxCost === undefined ? null : forecaster.firstBlockUnder(maxCost, forecast.block);
+
+    const target = maxCost === undefined ? forecast.registrableAt : affordableAt;
+    // Transactions sent now land in the next block
+    const blocksLeft = target === null ? 0 : Math.max(0, target - blockNumber - 1);
+    const provider = this.runner.provider || this.runner;
+    const blockTime = await this._averageBlockTime(provider, BigInt(blockNumber));
+    return {
+      blockNumber,
+      forecast,
+      affordableAt,
+      blocksLeft,
+      secondsLeft: Math.round(blocksLeft * blockTime)
+    };
+  }
+
+  /**
+   * Wait until the rate limit allows a registration and the lock cost is at most `maxCost`, then
+   * register. The lock parameters are read again every poll, so registrations by others push the
+   * target block back. A registration that still lands after someone else's is rejected by the rate limit.
+   * @param {Object} registration Parameters of {@link HetuClient#registerSubnet}
+   * @param {Object} wait
+   * @param {bigint} wait.maxCost Highest lock cost to register at
+   * @param {number} [wait.pollInterval] Milliseconds between polls
+   * @param {number} [wait.maxBlocks] Give up when the target block is further away than this
+   * @param {Function} [wait.onWait] Called with the {@link LockCostStatus} of every poll that keeps waiting
+   * @param {TxOptions} [options]
+   * @returns {Promise<SubnetRegistration | DryRunResult>}
+   */
+  async waitAndRegister(registration, { maxCost, pollInterval = 2000, maxBlocks, onWait = () => {} }, options = {}) {
+    if (maxCost === undefined) {
+      throw new Error("HetuClient: waitAndRegister requires maxCost");
+    }
+    for (;;) {
+      const status = await this.forecastLockCost({ maxCost });
+      if (status.affordableAt === null) {
+        throw new Error(`HetuClient: the lock cost never gets down to maxCost ${maxCost}`);
+      }
+      if (status.blocksLeft === 0) {
+        return this.registerSubnet(registration, options);
+      }
+      if (maxBlocks !== undefined && status.blocksLeft > maxBlocks) {
+        throw new Error(`HetuClient: lock cost reaches ${maxCost} at block ${status.affordableAt}, ${status.blocksLeft} blocks away`);
+      }
+      onWait(status);
+      await new Promise((resolve) => setTimeout(resolve, pollInterval));
+    }
+  }
+
+  /**
+   * Activate a subnet (subnet owner only)
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, owner: string, blockNumber: bigint, hash: string } | DryRunResult>}
+   */
+  async activateSubnet(netuid, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.subnetManager, "activateSubnet", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "SubnetActivated");
+    return {
+      netuid: Number(event.args.netuid),
+      owner: event.args.owner,
+      blockNumber: event.args.blockNumber,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Deactivate a subnet (subnet owner only); neuron registrations and emissions pause until it is activated again
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, owner: string, blockNumber: bigint, hash: string } | DryRunResult>}
+   */
+  async deactivateSubnet(netuid, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.subnetManager, "deactivateSubnet", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "SubnetDeactivated");
+    return {
+      netuid: Number(event.args.netuid),
+      owner: event.args.owner,
+      blockNumber: event.args.blockNumber,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Dissolve an inactive subnet: its pool is unwound, the owner refunded and the netuid freed.
+   * The subnet owner or the protocol owner can dissolve it once it has been inactive for subnetInactivityPeriod
+   * blocks. The pool HETU above the refund is left for the alpha holders, see {@link HetuClient#redeemAlpha}.
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, owner: string, dissolvedBy: string, alphaToken: string, refunded: bigint, redeemable: bigint, hash: string } | DryRunResult>}
+   */
+  async dissolveSubnet(netuid, options = {}) {
+    const { alphaToken } = await this.subnetManager.getSubnetInfo(netuid);
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.subnetManager, "dissolveSubnet", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "SubnetDissolved");
+    return {
+      netuid: Number(event.args.netuid),
+      owner: event.args.owner,
+      dissolvedBy: event.args.dissolvedBy,
+      alphaToken,
+      refunded: event.args.refundedAmount,
+      redeemable: event.args.redeemableAmount,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Burn alpha of a dissolved subnet for its share of the pool HETU traders left (the same HETU per alpha
+   * for every holder). Without an amount the signer's whole balance is redeemed.
+   * @param {string} alphaToken Alpha token of the dissolved subnet (returned by dissolveSubnet)
+   * @param {bigint} [amount] Alpha to redeem
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ alphaToken: string, holder: string, alphaAmount: bigint, hetuAmount: bigint, hash: string } | DryRunResult>}
+   */
+  async redeemAlpha(alphaToken, amount, options = {}) {
+    if (amount === undefined) {
+      amount = await new Contract(alphaToken, getAbi("AlphaToken"), this.runner).balanceOf(await this._signerAddress());
+    }
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.subnetManager, "redeemAlpha", [alphaToken, amount]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "AlphaRedeemed");
+    return {
+      alphaToken: event.args.alphaToken,
+      holder: event.args.holder,
+      alphaAmount: event.args.alphaAmount,
+      hetuAmount: event.args.hetuAmount,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Show whether a subnet is active, when the protocol owner can dissolve it and what its owner would be refunded
+   * @param {number} netuid Subnet ID
+   * @returns {Promise<SubnetLifecycle>}
+   */
+  async getSubnetLifecycle(netuid) {
+    if (!(await this.subnetManager.subnetExists(netuid))) {
+      return { netuid: Number(netuid), exists: false, isActive: false, inactiveSince: null, dissolvableAt: null, blocksLeft: 0n, secondsLeft: 0, refund: 0n };
+    }
+    const [info, inactiveSince, period] = await Promise.all([
+      this.subnetManager.getSubnetInfo(netuid),
+      this.subnetManager.inactiveSince(netuid),
+      this.subnetManager.subnetInactivityPeriod()
+    ]);
+    let refund = 0n;
+    if (info.ammPool !== ZeroAddress) {
+      const hetuReserve = await new Contract(info.ammPool, getAbi("SubnetAMM"), this.runner).subnetHetu();
+      refund = hetuReserve < info.poolInitialTao ? hetuReserve : info.poolInitialTao;
+    }
+    if (info.isActive) {
+      return { netuid: Number(netuid), exists: true, isActive: true, inactiveSince: null, dissolvableAt: null, blocksLeft: 0n, secondsLeft: 0, refund };
+    }
+
+    const provider = this.runner.provider || this.runner;
+    const blockNumber = BigInt(await provider.getBlockNumber());
+    const blockTime = await this._averageBlockTime(provider, blockNumber);
+    const dissolvableAt = inactiveSince + period;
+    const blocksLeft = dissolvableAt > blockNumber ? dissolvableAt - blockNumber : 0n;
+    return {
+      netuid: Number(netuid),
+      exists: true,
+      isActive: false,
+      inactiveSince,
+      dissolvableAt,
+      blocksLeft,
+      secondsLeft: Math.round(Number(blocksLeft) * blockTime),
+      refund
+    };
+  }
+
+  /**
+   * Start a two-step subnet ownership transfer (subnet owner only); `newOwner` completes it with
+   * acceptSubnetOwnership. Passing ZeroAddress cancels a pending transfer.
+   * @param {number} netuid Subnet ID
+   * @param {string} newOwner Proposed owner
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, owner: string, pendingOwner: string, hash: string } | DryRunResult>}
+   */
+  async transferSubnetOwnership(netuid, newOwner, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.subnetManager, "transferSubnetOwnership", [netuid, newOwner]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "SubnetOwnershipTransferStarted");
+    return {
+      netuid: Number(event.args.netuid),
+      owner: event.args.owner,
+      pendingOwner: event.args.pendingOwner,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Accept a pending subnet ownership transfer (pending owner only)
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, previousOwner: string, newOwner: string, hash: string } | DryRunResult>}
+   */
+  async acceptSubnetOwnership(netuid, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.subnetManager, "acceptSubnetOwnership", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "SubnetOwnershipTransferred");
+    return {
+      netuid: Number(event.args.netuid),
+      previousOwner: event.args.previousOwner,
+      newOwner: event.args.newOwner,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Get the owner of a subnet and the account a transfer is pending to
+   * @param {number} netuid Subnet ID
+   * @returns {Promise<{ owner: string, pendingOwner: string | null }>}
+   */
+  async getSubnetOwnership(netuid) {
+    const [info, pendingOwner] = await Promise.all([
+      this.subnetManager.getSubnetInfo(netuid),
+      this.subnetManager.pendingSubnetOwner(netuid)
+    ]);
+    return { owner: info.owner, pendingOwner: pendingOwner === ZeroAddress ? null : pendingOwner };
+  }
+
+  /**
+   * Get subnet information
+   * @param {number} netuid Subnet ID
+   */
+  async getSubnet(netuid) {
+    return this.subnetManager.getSubnetInfo(netuid);
+  }
+
+  /**
+   * Snapshot every neuron of a subnet and its hyperparameters at one block
+   * @param {number} netuid Subnet ID
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag] Block to read at (defaults to the latest block)
+   * @param {number} [options.batchSize] Neuron reads per Multicall3 aggregate
+   * @param {number} [options.concurrency] Aggregates in flight at once
+   * @returns {Promise<import("./metagraph").MetagraphSnapshot>}
+   */
+  async getMetagraph(netuid, options = {}) {
+    return buildMetagraph(this, netuid, options);
+  }
+
+  // ============ Staking Functions ============
+
+  /**
+   * Add global stake, wrapping and approving WHETU as needed
+   * @param {bigint} amount Amount to stake
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ user: string, amount: bigint, hash: string } | DryRunResult>}
+   */
+  async stake(amount, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await this._stake(plan, amount, options);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.globalStaking, "GlobalStakeAdded");
+    return {
+      user: event.args.user,
+      amount: event.args.amount,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Remove global stake. The amount is queued and can be claimed with {@link HetuClient#claimWithdrawal}
+   * once the GlobalStaking withdrawal cooldown has passed.
+   * @param {bigint} amount Amount to unstake
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ user: string, id: bigint, amount: bigint, unlockBlock: bigint, hash: string } | DryRunResult>}
+   */
+  async unstake(amount, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.globalStaking, "removeGlobalStake", [amount]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.globalStaking, "WithdrawalRequested");
+    return {
+      user: event.args.user,
+      id: event.args.id,
+      amount: event.args.amount,
+      unlockBlock: event.args.unlockBlock,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * List a user's pending withdrawals with the time left until each can be claimed
+   * @param {string} [user] Defaults to the signer address
+   * @returns {Promise<PendingWithdrawal[]>} Sorted by unlockBlock
+   */
+  async getPendingWithdrawals(user) {
+    const requests = await this.globalStaking.getPendingWithdrawals(user || await this._signerAddress());
+    const provider = this.runner.provider || this.runner;
+    const blockNumber = BigInt(await provider.getBlockNumber());
+    const blockTime = await this._averageBlockTime(provider, blockNumber);
+
+    return requests
+      .map(({ id, amount, unlockBlock }) => {
+        const blocksLeft = unlockBlock > blockNumber ? unlockBlock - blockNumber : 0n;
+        return {
+          id,
+          amount,
+          unlockBlock,
+          blocksLeft,
+          secondsLeft: Math.round(Number(blocksLeft) * blockTime),
+          claimable: blocksLeft === 0n
+        };
+      })
+      .sort((a, b) => (a.unlockBlock < b.unlockBlock ? -1 : a.unlockBlock > b.unlockBlock ? 1 : 0));
+  }
+
+  /**
+   * Claim a matured withdrawal, or every matured withdrawal when `id` is omitted
+   * @param {bigint} [id] Withdrawal ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ user: string, ids: bigint[], amount: bigint, hash: string } | DryRunResult>}
+   */
+  async claimWithdrawal(id, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = id === undefined || id === null
+      ? await plan.send(this.globalStaking, "claimWithdrawals", [])
+      : await plan.send(this.globalStaking, "claimWithdrawal", [id]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const events = this._findEvents(receipt, this.globalStaking, "WithdrawalClaimed");
+    return {
+      user: events[0].args.user,
+      ids: events.map((event) => event.args.id),
+      amount: events.reduce((sum, event) => sum + event.args.amount, 0n),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Cancel a pending withdrawal, staking its amount again
+   * @param {bigint} id Withdrawal ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ user: string, id: bigint, amount: bigint, hash: string } | DryRunResult>}
+   */
+  async cancelWithdrawal(id, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.globalStaking, "cancelWithdrawal", [id]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.globalStaking, "WithdrawalCancelled");
+    return {
+      user: event.args.user,
+      id: event.args.id,
+      amount: event.args.amount,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Set the stake allocated to a subnet
+   * @param {number} netuid Subnet ID
+   * @param {bigint} amount New allocation amount
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ user: string, netuid: number, oldAmount: bigint, newAmount: bigint, hash: string } | DryRunResult>}
+   */
+  async allocate(netuid, amount, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.globalStaking, "allocateToSubnet", [netuid, amount]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.globalStaking, "SubnetAllocationChanged");
+    return {
+      user: event.args.user,
+      netuid: Number(event.args.netuid),
+      oldAmount: event.args.oldAmount,
+      newAmount: event.args.newAmount,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Get available (unallocated) global stake of a user
+   * @param {string} [user] Defaults to the signer address
+   * @returns {Promise<bigint>}
+   */
+  async getAvailableStake(user) {
+    return this.globalStaking.getAvailableStake(user || await this._signerAddress());
+  }
+
+  /**
+   * Get stake released by deregistration that is still unbonding. Each release unlocks on its own.
+   * @param {string} [user] Defaults to the signer address
+   * @returns {Promise<{ amount: bigint, unlockBlock: bigint, releases: { amount: bigint, unlockBlock: bigint }[] }>}
+   *   Total amount and the block the last release unlocks at (both zero when nothing is unbonding), and each release
+   */
+  async getUnbonding(user) {
+    const account = user || await this._signerAddress();
+    const [{ amount, unlockBlock }, releases] = await Promise.all([
+      this.globalStaking.getUnbonding(account),
+      this.globalStaking.getUnbondings(account)
+    ]);
+    return {
+      amount,
+      unlockBlock,
+      releases: releases.map((release) => ({ amount: release.amount, unlockBlock: release.unlockBlock }))
+    };
+  }
+
+  // ============ Neuron Functions ============
+
+  /**
+   * Register a neuron with stake allocation
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {bigint} params.stake Stake to allocate to the subnet
+   * @param {boolean} [params.isValidator] Request the validator role
+   * @param {string} [params.axonEndpoint]
+   * @param {number} [params.axonPort]
+   * @param {string} [params.prometheusEndpoint]
+   * @param {number} [params.prometheusPort]
+   * @param {boolean} [params.autoStake] Top up global stake when available stake does not cover stake + registration cost
+   * @param {TxOptions} [options]
+   * @returns {Promise<NeuronRegistration | DryRunResult>}
+   */
+  async registerNeuron({
+    netuid,
+    stake,
+    isValidator = false,
+    axonEndpoint = "",
+    axonPort = 0,
+    prometheusEndpoint = "",
+    prometheusPort = 0,
+    autoStake = false
+  }, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+
+    if (autoStake) {
+      const params = await this.subnetManager.getSubnetParams(netuid);
+      const required = stake + params.baseNeuronCost;
+      const available = await this.getAvailableStake();
+      if (available < required) {
+        await this._stake(plan, required - available, options);
+      }
+    }
+
+    const receipt = await plan.send(this.neuronManager, "registerNeuronWithStakeAllocation", [
+      netuid,
+      stake,
+      isValidator,
+      axonEndpoint,
+      axonPort,
+      prometheusEndpoint,
+      prometheusPort
+    ]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.neuronManager, "NeuronRegistered");
+    return {
+      netuid: Number(event.args.netuid),
+      account: event.args.account,
+      stake: event.args.stake,
+      isValidator: event.args.isValidator,
+      blockNumber: event.args.blockNumber,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Change the subnet stake of the signer's neuron. The neuron is promoted to validator or demoted
+   * when the new stake crosses the subnet's validatorThreshold.
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {bigint} params.stake New neuron stake
+   * @param {boolean} [params.autoStake] Top up global stake when available stake does not cover the increase
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, account: string, oldStake: bigint, newStake: bigint, isValidator: boolean, hash: string } | DryRunResult>}
+   */
+  async updateNeuronStake({ netuid, stake, autoStake = false }, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const account = await this._signerAddress();
+
+    if (autoStake) {
+      const neuron = await this.neuronManager.getNeuronInfo(netuid, account);
+      const available = await this.getAvailableStake();
+      if (stake > neuron.stake && available < stake - neuron.stake) {
+        await this._stake(plan, stake - neuron.stake - available, options);
+      }
+    }
+
+    const receipt = await plan.send(this.neuronManager, "updateStakeAllocation", [netuid, account, stake]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.neuronManager, "StakeAllocationChanged");
+    const status = this._findEventOrNull(receipt, this.neuronManager, "ValidatorStatusChanged");
+    return {
+      netuid: Number(event.args.netuid),
+      account: event.args.account,
+      oldStake: event.args.oldStake,
+      newStake: event.args.newStake,
+      isValidator: status ? status.args.isValidator : await this.neuronManager.isValidator(netuid, account),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Ask for the validator role for the signer's neuron, or give it up. Only neurons that asked for the role
+   * are promoted when their stake or delegations reach validatorThreshold; asking promotes right away when
+   * they already do and a validator slot is free.
+   * @param {number} netuid Subnet ID
+   * @param {boolean} requested Whether the neuron wants the validator role
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, account: string, requested: boolean, isValidator: boolean, hash: string } | DryRunResult>}
+   */
+  async setValidatorRole(netuid, requested, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const account = await this._signerAddress();
+    const receipt = await plan.send(this.neuronManager, "setValidatorRole", [netuid, requested]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    return {
+      netuid: Number(netuid),
+      account,
+      requested,
+      isValidator: await this.neuronManager.isValidator(netuid, account),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Deregister the signer's neuron from a subnet, releasing its allocation into unbonding
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, account: string, blockNumber: bigint, released: bigint, refunded: bigint, unlockBlock: bigint | null, hash: string } | DryRunResult>}
+   */
+  async deregisterNeuron(netuid, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.neuronManager, "deregisterNeuron", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.neuronManager, "NeuronDeregistered");
+    const deallocated = this._findEventOrNull(receipt, this.globalStaking, "DeallocatedFromSubnet");
+    const settled = this._findEventOrNull(receipt, this.globalStaking, "RegistrationCostSettled");
+    const unbonding = this._findEventOrNull(receipt, this.globalStaking, "StakeUnbonding");
+    return {
+      netuid: Number(event.args.netuid),
+      account: event.args.account,
+      blockNumber: event.args.blockNumber,
+      released: deallocated ? deallocated.args.amount : 0n,
+      refunded: settled ? settled.args.refunded : 0n,
+      unlockBlock: unbonding ? unbonding.args.unlockBlock : null,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Remove the neurons of a dissolved subnet (anyone), releasing their stake without forfeiting registration costs.
+   * A netuid only accepts neurons of a new subnet once the old ones are gone.
+   * @param {number} netuid Subnet ID
+   * @param {string[]} [accounts] Neurons to remove, defaults to every neuron still listed
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, accounts: string[], hashes: string[] } | DryRunResult>}
+   */
+  async removeDissolvedNeurons(netuid, accounts, options = {}) {
+    const toRemove = accounts || await this.neuronManager.getNeuronList(netuid);
+    const plan = new TxPlan(options.dryRun);
+    const receipts = [];
+    for (const account of toRemove) {
+      receipts.push(await plan.send(this.neuronManager, "removeDissolvedNeuron", [netuid, account]));
+    }
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    return {
+      netuid: Number(netuid),
+      accounts: receipts.map((receipt) => this._findEvent(receipt, this.neuronManager, "NeuronDeregistered").args.account),
+      hashes: receipts.map((receipt) => receipt.hash)
+    };
+  }
+
+  /**
+   * Get neuron information
+   * @param {number} netuid Subnet ID
+   * @param {string} [account] Defaults to the signer address
+   */
+  async getNeuron(netuid, account) {
+    return this.neuronManager.getNeuronInfo(netuid, account || await this._signerAddress());
+  }
+
+  // ============ Delegation Functions ============
+
+  /**
+   * Delegate global stake to a neuron
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {string} params.validator Neuron to delegate to
+   * @param {bigint} params.amount Amount to delegate
+   * @param {boolean} [params.autoStake] Top up global stake when available stake does not cover the amount
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, validator: string, delegator: string, amount: bigint, isValidator: boolean, hash: string } | DryRunResult>}
+   */
+  async delegate({ netuid, validator, amount, autoStake = false }, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+
+    if (autoStake) {
+      const available = await this.getAvailableStake();
+      if (available < amount) {
+        await this._stake(plan, amount - available, options);
+      }
+    }
+
+    const receipt = await plan.send(this.neuronManager, "delegate", [netuid, validator, amount]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.neuronManager, "Delegated");
+    return {
+      netuid: Number(event.args.netuid),
+      validator: event.args.validator,
+      delegator: event.args.delegator,
+      amount: event.args.amount,
+      isValidator: await this.neuronManager.isValidator(netuid, validator),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Withdraw stake delegated to a neuron. The amount unbonds before it is available again.
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {string} params.validator Neuron the stake is delegated to
+   * @param {bigint} params.amount Amount to undelegate
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, validator: string, delegator: string, amount: bigint, unlockBlock: bigint, hash: string } | DryRunResult>}
+   */
+  async undelegate({ netuid, validator, amount }, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.neuronManager, "undelegate", [netuid, validator, amount]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.neuronManager, "Undelegated");
+    const unbonding = this._findEvent(receipt, this.globalStaking, "StakeUnbonding");
+    return {
+      netuid: Number(event.args.netuid),
+      validator: event.args.validator,
+      delegator: event.args.delegator,
+      amount: event.args.amount,
+      unlockBlock: unbonding.args.unlockBlock,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Set the commission the signer's neuron takes from delegators' rewards
+   * @param {number} netuid Subnet ID
+   * @param {number} commission Commission in basis points (0 - 10000)
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, validator: string, oldCommission: number, newCommission: number, hash: string } | DryRunResult>}
+   */
+  async setCommission(netuid, commission, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.neuronManager, "setCommission", [netuid, commission]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.neuronManager, "CommissionUpdated");
+    return {
+      netuid: Number(event.args.netuid),
+      validator: event.args.validator,
+      oldCommission: Number(event.args.oldCommission),
+      newCommission: Number(event.args.newCommission),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Get a neuron's stake, commission and delegators
+   * @param {number} netuid Subnet ID
+   * @param {string} validator Neuron address
+   * @returns {Promise<DelegationInfo>}
+   */
+  async getDelegation(netuid, validator) {
+    const [neuron, delegatedStake, commission, [delegators, amounts]] = await Promise.all([
+      this.neuronManager.getNeuronInfo(netuid, validator),
+      this.neuronManager.delegatedStake(netuid, validator),
+      this.neuronManager.commission(netuid, validator),
+      this.neuronManager.getDelegators(netuid, validator)
+    ]);
+    return {
+      netuid: Number(netuid),
+      validator,
+      ownStake: neuron.stake,
+      delegatedStake,
+      effectiveStake: neuron.stake + delegatedStake,
+      commission: Number(commission),
+      isValidator: neuron.isActive && neuron.isValidator,
+      delegators: delegators.map((delegator, i) => ({ delegator, amount: amounts[i] }))
+    };
+  }
+
+  // ============ Reward Functions ============
+
+  /**
+   * List the epochs of a subnet with unclaimed rewards
+   * The per-epoch reads are batched through {@link BatchReader} (Multicall3 when the chain has it)
+   * @param {number} netuid Subnet ID
+   * @param {string} [account] Defaults to the signer address
+   * @returns {Promise<PendingReward[]>} Sorted by epoch
+   */
+  async getPendingRewards(netuid, account) {
+    const distributor = this._requireRewardDistributor();
+    const user = account || await this._signerAddress();
+    const provider = this.runner.provider || this.runner;
+    const blockTag = await provider.getBlockNumber();
+    const epochCount = Number(await distributor.epochCount(netuid, { blockTag }));
+    const epochs = Array.from({ length: epochCount }, (_, epoch) => epoch);
+    const amounts = await this.reader.readAll(
+      epochs.map((epoch) => ({ contract: distributor, method: "rewards", args: [netuid, epoch, user] })),
+      { blockTag }
+    );
+    return epochs
+      .map((epoch, i) => ({ epoch, amount: amounts[i] }))
+      .filter(({ amount }) => amount > 0n);
+  }
+
+  /**
+   * Claim rewards of a subnet, from every epoch with an unclaimed reward when `epochs` is omitted
+   * @param {number} netuid Subnet ID
+   * @param {number[]} [epochs] Epochs to claim
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, account: string, epochs: number[], amount: bigint, hash: string } | DryRunResult>}
+   */
+  async claimRewards(netuid, epochs, options = {}) {
+    const distributor = this._requireRewardDistributor();
+    const toClaim = epochs || (await this.getPendingRewards(netuid)).map(({ epoch }) => epoch);
+    if (toClaim.length === 0) {
+      throw new Error(`HetuClient: no unclaimed rewards on subnet ${netuid}`);
+    }
+
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(distributor, "claimEpochs", [netuid, toClaim]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const events = this._findEvents(receipt, distributor, "RewardClaimed");
+    return {
+      netuid: Number(netuid),
+      account: events[0].args.account,
+      epochs: events.map((event) => Number(event.args.epoch)),
+      amount: events.reduce((sum, event) => sum + event.args.amount, 0n),
+      hash: receipt.hash
+    };
+  }
+
+  // ============ Hyperparameter Governance Functions ============
+
+  /**
+   * Show the pending hyperparameter change of a subnet and how it differs from the current values
+   * @param {number} netuid Subnet ID
+   * @returns {Promise<PendingHyperparams | null>} null when no change is pending
+   */
+  async getPendingHyperparams(netuid) {
+    const governor = await this._requireHyperparamsGovernor();
+    const [pending, current] = await Promise.all([
+      governor.getPending(netuid),
+      this.subnetManager.getSubnetHyperparams(netuid)
+    ]);
+    if (pending.executableAt === 0n) {
+      return null;
+    }
+
+    const provider = this.runner.provider || this.runner;
+    const blockNumber = BigInt(await provider.getBlockNumber());
+    const blockTime = await this._averageBlockTime(provider, blockNumber);
+    const blocksLeft = pending.executableAt > blockNumber ? pending.executableAt - blockNumber : 0n;
+    const proposed = pending.params.toObject();
+    const fields = HYPERPARAM_KEYS.filter((key, i) => (pending.changedFields >> BigInt(i)) & 1n);
+    const params = { ...current.toObject(), ...Object.fromEntries(fields.map((key) => [key, proposed[key]])) };
+    return {
+      netuid: Number(netuid),
+      proposer: pending.proposer,
+      proposedAt: pending.proposedAt,
+      executableAt: pending.executableAt,
+      blocksLeft,
+      secondsLeft: Math.round(Number(blocksLeft) * blockTime),
+      executable: blocksLeft === 0n,
+      fields,
+      params,
+      changes: diffHyperparams(current.toObject(), params)
+    };
+  }
+
+  /**
+   * Propose new hyperparameters for a subnet (subnet owner only); they apply after the governor timelock
+   * @param {number} netuid Subnet ID
+   * @param {HyperparamsBuilder | Object} hyperparams A builder holding the full set, or field overrides of the
+   *   current hyperparameters; validated before anything is sent
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, proposer: string, executableAt: bigint, changes: HyperparamChange[], hash: string } | DryRunResult>}
+   * @throws {import("./hyperparams").HyperparamsError} When the hyperparameters break a contract rule
+   */
+  async proposeHyperparams(netuid, hyperparams, options = {}) {
+    const governor = await this._requireHyperparamsGovernor();
+    const current = (await this.subnetManager.getSubnetHyperparams(netuid)).toObject();
+    const builder = hyperparams instanceof HyperparamsBuilder
+      ? hyperparams
+      : new HyperparamsBuilder().set(current).set(hyperparams);
+    const { customHyperparams } = builder.build();
+
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(governor, "propose", [netuid, customHyperparams]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, governor, "HyperparamsProposed");
+    return {
+      netuid: Number(event.args.netuid),
+      proposer: event.args.proposer,
+      executableAt: event.args.executableAt,
+      changes: diffHyperparams(current, customHyperparams),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Apply the pending hyperparameter change of a subnet once its timelock has passed (anyone)
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, changes: HyperparamChange[], hash: string } | DryRunResult>}
+   */
+  async executeHyperparams(netuid, options = {}) {
+    const governor = await this._requireHyperparamsGovernor();
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(governor, "execute", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.subnetManager, "HyperparamsUpdated");
+    return {
+      netuid: Number(event.args.netuid),
+      changes: diffHyperparams(event.args.oldParams.toObject(), event.args.newParams.toObject()),
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Withdraw the pending hyperparameter change of a subnet (subnet owner only)
+   * @param {number} netuid Subnet ID
+   * @param {TxOptions} [options]
+   * @returns {Promise<{ netuid: number, hash: string } | DryRunResult>}
+   */
+  async cancelHyperparams(netuid, options = {}) {
+    const governor = await this._requireHyperparamsGovernor();
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(governor, "cancel", [netuid]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+    return { netuid: Number(netuid), hash: receipt.hash };
+  }
+
+  // ============ AMM Functions ============
+
+  /**
+   * Get the AMM pool contract of a subnet
+   * @param {number} netuid Subnet ID
+   * @returns {Promise<Contract>}
+   */
+  async getPool(netuid) {
+    const info = await this.subnetManager.getSubnetInfo(netuid);
+    return new Contract(info.ammPool, getAbi("SubnetAMM"), this.runner);
+  }
+
+  /**
+   * Address a subnet's AMM pool has, or will have once the subnet registers
+   * @param {number} [netuid] Subnet ID, defaults to the netuid the next registration will get
+   * @returns {Promise<{ netuid: number, pool: string }>}
+   */
+  async predictPoolAddress(netuid) {
+    const factory = this.addresses.ammFactory || await this.subnetManager.ammFactory();
+    const id = netuid === undefined ? await this.subnetManager.getNextNetuid() : netuid;
+    const generation = await new Contract(factory, getAbi("SubnetAMMFactory"), this.runner).poolGeneration(id);
+    return { netuid: Number(id), pool: computePoolAddress(factory, id, generation) };
+  }
+
+  /**
+   * Quote a swap against the current pool state
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {bigint} params.amountIn Input amount
+   * @param {boolean} [params.hetuToAlpha] Swap direction, defaults to HETU -> alpha
+   * @returns {Promise<{ pool: string, amountOut: bigint, fee: bigint, protocolFee: bigint, priceImpact: bigint, newPrice: bigint, isLiquiditySufficient: boolean }>}
+   */
+  async quote({ netuid, amountIn, hetuToAlpha = true }) {
+    const pool = await this.getPool(netuid);
+    const [preview, swapFee] = await Promise.all([
+      pool.getSwapPreview(amountIn, hetuToAlpha),
+      pool.getSwapFee(amountIn, hetuToAlpha)
+    ]);
+    return {
+      pool: pool.target,
+      amountOut: preview.amountOut,
+      fee: swapFee.fee,
+      protocolFee: swapFee.protocolFee,
+      priceImpact: preview.priceImpact,
+      newPrice: preview.newPrice,
+      isLiquiditySufficient: preview.isLiquiditySufficient
+    };
+  }
+
+  /**
+   * Swap HETU for alpha or alpha for HETU in a subnet pool
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {bigint} params.amountIn Input amount
+   * @param {boolean} [params.hetuToAlpha] Swap direction, defaults to HETU -> alpha
+   * @param {bigint} [params.minAmountOut] Minimum output; derived from slippageBps when omitted
+   * @param {number} [params.slippageBps] Slippage tolerance in basis points applied to the quote (default 50)
+   * @param {string} [params.to] Recipient, defaults to the signer
+   * @param {TxOptions} [options]
+   * @returns {Promise<SwapResult | DryRunResult>}
+   */
+  async swap({ netuid, amountIn, hetuToAlpha = true, minAmountOut, slippageBps = 50, to }, options = {}) {
+    const plan = new TxPlan(options.dryRun);
+    const pool = await this.getPool(netuid);
+    const recipient = to || await this._signerAddress();
+
+    if (minAmountOut === undefined) {
+      const quote = hetuToAlpha
+        ? await pool.simSwapHETUForAlpha(amountIn)
+        : await pool.simSwapAlphaForHETU(amountIn);
+      if (quote === 0n) {
+        throw new Error(`HetuClient: insufficient liquidity in pool of subnet ${netuid}`);
+      }
+      minAmountOut = (quote * BigInt(10000 - slippageBps)) / 10000n;
+    }
+
+    let receipt;
+    if (hetuToAlpha) {
+      await this._ensureHetuBalance(plan, amountIn, options);
+      await this._ensureAllowance(plan, this.hetuToken, pool.target, amountIn);
+      receipt = await plan.send(pool, "swapHETUForAlpha", [amountIn, minAmountOut, recipient]);
+    } else {
+      const alphaToken = new Contract(await pool.alphaToken(), getAbi("AlphaToken"), this.runner);
+      await this._ensureAllowance(plan, alphaToken, pool.target, amountIn);
+      receipt = await plan.send(pool, "swapAlphaForHETU", [amountIn, minAmountOut, recipient]);
+    }
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, pool, hetuToAlpha ? "SwapHETUForAlpha" : "SwapAlphaForHETU");
+    return {
+      netuid: Number(netuid),
+      pool: pool.target,
+      hetuToAlpha,
+      amountIn: hetuToAlpha ? event.args.hetuAmountIn : event.args.alphaAmountIn,
+      amountOut: hetuToAlpha ? event.args.alphaAmountOut : event.args.hetuAmountOut,
+      newPrice: event.args.newPrice,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Quote an alpha to alpha route by chaining simSwapAlphaForHETU on the input pool and
+   * simSwapHETUForAlpha on the output pool, both at the same block
+   * @param {Object} params
+   * @param {number} params.fromNetuid Subnet whose alpha is sold
+   * @param {number} params.toNetuid Subnet whose alpha is bought
+   * @param {bigint} params.amountIn Alpha amount to sell
+   * @param {number} [params.slippageBps] Slippage tolerance in basis points used for minAmountOut (default 50)
+   * @param {number | string} [params.blockTag] Block to quote at (defaults to the latest block)
+   * @returns {Promise<RouteQuote>}
+   */
+  async quoteRoute({ fromNetuid, toNetuid, amountIn, slippageBps = 50, blockTag = "latest" }) {
+    if (Number(fromNetuid) === Number(toNetuid)) {
+      throw new Error("HetuClient: route needs two different subnets");
+    }
+    const provider = this.runner.provider || this.runner;
+    const { number: blockNumber } = await provider.getBlock(blockTag);
+    const at = { blockTag: blockNumber };
+
+    const [fromPool, toPool] = await Promise.all([this.getPool(fromNetuid), this.getPool(toNetuid)]);
+    const hetuAmount = await fromPool.simSwapAlphaForHETU(amountIn, at);
+    const amountOut = hetuAmount === 0n ? 0n : await toPool.simSwapHETUForAlpha(hetuAmount, at);
+
+    return {
+      fromNetuid: Number(fromNetuid),
+      toNetuid: Number(toNetuid),
+      fromPool: fromPool.target,
+      toPool: toPool.target,
+      amountIn,
+      hetuAmount,
+      amountOut,
+      minAmountOut: (amountOut * BigInt(10000 - slippageBps)) / 10000n,
+      blockNumber
+    };
+  }
+
+  /**
+   * Swap one subnet's alpha for another's through HETU in a single router transaction
+   * @param {Object} params
+   * @param {number} params.fromNetuid Subnet whose alpha is sold
+   * @param {number} params.toNetuid Subnet whose alpha is bought
+   * @param {bigint} params.amountIn Alpha amount to sell
+   * @param {bigint} [params.minAmountOut] Minimum alpha out for the whole route; derived from slippageBps when omitted
+   * @param {number} [params.slippageBps] Slippage tolerance in basis points applied to the quote (default 50)
+   * @param {number} [params.deadline] Unix seconds after which the swap reverts, defaults to 20 minutes from now
+   * @param {string} [params.to] Recipient, defaults to the signer
+   * @param {TxOptions} [options]
+   * @returns {Promise<RouteResult | DryRunResult>}
+   */
+  async swapAlphaForAlpha({ fromNetuid, toNetuid, amountIn, minAmountOut, slippageBps = 50, deadline, to }, options = {}) {
+    if (!this.ammRouter) {
+      throw new Error("HetuClient: no ammRouter address configured");
+    }
+    const plan = new TxPlan(options.dryRun);
+    const recipient = to || await this._signerAddress();
+
+    if (minAmountOut === undefined) {
+      const quote = await this.quoteRoute({ fromNetuid, toNetuid, amountIn, slippageBps });
+      if (quote.amountOut === 0n) {
+        throw new Error(`HetuClient: insufficient liquidity to route subnet ${fromNetuid} to subnet ${toNetuid}`);
+      }
+      minAmountOut = quote.minAmountOut;
+    }
+    if (deadline === undefined) {
+      const block = await this.runner.provider.getBlock("latest");
+      deadline = block.timestamp + 1200;
+    }
+
+    const fromPool = await this.getPool(fromNetuid);
+    const alphaToken = new Contract(await fromPool.alphaToken(), getAbi("AlphaToken"), this.runner);
+    await this._ensureAllowance(plan, alphaToken, this.ammRouter.target, amountIn);
+    const receipt = await plan.send(this.ammRouter, "swapExactAlphaForAlpha", [
+      fromNetuid,
+      toNetuid,
+      amountIn,
+      minAmountOut,
+      recipient,
+      deadline
+    ]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+
+    const event = this._findEvent(receipt, this.ammRouter, "RouteSwapped");
+    return {
+      fromNetuid: Number(fromNetuid),
+      toNetuid: Number(toNetuid),
+      amountIn: event.args.amountIn,
+      hetuAmount: event.args.hetuAmount,
+      amountOut: event.args.amountOut,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Time weighted average alpha price between two blocks, from the pool's cumulative price oracle.
+   * Both cumulatives are read at toBlock when the pool's observation buffer still covers fromBlock;
+   * otherwise each is read at its own block, which needs a node that keeps state for fromBlock.
+   * @param {Object} params
+   * @param {number} params.netuid Subnet ID
+   * @param {number | string} params.fromBlock Start of the window
+   * @param {number | string} [params.toBlock] End of the window (defaults to the latest block)
+   * @returns {Promise<TwapResult>}
+   */
+  async getTwap({ netuid, fromBlock, toBlock = "latest" }) {
+    const provider = this.runner.provider || this.runner;
+    const [start, end] = await Promise.all([provider.getBlock(fromBlock), provider.getBlock(toBlock)]);
+    if (!start || !end) {
+      throw new Error(`HetuClient: block ${!start ? fromBlock : toBlock} not found`);
+    }
+    const seconds = end.timestamp - start.timestamp;
+    if (seconds <= 0) {
+      throw new Error("HetuClient: TWAP window must span at least one second");
+    }
+
+    const pool = await this.getPool(netuid);
+    let startCumulative;
+    let endCumulative;
+    try {
+      [startCumulative, endCumulative] = await pool.observe([seconds, 0], { blockTag: end.number });
+    } catch (error) {
+      if (revertReason(error) !== "AMM: OLD") {
+        throw error;
+      }
+      [[startCumulative], [endCumulative]] = await Promise.all([
+        pool.observe([0], { blockTag: start.number }),
+        pool.observe([0], { blockTag: end.number })
+      ]);
+    }
+
+    return {
+      netuid: Number(netuid),
+      pool: pool.target,
+      fromBlock: start.number,
+      toBlock: end.number,
+      seconds,
+      startCumulative,
+      endCumulative,
+      twapPrice: (endCumulative - startCumulative) / BigInt(seconds)
+    };
+  }
+
+  // ============ Internal Functions ============
+
+  async _signerAddress() {
+    if (typeof this.runner.getAddress !== "function") {
+      throw new Error("HetuClient: a signer is required for this operation");
+    }
+    return this.runner.getAddress();
+  }
+
+  async _stake(plan, amount, options) {
+    await this._ensureHetuBalance(plan, amount, options);
+    await this._ensureAllowance(plan, this.hetuToken, this.addresses.globalStaking, amount);
+    return plan.send(this.globalStaking, "addGlobalStake", [amount]);
+  }
+
+  /**
+   * Make sure the signer holds `amount` WHETU, wrapping native HETU for the shortfall when allowed
+   */
+  async _ensureHetuBalance(plan, amount, { wrap = false } = {}) {
+    const owner = await this._signerAddress();
+    const balance = await this.hetuToken.balanceOf(owner);
+    if (balance >= amount) {
+      return;
+    }
+    if (!wrap) {
+      throw new Error(`HetuClient: insufficient WHETU balance (have ${balance}, need ${amount})`);
+    }
+    await plan.send(this.hetuToken, "deposit", [], amount - balance);
+  }
+
+  /**
+   * Approve `spender` for `amount` unless the current allowance already covers it
+   */
+  async _ensureAllowance(plan, token, spender, amount) {
+    const owner = await this._signerAddress();
+    const allowance = await token.allowance(owner, spender);
+    if (allowance >= amount) {
+      return;
+    }
+    await plan.send(token, "approve", [spender, amount]);
+  }
+
+  /**
+   * Sign an EIP-2612 permit for the WHETU token
+   */
+  async _signPermit(spender, value, deadline) {
+    const owner = await this._signerAddress();
+    const provider = this.runner.provider;
+    const { chainId } = await provider.getNetwork();
+
+    if (deadline === undefined) {
+      const block = await provider.getBlock("latest");
+      deadline = block.timestamp + 3600;
+    }
+
+    const domain = {
+      name: await this.hetuToken.name(),
+      version: "1",
+      chainId,
+      verifyingContract: this.addresses.hetuToken
+    };
+    const message = {
+      owner,
+      spender,
+      value,
+      nonce: await this.hetuToken.nonces(owner),
+      deadline
+    };
+
+    const signature = Signature.from(await this.runner.signTypedData(domain, PERMIT_TYPES, message));
+    return { v: signature.v, r: signature.r, s: signature.s, deadline };
+  }
+
+  _requireRewardDistributor() {
+    if (!this.rewardDistributor) {
+      throw new Error("HetuClient: rewardDistributor address is not configured");
+    }
+    return this.rewardDistributor;
+  }
+
+  /**
+   * The configured HyperparamsGovernor, or the one SubnetManager points at
+   */
+  async _requireHyperparamsGovernor() {
+    if (!this.hyperparamsGovernor) {
+      const address = await this.subnetManager.hyperparamsGovernor();
+      if (address === ZeroAddress) {
+        throw new Error("HetuClient: SubnetManager has no hyperparamsGovernor");
+      }
+      this.hyperparamsGovernor = new Contract(address, getAbi("HyperparamsGovernor"), this.runner);
+    }
+    return this.hyperparamsGovernor;
+  }
+
+  /**
+   * Find and decode the first log in `receipt` matching event `name` of `contract`
+   */
+  _findEvent(receipt, contract, name) {
+    const event = this._findEventOrNull(receipt, contract, name);
+    if (!event) {
+      throw new Error(`HetuClient: ${name} event not found in transaction ${receipt.hash}`);
+    }
+    return event;
+  }
+
+  _findEventOrNull(receipt, contract, name) {
+    return this._findEvents(receipt, contract, name)[0] || null;
+  }
+
+  _findEvents(receipt, contract, name) {
+    const events = [];
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== contract.target.toLowerCase()) {
+        continue;
+      }
+      try {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed && parsed.name === name) {
+          events.push(parsed);
+        }
+      } catch (e) {
+        // Ignore logs from other ABIs
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Average seconds per block over the last BLOCK_TIME_SAMPLE blocks (DEFAULT_BLOCK_TIME on a fresh chain)
+   */
+  async _averageBlockTime(provider, blockNumber) {
+    const span = blockNumber < BigInt(BLOCK_TIME_SAMPLE) ? blockNumber : BigInt(BLOCK_TIME_SAMPLE);
+    if (span === 0n) {
+      return DEFAULT_BLOCK_TIME;
+    }
+    const [latest, past] = await Promise.all([
+      provider.getBlock(Number(blockNumber)),
+      provider.getBlock(Number(blockNumber - span))
+    ]);
+    return (latest.timestamp - past.timestamp) / Number(span);
+  }
+}
+
+module.exports = { HetuClient, TxPlan, revertReason };
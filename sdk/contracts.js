@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+const { AbiCoder, getCreate2Address, keccak256 } = require("ethers");
+
+/**
+ * Artifact locations (relative to artifacts/contracts) for the contracts the SDK talks to.
+ * `npm run abi` compiles the contracts and copies their ABIs from these artifacts into sdk/abi.
+ */
+const ARTIFACT_PATHS = {
+  WHETU: "tokens/WHETU.sol/WHETU.json",
+  AlphaToken: "tokens/AlphaToken.sol/AlphaToken.json",
+  SubnetManager: "subnet/SubnetManager.sol/SubnetManager.json",
+  NeuronManager: "subnet/NeuronManager.sol/NeuronManager.json",
+  GlobalStaking: "staking/GlobalStaking.sol/GlobalStaking.json",
+  RewardDistributor: "rewards/RewardDistributor.sol/RewardDistributor.json",
+  HyperparamsGovernor: "subnet/HyperparamsGovernor.sol/HyperparamsGovernor.json",
+  SubnetAMM: "amm/SubnetAMM.sol/SubnetAMM.json",
+  SubnetAMMFactory: "factory/SubnetAMMFactory.sol/SubnetAMMFactory.json",
+  SubnetAMMRouter: "amm/SubnetAMMRouter.sol/SubnetAMMRouter.json",
+  Multicall3: "utils/Multicall3.sol/Multicall3.json"
+};
+
+/**
+ * Bytecode the SDK needs besides the ABI, kept next to it in sdk/abi:
+ * the pool init code for CREATE2 address prediction and Multicall3 for local networks.
+ */
+const BYTECODE_FIELDS = {
+  SubnetAMM: ["bytecode"],
+  Multicall3: ["deployedBytecode"]
+};
+
+const ABI_DIR = path.join(__dirname, "abi");
+
+const cache = new Map();
+
+/**
+ * Load the ABI (and, for contracts in BYTECODE_FIELDS, the bytecode) the SDK ships for a contract
+ * @param {string} name Contract name, e.g. "SubnetManager"
+ * @returns {{ contractName: string, abi: any[], bytecode?: string, deployedBytecode?: string }}
+ */
+function loadArtifact(name) {
+  if (cache.has(name)) {
+    return cache.get(name);
+  }
+
+  if (!ARTIFACT_PATHS[name]) {
+    throw new Error(`Unknown contract: ${name}`);
+  }
+
+  const artifactPath = path.join(ABI_DIR, `${name}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    throw new Error(`ABI for ${name} not found at ${artifactPath}. Run \`npm run abi\` to export it.`);
+  }
+
+  const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
+  cache.set(name, artifact);
+  return artifact;
+}
+
+/**
+ * Get the ABI of a contract by name
+ * @param {string} name Contract name
+ * @returns {any[]}
+ */
+function getAbi(name) {
+  return loadArtifact(name).abi;
+}
+
+/**
+ * Extract a readable revert reason from a provider error
+ * @param {Error} error
+ * @returns {string}
+ */
+function revertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  const match = /reverted with reason string '(.*)'/.exec(error.message || "");
+  return match ? match[1] : (error.shortMessage || error.message);
+}
+
+/**
+ * CREATE2 address of a subnet's AMM pool. SubnetAMMFactory deploys every pool from the same init code
+ * with salt keccak256(abi.encode(netuid, poolGeneration)), so the address is known before the subnet registers.
+ * The generation of a netuid goes up each time the pool of a dissolved subnet is removed.
+ * @param {string} factory SubnetAMMFactory address
+ * @param {number | bigint} netuid Subnet ID
+ * @param {number | bigint} [generation] Pool generation of the netuid (SubnetAMMFactory.poolGeneration)
+ * @returns {string}
+ */
+function computePoolAddress(factory, netuid, generation = 0) {
+  const salt = keccak256(AbiCoder.defaultAbiCoder().encode(["uint16", "uint256"], [netuid, generation]));
+  return getCreate2Address(factory, salt, keccak256(loadArtifact("SubnetAMM").bytecode));
+}
+
+module.exports = {
+  ARTIFACT_PATHS,
+  BYTECODE_FIELDS,
+  ABI_DIR,
+  loadArtifact,
+  getAbi,
+  revertReason,
+  computePoolAddress
+};
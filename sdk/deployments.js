@@ -0,0 +1,268 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { getAddress, isAddress, keccak256, toUtf8Bytes } = require("ethers");
+const { getAbi } = require("./contracts");
+
+/**
+ * Deployment registry.
+ *
+ * Every deployment is an immutable, versioned address book stored at
+ * deployments/<network>/v<version>.json. Versions count up from 1 per network and
+ * `getDeployment(network)` resolves the newest one.
+ */
+
+const SCHEMA_VERSION = 1;
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+
+const VERSION_FILE = /^v(\d+)\.json$/;
+
+/**
+ * @typedef {Object} ContractDeployment
+ * @property {string} contractName Artifact name, e.g. "SubnetManager"
+ * @property {string} address Checksummed contract address
+ * @property {string | null} txHash Transaction that created the contract (null when unknown)
+ * @property {string} abiHash keccak256 of the ABI JSON the deployment was made with
+ */
+
+/**
+ * @typedef {Object} Deployment
+ * @property {number} schemaVersion Registry schema version
+ * @property {string} network Hardhat network name
+ * @property {number} chainId Chain ID
+ * @property {number} [version] Registry version (assigned by {@link saveDeployment})
+ * @property {number} blockNumber Block number when the deployment was recorded
+ * @property {string} timestamp ISO timestamp
+ * @property {string | null} gitCommit Commit of the deployed sources
+ * @property {string} deployer Deployer address
+ * @property {string} systemAddress System address wired into the contracts
+ * @property {Object<string, ContractDeployment>} contracts Contracts by role (hetuToken, subnetManager, ...)
+ * @property {Object} metadata Script specific extras (gas used, parameters, ...)
+ */
+
+function resolveDir(dir) {
+  return dir || process.env.HETU_DEPLOYMENTS_DIR || DEFAULT_DEPLOYMENTS_DIR;
+}
+
+/**
+ * Hash a contract ABI so address books can be checked against the current artifacts
+ * @param {string} contractName Artifact name
+ * @returns {string}
+ */
+function abiHash(contractName) {
+  return keccak256(toUtf8Bytes(JSON.stringify(getAbi(contractName))));
+}
+
+function currentGitCommit() {
+  try {
+    return execSync("git rev-parse HEAD", {
+      cwd: path.join(__dirname, ".."),
+      stdio: ["ignore", "pipe", "ignore"]
+    }).toString().trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check a deployment record against the registry schema
+ * @param {Deployment} deployment
+ * @returns {Deployment} The same record
+ */
+function validateDeployment(deployment) {
+  if (!deployment || typeof deployment !== "object") {
+    throw new Error("Deployment: record must be an object");
+  }
+  if (deployment.schemaVersion !== SCHEMA_VERSION) {
+    throw new Error(`Deployment: unsupported schemaVersion ${deployment.schemaVersion}, expected ${SCHEMA_VERSION}`);
+  }
+  for (const key of ["network", "timestamp", "deployer", "systemAddress"]) {
+    if (!deployment[key]) {
+      throw new Error(`Deployment: missing ${key}`);
+    }
+  }
+  for (const key of ["chainId", "blockNumber"]) {
+    if (!Number.isInteger(deployment[key])) {
+      throw new Error(`Deployment: ${key} must be an integer`);
+    }
+  }
+  if (!deployment.contracts || Object.keys(deployment.contracts).length === 0) {
+    throw new Error("Deployment: no contracts recorded");
+  }
+  for (const [name, entry] of Object.entries(deployment.contracts)) {
+    if (!entry || !isAddress(entry.address)) {
+      throw new Error(`Deployment: ${name} has no valid address`);
+    }
+    if (!entry.contractName || !entry.abiHash) {
+      throw new Error(`Deployment: ${name} is missing contractName or abiHash`);
+    }
+  }
+  return deployment;
+}
+
+/**
+ * Build a deployment record for the current chain state
+ * @param {Object} params
+ * @param {import("ethers").Provider} params.provider Provider of the target chain
+ * @param {string} params.network Hardhat network name
+ * @param {string} params.deployer Deployer address
+ * @param {string} params.systemAddress System address
+ * @param {Object<string, {contractName: string, address: string, txHash?: string}>} params.contracts Contracts by role
+ * @param {Object} [params.metadata] Script specific extras
+ * @returns {Promise<Deployment>}
+ */
+async function buildDeployment({ provider, network, deployer, systemAddress, contracts, metadata = {} }) {
+  const [chain, blockNumber] = await Promise.all([provider.getNetwork(), provider.getBlockNumber()]);
+
+  const entries = {};
+  for (const [name, { contractName, address, txHash }] of Object.entries(contracts)) {
+    entries[name] = {
+      contractName,
+      address: getAddress(address),
+      txHash: txHash || null,
+      abiHash: abiHash(contractName)
+    };
+  }
+
+  return validateDeployment({
+    schemaVersion: SCHEMA_VERSION,
+    network,
+    chainId: Number(chain.chainId),
+    blockNumber,
+    timestamp: new Date().toISOString(),
+    gitCommit: currentGitCommit(),
+    deployer: getAddress(deployer),
+    systemAddress: getAddress(systemAddress),
+    contracts: entries,
+    metadata
+  });
+}
+
+/**
+ * List the recorded versions of a network, oldest first
+ * @param {string} network Network name
+ * @param {Object} [options]
+ * @param {string} [options.dir] Registry directory (defaults to HETU_DEPLOYMENTS_DIR or deployments/)
+ * @returns {number[]}
+ */
+function listVersions(network, { dir } = {}) {
+  const networkDir = path.join(resolveDir(dir), network);
+  if (!fs.existsSync(networkDir)) {
+    return [];
+  }
+  return fs.readdirSync(networkDir)
+    .map((file) => VERSION_FILE.exec(file))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Path of a deployment version in the registry
+ * @param {string} network Network name
+ * @param {number} version Registry version
+ * @param {Object} [options]
+ * @param {string} [options.dir] Registry directory
+ * @returns {string}
+ */
+function deploymentPath(network, version, { dir } = {}) {
+  return path.join(resolveDir(dir), network, `v${version}.json`);
+}
+
+/**
+ * Read and validate a deployment file
+ * @param {string} file Path to a deployment record
+ * @returns {Deployment}
+ */
+function readDeployment(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Deployment: file ${file} not found`);
+  }
+  return validateDeployment(JSON.parse(fs.readFileSync(file, "utf8")));
+}
+
+/**
+ * Look up a deployment in the registry
+ * @param {string} network Network name
+ * @param {Object} [options]
+ * @param {number | "latest"} [options.version] Registry version (defaults to the newest)
+ * @param {string} [options.dir] Registry directory
+ * @returns {Deployment}
+ */
+function getDeployment(network, { version = "latest", dir } = {}) {
+  const versions = listVersions(network, { dir });
+  if (versions.length === 0) {
+    throw new Error(`Deployment: no deployments recorded for ${network} in ${resolveDir(dir)}`);
+  }
+
+  const resolved = version === "latest" ? versions[versions.length - 1] : Number(version);
+  if (!versions.includes(resolved)) {
+    throw new Error(`Deployment: ${network} has no version ${version} (available: ${versions.join(", ")})`);
+  }
+  return readDeployment(deploymentPath(network, resolved, { dir }));
+}
+
+/**
+ * Store a deployment as the next version of its network
+ * @param {Deployment} deployment Record from {@link buildDeployment}
+ * @param {Object} [options]
+ * @param {string} [options.dir] Registry directory
+ * @returns {{ deployment: Deployment, file: string }}
+ */
+function saveDeployment(deployment, { dir } = {}) {
+  validateDeployment(deployment);
+
+  const versions = listVersions(deployment.network, { dir });
+  const version = versions.length === 0 ? 1 : versions[versions.length - 1] + 1;
+  const record = { ...deployment, version };
+  const file = deploymentPath(deployment.network, version, { dir });
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // "wx" refuses to overwrite, so a concurrent save cannot clobber an existing version
+  fs.writeFileSync(file, JSON.stringify(record, null, 2), { flag: "wx" });
+  return { deployment: record, file };
+}
+
+/**
+ * Map contract roles to addresses
+ * @param {Deployment} deployment
+ * @returns {Object<string, string>}
+ */
+function addressBook(deployment) {
+  return Object.fromEntries(
+    Object.entries(deployment.contracts).map(([name, entry]) => [name, entry.address])
+  );
+}
+
+/**
+ * Check that a deployment belongs to the provider's chain and that its contracts have code
+ * @param {Deployment} deployment
+ * @param {import("ethers").Provider} provider
+ */
+async function verifyDeployment(deployment, provider) {
+  const { chainId } = await provider.getNetwork();
+  if (Number(chainId) !== deployment.chainId) {
+    throw new Error(`Deployment: recorded for chain ${deployment.chainId} but connected to chain ${chainId}`);
+  }
+  for (const [name, entry] of Object.entries(deployment.contracts)) {
+    if ((await provider.getCode(entry.address)) === "0x") {
+      throw new Error(`Deployment: no contract code for ${name} at ${entry.address}`);
+    }
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  DEFAULT_DEPLOYMENTS_DIR,
+  abiHash,
+  validateDeployment,
+  buildDeployment,
+  listVersions,
+  deploymentPath,
+  readDeployment,
+  getDeployment,
+  saveDeployment,
+  addressBook,
+  verifyDeployment
+};
@@ -0,0 +1,288 @@
+/**
+ * Subnet hyperparameters: the DefaultHyperparams presets and validation rules, and a builder for
+ * SubnetManager.registerNetworkWithPartialCustom.
+ *
+ * The contract takes a full SubnetHyperparams struct plus a bool[21] array saying which fields
+ * replace the defaults, and only reverts with INVALID_MERGED_HYPERPARAMS when the merged set breaks
+ * a rule. The builder takes named fields, derives the flags and reports every broken rule per field.
+ */
+
+// SubnetHyperparams fields in struct order (the order of useCustomFlags)
+const HYPERPARAM_FIELDS = [
+  ["rho", "uint16"],
+  ["kappa", "uint16"],
+  ["immunityPeriod", "uint16"],
+  ["tempo", "uint16"],
+  ["maxValidators", "uint16"],
+  ["activityCutoff", "uint16"],
+  ["maxAllowedUids", "uint16"],
+  ["maxAllowedValidators", "uint16"],
+  ["minAllowedWeights", "uint16"],
+  ["maxWeightsLimit", "uint16"],
+  ["baseNeuronCost", "uint256"],
+  ["currentDifficulty", "uint64"],
+  ["targetRegsPerInterval", "uint16"],
+  ["maxRegsPerBlock", "uint16"],
+  ["weightsRateLimit", "uint64"],
+  ["registrationAllowed", "bool"],
+  ["commitRevealEnabled", "bool"],
+  ["commitRevealPeriod", "uint64"],
+  ["servingRateLimit", "uint64"],
+  ["validatorThreshold", "uint256"],
+  ["neuronThreshold", "uint256"]
+];
+
+const HYPERPARAM_KEYS = HYPERPARAM_FIELDS.map(([name]) => name);
+const FIELD_TYPES = Object.fromEntries(HYPERPARAM_FIELDS);
+
+const ETHER = 10n ** 18n;
+
+/**
+ * @typedef {Object<string, bigint | boolean>} Hyperparams
+ * SubnetHyperparams by field name; uint fields are bigints
+ */
+
+/**
+ * @typedef {Object} HyperparamError
+ * @property {string} field Field that breaks the rule
+ * @property {string} message Rule description
+ */
+
+// DefaultHyperparams.getDefaultHyperparams()
+const DEFAULT_HYPERPARAMS = Object.freeze({
+  rho: 10n,
+  kappa: 32767n,
+  immunityPeriod: 7200n,
+  tempo: 99n,
+  maxValidators: 64n,
+  activityCutoff: 5000n,
+  maxAllowedUids: 4096n,
+  maxAllowedValidators: 128n,
+  minAllowedWeights: 8n,
+  maxWeightsLimit: 1000n,
+  baseNeuronCost: 1n * ETHER,
+  currentDifficulty: 10000000n,
+  targetRegsPerInterval: 2n,
+  maxRegsPerBlock: 1n,
+  weightsRateLimit: 10000n,
+  registrationAllowed: true,
+  commitRevealEnabled: false,
+  commitRevealPeriod: 1000n,
+  servingRateLimit: 50n,
+  validatorThreshold: 500n * ETHER,
+  neuronThreshold: 200n * ETHER
+});
+
+/**
+ * Presets mirroring DefaultHyperparams.getDefaultHyperparams, getTestnetHyperparams and
+ * getHighPerformanceHyperparams
+ */
+const HYPERPARAM_PRESETS = Object.freeze({
+  default: DEFAULT_HYPERPARAMS,
+  testnet: Object.freeze({
+    ...DEFAULT_HYPERPARAMS,
+    baseNeuronCost: ETHER / 10n,
+    validatorThreshold: 10n,
+    neuronThreshold: 1n,
+    immunityPeriod: 100n,
+    maxValidators: 16n,
+    tempo: 50n
+  }),
+  highPerformance: Object.freeze({
+    ...DEFAULT_HYPERPARAMS,
+    maxValidators: 128n,
+    maxAllowedUids: 8192n,
+    validatorThreshold: 5000n,
+    neuronThreshold: 500n,
+    tempo: 200n
+  })
+});
+
+class HyperparamsError extends Error {
+  /**
+   * @param {HyperparamError[]} errors
+   */
+  constructor(errors) {
+    super(`Invalid hyperparameters: ${errors.map(({ field, message }) => `${field} ${message}`).join("; ")}`);
+    this.name = "HyperparamsError";
+    this.errors = errors;
+  }
+}
+
+/**
+ * Convert a field value to its ABI representation (bigint or boolean)
+ * @param {string} field
+ * @param {*} value
+ * @returns {bigint | boolean}
+ */
+function normalizeValue(field, value) {
+  const type = FIELD_TYPES[field];
+  if (!type) {
+    throw new Error(`Unknown hyperparameter: ${field}`);
+  }
+  if (type === "bool") {
+    if (typeof value !== "boolean") {
+      throw new HyperparamsError([{ field, message: "must be a boolean" }]);
+    }
+    return value;
+  }
+  try {
+    return BigInt(value);
+  } catch {
+    throw new HyperparamsError([{ field, message: `must be an integer, got ${value}` }]);
+  }
+}
+
+/**
+ * Check a full hyperparameter set against the rules of DefaultHyperparams.validateHyperparams,
+ * plus the ranges of the struct field types
+ * @param {Hyperparams} params
+ * @returns {HyperparamError[]} Empty when the contract accepts the set
+ */
+function validateHyperparams(params) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  const p = params;
+
+  for (const [field, type] of HYPERPARAM_FIELDS) {
+    if (type === "bool") {
+      if (typeof p[field] !== "boolean") fail(field, "must be a boolean");
+      continue;
+    }
+    const max = (1n << BigInt(type.slice(4))) - 1n;
+    if (typeof p[field] !== "bigint" || p[field] < 0n || p[field] > max) {
+      fail(field, `must be a ${type} (0 - ${max})`);
+    }
+  }
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  // Core parameters
+  if (p.rho === 0n || p.rho > 1000n) fail("rho", "must be between 1 and 1000");
+  if (p.kappa === 0n) fail("kappa", "must be greater than 0");
+  if (p.immunityPeriod === 0n || p.immunityPeriod > 100000n) fail("immunityPeriod", "must be between 1 and 100000");
+  if (p.tempo === 0n || p.tempo > 10000n) fail("tempo", "must be between 1 and 10000");
+  if (p.maxValidators === 0n || p.maxValidators > p.maxAllowedValidators) {
+    fail("maxValidators", `must be between 1 and maxAllowedValidators (${p.maxAllowedValidators})`);
+  }
+  if (p.activityCutoff === 0n || p.activityCutoff > 50000n) fail("activityCutoff", "must be between 1 and 50000");
+  if (p.maxAllowedUids === 0n || p.maxAllowedUids > 65535n) fail("maxAllowedUids", "must be between 1 and 65535");
+  if (p.maxAllowedValidators === 0n || p.maxAllowedValidators > 1000n) {
+    fail("maxAllowedValidators", "must be between 1 and 1000");
+  }
+  if (p.minAllowedWeights === 0n || p.minAllowedWeights > p.maxWeightsLimit) {
+    fail("minAllowedWeights", `must be between 1 and maxWeightsLimit (${p.maxWeightsLimit})`);
+  }
+  if (p.maxWeightsLimit === 0n || p.maxWeightsLimit > 10000n) fail("maxWeightsLimit", "must be between 1 and 10000");
+  if (p.weightsRateLimit <= p.immunityPeriod) {
+    fail("weightsRateLimit", `must be greater than immunityPeriod (${p.immunityPeriod})`);
+  }
+
+  // Economic parameters
+  if (p.baseNeuronCost === 0n) fail("baseNeuronCost", "must be greater than 0");
+  if (p.currentDifficulty === 0n) fail("currentDifficulty", "must be greater than 0");
+  if (p.targetRegsPerInterval === 0n || p.targetRegsPerInterval > 100n) {
+    fail("targetRegsPerInterval", "must be between 1 and 100");
+  }
+  if (p.maxRegsPerBlock === 0n || p.maxRegsPerBlock > 10n) fail("maxRegsPerBlock", "must be between 1 and 10");
+  if (p.weightsRateLimit === 0n || p.weightsRateLimit > 10000n) fail("weightsRateLimit", "must be between 1 and 10000");
+
+  // Governance parameters
+  if (p.commitRevealPeriod === 0n || p.commitRevealPeriod > 10000n) {
+    fail("commitRevealPeriod", "must be between 1 and 10000");
+  }
+  if (p.servingRateLimit === 0n || p.servingRateLimit > 1000n) fail("servingRateLimit", "must be between 1 and 1000");
+  if (p.validatorThreshold < p.neuronThreshold) {
+    fail("validatorThreshold", `must be at least neuronThreshold (${p.neuronThreshold})`);
+  }
+  if (p.neuronThreshold === 0n) fail("neuronThreshold", "must be greater than 0");
+
+  return errors;
+}
+
+/**
+ * Fields that differ between two hyperparameter sets
+ * @param {Hyperparams} from Current values (a SubnetHyperparams call result works too)
+ * @param {Hyperparams} to New values
+ * @returns {{ field: string, from: bigint | boolean, to: bigint | boolean }[]} In struct order
+ */
+function diffHyperparams(from, to) {
+  return HYPERPARAM_KEYS
+    .filter((key) => from[key] !== to[key])
+    .map((key) => ({ field: key, from: from[key], to: to[key] }));
+}
+
+/**
+ * @title HyperparamsBuilder
+ * @dev Named-field builder for registerNetworkWithPartialCustom. Fields that differ from the
+ * contract defaults are flagged as custom; the rest keep the on-chain defaults.
+ */
+class HyperparamsBuilder {
+  /**
+   * @param {"default" | "testnet" | "highPerformance"} [preset] Starting values
+   */
+  constructor(preset = "default") {
+    if (!HYPERPARAM_PRESETS[preset]) {
+      throw new Error(`Unknown hyperparameter preset: ${preset} (expected ${Object.keys(HYPERPARAM_PRESETS).join(", ")})`);
+    }
+    this.preset = preset;
+    this.values = { ...HYPERPARAM_PRESETS[preset] };
+  }
+
+  /**
+   * Set one field, or several from an object
+   * @param {string | Object} field Field name, or an object of field values
+   * @param {*} [value]
+   * @returns {HyperparamsBuilder}
+   */
+  set(field, value) {
+    const entries = typeof field === "object" ? Object.entries(field) : [[field, value]];
+    for (const [name, v] of entries) {
+      this.values[name] = normalizeValue(name, v);
+    }
+    return this;
+  }
+
+  /**
+   * The merged hyperparameters the subnet will get
+   * @returns {Hyperparams}
+   */
+  toObject() {
+    return { ...this.values };
+  }
+
+  /**
+   * @returns {HyperparamError[]}
+   */
+  validate() {
+    return validateHyperparams(this.values);
+  }
+
+  /**
+   * Arguments for registerNetworkWithPartialCustom
+   * @returns {{ customHyperparams: Hyperparams, useCustomFlags: boolean[] }}
+   * @throws {HyperparamsError} When the merged set breaks a contract rule
+   */
+  build() {
+    const errors = this.validate();
+    if (errors.length > 0) {
+      throw new HyperparamsError(errors);
+    }
+    return {
+      customHyperparams: this.toObject(),
+      useCustomFlags: HYPERPARAM_KEYS.map((key) => this.values[key] !== DEFAULT_HYPERPARAMS[key])
+    };
+  }
+}
+
+module.exports = {
+  HYPERPARAM_FIELDS,
+  HYPERPARAM_KEYS,
+  DEFAULT_HYPERPARAMS,
+  HYPERPARAM_PRESETS,
+  HyperparamsError,
+  HyperparamsBuilder,
+  validateHyperparams,
+  diffHyperparams
+};
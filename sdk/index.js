@@ -0,0 +1,49 @@
+const { HetuClient } = require("./HetuClient");
+const { loadArtifact, getAbi, computePoolAddress } = require("./contracts");
+const deployments = require("./deployments");
+const { HetuIndexer, JsonFileStore } = require("./indexer");
+const metagraph = require("./metagraph");
+const { BatchReader, MULTICALL3_ADDRESS, ensureMulticall3 } = require("./multicall");
+const { MetricsExporter, collectMetrics, renderPrometheus } = require("./metrics");
+const { AmmSimulator, MECHANISM } = require("./simulator");
+const { EpochRunner, previewDistribution } = require("./rewards");
+const { LockCostForecaster, lockCostAt, plotLockCost } = require("./lockcost");
+const hyperparams = require("./hyperparams");
+
+module.exports = {
+  HetuClient,
+  HetuIndexer,
+  JsonFileStore,
+  BatchReader,
+  MULTICALL3_ADDRESS,
+  ensureMulticall3,
+  MetricsExporter,
+  collectMetrics,
+  renderPrometheus,
+  AmmSimulator,
+  MECHANISM,
+  EpochRunner,
+  previewDistribution,
+  LockCostForecaster,
+  lockCostAt,
+  plotLockCost,
+  HyperparamsBuilder: hyperparams.HyperparamsBuilder,
+  HyperparamsError: hyperparams.HyperparamsError,
+  HYPERPARAM_PRESETS: hyperparams.HYPERPARAM_PRESETS,
+  DEFAULT_HYPERPARAMS: hyperparams.DEFAULT_HYPERPARAMS,
+  validateHyperparams: hyperparams.validateHyperparams,
+  diffHyperparams: hyperparams.diffHyperparams,
+  loadArtifact,
+  getAbi,
+  computePoolAddress,
+  getDeployment: deployments.getDeployment,
+  saveDeployment: deployments.saveDeployment,
+  buildDeployment: deployments.buildDeployment,
+  readDeployment: deployments.readDeployment,
+  listVersions: deployments.listVersions,
+  addressBook: deployments.addressBook,
+  verifyDeployment: deployments.verifyDeployment,
+  buildMetagraph: metagraph.buildMetagraph,
+  formatMetagraph: metagraph.formatMetagraph,
+  diffMetagraphs: metagraph.diffMetagraphs
+};
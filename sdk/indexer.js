@@ -0,0 +1,592 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface } = require("ethers");
+const { getAbi } = require("./contracts");
+const { addressBook } = require("./deployments");
+
+/**
+ * Event indexer for SubnetManager, NeuronManager and GlobalStaking.
+ *
+ * The store keeps the raw event log plus the state derived from it. State is only ever
+ * produced by reducing events in (blockNumber, logIndex) order, so a reorg is handled by
+ * dropping the orphaned events and replaying the rest.
+ */
+
+const STORE_VERSION = 1;
+
+// Contracts and events the indexer follows; everything else is ignored
+const SOURCES = {
+  subnetManager: {
+    contractName: "SubnetManager",
+    events: ["NetworkRegistered", "SubnetActivated", "SubnetDeactivated", "SubnetDissolved", "SubnetOwnershipTransferred"]
+  },
+  neuronManager: {
+    contractName: "NeuronManager",
+    events: ["NeuronRegistered", "NeuronDeregistered", "ServiceUpdated", "StakeAllocationChanged", "ValidatorStatusChanged"]
+  },
+  globalStaking: {
+    contractName: "GlobalStaking",
+    events: ["GlobalStakeAdded", "GlobalStakeRemoved", "SubnetAllocationChanged", "RegistrationCost", "RegistrationCostSettled",
+      "WithdrawalCancelled"]
+  }
+};
+
+/**
+ * @typedef {Object} IndexedEvent
+ * @property {string} source Contract role (subnetManager, neuronManager, globalStaking)
+ * @property {string} name Event name
+ * @property {Object} args Decoded arguments (bigints as decimal strings)
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * @typedef {Object} IndexerState
+ * @property {Object<string, Object>} subnets Subnets by netuid
+ * @property {Object<string, Object>} neurons Active neurons by "<netuid>:<account>"
+ * @property {Object<string, Object>} stakes Stake bookkeeping by account, mirroring GlobalStaking.StakeInfo
+ */
+
+function emptyState() {
+  return { subnets: {}, neurons: {}, stakes: {} };
+}
+
+function emptyStore() {
+  return { version: STORE_VERSION, chainId: null, addresses: null, checkpoint: null, blockHashes: {}, events: [], state: emptyState() };
+}
+
+// Convert decoded ethers values into JSON friendly values
+function toPlain(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+function decodeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, i) => {
+    const value = args[i];
+    result[input.name] = value && typeof value.toObject === "function" ? toPlain(value.toObject()) : toPlain(value);
+  });
+  return result;
+}
+
+function neuronKey(netuid, account) {
+  return `${netuid}:${account}`;
+}
+
+function stakeOf(state, account) {
+  if (!state.stakes[account]) {
+    state.stakes[account] = { totalStaked: "0", totalAllocated: "0", totalCost: "0", allocations: {} };
+  }
+  return state.stakes[account];
+}
+
+function allocationOf(stake, netuid) {
+  if (!stake.allocations[netuid]) {
+    stake.allocations[netuid] = { allocated: "0", cost: "0" };
+  }
+  return stake.allocations[netuid];
+}
+
+function add(a, b) {
+  return (BigInt(a) + BigInt(b)).toString();
+}
+
+function sub(a, b) {
+  return (BigInt(a) - BigInt(b)).toString();
+}
+
+/**
+ * Apply one event to the state (mutates and returns `state`)
+ * @param {IndexerState} state
+ * @param {IndexedEvent} event
+ * @returns {IndexerState}
+ */
+function applyEvent(state, event) {
+  const { args } = event;
+
+  switch (event.name) {
+    case "NetworkRegistered":
+      state.subnets[args.netuid] = {
+        netuid: Number(args.netuid),
+        owner: args.owner,
+        name: args.name,
+        alphaToken: args.alphaToken,
+        ammPool: args.ammPool,
+        lockedAmount: args.lockedAmount,
+        poolAmount: args.poolAmount,
+        burnedAmount: args.burnedAmount,
+        hyperparams: args.hyperparams,
+        isActive: false,
+        registeredBlock: event.blockNumber,
+        activatedBlock: null
+      };
+      break;
+
+    case "SubnetActivated":
+      if (state.subnets[args.netuid]) {
+        state.subnets[args.netuid].isActive = true;
+        state.subnets[args.netuid].activatedBlock = event.blockNumber;
+      }
+      break;
+
+    case "SubnetDeactivated":
+      if (state.subnets[args.netuid]) {
+        state.subnets[args.netuid].isActive = false;
+      }
+      break;
+
+    case "SubnetDissolved":
+      // The netuid is free again; its neurons leave through NeuronDeregistered events
+      delete state.subnets[args.netuid];
+      break;
+
+    case "SubnetOwnershipTransferred":
+      if (state.subnets[args.netuid]) {
+        state.subnets[args.netuid].owner = args.newOwner;
+      }
+      break;
+
+    case "NeuronRegistered":
+      state.neurons[neuronKey(args.netuid, args.account)] = {
+        netuid: Number(args.netuid),
+        account: args.account,
+        stake: args.stake,
+        isValidator: args.isValidator,
+        requestedValidatorRole: args.requestedValidatorRole,
+        axonEndpoint: args.axonEndpoint,
+        axonPort: Number(args.axonPort),
+        prometheusEndpoint: args.prometheusEndpoint,
+        prometheusPort: Number(args.prometheusPort),
+        registeredBlock: event.blockNumber,
+        lastUpdateBlock: event.blockNumber
+      };
+      break;
+
+    case "NeuronDeregistered":
+      delete state.neurons[neuronKey(args.netuid, args.account)];
+      break;
+
+    case "ServiceUpdated": {
+      const neuron = state.neurons[neuronKey(args.netuid, args.account)];
+      if (neuron) {
+        neuron.axonEndpoint = args.axonEndpoint;
+        neuron.axonPort = Number(args.axonPort);
+        neuron.prometheusEndpoint = args.prometheusEndpoint;
+        neuron.prometheusPort = Number(args.prometheusPort);
+        neuron.lastUpdateBlock = event.blockNumber;
+      }
+      break;
+    }
+
+    case "StakeAllocationChanged": {
+      const neuron = state.neurons[neuronKey(args.netuid, args.account)];
+      if (neuron) {
+        neuron.stake = args.newStake;
+        neuron.lastUpdateBlock = event.blockNumber;
+      }
+      break;
+    }
+
+    case "ValidatorStatusChanged": {
+      const neuron = state.neurons[neuronKey(args.netuid, args.account)];
+      if (neuron) {
+        neuron.isValidator = args.isValidator;
+        neuron.lastUpdateBlock = event.blockNumber;
+      }
+      break;
+    }
+
+    case "GlobalStakeAdded": {
+      const stake = stakeOf(state, args.user);
+      stake.totalStaked = add(stake.totalStaked, args.amount);
+      break;
+    }
+
+    case "GlobalStakeRemoved": {
+      const stake = stakeOf(state, args.user);
+      stake.totalStaked = sub(stake.totalStaked, args.amount);
+      break;
+    }
+
+    case "WithdrawalCancelled": {
+      // A cancelled withdrawal is staked again
+      const stake = stakeOf(state, args.user);
+      stake.totalStaked = add(stake.totalStaked, args.amount);
+      break;
+    }
+
+    case "SubnetAllocationChanged": {
+      const stake = stakeOf(state, args.user);
+      const allocation = allocationOf(stake, args.netuid);
+      stake.totalAllocated = add(sub(stake.totalAllocated, args.oldAmount), args.newAmount);
+      allocation.allocated = args.newAmount;
+      break;
+    }
+
+    case "RegistrationCost": {
+      const stake = stakeOf(state, args.user);
+      const allocation = allocationOf(stake, args.netuid);
+      stake.totalCost = add(stake.totalCost, args.cost);
+      allocation.cost = add(allocation.cost, args.cost);
+      break;
+    }
+
+    case "RegistrationCostSettled": {
+      // The refunded part returns to the stake, the rest has left GlobalStaking
+      const stake = stakeOf(state, args.user);
+      const allocation = allocationOf(stake, args.netuid);
+      stake.totalCost = sub(stake.totalCost, args.cost);
+      stake.totalStaked = sub(stake.totalStaked, sub(args.cost, args.refunded));
+      allocation.cost = "0";
+      break;
+    }
+  }
+  return state;
+}
+
+/**
+ * Rebuild state from an ordered event log
+ * @param {IndexedEvent[]} events
+ * @returns {IndexerState}
+ */
+function reduceEvents(events) {
+  return events.reduce(applyEvent, emptyState());
+}
+
+/**
+ * @title JsonFileStore
+ * @dev Persists the indexer store as one JSON file, replaced atomically on every save
+ */
+class JsonFileStore {
+  /**
+   * @param {string} file Path of the JSON store
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(this.file, "utf8"));
+  }
+
+  save(data) {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+/**
+ * @title HetuIndexer
+ * @dev Replays subnet, neuron and stake events into a local store, resuming from the
+ * last checkpoint and rolling back when a reorg replaces indexed blocks
+ */
+class HetuIndexer {
+  /**
+   * @param {Object} config
+   * @param {import("ethers").Provider} config.provider
+   * @param {{ subnetManager: string, neuronManager: string, globalStaking: string }} config.addresses
+   * @param {{ load: Function, save: Function }} config.store Store such as {@link JsonFileStore}
+   * @param {number} [config.startBlock] First block to index when the store is empty
+   * @param {number} [config.batchSize] Blocks per getLogs request
+   * @param {number} [config.confirmations] Blocks to stay behind the chain head
+   * @param {number} [config.reorgDepth] Number of recent blocks whose hashes are kept for reorg detection
+   */
+  constructor({ provider, addresses, store, startBlock = 0, batchSize = 2000, confirmations = 0, reorgDepth = 64 }) {
+    if (!provider) {
+      throw new Error("HetuIndexer: provider is required");
+    }
+    if (!store) {
+      throw new Error("HetuIndexer: store is required");
+    }
+
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+
+    this.sources = {};
+    for (const [role, { contractName, events }] of Object.entries(SOURCES)) {
+      if (!addresses || !addresses[role]) {
+        throw new Error(`HetuIndexer: missing address for ${role}`);
+      }
+      this.sources[addresses[role].toLowerCase()] = {
+        role,
+        address: addresses[role],
+        iface: new Interface(getAbi(contractName)),
+        events: new Set(events)
+      };
+    }
+    this.addresses = Object.fromEntries(Object.keys(SOURCES).map((role) => [role, addresses[role]]));
+
+    this.data = null;
+    this._timer = null;
+  }
+
+  /**
+   * Create an indexer for a deployment registry record, starting at the recorded block
+   * @param {import("./deployments").Deployment} deployment
+   * @param {import("ethers").Provider} provider
+   * @param {Object} options Remaining {@link HetuIndexer} options (store is required)
+   * @returns {HetuIndexer}
+   */
+  static fromDeployment(deployment, provider, options) {
+    return new HetuIndexer({
+      provider,
+      addresses: addressBook(deployment),
+      startBlock: deployment.blockNumber,
+      ...options
+    });
+  }
+
+  /**
+   * Current derived state
+   * @returns {IndexerState}
+   */
+  get state() {
+    return this._load().state;
+  }
+
+  /**
+   * Last indexed block, or null before the first sync
+   * @returns {{ blockNumber: number, blockHash: string } | null}
+   */
+  get checkpoint() {
+    return this._load().checkpoint;
+  }
+
+  /**
+   * Indexed events in chain order
+   * @returns {IndexedEvent[]}
+   */
+  get events() {
+    return this._load().events;
+  }
+
+  getSubnet(netuid) {
+    return this.state.subnets[netuid] || null;
+  }
+
+  getNeuron(netuid, account) {
+    return this.state.neurons[neuronKey(netuid, account)] || null;
+  }
+
+  getNeurons(netuid) {
+    return Object.values(this.state.neurons).filter((n) => n.netuid === Number(netuid));
+  }
+
+  getStake(account) {
+    return this.state.stakes[account] || null;
+  }
+
+  /**
+   * Index everything up to `toBlock` (defaults to head minus confirmations)
+   * @param {Object} [options]
+   * @param {number} [options.toBlock]
+   * @returns {Promise<{ fromBlock: number, toBlock: number, events: number, reorg: { from: number, to: number } | null }>}
+   */
+  async sync({ toBlock } = {}) {
+    const data = this._load();
+    const { chainId } = await this.provider.getNetwork();
+    this._checkIdentity(data, Number(chainId));
+
+    const reorg = await this._handleReorg(data);
+
+    const head = await this.provider.getBlockNumber();
+    const target = Math.min(toBlock ?? head, head - this.confirmations);
+    const fromBlock = data.checkpoint ? data.checkpoint.blockNumber + 1 : this.startBlock;
+    let indexed = 0;
+
+    for (let start = fromBlock; start <= target; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, target);
+      const logs = await this.provider.getLogs({
+        address: Object.values(this.addresses),
+        fromBlock: start,
+        toBlock: end
+      });
+
+      for (const log of logs) {
+        const event = this._decode(log);
+        if (!event) {
+          continue;
+        }
+        data.events.push(event);
+        applyEvent(data.state, event);
+        data.blockHashes[event.blockNumber] = event.blockHash;
+        indexed++;
+      }
+
+      const block = await this.provider.getBlock(end);
+      data.checkpoint = { blockNumber: end, blockHash: block.hash };
+      data.blockHashes[end] = block.hash;
+      this._pruneBlockHashes(data);
+      this.store.save(data);
+    }
+
+    return { fromBlock, toBlock: Math.max(target, fromBlock - 1), events: indexed, reorg };
+  }
+
+  /**
+   * Keep syncing every `intervalMs` until {@link stop} is called
+   * @param {number} [intervalMs]
+   * @param {Function} [onError] Called with sync errors; the loop keeps running
+   */
+  start(intervalMs = 2000, onError = () => {}) {
+    if (this._timer) {
+      return;
+    }
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        onError(error);
+      }
+      if (this._timer) {
+        this._timer = setTimeout(tick, intervalMs);
+      }
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Drop every event after `blockNumber` and rebuild state from the remaining log
+   * @param {number} blockNumber Last block to keep
+   * @param {string | null} blockHash Hash of that block on the canonical chain
+   */
+  rollback(blockNumber, blockHash) {
+    const data = this._load();
+    data.events = data.events.filter((e) => e.blockNumber <= blockNumber);
+    data.blockHashes = Object.fromEntries(
+      Object.entries(data.blockHashes).filter(([number]) => Number(number) <= blockNumber)
+    );
+    data.state = reduceEvents(data.events);
+    data.checkpoint = blockNumber < this.startBlock ? null : { blockNumber, blockHash };
+    this.store.save(data);
+  }
+
+  // ============ Internal Functions ============
+
+  _load() {
+    if (!this.data) {
+      this.data = this.store.load() || emptyStore();
+      if (this.data.version !== STORE_VERSION) {
+        throw new Error(`HetuIndexer: unsupported store version ${this.data.version}`);
+      }
+    }
+    return this.data;
+  }
+
+  // Refuse to mix events from another chain or deployment into an existing store
+  _checkIdentity(data, chainId) {
+    if (data.chainId === null) {
+      data.chainId = chainId;
+      data.addresses = this.addresses;
+      return;
+    }
+    if (data.chainId !== chainId) {
+      throw new Error(`HetuIndexer: store was built for chain ${data.chainId}, provider is on chain ${chainId}`);
+    }
+    for (const [role, address] of Object.entries(this.addresses)) {
+      if (data.addresses[role].toLowerCase() !== address.toLowerCase()) {
+        throw new Error(`HetuIndexer: store was built for ${role} ${data.addresses[role]}, not ${address}`);
+      }
+    }
+  }
+
+  // Find the newest tracked block that is still canonical and roll back to it
+  async _handleReorg(data) {
+    if (!data.checkpoint) {
+      return null;
+    }
+    const current = await this.provider.getBlock(data.checkpoint.blockNumber);
+    if (current && current.hash === data.checkpoint.blockHash) {
+      return null;
+    }
+
+    const tracked = Object.keys(data.blockHashes).map(Number).sort((a, b) => b - a);
+    for (const number of tracked) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === data.blockHashes[number]) {
+        const from = data.checkpoint.blockNumber;
+        this.rollback(number, block.hash);
+        return { from, to: number };
+      }
+    }
+
+    // No tracked block survived: replay from the start if the reorg reaches it, otherwise give up
+    const oldest = tracked[tracked.length - 1];
+    if (oldest === undefined || oldest - this.reorgDepth <= this.startBlock) {
+      const from = data.checkpoint.blockNumber;
+      this.rollback(this.startBlock - 1, null);
+      return { from, to: this.startBlock - 1 };
+    }
+    throw new Error(
+      `HetuIndexer: reorg deeper than the ${this.reorgDepth} tracked blocks below ${data.checkpoint.blockNumber}; rebuild the store`
+    );
+  }
+
+  // Keep hashes for the last `reorgDepth` blocks below the checkpoint
+  _pruneBlockHashes(data) {
+    const floor = data.checkpoint.blockNumber - this.reorgDepth;
+    for (const number of Object.keys(data.blockHashes)) {
+      if (Number(number) < floor) {
+        delete data.blockHashes[number];
+      }
+    }
+  }
+
+  _decode(log) {
+    const source = this.sources[log.address.toLowerCase()];
+    if (!source) {
+      return null;
+    }
+    let parsed;
+    try {
+      parsed = source.iface.parseLog(log);
+    } catch (e) {
+      return null;
+    }
+    if (!parsed || !source.events.has(parsed.name)) {
+      return null;
+    }
+    return {
+      source: source.role,
+      name: parsed.name,
+      args: decodeArgs(parsed.fragment, parsed.args),
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      logIndex: log.index
+    };
+  }
+}
+
+module.exports = {
+  SOURCES,
+  HetuIndexer,
+  JsonFileStore,
+  applyEvent,
+  reduceEvents
+};
@@ -0,0 +1,188 @@
+/**
+ * Off-chain model of SubnetManager's subnet registration cost.
+ *
+ * Mirrors `_getExactLockCost`: every registration doubles the last lock, which then decays
+ * linearly by `lastLock / lockReductionInterval` per block down to `networkMinLock`. Registrations
+ * are only accepted after `networkRateLimit` blocks have passed since the last one. Costs are
+ * bigint wei, blocks are numbers.
+ */
+
+/**
+ * @typedef {Object} LockParams
+ * @property {bigint} minLock networkMinLock
+ * @property {bigint} lastLock networkLastLock
+ * @property {number} lastLockBlock networkLastLockBlock
+ * @property {number} rateLimit networkRateLimit
+ * @property {number} reductionInterval lockReductionInterval
+ */
+
+/**
+ * @typedef {Object} LockCostForecast
+ * @property {number} block Block the registration would execute in
+ * @property {bigint} cost Lock cost charged in that block
+ * @property {boolean} rateLimited Whether the rate limit rejects a registration in that block
+ * @property {number} registrableAt First block the rate limit allows a registration in
+ * @property {boolean} atMinimum Whether the cost has decayed to networkMinLock
+ */
+
+/**
+ * Lock cost of a registration executing in `block` (same integer math as `_getExactLockCost`)
+ * @param {LockParams} params
+ * @param {number} block
+ * @returns {bigint}
+ */
+function lockCostAt({ minLock, lastLock, lastLockBlock, reductionInterval }, block) {
+  if (lastLockBlock === 0) {
+    return minLock;
+  }
+
+  let cost = lastLock * 2n;
+  if (block > lastLockBlock && reductionInterval > 0) {
+    const reduction = lastLock * BigInt(block - lastLockBlock) / BigInt(reductionInterval);
+    cost = cost > reduction ? cost - reduction : minLock;
+  }
+  return cost < minLock ? minLock : cost;
+}
+
+/**
+ * @title LockCostForecaster
+ * @dev Lock cost and rate limit of future subnet registrations, assuming nobody else registers first
+ */
+class LockCostForecaster {
+  /**
+   * @param {Object} params {@link LockParams}
+   * @param {number} [params.block] Block the parameters were read at
+   */
+  constructor({ minLock, lastLock, lastLockBlock, rateLimit, reductionInterval, block = 0 }) {
+    this.minLock = BigInt(minLock);
+    this.lastLock = BigInt(lastLock);
+    this.lastLockBlock = Number(lastLockBlock);
+    this.rateLimit = Number(rateLimit);
+    this.reductionInterval = Number(reductionInterval);
+    this.block = Number(block);
+  }
+
+  /**
+   * Load the lock parameters of a deployed SubnetManager
+   * @param {import("ethers").Contract} subnetManager SubnetManager contract
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag] Block to read at (defaults to the latest block)
+   * @returns {Promise<LockCostForecaster>}
+   */
+  static async fromSubnetManager(subnetManager, { blockTag = "latest" } = {}) {
+    const provider = subnetManager.runner.provider || subnetManager.runner;
+    const { number: block } = await provider.getBlock(blockTag);
+    const params = await subnetManager.getNetworkParams({ blockTag: block });
+    return new LockCostForecaster({
+      minLock: params.minLock,
+      lastLock: params.lastLock,
+      lastLockBlock: params.lastLockBlock,
+      rateLimit: params.rateLimit,
+      reductionInterval: params.reductionInterval,
+      block
+    });
+  }
+
+  /**
+   * First block the rate limit allows a registration in
+   * @returns {number}
+   */
+  get registrableAt() {
+    return this.lastLockBlock + this.rateLimit + 1;
+  }
+
+  /**
+   * Cost and rate limit status of a registration executing in `block`
+   * @param {number} [block] Defaults to the block after the one the parameters were read at
+   * @returns {LockCostForecast}
+   */
+  forecast(block = this.block + 1) {
+    const cost = lockCostAt(this, block);
+    return {
+      block,
+      cost,
+      rateLimited: block < this.registrableAt,
+      registrableAt: this.registrableAt,
+      atMinimum: cost === this.minLock
+    };
+  }
+
+  /**
+   * Forecasts from `fromBlock` to `toBlock` (inclusive) every `step` blocks
+   * @param {number} fromBlock
+   * @param {number} toBlock
+   * @param {number} [step]
+   * @returns {LockCostForecast[]}
+   */
+  curve(fromBlock, toBlock, step = 1) {
+    if (step <= 0) {
+      throw new Error("LockCostForecaster: step must be positive");
+    }
+    const points = [];
+    for (let block = fromBlock; block <= toBlock; block += step) {
+      points.push(this.forecast(block));
+    }
+    return points;
+  }
+
+  /**
+   * First block at or after `fromBlock` that accepts a registration costing at most `maxCost`
+   * @param {bigint} maxCost
+   * @param {number} [fromBlock] Defaults to the block after the one the parameters were read at
+   * @returns {number | null} null when the cost never gets down to maxCost (below networkMinLock, or no decay)
+   */
+  firstBlockUnder(maxCost, fromBlock = this.block + 1) {
+    maxCost = BigInt(maxCost);
+    if (maxCost < this.minLock) {
+      return null;
+    }
+
+    // The cost never increases, and it is at the minimum once the decay removed 2 * lastLock
+    let low = Math.max(fromBlock, this.registrableAt);
+    let high = Math.max(low, this.lastLockBlock + 2 * this.reductionInterval);
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if (lockCostAt(this, mid) <= maxCost) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return lockCostAt(this, low) <= maxCost ? low : null;
+  }
+}
+
+/**
+ * Render forecasts as a text chart: cost on the vertical axis, blocks on the horizontal axis.
+ * Rate limited blocks are drawn with `x`, registrable ones with `*`.
+ * @param {LockCostForecast[]} points Forecasts in block order, e.g. from {@link LockCostForecaster#curve}
+ * @param {Object} [options]
+ * @param {number} [options.height] Rows of the chart
+ * @param {Function} [options.formatCost] Label of a cost on the vertical axis (defaults to wei)
+ * @returns {string}
+ */
+function plotLockCost(points, { height = 10, formatCost = (cost) => cost.toString() } = {}) {
+  if (points.length === 0) {
+    return "";
+  }
+  const costs = points.map(({ cost }) => cost);
+  const max = costs.reduce((a, b) => (b > a ? b : a));
+  const min = costs.reduce((a, b) => (b < a ? b : a));
+  const span = max - min;
+  const rowOf = (cost) => (span === 0n ? 0 : Number((cost - min) * BigInt(height - 1) / span));
+
+  const labels = Array.from({ length: height }, (_, row) => formatCost(span === 0n ? max : min + span * BigInt(row) / BigInt(height - 1 || 1)));
+  const labelWidth = Math.max(...labels.map((label) => label.length));
+  const lines = [];
+  for (let row = height - 1; row >= 0; row--) {
+    const cells = points.map((point) => (rowOf(point.cost) === row ? (point.rateLimited ? "x" : "*") : " "));
+    lines.push(`${labels[row].padStart(labelWidth)} |${cells.join("")}`);
+  }
+  const first = String(points[0].block);
+  const last = String(points[points.length - 1].block);
+  lines.push(`${" ".repeat(labelWidth)} +${"-".repeat(points.length)}`);
+  lines.push(`${" ".repeat(labelWidth)}  ${first}${last.padStart(Math.max(points.length - first.length, last.length + 1))}`);
+  return lines.join("\n");
+}
+
+module.exports = { LockCostForecaster, lockCostAt, plotLockCost };
@@ -0,0 +1,249 @@
+const { BatchReader } = require("./multicall");
+const { HYPERPARAM_KEYS } = require("./hyperparams");
+
+/**
+ * Metagraph snapshots: every neuron of a subnet plus the subnet hyperparameters, read at one block.
+ *
+ * All reads of a snapshot are pinned to the same block number, so a snapshot is consistent
+ * even while the chain moves. Amounts are stored as decimal strings so snapshots round-trip
+ * through JSON unchanged.
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+// Neuron columns in export order, with the column type used by the columnar export
+const NEURON_COLUMNS = [
+  ["uid", "int32"],
+  ["account", "string"],
+  ["isValidator", "bool"],
+  ["stake", "uint256"],
+  ["registrationBlock", "uint64"],
+  ["lastUpdate", "uint64"],
+  ["axonEndpoint", "string"],
+  ["axonPort", "uint32"],
+  ["prometheusEndpoint", "string"],
+  ["prometheusPort", "uint32"]
+];
+
+/**
+ * @typedef {Object} MetagraphNeuron
+ * @property {number} uid Position in NeuronManager.getNeuronList
+ * @property {string} account
+ * @property {boolean} isValidator
+ * @property {string} stake
+ * @property {number} registrationBlock
+ * @property {number} lastUpdate Timestamp of the last neuron update
+ * @property {string} axonEndpoint
+ * @property {number} axonPort
+ * @property {string} prometheusEndpoint
+ * @property {number} prometheusPort
+ */
+
+/**
+ * @typedef {Object} MetagraphSnapshot
+ * @property {number} version Snapshot format version
+ * @property {number} chainId
+ * @property {number} netuid
+ * @property {number} blockNumber Block all reads were made at
+ * @property {string} blockHash
+ * @property {number} timestamp Block timestamp
+ * @property {Object} subnet Subnet info (owner, name, alphaToken, ammPool, isActive, ...)
+ * @property {Object} hyperparams Subnet hyperparameters (uint256 values as decimal strings)
+ * @property {MetagraphNeuron[]} neurons
+ */
+
+function plainValue(value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+function neuronFromInfo(uid, info) {
+  return {
+    uid,
+    account: info.account,
+    isValidator: info.isValidator,
+    stake: info.stake.toString(),
+    registrationBlock: Number(info.registrationBlock),
+    lastUpdate: Number(info.lastUpdate),
+    axonEndpoint: info.axonEndpoint,
+    axonPort: Number(info.axonPort),
+    prometheusEndpoint: info.prometheusEndpoint,
+    prometheusPort: Number(info.prometheusPort)
+  };
+}
+
+/**
+ * Build a metagraph snapshot of a subnet
+ * @param {import("./HetuClient").HetuClient} client Client connected to the deployment
+ * @param {number} netuid Subnet ID
+ * @param {Object} [options]
+ * @param {number | string} [options.blockTag] Block to read at (defaults to the latest block)
+ * @param {number} [options.batchSize] Neuron reads per Multicall3 aggregate
+ * @param {number} [options.concurrency] Aggregates in flight at once
+ * @param {string} [options.multicallAddress] Multicall3 address, see {@link BatchReader}
+ * @returns {Promise<MetagraphSnapshot>}
+ */
+async function buildMetagraph(client, netuid, { blockTag = "latest", ...readerOptions } = {}) {
+  const provider = client.runner.provider || client.runner;
+  const block = await provider.getBlock(blockTag);
+  if (!block) {
+    throw new Error(`Metagraph: block ${blockTag} not found`);
+  }
+  const overrides = { blockTag: block.number };
+
+  const [network, info, params, accounts] = await Promise.all([
+    provider.getNetwork(),
+    client.subnetManager.getSubnetInfo(netuid, overrides),
+    client.subnetManager.getSubnetParams(netuid, overrides),
+    client.neuronManager.getNeuronList(netuid, overrides)
+  ]);
+
+  const reader = new BatchReader(client, readerOptions);
+  const neurons = await reader.getNeuronInfos(netuid, [...accounts], overrides);
+
+  return {
+    version: SNAPSHOT_VERSION,
+    chainId: Number(network.chainId),
+    netuid: Number(netuid),
+    blockNumber: block.number,
+    blockHash: block.hash,
+    timestamp: block.timestamp,
+    subnet: {
+      owner: info.owner,
+      name: info.name,
+      description: info.description,
+      alphaToken: info.alphaToken,
+      ammPool: info.ammPool,
+      lockedAmount: info.lockedAmount.toString(),
+      burnedAmount: info.burnedAmount.toString(),
+      createdAt: Number(info.createdAt),
+      isActive: info.isActive
+    },
+    hyperparams: Object.fromEntries(HYPERPARAM_KEYS.map((key) => [key, plainValue(params[key])])),
+    neurons: neurons.map((neuron, uid) => neuronFromInfo(uid, neuron))
+  };
+}
+
+// ============ Exports ============
+
+function csvField(value) {
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Neuron table as CSV, one row per neuron
+ * @param {MetagraphSnapshot} snapshot
+ * @returns {string}
+ */
+function toCsv(snapshot) {
+  const header = ["netuid", "blockNumber", ...NEURON_COLUMNS.map(([name]) => name)];
+  const rows = snapshot.neurons.map((neuron) => [
+    snapshot.netuid,
+    snapshot.blockNumber,
+    ...NEURON_COLUMNS.map(([name]) => neuron[name])
+  ]);
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * Columnar layout (one array per column, Parquet style) with a typed schema
+ * @param {MetagraphSnapshot} snapshot
+ * @returns {{ version: number, chainId: number, netuid: number, blockNumber: number, blockHash: string,
+ *   timestamp: number, hyperparams: Object, schema: { name: string, type: string }[], numRows: number,
+ *   columns: Object<string, Array> }}
+ */
+function toColumnar(snapshot) {
+  const { neurons, subnet, ...metadata } = snapshot;
+  return {
+    ...metadata,
+    subnet,
+    schema: NEURON_COLUMNS.map(([name, type]) => ({ name, type })),
+    numRows: neurons.length,
+    columns: Object.fromEntries(NEURON_COLUMNS.map(([name]) => [name, neurons.map((n) => n[name])]))
+  };
+}
+
+/**
+ * Serialize a snapshot in one of the supported formats
+ * @param {MetagraphSnapshot} snapshot
+ * @param {"json" | "csv" | "columnar"} format
+ * @returns {string}
+ */
+function formatMetagraph(snapshot, format = "json") {
+  switch (format) {
+    case "json":
+      return JSON.stringify(snapshot, null, 2);
+    case "csv":
+      return toCsv(snapshot);
+    case "columnar":
+      return JSON.stringify(toColumnar(snapshot), null, 2);
+    default:
+      throw new Error(`Metagraph: unknown format ${format} (expected json, csv or columnar)`);
+  }
+}
+
+// ============ Diff ============
+
+function changedFields(before, after, keys) {
+  const changes = {};
+  for (const key of keys) {
+    if (before[key] !== after[key]) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Compare two snapshots of the same subnet
+ * @param {MetagraphSnapshot} before Older snapshot
+ * @param {MetagraphSnapshot} after Newer snapshot
+ * @returns {{ netuid: number, fromBlock: number, toBlock: number, added: MetagraphNeuron[],
+ *   removed: MetagraphNeuron[], changed: { account: string, changes: Object }[], hyperparams: Object,
+ *   stakeDelta: string }}
+ */
+function diffMetagraphs(before, after) {
+  if (before.netuid !== after.netuid || before.chainId !== after.chainId) {
+    throw new Error(
+      `Metagraph: cannot diff subnet ${before.netuid} on chain ${before.chainId} ` +
+      `against subnet ${after.netuid} on chain ${after.chainId}`
+    );
+  }
+
+  const previous = new Map(before.neurons.map((n) => [n.account, n]));
+  const current = new Map(after.neurons.map((n) => [n.account, n]));
+  const neuronKeys = NEURON_COLUMNS.map(([name]) => name).filter((name) => name !== "account");
+
+  const changed = [];
+  for (const [account, neuron] of current) {
+    if (previous.has(account)) {
+      const changes = changedFields(previous.get(account), neuron, neuronKeys);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ account, changes });
+      }
+    }
+  }
+
+  const totalStake = (snapshot) => snapshot.neurons.reduce((sum, n) => sum + BigInt(n.stake), 0n);
+
+  return {
+    netuid: after.netuid,
+    fromBlock: before.blockNumber,
+    toBlock: after.blockNumber,
+    added: after.neurons.filter((n) => !previous.has(n.account)),
+    removed: before.neurons.filter((n) => !current.has(n.account)),
+    changed,
+    hyperparams: changedFields(before.hyperparams, after.hyperparams, HYPERPARAM_KEYS),
+    stakeDelta: (totalStake(after) - totalStake(before)).toString()
+  };
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  NEURON_COLUMNS,
+  buildMetagraph,
+  formatMetagraph,
+  toCsv,
+  toColumnar,
+  diffMetagraphs
+};
@@ -0,0 +1,277 @@
+const http = require("http");
+const { Contract, formatEther } = require("ethers");
+const { getAbi } = require("./contracts");
+const { BatchReader } = require("./multicall");
+
+/**
+ * Prometheus metrics for the subnet contracts: network lock cost, GlobalStaking totals,
+ * neuron and validator counts per subnet and the state of every subnet AMM pool.
+ *
+ * All reads of one collection are pinned to the same block. HETU and alpha amounts are
+ * exported in whole tokens (18 decimals), as Prometheus values are floats.
+ */
+
+/**
+ * @typedef {Object} MetricFamily
+ * @property {string} name Metric name
+ * @property {string} help Help text
+ * @property {"gauge" | "counter"} type
+ * @property {{ labels?: Object<string, string | number>, value: number }[]} samples
+ */
+
+function tokens(value) {
+  return Number(formatEther(value));
+}
+
+// Groups samples into metric families, in the order the families are first seen
+class MetricsCollector {
+  constructor() {
+    this.families = new Map();
+  }
+
+  add(name, type, help, value, labels = {}) {
+    if (!this.families.has(name)) {
+      this.families.set(name, { name, help, type, samples: [] });
+    }
+    this.families.get(name).samples.push({ labels, value: Number(value) });
+  }
+
+  gauge(name, help, value, labels) {
+    this.add(name, "gauge", help, value, labels);
+  }
+
+  counter(name, help, value, labels) {
+    this.add(name, "counter", help, value, labels);
+  }
+
+  toArray() {
+    return [...this.families.values()];
+  }
+}
+
+/**
+ * Read every metric at one block
+ * @param {import("./HetuClient").HetuClient} client Client connected to the deployment
+ * @param {Object} [options]
+ * @param {number | string} [options.blockTag] Block to read at (defaults to the latest block)
+ * @param {Object} [options.readerOptions] {@link BatchReader} options
+ * @returns {Promise<MetricFamily[]>}
+ */
+async function collectMetrics(client, { blockTag = "latest", readerOptions = {} } = {}) {
+  const provider = client.runner.provider || client.runner;
+  const reader = new BatchReader(client, readerOptions);
+  const block = await provider.getBlock(blockTag);
+  const at = { blockTag: block.number };
+  const { subnetManager, neuronManager, globalStaking } = client;
+  const metrics = new MetricsCollector();
+
+  const [lockCost, networkParams, totals] = await reader.readAll([
+    { contract: subnetManager, method: "getNetworkLockCost" },
+    { contract: subnetManager, method: "getNetworkParams" },
+    { contract: globalStaking, method: "getGlobalTotals" }
+  ], at);
+
+  metrics.gauge("hetu_block_number", "Block the metrics were read at", block.number);
+  metrics.gauge("hetu_network_lock_cost_hetu", "Current cost to register a subnet", tokens(lockCost));
+  metrics.gauge("hetu_network_min_lock_hetu", "Minimum subnet lock cost", tokens(networkParams.minLock));
+  metrics.gauge("hetu_network_subnets", "Registered subnets", networkParams.totalNets);
+  metrics.gauge("hetu_staking_staked_hetu", "HETU staked in GlobalStaking", tokens(totals.staked));
+  metrics.gauge("hetu_staking_allocated_hetu", "Stake allocated to subnets", tokens(totals.allocated));
+  metrics.gauge("hetu_staking_cost_hetu", "Stake consumed by registration costs", tokens(totals.cost));
+
+  const netuids = await reader.getNetuids(at);
+
+  const perSubnet = await reader.readAll(netuids.flatMap((netuid) => [
+    { contract: subnetManager, method: "getSubnetInfo", args: [netuid] },
+    { contract: neuronManager, method: "getNeuronCount", args: [netuid] },
+    { contract: neuronManager, method: "getSubnetValidatorCount", args: [netuid] },
+    { contract: globalStaking, method: "subnetTotalAllocated", args: [netuid] }
+  ]), at);
+
+  const pools = [];
+  netuids.forEach((netuid, i) => {
+    const [info, neuronCount, validatorCount, allocated] = perSubnet.slice(i * 4, i * 4 + 4);
+    const labels = { netuid };
+    metrics.gauge("hetu_subnet_info", "Subnet metadata", 1, {
+      netuid,
+      name: info.name,
+      owner: info.owner,
+      alpha_token: info.alphaToken,
+      amm_pool: info.ammPool
+    });
+    metrics.gauge("hetu_subnet_active", "Whether the subnet is active", info.isActive ? 1 : 0, labels);
+    metrics.gauge("hetu_subnet_locked_hetu", "HETU locked by the subnet registration", tokens(info.lockedAmount), labels);
+    metrics.gauge("hetu_subnet_neurons", "Registered neurons", neuronCount, labels);
+    metrics.gauge("hetu_subnet_validators", "Registered validators", validatorCount, labels);
+    metrics.gauge("hetu_subnet_allocated_hetu", "Stake allocated to the subnet", tokens(allocated), labels);
+    pools.push({ netuid, pool: new Contract(info.ammPool, getAbi("SubnetAMM"), provider) });
+  });
+
+  const poolReads = await reader.readAll(pools.flatMap(({ pool }) => [
+    { contract: pool, method: "getPoolInfo" },
+    { contract: pool, method: "getPoolHealth" },
+    { contract: pool, method: "getStatistics" }
+  ]), at);
+
+  pools.forEach(({ netuid }, i) => {
+    const [poolInfo, health, stats] = poolReads.slice(i * 3, i * 3 + 3);
+    const labels = { netuid };
+    metrics.gauge("hetu_pool_hetu_reserve_hetu", "HETU reserve of the subnet pool", tokens(poolInfo._subnetHetu), labels);
+    metrics.gauge("hetu_pool_alpha_reserve", "Alpha reserve of the subnet pool", tokens(poolInfo._subnetAlphaIn), labels);
+    metrics.gauge("hetu_pool_alpha_outstanding", "Alpha issued outside the pool", tokens(poolInfo._subnetAlphaOut), labels);
+    metrics.gauge("hetu_pool_price_hetu", "Alpha price in HETU", tokens(poolInfo._currentPrice), labels);
+    metrics.gauge("hetu_pool_moving_price_hetu", "Moving average alpha price in HETU", tokens(poolInfo._movingPrice), labels);
+    metrics.gauge("hetu_pool_minimum_liquidity", "Minimum reserves for the pool to be healthy", tokens(poolInfo._minimumLiquidity), labels);
+    metrics.gauge("hetu_pool_mechanism", "Pool mechanism (0 stable, 1 dynamic)", poolInfo._mechanism, labels);
+    metrics.counter("hetu_pool_volume_hetu_total", "Cumulative swap volume in HETU", tokens(stats._totalVolume), labels);
+    metrics.counter("hetu_pool_fees_hetu_total", "Cumulative swap fees in HETU", tokens(stats._totalFees), labels);
+    metrics.counter("hetu_pool_protocol_fees_hetu_total", "Cumulative swap fees sent to the protocol fee recipient", tokens(stats._totalProtocolFees), labels);
+    metrics.gauge("hetu_pool_liquidity_hetu", "Pool liquidity valued in HETU", tokens(stats._totalLiquidity), labels);
+    metrics.gauge("hetu_pool_price_update_block", "Block of the last price update", stats._priceUpdateBlock, labels);
+    metrics.gauge("hetu_pool_healthy", "Whether both reserves are above the minimum liquidity", health.isHealthy ? 1 : 0, labels);
+    metrics.gauge("hetu_pool_liquidity_ratio_percent", "Smaller reserve as a percentage of the minimum liquidity", health.liquidityRatio, labels);
+  });
+
+  return metrics.toArray();
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function formatSample(name, { labels = {}, value }) {
+  const entries = Object.entries(labels);
+  const labelText = entries.length === 0
+    ? ""
+    : `{${entries.map(([key, v]) => `${key}="${escapeLabel(v)}"`).join(",")}}`;
+  return `${name}${labelText} ${value}`;
+}
+
+/**
+ * Render metric families in the Prometheus text exposition format
+ * @param {MetricFamily[]} families
+ * @returns {string}
+ */
+function renderPrometheus(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      lines.push(formatSample(family.name, sample));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @title MetricsExporter
+ * @dev Polls the contracts on an interval and serves the last collection on /metrics.
+ * A failed poll keeps serving the previous values with hetu_exporter_up set to 0.
+ */
+class MetricsExporter {
+  /**
+   * @param {import("./HetuClient").HetuClient} client Client connected to the deployment
+   * @param {Object} [options]
+   * @param {number} [options.intervalMs] Poll interval
+   * @param {Object} [options.readerOptions] {@link BatchReader} options
+   * @param {Function} [options.onError] Called with poll errors
+   */
+  constructor(client, { intervalMs = 15000, readerOptions = {}, onError = () => {} } = {}) {
+    this.client = client;
+    this.intervalMs = intervalMs;
+    this.readerOptions = readerOptions;
+    this.onError = onError;
+
+    this.families = [];
+    this.up = false;
+    this.lastSuccess = 0;
+    this.lastDuration = 0;
+    this._timer = null;
+    this._server = null;
+  }
+
+  /**
+   * Collect once and cache the result
+   * @returns {Promise<boolean>} Whether the collection succeeded
+   */
+  async poll() {
+    const started = Date.now();
+    try {
+      this.families = await collectMetrics(this.client, { readerOptions: this.readerOptions });
+      this.up = true;
+      this.lastSuccess = Date.now();
+    } catch (error) {
+      this.up = false;
+      this.onError(error);
+    }
+    this.lastDuration = (Date.now() - started) / 1000;
+    return this.up;
+  }
+
+  /**
+   * Current exposition text, including the exporter's own health metrics
+   * @returns {string}
+   */
+  render() {
+    const own = [
+      { name: "hetu_exporter_up", help: "Whether the last poll succeeded", type: "gauge", samples: [{ value: this.up ? 1 : 0 }] },
+      { name: "hetu_exporter_last_success_timestamp_seconds", help: "Time of the last successful poll", type: "gauge", samples: [{ value: this.lastSuccess / 1000 }] },
+      { name: "hetu_exporter_poll_duration_seconds", help: "Duration of the last poll", type: "gauge", samples: [{ value: this.lastDuration }] }
+    ];
+    return renderPrometheus([...own, ...this.families]);
+  }
+
+  /**
+   * Poll now and then every intervalMs, and serve /metrics and /healthz
+   * @param {number} [port] Listen port (0 picks a free one)
+   * @param {string} [host]
+   * @returns {Promise<import("http").Server>}
+   */
+  async start(port = 9464, host = "0.0.0.0") {
+    await this.poll();
+    const schedule = () => {
+      this._timer = setTimeout(async () => {
+        await this.poll();
+        if (this._timer) {
+          schedule();
+        }
+      }, this.intervalMs);
+    };
+    schedule();
+
+    this._server = http.createServer((req, res) => {
+      const url = req.url.split("?")[0];
+      if (url === "/metrics") {
+        res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+        res.end(this.render());
+      } else if (url === "/healthz") {
+        res.writeHead(this.up ? 200 : 503, { "Content-Type": "text/plain" });
+        res.end(this.up ? "ok\n" : "last poll failed\n");
+      } else {
+        res.writeHead(404, { "Content-Type": "text/plain" });
+        res.end("not found\n");
+      }
+    });
+    await new Promise((resolve) => this._server.listen(port, host, resolve));
+    return this._server;
+  }
+
+  /**
+   * Stop polling and close the HTTP server
+   */
+  async stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._server) {
+      await new Promise((resolve) => this._server.close(resolve));
+      this._server = null;
+    }
+  }
+}
+
+module.exports = {
+  collectMetrics,
+  renderPrometheus,
+  MetricsExporter
+};
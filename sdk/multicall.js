@@ -0,0 +1,296 @@
+const { Contract } = require("ethers");
+const { getAbi, loadArtifact, revertReason } = require("./contracts");
+
+/**
+ * Batched view calls through Multicall3.
+ *
+ * Reads are grouped into `aggregate3` calls of `batchSize` calls each, with at most
+ * `concurrency` aggregates in flight. Every call may fail on its own without failing the batch.
+ * When the chain has no Multicall3, the same reads are sent as individual eth_calls under the
+ * same concurrency limit.
+ */
+
+// Canonical Multicall3 address, identical on every chain that has it
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+// Netuids are uint16
+const MAX_NETUID = 65535;
+
+/**
+ * @typedef {Object} ReadRequest
+ * @property {import("ethers").Contract} contract Contract the call goes to
+ * @property {string} method View function name
+ * @property {Array} [args] Function arguments
+ */
+
+/**
+ * @typedef {Object} ReadResult
+ * @property {boolean} success
+ * @property {*} [value] Decoded return value (single values are unwrapped)
+ * @property {string} [error] Revert reason when the call failed
+ */
+
+/**
+ * Make Multicall3 available at `address` on a local network by installing the bundled
+ * contract's runtime code with `hardhat_setCode`
+ * @param {import("ethers").JsonRpcApiProvider} provider Provider of a Hardhat network
+ * @param {string} [address] Where to install it (defaults to the canonical address)
+ * @returns {Promise<string>} Multicall3 address
+ */
+async function ensureMulticall3(provider, address = MULTICALL3_ADDRESS) {
+  if ((await provider.getCode(address)) !== "0x") {
+    return address;
+  }
+  try {
+    await provider.send("hardhat_setCode", [address, loadArtifact("Multicall3").deployedBytecode]);
+  } catch (error) {
+    throw new Error(`Multicall3: no contract at ${address} and the network does not support hardhat_setCode`);
+  }
+  return address;
+}
+
+/**
+ * Map `items` through an async `fn` with at most `limit` calls running at once, keeping order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function unwrap(result) {
+  return result.length === 1 ? result[0] : result;
+}
+
+/**
+ * @title BatchReader
+ * @dev Groups SubnetManager, NeuronManager, GlobalStaking and SubnetAMM view calls into Multicall3 aggregates
+ */
+class BatchReader {
+  /**
+   * @param {import("./HetuClient").HetuClient} client Client connected to the deployment
+   * @param {Object} [options]
+   * @param {string} [options.multicallAddress] Multicall3 address (defaults to the deployment's multicall3
+   *   entry, then the canonical address)
+   * @param {number} [options.batchSize] Calls per aggregate3
+   * @param {number} [options.concurrency] Aggregates (or plain calls without Multicall3) in flight at once
+   */
+  constructor(client, { multicallAddress, batchSize = 100, concurrency = 4 } = {}) {
+    if (batchSize < 1 || concurrency < 1) {
+      throw new Error("BatchReader: batchSize and concurrency must be at least 1");
+    }
+    this.client = client;
+    this.provider = client.runner.provider || client.runner;
+    this.batchSize = batchSize;
+    this.concurrency = concurrency;
+    this.multicall = new Contract(
+      multicallAddress || client.addresses.multicall3 || MULTICALL3_ADDRESS,
+      getAbi("Multicall3"),
+      this.provider
+    );
+    this._hasMulticall = null;
+  }
+
+  /**
+   * Whether Multicall3 is deployed at the configured address (checked once)
+   * @returns {Promise<boolean>}
+   */
+  async hasMulticall() {
+    if (this._hasMulticall === null) {
+      this._hasMulticall = (await this.provider.getCode(this.multicall.target)) !== "0x";
+    }
+    return this._hasMulticall;
+  }
+
+  /**
+   * Run view calls in batches; a failing call yields `{ success: false, error }` instead of throwing
+   * @param {ReadRequest[]} requests
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag] Block to read at
+   * @returns {Promise<ReadResult[]>}
+   */
+  async read(requests, { blockTag } = {}) {
+    const overrides = blockTag === undefined ? {} : { blockTag };
+
+    if (!(await this.hasMulticall())) {
+      return mapWithConcurrency(requests, this.concurrency, async ({ contract, method, args = [] }) => {
+        try {
+          return { success: true, value: await contract[method](...args, overrides) };
+        } catch (error) {
+          return { success: false, error: revertReason(error) };
+        }
+      });
+    }
+
+    const batches = [];
+    for (let i = 0; i < requests.length; i += this.batchSize) {
+      batches.push(requests.slice(i, i + this.batchSize));
+    }
+
+    const results = await mapWithConcurrency(batches, this.concurrency, async (batch) => {
+      const calls = batch.map(({ contract, method, args = [] }) => ({
+        target: contract.target,
+        allowFailure: true,
+        callData: contract.interface.encodeFunctionData(method, args)
+      }));
+      const returned = await this.multicall.aggregate3.staticCall(calls, overrides);
+      return returned.map(([success, returnData], i) => {
+        const { contract, method } = batch[i];
+        if (!success) {
+          return { success: false, error: this._decodeError(contract, returnData) };
+        }
+        return { success: true, value: unwrap(contract.interface.decodeFunctionResult(method, returnData)) };
+      });
+    });
+    return results.flat();
+  }
+
+  /**
+   * Like {@link read}, but throws on the first failed call and returns the values
+   * @param {ReadRequest[]} requests
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   * @returns {Promise<Array>}
+   */
+  async readAll(requests, options = {}) {
+    const results = await this.read(requests, options);
+    return results.map((result, i) => {
+      if (!result.success) {
+        throw new Error(`BatchReader: ${requests[i].method} failed: ${result.error}`);
+      }
+      return result.value;
+    });
+  }
+
+  // ============ Subnet, Neuron, Staking and Pool Reads ============
+
+  /**
+   * Netuids of all registered subnets, found by probing subnetExists from netuid 1 upwards
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   * @returns {Promise<number[]>}
+   */
+  async getNetuids({ blockTag } = {}) {
+    const overrides = blockTag === undefined ? {} : { blockTag };
+    const { subnetManager } = this.client;
+    const { totalNets } = await subnetManager.getNetworkParams(overrides);
+
+    const netuids = [];
+    for (let start = 1; netuids.length < Number(totalNets) && start <= MAX_NETUID; start += this.batchSize) {
+      const candidates = [];
+      for (let netuid = start; netuid < start + this.batchSize && netuid <= MAX_NETUID; netuid++) {
+        candidates.push(netuid);
+      }
+      const exists = await this.readAll(
+        candidates.map((netuid) => ({ contract: subnetManager, method: "subnetExists", args: [netuid] })),
+        { blockTag }
+      );
+      netuids.push(...candidates.filter((_, i) => exists[i]));
+    }
+    return netuids;
+  }
+
+  /**
+   * Subnet info of several subnets
+   * @param {number[]} netuids
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   */
+  async getSubnetInfos(netuids, options = {}) {
+    const { subnetManager } = this.client;
+    return this.readAll(netuids.map((netuid) => ({ contract: subnetManager, method: "getSubnetInfo", args: [netuid] })), options);
+  }
+
+  /**
+   * Neuron info of several accounts in one subnet
+   * @param {number} netuid
+   * @param {string[]} accounts
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   */
+  async getNeuronInfos(netuid, accounts, options = {}) {
+    const { neuronManager } = this.client;
+    return this.readAll(accounts.map((account) => ({ contract: neuronManager, method: "getNeuronInfo", args: [netuid, account] })), options);
+  }
+
+  /**
+   * One page of a subnet's neurons, in getNeuronList order
+   * @param {number} netuid
+   * @param {Object} [options]
+   * @param {number} [options.offset] Index of the first neuron
+   * @param {number} [options.limit] Maximum number of neurons (defaults to all remaining)
+   * @param {number | string} [options.blockTag]
+   * @returns {Promise<{ total: number, offset: number, neurons: Array }>}
+   */
+  async getSubnetNeurons(netuid, { offset = 0, limit = Infinity, blockTag } = {}) {
+    const overrides = blockTag === undefined ? {} : { blockTag };
+    const accounts = await this.client.neuronManager.getNeuronList(netuid, overrides);
+    const page = [...accounts].slice(offset, offset + limit);
+    return {
+      total: accounts.length,
+      offset,
+      neurons: await this.getNeuronInfos(netuid, page, { blockTag })
+    };
+  }
+
+  /**
+   * Active validators of a subnet, filtered off-chain instead of NeuronManager.getSubnetValidators
+   * @param {number} netuid
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   */
+  async getSubnetValidators(netuid, options = {}) {
+    const { neurons } = await this.getSubnetNeurons(netuid, options);
+    return neurons.filter((n) => n.isActive && n.isValidator);
+  }
+
+  /**
+   * Subnet allocations of several users
+   * @param {number} netuid
+   * @param {string[]} users
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   */
+  async getSubnetAllocations(netuid, users, options = {}) {
+    const { globalStaking } = this.client;
+    return this.readAll(users.map((user) => ({ contract: globalStaking, method: "getSubnetAllocation", args: [user, netuid] })), options);
+  }
+
+  /**
+   * AMM pool info of several subnets
+   * @param {number[]} netuids
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag]
+   */
+  async getPoolInfos(netuids, options = {}) {
+    const infos = await this.getSubnetInfos(netuids, options);
+    const pools = infos.map((info) => new Contract(info.ammPool, getAbi("SubnetAMM"), this.provider));
+    return this.readAll(pools.map((pool) => ({ contract: pool, method: "getPoolInfo" })), options);
+  }
+
+  _decodeError(contract, returnData) {
+    try {
+      const parsed = contract.interface.parseError(returnData);
+      if (parsed) {
+        return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+      }
+    } catch (e) {
+      // fall through to the raw data
+    }
+    return returnData === "0x" ? "reverted without reason" : returnData;
+  }
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  BatchReader,
+  ensureMulticall3,
+  mapWithConcurrency
+};
@@ -0,0 +1,273 @@
+const { BatchReader } = require("./multicall");
+const { TxPlan } = require("./HetuClient");
+
+/**
+ * Epoch runner for the RewardDistributor: once per tempo of a subnet it computes the
+ * validator and miner weights and submits the distribution.
+ *
+ * By default validators are weighted by effective stake (own plus delegated) and miners by
+ * their own subnet stake, which is also what the contract uses for an empty list. Custom
+ * weights (e.g. scores from validator evaluations) can be supplied with the weight callbacks.
+ */
+
+const BASIS_POINTS = 10000n;
+
+/**
+ * @typedef {Object} WeightedAccount
+ * @property {string} account Neuron address
+ * @property {bigint} weight Relative weight
+ */
+
+/**
+ * @typedef {Object} ValidatorDelegation
+ * @property {bigint} delegatedStake Total stake delegated to the validator
+ * @property {bigint} effectiveStake Own plus delegated stake
+ * @property {number} commission Commission in basis points
+ * @property {{ delegator: string, amount: bigint }[]} delegators
+ */
+
+/**
+ * @typedef {Object} DistributionPreview
+ * @property {bigint} ownerReward Alpha assigned to the subnet owner
+ * @property {bigint} validatorReward Alpha assigned to validators and their delegators
+ * @property {bigint} minerReward Alpha assigned to miners
+ * @property {bigint} minted Total alpha minted for the epoch
+ * @property {Object<string, bigint>} rewards Alpha per account
+ */
+
+/**
+ * @typedef {Object} EpochPlan
+ * @property {number} netuid Subnet ID
+ * @property {number} blockNumber Block the plan was computed at
+ * @property {number} nextEpochBlock First block the epoch can be distributed at
+ * @property {boolean} due Whether the epoch can be distributed in the next block
+ * @property {bigint} emission Alpha emitted for the tempo
+ * @property {WeightedAccount[]} validators Validator weights to submit
+ * @property {WeightedAccount[]} miners Miner weights to submit
+ * @property {DistributionPreview} preview Expected rewards
+ */
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0n);
+}
+
+/**
+ * Off-chain copy of RewardDistributor's distribution math (same rounding)
+ * @param {Object} params
+ * @param {bigint} params.emission Alpha emitted for the tempo
+ * @param {{ ownerShare: number | bigint, validatorShare: number | bigint, minerShare: number | bigint }} params.split Emission split in basis points
+ * @param {string} params.owner Subnet owner
+ * @param {WeightedAccount[]} params.validators
+ * @param {WeightedAccount[]} params.miners
+ * @param {Object<string, ValidatorDelegation>} [params.delegations] Delegations by validator address
+ * @returns {DistributionPreview}
+ */
+function previewDistribution({ emission, split, owner, validators, miners, delegations = {} }) {
+  const rewards = {};
+  const accrue = (account, amount) => {
+    if (amount > 0n) {
+      rewards[account] = (rewards[account] || 0n) + amount;
+    }
+  };
+
+  const ownerReward = emission * BigInt(split.ownerShare) / BASIS_POINTS;
+  accrue(owner, ownerReward);
+
+  let validatorReward = 0n;
+  const validatorPool = emission * BigInt(split.validatorShare) / BASIS_POINTS;
+  const validatorWeight = sum(validators.map(({ weight }) => weight));
+  for (const { account, weight } of validatorWeight > 0n ? validators : []) {
+    let reward = validatorPool * weight / validatorWeight;
+    if (reward === 0n) continue;
+    validatorReward += reward;
+
+    const delegation = delegations[account];
+    if (delegation && delegation.delegatedStake > 0n) {
+      let delegatorPool = reward * delegation.delegatedStake / delegation.effectiveStake;
+      delegatorPool -= delegatorPool * BigInt(delegation.commission) / BASIS_POINTS;
+      for (const { delegator, amount } of delegation.delegators) {
+        const share = delegatorPool * amount / delegation.delegatedStake;
+        accrue(delegator, share);
+        reward -= share;
+      }
+    }
+    accrue(account, reward);
+  }
+
+  let minerReward = 0n;
+  const minerPool = emission * BigInt(split.minerShare) / BASIS_POINTS;
+  const minerWeight = sum(miners.map(({ weight }) => weight));
+  for (const { account, weight } of minerWeight > 0n ? miners : []) {
+    const reward = minerPool * weight / minerWeight;
+    accrue(account, reward);
+    minerReward += reward;
+  }
+
+  return {
+    ownerReward,
+    validatorReward,
+    minerReward,
+    minted: ownerReward + validatorReward + minerReward,
+    rewards
+  };
+}
+
+/**
+ * @title EpochRunner
+ * @dev Computes and submits RewardDistributor epochs. The client's signer must be an epoch runner.
+ */
+class EpochRunner {
+  /**
+   * @param {import("./HetuClient").HetuClient} client Client with a rewardDistributor address
+   * @param {Object} [options]
+   * @param {Function} [options.validatorWeights] async (netuid, validators) => bigint[]; defaults to effective stake
+   * @param {Function} [options.minerWeights] async (netuid, miners) => bigint[]; defaults to subnet stake
+   * @param {Object} [options.readerOptions] {@link BatchReader} options
+   */
+  constructor(client, { validatorWeights, minerWeights, readerOptions = {} } = {}) {
+    if (!client.rewardDistributor) {
+      throw new Error("EpochRunner: client has no rewardDistributor address");
+    }
+    this.client = client;
+    this.distributor = client.rewardDistributor;
+    this.validatorWeights = validatorWeights;
+    this.minerWeights = minerWeights;
+    this.reader = new BatchReader(client, readerOptions);
+  }
+
+  /**
+   * Compute the weights and expected rewards of a subnet's next epoch
+   * @param {number} netuid Subnet ID
+   * @returns {Promise<EpochPlan>}
+   */
+  async plan(netuid) {
+    const { subnetManager, neuronManager } = this.client;
+    const provider = this.client.runner.provider || this.client.runner;
+    const blockNumber = await provider.getBlockNumber();
+
+    const [info, params, nextEpochBlock, emissionPerBlock, split, neurons] = await Promise.all([
+      subnetManager.getSubnetInfo(netuid),
+      subnetManager.getSubnetParams(netuid),
+      this.distributor.nextEpochBlock(netuid),
+      this.distributor.emissionPerBlock(),
+      this.distributor.emissionSplit(),
+      neuronManager.getNeuronList(netuid)
+    ]);
+    const neuronInfos = await this.reader.readAll(
+      neurons.map((account) => ({ contract: neuronManager, method: "getNeuronInfo", args: [netuid, account] }))
+    );
+
+    const validators = [];
+    const miners = [];
+    neurons.forEach((account, i) => {
+      const neuron = neuronInfos[i];
+      if (!neuron.isActive) return;
+      (neuron.isValidator ? validators : miners).push({ account, weight: neuron.stake });
+    });
+
+    const delegations = {};
+    for (const validator of validators) {
+      const delegation = await this.client.getDelegation(netuid, validator.account);
+      delegations[validator.account] = delegation;
+      validator.weight = delegation.effectiveStake;
+    }
+
+    await this._applyWeights(netuid, validators, this.validatorWeights);
+    await this._applyWeights(netuid, miners, this.minerWeights);
+
+    const emission = emissionPerBlock * params.tempo;
+    return {
+      netuid: Number(netuid),
+      blockNumber,
+      nextEpochBlock: Number(nextEpochBlock),
+      // The distribution lands in the next block
+      due: info.isActive && blockNumber + 1 >= Number(nextEpochBlock),
+      emission,
+      validators,
+      miners,
+      preview: previewDistribution({ emission, split, owner: info.owner, validators, miners, delegations })
+    };
+  }
+
+  /**
+   * Distribute a subnet's epoch if it is due
+   * @param {number} netuid Subnet ID
+   * @param {import("./HetuClient").TxOptions} [options] Only dryRun applies
+   * @returns {Promise<{ netuid: number, epoch: number, emission: bigint, minted: bigint, blockNumber: number, rewards: Object<string, bigint>, hash: string } | import("./HetuClient").DryRunResult | null>}
+   *   null when the epoch is not due yet
+   */
+  async run(netuid, options = {}) {
+    const epoch = await this.plan(netuid);
+    if (!epoch.due) {
+      return null;
+    }
+
+    const plan = new TxPlan(options.dryRun);
+    const receipt = await plan.send(this.distributor, "distribute", [
+      netuid,
+      epoch.validators.map(({ account }) => account),
+      epoch.validators.map(({ weight }) => weight),
+      epoch.miners.map(({ account }) => account),
+      epoch.miners.map(({ weight }) => weight)
+    ]);
+    if (plan.dryRun) {
+      return plan.summary();
+    }
+    const event = this.client._findEvent(receipt, this.distributor, "EpochDistributed");
+    return {
+      netuid: Number(event.args.netuid),
+      epoch: Number(event.args.epoch),
+      emission: event.args.emission,
+      minted: event.args.minted,
+      blockNumber: Number(event.args.blockNumber),
+      rewards: epoch.preview.rewards,
+      hash: receipt.hash
+    };
+  }
+
+  /**
+   * Distribute every active subnet whose epoch is due
+   * @param {import("./HetuClient").TxOptions} [options] Only dryRun applies
+   * @returns {Promise<Object[]>} Results of {@link EpochRunner#run} for the distributed subnets
+   */
+  async runDue(options = {}) {
+    const results = [];
+    for (const netuid of await this.reader.getNetuids()) {
+      const result = await this.run(netuid, options);
+      if (result) {
+        results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Blocks until the earliest next epoch of the given subnets (0 when one is due)
+   * @param {number[]} netuids
+   * @returns {Promise<number>}
+   */
+  async blocksUntilNextEpoch(netuids) {
+    const provider = this.client.runner.provider || this.client.runner;
+    const blockNumber = await provider.getBlockNumber();
+    const next = await Promise.all(netuids.map((netuid) => this.distributor.nextEpochBlock(netuid)));
+    return Math.max(0, Math.min(...next.map((block) => Number(block) - blockNumber - 1)));
+  }
+
+  async _applyWeights(netuid, entries, weightsFn) {
+    if (!weightsFn || entries.length === 0) {
+      return;
+    }
+    const weights = await weightsFn(netuid, entries.map(({ account }) => account));
+    if (weights.length !== entries.length) {
+      throw new Error(`EpochRunner: expected ${entries.length} weights, got ${weights.length}`);
+    }
+    entries.forEach((entry, i) => {
+      entry.weight = BigInt(weights[i]);
+    });
+  }
+}
+
+module.exports = {
+  EpochRunner,
+  previewDistribution
+};
@@ -0,0 +1,561 @@
+const { Contract, ZeroAddress } = require("ethers");
+const { getAbi } = require("./contracts");
+
+/**
+ * Off-chain model of SubnetAMM for backtesting.
+ *
+ * Mirrors the contract's integer math exactly: constant product swaps with the
+ * minimumPoolLiquidity guard, the Stable 1:1 mechanism, swap fees (taken in HETU, with a
+ * protocol share leaving the pool when a fee recipient is set) and the `_updatePrice` moving
+ * average (HALVING_TIME blocks, current price capped at 1.0). All amounts are bigint wei.
+ * Operations that would revert on-chain throw the contract's revert reason and leave
+ * the state untouched.
+ */
+
+const WAD = 10n ** 18n;
+const HALVING_TIME = 1000n;
+const FEE_DENOMINATOR = 10000n;
+
+const MECHANISM = {
+  Stable: 0,
+  Dynamic: 1
+};
+
+function toMechanism(value) {
+  if (typeof value === "string") {
+    const key = Object.keys(MECHANISM).find((name) => name.toLowerCase() === value.toLowerCase());
+    if (key === undefined) {
+      throw new Error(`AmmSimulator: unknown mechanism "${value}"`);
+    }
+    return MECHANISM[key];
+  }
+  const mechanism = Number(value);
+  if (mechanism !== MECHANISM.Stable && mechanism !== MECHANISM.Dynamic) {
+    throw new Error(`AmmSimulator: unknown mechanism ${value}`);
+  }
+  return mechanism;
+}
+
+function big(value) {
+  return BigInt(value || 0);
+}
+
+/**
+ * @typedef {Object} PoolState
+ * @property {number} mechanism 0 (Stable) or 1 (Dynamic)
+ * @property {bigint} minimumPoolLiquidity
+ * @property {bigint} swapFee Swap fee in basis points
+ * @property {bigint} protocolFeeShare Basis points of the fee sent to feeTo
+ * @property {string | null} feeTo Protocol fee recipient (null keeps the whole fee in the pool)
+ * @property {bigint} subnetHetu HETU reserve
+ * @property {bigint} subnetAlphaIn Alpha reserve
+ * @property {bigint} subnetAlphaOut Alpha issued by the pool
+ * @property {bigint} currentAlphaPrice Price recorded by the last price update
+ * @property {bigint} movingAlphaPrice Moving average price
+ * @property {number} priceUpdateBlock Block of the last price update
+ * @property {bigint} totalVolume Cumulative swap volume in HETU
+ * @property {bigint} totalFees Cumulative swap fees in HETU
+ * @property {bigint} totalProtocolFees Part of totalFees sent to feeTo
+ * @property {number} block Block of the last operation
+ */
+
+/**
+ * @typedef {Object} Trade
+ * @property {"buy" | "sell" | "inject" | "withdraw" | "update"} action buy swaps HETU for alpha,
+ * sell swaps alpha for HETU, update calls updateMovingPrice
+ * @property {number} block Block the operation executes in (must not decrease)
+ * @property {bigint | string | number} [amount] Input amount of buy and sell
+ * @property {bigint | string | number} [minOut] Minimum output of buy and sell
+ * @property {bigint | string | number} [hetu] HETU amount of inject and withdraw
+ * @property {bigint | string | number} [alpha] Alpha amount of inject and withdraw
+ */
+
+/**
+ * @typedef {Object} ReplayStep
+ * @property {number} index Position in the trade list
+ * @property {number} block
+ * @property {string} action
+ * @property {bigint} amountIn Swap input (0 for liquidity operations)
+ * @property {bigint} amountOut Swap output (0 for failed swaps and liquidity operations)
+ * @property {bigint} spotOut Output at the pre-trade spot price, without price impact or fee
+ * @property {number | null} slippageBps Shortfall of amountOut against spotOut in basis points (swaps only)
+ * @property {bigint} fee Swap fee in HETU
+ * @property {bigint} protocolFee Part of the fee sent to feeTo
+ * @property {bigint} priceBefore Spot price before the operation
+ * @property {bigint} priceAfter Spot price after the operation
+ * @property {bigint} currentAlphaPrice
+ * @property {bigint} movingAlphaPrice
+ * @property {bigint} subnetHetu
+ * @property {bigint} subnetAlphaIn
+ * @property {bigint} subnetAlphaOut
+ * @property {string} [error] Revert reason when the operation would fail on-chain
+ */
+
+/**
+ * @title AmmSimulator
+ * @dev In-memory SubnetAMM. Swap and liquidity methods take the block number they execute in,
+ * as the moving price only advances once per block.
+ */
+class AmmSimulator {
+  /**
+   * @param {Object} params Initial pool state, see {@link PoolState}
+   * @param {number | string} [params.mechanism] 0/1 or "stable"/"dynamic" (default dynamic)
+   * @param {bigint} params.minimumPoolLiquidity
+   */
+  constructor({
+    mechanism = MECHANISM.Dynamic,
+    minimumPoolLiquidity,
+    swapFee = 0n,
+    protocolFeeShare = 0n,
+    feeTo = null,
+    subnetHetu = 0n,
+    subnetAlphaIn = 0n,
+    subnetAlphaOut = 0n,
+    currentAlphaPrice = 0n,
+    movingAlphaPrice = 0n,
+    priceUpdateBlock = 0,
+    totalVolume = 0n,
+    totalFees = 0n,
+    totalProtocolFees = 0n,
+    block
+  }) {
+    if (big(minimumPoolLiquidity) <= 0n) {
+      throw new Error("AmmSimulator: minimumPoolLiquidity must be positive");
+    }
+    this.mechanism = toMechanism(mechanism);
+    this.minimumPoolLiquidity = big(minimumPoolLiquidity);
+    this.swapFee = big(swapFee);
+    this.protocolFeeShare = big(protocolFeeShare);
+    if (this.swapFee >= FEE_DENOMINATOR || this.protocolFeeShare > FEE_DENOMINATOR) {
+      throw new Error("AmmSimulator: fees are in basis points");
+    }
+    this.feeTo = feeTo && feeTo !== ZeroAddress ? feeTo : null;
+    this.subnetHetu = big(subnetHetu);
+    this.subnetAlphaIn = big(subnetAlphaIn);
+    this.subnetAlphaOut = big(subnetAlphaOut);
+    this.currentAlphaPrice = big(currentAlphaPrice);
+    this.movingAlphaPrice = big(movingAlphaPrice);
+    this.priceUpdateBlock = Number(priceUpdateBlock);
+    this.totalVolume = big(totalVolume);
+    this.totalFees = big(totalFees);
+    this.totalProtocolFees = big(totalProtocolFees);
+    this.block = block === undefined ? this.priceUpdateBlock : Number(block);
+  }
+
+  /**
+   * Load the state of a deployed pool
+   * @param {import("ethers").Contract} pool SubnetAMM contract
+   * @param {Object} [options]
+   * @param {number | string} [options.blockTag] Block to read at (defaults to the latest block)
+   * @returns {Promise<AmmSimulator>}
+   */
+  static async fromPool(pool, { blockTag = "latest" } = {}) {
+    const provider = pool.runner.provider || pool.runner;
+    const { number: block } = await provider.getBlock(blockTag);
+    const at = { blockTag: block };
+    const [info, priceUpdateBlock, swapFee, protocolFeeShare, factory, stats] = await Promise.all([
+      pool.getPoolInfo(at),
+      pool.priceUpdateBlock(at),
+      pool.swapFee(at),
+      pool.protocolFeeShare(at),
+      pool.factory(at),
+      pool.getStatistics(at)
+    ]);
+    const feeTo = await new Contract(factory, getAbi("SubnetAMMFactory"), provider).feeTo(at);
+    return new AmmSimulator({
+      mechanism: Number(info._mechanism),
+      minimumPoolLiquidity: info._minimumLiquidity,
+      swapFee,
+      protocolFeeShare,
+      feeTo,
+      subnetHetu: info._subnetHetu,
+      subnetAlphaIn: info._subnetAlphaIn,
+      subnetAlphaOut: info._subnetAlphaOut,
+      currentAlphaPrice: info._currentPrice,
+      movingAlphaPrice: info._movingPrice,
+      priceUpdateBlock: Number(priceUpdateBlock),
+      totalVolume: info._totalVolume,
+      totalFees: stats._totalFees,
+      totalProtocolFees: stats._totalProtocolFees,
+      block
+    });
+  }
+
+  /**
+   * @returns {PoolState}
+   */
+  getState() {
+    return {
+      mechanism: this.mechanism,
+      minimumPoolLiquidity: this.minimumPoolLiquidity,
+      swapFee: this.swapFee,
+      protocolFeeShare: this.protocolFeeShare,
+      feeTo: this.feeTo,
+      subnetHetu: this.subnetHetu,
+      subnetAlphaIn: this.subnetAlphaIn,
+      subnetAlphaOut: this.subnetAlphaOut,
+      currentAlphaPrice: this.currentAlphaPrice,
+      movingAlphaPrice: this.movingAlphaPrice,
+      priceUpdateBlock: this.priceUpdateBlock,
+      totalVolume: this.totalVolume,
+      totalFees: this.totalFees,
+      totalProtocolFees: this.totalProtocolFees,
+      block: this.block
+    };
+  }
+
+  /**
+   * @returns {AmmSimulator} Independent copy of this simulator
+   */
+  clone() {
+    return new AmmSimulator(this.getState());
+  }
+
+  // ============ Views (same results as the contract) ============
+
+  getAlphaPrice() {
+    if (this.subnetAlphaIn === 0n) {
+      return 0n;
+    }
+    return (this.subnetHetu * WAD) / this.subnetAlphaIn;
+  }
+
+  getMovingAlphaPrice() {
+    return this.movingAlphaPrice;
+  }
+
+  simSwapHETUForAlpha(hetuAmount) {
+    return this.quoteHETUForAlpha(hetuAmount).amountOut;
+  }
+
+  simSwapAlphaForHETU(alphaAmount) {
+    return this.quoteAlphaForHETU(alphaAmount).amountOut;
+  }
+
+  /**
+   * HETU to alpha quote with the fee taken from the input
+   * @returns {{ amountOut: bigint, fee: bigint, protocolFee: bigint }}
+   */
+  quoteHETUForAlpha(hetuAmount) {
+    hetuAmount = big(hetuAmount);
+    let fee = (hetuAmount * this.swapFee) / FEE_DENOMINATOR;
+    const amountOut = this._getAlphaOut(hetuAmount - fee);
+    if (amountOut === 0n) {
+      fee = 0n;
+    }
+    return { amountOut, fee, protocolFee: this._protocolFee(fee) };
+  }
+
+  /**
+   * Alpha to HETU quote with the fee taken from the output
+   * @returns {{ amountOut: bigint, fee: bigint, protocolFee: bigint }}
+   */
+  quoteAlphaForHETU(alphaAmount) {
+    const gross = this._getHETUOut(big(alphaAmount));
+    let fee = (gross * this.swapFee) / FEE_DENOMINATOR;
+    const amountOut = gross - fee;
+    if (amountOut === 0n) {
+      fee = 0n;
+    }
+    return { amountOut, fee, protocolFee: this._protocolFee(fee) };
+  }
+
+  _getAlphaOut(hetuAmount) {
+    let alphaAmount;
+    if (this.mechanism === MECHANISM.Stable) {
+      alphaAmount = hetuAmount;
+    } else {
+      if (this.subnetHetu === 0n || this.subnetAlphaIn === 0n) {
+        return 0n;
+      }
+      const k = this.subnetHetu * this.subnetAlphaIn;
+      const newSubnetAlphaIn = k / (this.subnetHetu + hetuAmount);
+      if (newSubnetAlphaIn < this.minimumPoolLiquidity) {
+        return 0n;
+      }
+      alphaAmount = this.subnetAlphaIn - newSubnetAlphaIn;
+    }
+
+    if (alphaAmount > this.subnetAlphaIn || this.subnetAlphaIn - alphaAmount < this.minimumPoolLiquidity) {
+      return 0n;
+    }
+    return alphaAmount;
+  }
+
+  _getHETUOut(alphaAmount) {
+    let hetuAmount;
+    if (this.mechanism === MECHANISM.Stable) {
+      hetuAmount = alphaAmount;
+    } else {
+      if (this.subnetHetu === 0n || this.subnetAlphaIn === 0n) {
+        return 0n;
+      }
+      const k = this.subnetHetu * this.subnetAlphaIn;
+      const newSubnetHetu = k / (this.subnetAlphaIn + alphaAmount);
+      if (newSubnetHetu < this.minimumPoolLiquidity) {
+        return 0n;
+      }
+      hetuAmount = this.subnetHetu - newSubnetHetu;
+    }
+
+    if (hetuAmount > this.subnetHetu || this.subnetHetu - hetuAmount < this.minimumPoolLiquidity) {
+      return 0n;
+    }
+    return hetuAmount;
+  }
+
+  // ============ State Changes ============
+
+  /**
+   * @param {bigint} hetuAmountIn
+   * @param {bigint} alphaAmountOutMin
+   * @param {number} block Block the swap executes in
+   * @returns {bigint} Alpha out
+   */
+  swapHETUForAlpha(hetuAmountIn, alphaAmountOutMin, block) {
+    hetuAmountIn = big(hetuAmountIn);
+    this._enterBlock(block);
+    if (hetuAmountIn === 0n) {
+      throw new Error("AMM: INSUFFICIENT_INPUT_AMOUNT");
+    }
+    const { amountOut: alphaAmountOut, fee, protocolFee } = this.quoteHETUForAlpha(hetuAmountIn);
+    if (alphaAmountOut === 0n) {
+      throw new Error("AMM: INSUFFICIENT_LIQUIDITY");
+    }
+    if (alphaAmountOut < big(alphaAmountOutMin)) {
+      throw new Error("AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    this.subnetHetu += hetuAmountIn - protocolFee;
+    this.subnetAlphaIn -= alphaAmountOut;
+    this.subnetAlphaOut += alphaAmountOut;
+    this.totalVolume += hetuAmountIn;
+    this.totalFees += fee;
+    this.totalProtocolFees += protocolFee;
+    this._updatePrice();
+    return alphaAmountOut;
+  }
+
+  /**
+   * @param {bigint} alphaAmountIn
+   * @param {bigint} hetuAmountOutMin
+   * @param {number} block Block the swap executes in
+   * @returns {bigint} HETU out
+   */
+  swapAlphaForHETU(alphaAmountIn, hetuAmountOutMin, block) {
+    alphaAmountIn = big(alphaAmountIn);
+    this._enterBlock(block);
+    if (alphaAmountIn === 0n) {
+      throw new Error("AMM: INSUFFICIENT_INPUT_AMOUNT");
+    }
+    const { amountOut: hetuAmountOut, fee, protocolFee } = this.quoteAlphaForHETU(alphaAmountIn);
+    if (hetuAmountOut === 0n) {
+      throw new Error("AMM: INSUFFICIENT_LIQUIDITY");
+    }
+    if (hetuAmountOut < big(hetuAmountOutMin)) {
+      throw new Error("AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+    // The contract only takes back alpha it issued, anything else underflows subnetAlphaOut
+    if (alphaAmountIn > this.subnetAlphaOut) {
+      throw new Error("AMM: ALPHA_OUT_UNDERFLOW");
+    }
+
+    this.subnetAlphaIn += alphaAmountIn;
+    this.subnetAlphaOut -= alphaAmountIn;
+    this.subnetHetu -= hetuAmountOut + protocolFee;
+    // Volume is valued at the price recorded before this swap's price update
+    this.totalVolume += this.currentAlphaPrice === 0n
+      ? alphaAmountIn
+      : (alphaAmountIn * this.currentAlphaPrice) / WAD;
+    this.totalFees += fee;
+    this.totalProtocolFees += protocolFee;
+    this._updatePrice();
+    return hetuAmountOut;
+  }
+
+  /**
+   * System liquidity injection
+   */
+  injectLiquidity(hetuAmount, alphaAmount, block) {
+    hetuAmount = big(hetuAmount);
+    alphaAmount = big(alphaAmount);
+    this._enterBlock(block);
+    if (hetuAmount === 0n && alphaAmount === 0n) {
+      throw new Error("AMM: ZERO_AMOUNTS");
+    }
+    this.subnetHetu += hetuAmount;
+    this.subnetAlphaIn += alphaAmount;
+    this._updatePrice();
+  }
+
+  /**
+   * System liquidity withdrawal, down to minimumPoolLiquidity or of a whole reserve
+   */
+  withdrawLiquidity(hetuAmount, alphaAmount, block) {
+    hetuAmount = big(hetuAmount);
+    alphaAmount = big(alphaAmount);
+    this._enterBlock(block);
+    if (hetuAmount === 0n && alphaAmount === 0n) {
+      throw new Error("AMM: ZERO_AMOUNTS");
+    }
+    if (hetuAmount > this.subnetHetu) {
+      throw new Error("AMM: INSUFFICIENT_HETU_RESERVE");
+    }
+    if (hetuAmount > 0n && hetuAmount !== this.subnetHetu && this.subnetHetu - hetuAmount < this.minimumPoolLiquidity) {
+      throw new Error("AMM: BELOW_MIN_LIQUIDITY");
+    }
+    if (alphaAmount > this.subnetAlphaIn) {
+      throw new Error("AMM: INSUFFICIENT_ALPHA_RESERVE");
+    }
+    if (alphaAmount > 0n && alphaAmount !== this.subnetAlphaIn && this.subnetAlphaIn - alphaAmount < this.minimumPoolLiquidity) {
+      throw new Error("AMM: BELOW_MIN_LIQUIDITY");
+    }
+    this.subnetHetu -= hetuAmount;
+    this.subnetAlphaIn -= alphaAmount;
+    this._updatePrice();
+  }
+
+  /**
+   * Same as calling updateMovingPrice() in `block`
+   */
+  updateMovingPrice(block) {
+    this._enterBlock(block);
+    this._updatePrice();
+  }
+
+  // ============ Replay ============
+
+  /**
+   * Apply a list of trades in order. Failing trades are reported with their revert reason
+   * and skipped, like a reverted transaction.
+   * @param {Trade[]} trades
+   * @returns {{ steps: ReplayStep[], final: PoolState }}
+   */
+  replay(trades) {
+    const steps = trades.map((trade, index) => this._replayOne(trade, index));
+    return { steps, final: this.getState() };
+  }
+
+  _replayOne(trade, index) {
+    const { action } = trade;
+    const block = Number(trade.block);
+    const priceBefore = this.getAlphaPrice();
+    const isSwap = action === "buy" || action === "sell";
+    const amountIn = isSwap ? big(trade.amount) : 0n;
+
+    let spotOut = 0n;
+    if (action === "buy") {
+      spotOut = this.mechanism === MECHANISM.Stable || priceBefore === 0n ? amountIn : (amountIn * WAD) / priceBefore;
+    } else if (action === "sell") {
+      spotOut = this.mechanism === MECHANISM.Stable ? amountIn : (amountIn * priceBefore) / WAD;
+    }
+
+    let amountOut = 0n;
+    let error;
+    const snapshot = this.getState();
+    const feesBefore = this.totalFees;
+    const protocolFeesBefore = this.totalProtocolFees;
+    try {
+      switch (action) {
+        case "buy":
+          amountOut = this.swapHETUForAlpha(amountIn, trade.minOut, block);
+          break;
+        case "sell":
+          amountOut = this.swapAlphaForHETU(amountIn, trade.minOut, block);
+          break;
+        case "inject":
+          this.injectLiquidity(trade.hetu, trade.alpha, block);
+          break;
+        case "withdraw":
+          this.withdrawLiquidity(trade.hetu, trade.alpha, block);
+          break;
+        case "update":
+          this.updateMovingPrice(block);
+          break;
+        default:
+          throw new Error(`AmmSimulator: unknown action "${action}"`);
+      }
+    } catch (e) {
+      if (e.message.startsWith("AmmSimulator:")) {
+        throw e;
+      }
+      Object.assign(this, snapshot);
+      this.block = Math.max(snapshot.block, block);
+      error = e.message;
+    }
+
+    let slippageBps = null;
+    if (isSwap && error === undefined) {
+      slippageBps = spotOut === 0n || amountOut >= spotOut
+        ? 0
+        : Number(((spotOut - amountOut) * 10000n) / spotOut);
+    }
+
+    const step = {
+      index,
+      block,
+      action,
+      amountIn,
+      amountOut,
+      spotOut,
+      slippageBps,
+      fee: this.totalFees - feesBefore,
+      protocolFee: this.totalProtocolFees - protocolFeesBefore,
+      priceBefore,
+      priceAfter: this.getAlphaPrice(),
+      currentAlphaPrice: this.currentAlphaPrice,
+      movingAlphaPrice: this.movingAlphaPrice,
+      subnetHetu: this.subnetHetu,
+      subnetAlphaIn: this.subnetAlphaIn,
+      subnetAlphaOut: this.subnetAlphaOut
+    };
+    if (error !== undefined) {
+      step.error = error;
+    }
+    return step;
+  }
+
+  // ============ Internal Functions ============
+
+  _enterBlock(block) {
+    if (block === undefined) {
+      throw new Error("AmmSimulator: block number is required");
+    }
+    block = Number(block);
+    if (block < this.block) {
+      throw new Error(`AmmSimulator: block ${block} is before the last operation at block ${this.block}`);
+    }
+    this.block = block;
+  }
+
+  _protocolFee(fee) {
+    if (fee === 0n || this.feeTo === null) {
+      return 0n;
+    }
+    return (fee * this.protocolFeeShare) / FEE_DENOMINATOR;
+  }
+
+  _updatePrice() {
+    const blocksSinceUpdate = BigInt(this.block - this.priceUpdateBlock);
+    if (blocksSinceUpdate === 0n) {
+      return;
+    }
+
+    this.currentAlphaPrice = this.getAlphaPrice();
+    if (this.movingAlphaPrice === 0n) {
+      this.movingAlphaPrice = this.currentAlphaPrice;
+    } else {
+      const alpha = (blocksSinceUpdate * WAD) / (blocksSinceUpdate + HALVING_TIME);
+      const cappedCurrentPrice = this.currentAlphaPrice > WAD ? WAD : this.currentAlphaPrice;
+      this.movingAlphaPrice = (alpha * cappedCurrentPrice + (WAD - alpha) * this.movingAlphaPrice) / WAD;
+    }
+    this.priceUpdateBlock = this.block;
+  }
+}
+
+module.exports = {
+  AmmSimulator,
+  MECHANISM,
+  HALVING_TIME,
+  FEE_DENOMINATOR
+};
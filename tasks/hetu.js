@@ -0,0 +1,1029 @@
+const { scope, types } = require("hardhat/config");
+
+/**
+ * Hetu CLI - subnet, neuron, staking and AMM operations as Hardhat tasks
+ *
+ *   npx hardhat subnet register --name "My Subnet" --token-name MyAlpha --token-symbol MYA --wrap --network localhost
+ *   npx hardhat subnet info 1 --json
+ *   npx hardhat stake add 1000 --dry-run
+ *   npx hardhat delegate add --netuid 1 --validator 0x... --amount 100
+ *   npx hardhat rewards claim --netuid 1
+ *   npx hardhat hyperparams propose --netuid 1 --set '{"tempo":120}'
+ *   npx hardhat subnet dissolve 1
+ *   npx hardhat subnet lock-cost --plot
+ *
+ * Every write command accepts --dry-run (simulate with staticCall/estimateGas, send nothing)
+ * and every command accepts --json (machine readable output).
+ */
+
+const subnetScope = scope("subnet", "Subnet registration and queries");
+const hyperparamsScope = scope("hyperparams", "Subnet-owner hyperparameter proposals behind a timelock");
+const neuronScope = scope("neuron", "Neuron registration");
+const stakeScope = scope("stake", "Global staking and subnet allocation");
+const delegateScope = scope("delegate", "Stake delegation to validators");
+const rewardsScope = scope("rewards", "Subnet emission epochs and reward claims");
+const ammScope = scope("amm", "Subnet AMM quotes and swaps");
+
+// ============ Helpers ============
+
+function withCommonParams(definition, { write = true } = {}) {
+  definition
+    .addOptionalParam("deployment", "Deployment record file (defaults to the registry entry for --network)")
+    .addOptionalParam("deploymentVersion", "Registry version to use (defaults to the newest)")
+    .addFlag("json", "Print machine readable JSON output");
+  if (write) {
+    definition
+      .addFlag("dryRun", "Simulate with staticCall/estimateGas without sending transactions")
+      .addFlag("wrap", "Wrap native HETU into WHETU when the WHETU balance is short");
+  }
+  return definition;
+}
+
+async function getClient(args, hre) {
+  const { HetuClient } = require("../sdk");
+  const [signer] = await hre.ethers.getSigners();
+  if (args.deployment) {
+    return HetuClient.fromDeploymentFile(args.deployment, signer);
+  }
+  return HetuClient.fromRegistry(hre.network.name, signer, { version: args.deploymentVersion });
+}
+
+function toJson(value) {
+  return JSON.stringify(value, (key, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+}
+
+function formatAmount(hre, value) {
+  return `${hre.ethers.formatEther(value)} HETU`;
+}
+
+function formatAlpha(hre, value) {
+  return `${hre.ethers.formatEther(value)} alpha`;
+}
+
+function formatDuration(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function printDryRun(result) {
+  console.log("Dry run - no transactions sent:");
+  result.steps.forEach((step, i) => {
+    const args = step.args.map((a) => (typeof a === "bigint" ? a.toString() : a)).join(", ");
+    let status;
+    if (step.simulated) {
+      status = `ok, gas ${step.gasEstimate}`;
+    } else if (step.error) {
+      status = `would revert: ${step.error}`;
+    } else {
+      status = `not simulated (${step.note})`;
+    }
+    console.log(`  ${i + 1}. ${step.method}(${args}) @ ${step.to} -> ${status}`);
+  });
+}
+
+/**
+ * Print a task result as JSON or as `label: value` lines
+ * @param {Object} args Task arguments (reads the json flag)
+ * @param {Object} result Result object
+ * @param {Function} [format] Maps the result to an array of [label, value] pairs for human output
+ */
+function output(args, result, format) {
+  if (args.json) {
+    console.log(toJson(result));
+  } else if (result && result.dryRun) {
+    printDryRun(result);
+  } else if (format) {
+    for (const [label, value] of format(result)) {
+      console.log(`${label}: ${value}`);
+    }
+  } else {
+    console.log(toJson(result));
+  }
+}
+
+// ============ Subnet Commands ============
+
+withCommonParams(
+  subnetScope.task("register", "Register a new subnet")
+    .addParam("name", "Subnet name")
+    .addOptionalParam("description", "Subnet description", "")
+    .addParam("tokenName", "Alpha token name")
+    .addParam("tokenSymbol", "Alpha token symbol")
+    .addFlag("permit", "Authorize the lock cost with a permit instead of an approval")
+    .addOptionalParam("preset", "Hyperparameter preset: default, testnet or highPerformance")
+    .addOptionalParam("hyperparams", "Hyperparameter overrides as JSON, e.g. '{\"tempo\":120}'")
+    .addOptionalParam("maxCost", "Wait until the lock cost in HETU is at most this amount, then register")
+    .addOptionalParam("poll", "Milliseconds between lock cost polls while waiting", 2000, types.int)
+).setAction(async (args, hre) => {
+  const { HyperparamsBuilder } = require("../sdk");
+  const client = await getClient(args, hre);
+  const hyperparams = args.preset || args.hyperparams
+    ? new HyperparamsBuilder(args.preset).set(args.hyperparams ? JSON.parse(args.hyperparams) : {})
+    : undefined;
+  const registration = {
+    name: args.name,
+    description: args.description,
+    tokenName: args.tokenName,
+    tokenSymbol: args.tokenSymbol,
+    usePermit: args.permit,
+    hyperparams
+  };
+  const options = { wrap: args.wrap, dryRun: args.dryRun };
+  const result = args.maxCost === undefined
+    ? await client.registerSubnet(registration, options)
+    : await client.waitAndRegister(registration, {
+      maxCost: hre.ethers.parseEther(args.maxCost),
+      pollInterval: args.poll,
+      onWait: (status) => {
+        if (!args.json) {
+          console.log(`Waiting for block ${status.affordableAt} (${status.blocksLeft} blocks, ~${formatDuration(status.secondsLeft)})`);
+        }
+      }
+    }, options);
+
+  output(args, result, (r) => [
+    ["Netuid", r.netuid],
+    ["Alpha token", r.alphaToken],
+    ["AMM pool", r.ammPool],
+    ["Locked", formatAmount(hre, r.lockedAmount)],
+    ["Burned", formatAmount(hre, r.burnedAmount)],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("lock-cost", "Forecast the subnet registration cost and rate limit, assuming nobody else registers first")
+    .addOptionalParam("block", "Block the registration would execute in (defaults to the next block)", undefined, types.int)
+    .addOptionalParam("maxCost", "Also find the first block whose lock cost in HETU is at most this amount")
+    .addFlag("plot", "Plot the cost decay curve")
+    .addOptionalParam("blocks", "Blocks covered by the plot (defaults to until the cost reaches the minimum)", undefined, types.int)
+    .addOptionalParam("width", "Plot columns", 60, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const { LockCostForecaster, plotLockCost } = require("../sdk");
+  const client = await getClient(args, hre);
+  const status = await client.forecastLockCost({
+    atBlock: args.block,
+    maxCost: args.maxCost === undefined ? undefined : hre.ethers.parseEther(args.maxCost)
+  });
+  const result = { ...status };
+
+  if (args.plot) {
+    const forecaster = await LockCostForecaster.fromSubnetManager(client.subnetManager, { blockTag: status.blockNumber });
+    const from = status.forecast.block;
+    const to = args.blocks ? from + args.blocks : Math.max(from + 1, forecaster.firstBlockUnder(forecaster.minLock, from));
+    result.curve = forecaster.curve(from, to, Math.max(1, Math.ceil((to - from) / args.width)));
+  }
+
+  output(args, result, (r) => [
+    ["Block", r.forecast.block],
+    ["Lock cost", formatAmount(hre, r.forecast.cost)],
+    ["Rate limited", r.forecast.rateLimited],
+    ["Registrable from block", r.forecast.registrableAt],
+    ...(r.affordableAt === null ? [] : [["Cost at most max from block", r.affordableAt]]),
+    ["Blocks left", `${r.blocksLeft} (~${formatDuration(r.secondsLeft)})`],
+    ...(r.curve ? [["Decay curve", `\n${plotLockCost(r.curve, { formatCost: (cost) => Number(hre.ethers.formatEther(cost)).toFixed(2) })}`]] : [])
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("activate", "Activate a subnet (subnet owner only)")
+    .addPositionalParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.activateSubnet(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Activated subnet", r.netuid],
+    ["Block", r.blockNumber],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("deactivate", "Deactivate a subnet, pausing neuron registrations and emissions (subnet owner only)")
+    .addPositionalParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.deactivateSubnet(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Deactivated subnet", r.netuid],
+    ["Block", r.blockNumber],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("dissolve", "Dissolve an inactive subnet, refunding its owner and freeing the netuid")
+    .addPositionalParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.dissolveSubnet(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Dissolved subnet", r.netuid],
+    ["Owner", r.owner],
+    ["Refunded", formatAmount(hre, r.refunded)],
+    ["Redeemable by alpha holders", formatAmount(hre, r.redeemable)],
+    ["Alpha token", r.alphaToken],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("redeem", "Redeem alpha of a dissolved subnet for its share of the pool HETU")
+    .addParam("alphaToken", "Alpha token of the dissolved subnet")
+    .addOptionalParam("amount", "Alpha to redeem (the whole balance when omitted)")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const amount = args.amount === undefined ? undefined : hre.ethers.parseEther(args.amount);
+  const result = await client.redeemAlpha(args.alphaToken, amount, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Alpha redeemed", formatAmount(hre, r.alphaAmount)],
+    ["HETU received", formatAmount(hre, r.hetuAmount)],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("transfer-ownership", "Offer a subnet to a new owner, who accepts with accept-ownership")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addOptionalParam("to", "New owner address")
+    .addFlag("cancel", "Cancel the pending transfer instead")
+).setAction(async (args, hre) => {
+  if (!args.to === !args.cancel) {
+    throw new Error("Pass either --to or --cancel");
+  }
+  const client = await getClient(args, hre);
+  const newOwner = args.cancel ? hre.ethers.ZeroAddress : args.to;
+  const result = await client.transferSubnetOwnership(args.netuid, newOwner, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Subnet", r.netuid],
+    ["Pending owner", r.pendingOwner === hre.ethers.ZeroAddress ? "none (cancelled)" : r.pendingOwner],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("accept-ownership", "Accept a subnet transferred to the signer")
+    .addPositionalParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.acceptSubnetOwnership(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Subnet", r.netuid],
+    ["Previous owner", r.previousOwner],
+    ["New owner", r.newOwner],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("info", "Show subnet information, hyperparameters and pool state")
+    .addPositionalParam("netuid", "Subnet ID", undefined, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const [details, params, neuronCount, { pendingOwner }, lifecycle] = await Promise.all([
+    client.subnetManager.getSubnetDetails(args.netuid),
+    client.subnetManager.getSubnetParams(args.netuid),
+    client.neuronManager.getNeuronCount(args.netuid),
+    client.getSubnetOwnership(args.netuid),
+    client.getSubnetLifecycle(args.netuid)
+  ]);
+  const info = details.subnetInfo;
+
+  const result = {
+    netuid: Number(info.netuid),
+    name: info.name,
+    description: info.description,
+    owner: info.owner,
+    pendingOwner,
+    isActive: info.isActive,
+    inactiveSince: lifecycle.inactiveSince,
+    dissolvableAt: lifecycle.dissolvableAt,
+    alphaToken: info.alphaToken,
+    ammPool: info.ammPool,
+    lockedAmount: info.lockedAmount,
+    burnedAmount: info.burnedAmount,
+    neuronCount,
+    pool: {
+      hetuReserve: details.hetuReserve,
+      alphaReserve: details.alphaReserve,
+      currentPrice: details.currentPrice,
+      totalVolume: details.totalVolume
+    },
+    hyperparams: params.toObject()
+  };
+
+  output(args, result, (r) => [
+    ["Netuid", r.netuid],
+    ["Name", r.name],
+    ["Owner", r.owner],
+    ...(r.pendingOwner ? [["Pending owner", r.pendingOwner]] : []),
+    ["Active", r.isActive],
+    ...(r.isActive ? [] : [["Inactive since block", r.inactiveSince], ["Dissolvable from block", r.dissolvableAt]]),
+    ["Alpha token", r.alphaToken],
+    ["AMM pool", r.ammPool],
+    ["Locked", formatAmount(hre, r.lockedAmount)],
+    ["Neurons", r.neuronCount],
+    ["HETU reserve", formatAmount(hre, r.pool.hetuReserve)],
+    ["Alpha reserve", hre.ethers.formatEther(r.pool.alphaReserve)],
+    ["Alpha price", hre.ethers.formatEther(r.pool.currentPrice)],
+    ["Tempo", r.hyperparams.tempo],
+    ["Neuron threshold", formatAmount(hre, r.hyperparams.neuronThreshold)],
+    ["Validator threshold", formatAmount(hre, r.hyperparams.validatorThreshold)],
+    ["Registration cost", formatAmount(hre, r.hyperparams.baseNeuronCost)]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  subnetScope.task("metagraph", "Export a metagraph snapshot (all neurons and hyperparameters) of a subnet")
+    .addPositionalParam("netuid", "Subnet ID", undefined, types.int)
+    .addOptionalParam("block", "Block number to read at (defaults to the latest block)", undefined, types.int)
+    .addOptionalParam("format", "Output format: json, csv or columnar", "json")
+    .addOptionalParam("out", "Write the snapshot to this file instead of stdout")
+    .addOptionalParam("batchSize", "Neuron reads per Multicall3 aggregate", 100, types.int)
+    .addOptionalParam("concurrency", "Aggregates in flight at once", 4, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const { formatMetagraph } = require("../sdk/metagraph");
+  const client = await getClient(args, hre);
+  const snapshot = await client.getMetagraph(args.netuid, {
+    blockTag: args.block,
+    batchSize: args.batchSize,
+    concurrency: args.concurrency
+  });
+  const text = formatMetagraph(snapshot, args.format);
+
+  if (args.out) {
+    require("fs").writeFileSync(args.out, text);
+    output(args, { netuid: snapshot.netuid, blockNumber: snapshot.blockNumber, neurons: snapshot.neurons.length, file: args.out }, (r) => [
+      ["Netuid", r.netuid],
+      ["Block", r.blockNumber],
+      ["Neurons", r.neurons],
+      ["Written to", r.file]
+    ]);
+  } else {
+    console.log(text);
+  }
+  return snapshot;
+});
+
+subnetScope.task("metagraph-diff", "Compare two metagraph JSON snapshots of the same subnet")
+  .addPositionalParam("before", "Older snapshot file (json format)")
+  .addPositionalParam("after", "Newer snapshot file (json format)")
+  .addFlag("json", "Print machine readable JSON output")
+  .setAction(async (args) => {
+    const fs = require("fs");
+    const { diffMetagraphs } = require("../sdk/metagraph");
+    const read = (file) => JSON.parse(fs.readFileSync(file, "utf8"));
+    const diff = diffMetagraphs(read(args.before), read(args.after));
+
+    if (args.json) {
+      console.log(toJson(diff));
+      return diff;
+    }
+    console.log(`Subnet ${diff.netuid}, blocks ${diff.fromBlock} -> ${diff.toBlock}`);
+    diff.added.forEach((n) => console.log(`  + ${n.account} (stake ${n.stake}${n.isValidator ? ", validator" : ""})`));
+    diff.removed.forEach((n) => console.log(`  - ${n.account}`));
+    for (const { account, changes } of diff.changed) {
+      const fields = Object.entries(changes).map(([key, { from, to }]) => `${key} ${from} -> ${to}`);
+      console.log(`  ~ ${account}: ${fields.join(", ")}`);
+    }
+    for (const [key, { from, to }] of Object.entries(diff.hyperparams)) {
+      console.log(`  hyperparam ${key}: ${from} -> ${to}`);
+    }
+    console.log(`Total stake change: ${diff.stakeDelta}`);
+    return diff;
+  });
+
+// ============ Hyperparameter Commands ============
+
+function formatChanges(changes) {
+  return changes.map(({ field, from, to }) => [field, `${from} -> ${to}`]);
+}
+
+withCommonParams(
+  hyperparamsScope.task("propose", "Propose hyperparameter changes for a subnet (subnet owner only)")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("set", "Field overrides of the current hyperparameters as JSON, e.g. '{\"tempo\":120}'")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.proposeHyperparams(args.netuid, JSON.parse(args.set), { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ...formatChanges(r.changes),
+    ["Executable at block", r.executableAt],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  hyperparamsScope.task("pending", "Show the pending hyperparameter change of a subnet")
+    .addParam("netuid", "Subnet ID", undefined, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.getPendingHyperparams(args.netuid);
+
+  output(args, result, (r) => (r === null
+    ? [["Pending change", "none"]]
+    : [
+      ...formatChanges(r.changes),
+      ["Proposer", r.proposer],
+      ["Executable", r.executable
+        ? "now"
+        : `at block ${r.executableAt} (${r.blocksLeft} blocks, ~${formatDuration(r.secondsLeft)})`]
+    ]));
+  return result;
+});
+
+withCommonParams(
+  hyperparamsScope.task("execute", "Apply the pending hyperparameter change of a subnet after its timelock")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.executeHyperparams(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [...formatChanges(r.changes), ["Transaction", r.hash]]);
+  return result;
+});
+
+withCommonParams(
+  hyperparamsScope.task("cancel", "Withdraw the pending hyperparameter change of a subnet (subnet owner only)")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.cancelHyperparams(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [["Cancelled", `subnet ${r.netuid}`], ["Transaction", r.hash]]);
+  return result;
+});
+
+// ============ Neuron Commands ============
+
+withCommonParams(
+  neuronScope.task("register", "Register a neuron with stake allocation")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("stake", "Stake to allocate, in HETU")
+    .addFlag("validator", "Request the validator role")
+    .addOptionalParam("axonEndpoint", "Axon endpoint", "")
+    .addOptionalParam("axonPort", "Axon port", 0, types.int)
+    .addOptionalParam("prometheusEndpoint", "Prometheus endpoint", "")
+    .addOptionalParam("prometheusPort", "Prometheus port", 0, types.int)
+    .addFlag("autoStake", "Add global stake for any shortfall before registering")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.registerNeuron({
+    netuid: args.netuid,
+    stake: hre.ethers.parseEther(args.stake),
+    isValidator: args.validator,
+    axonEndpoint: args.axonEndpoint,
+    axonPort: args.axonPort,
+    prometheusEndpoint: args.prometheusEndpoint,
+    prometheusPort: args.prometheusPort,
+    autoStake: args.autoStake
+  }, { wrap: args.wrap, dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Registered neuron", r.account],
+    ["Netuid", r.netuid],
+    ["Stake", formatAmount(hre, r.stake)],
+    ["Validator", r.isValidator],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  neuronScope.task("update-stake", "Change the signer's neuron stake (promotes or demotes at validatorThreshold)")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("stake", "New neuron stake, in HETU")
+    .addFlag("autoStake", "Add global stake for any shortfall before increasing")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.updateNeuronStake({
+    netuid: args.netuid,
+    stake: hre.ethers.parseEther(args.stake),
+    autoStake: args.autoStake
+  }, { wrap: args.wrap, dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Neuron", r.account],
+    ["Netuid", r.netuid],
+    ["Old stake", formatAmount(hre, r.oldStake)],
+    ["New stake", formatAmount(hre, r.newStake)],
+    ["Validator", r.isValidator],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  neuronScope.task("set-role", "Ask for the validator role for the signer's neuron, or give it up")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("role", "validator or miner")
+).setAction(async (args, hre) => {
+  if (args.role !== "validator" && args.role !== "miner") {
+    throw new Error("--role must be validator or miner");
+  }
+  const client = await getClient(args, hre);
+  const result = await client.setValidatorRole(args.netuid, args.role === "validator", { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Neuron", r.account],
+    ["Netuid", r.netuid],
+    ["Requested role", r.requested ? "validator" : "miner"],
+    ["Validator", r.isValidator],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  neuronScope.task("deregister", "Deregister the signer's neuron")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.deregisterNeuron(args.netuid, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Deregistered neuron", r.account],
+    ["Netuid", r.netuid],
+    ["Released stake", formatAmount(hre, r.released)],
+    ["Refunded cost", formatAmount(hre, r.refunded)],
+    ["Unbonding until block", r.unlockBlock === null ? "-" : r.unlockBlock],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  neuronScope.task("remove-dissolved", "Remove the neurons of a dissolved subnet so its netuid can take new neurons")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addOptionalParam("accounts", "Comma separated neurons to remove (defaults to all)")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const accounts = args.accounts ? args.accounts.split(",").map((account) => account.trim()) : undefined;
+  const result = await client.removeDissolvedNeurons(args.netuid, accounts, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Netuid", r.netuid],
+    ["Removed neurons", r.accounts.length ? r.accounts.join(", ") : "none"]
+  ]);
+  return result;
+});
+
+// ============ Stake Commands ============
+
+withCommonParams(
+  stakeScope.task("add", "Add global stake")
+    .addPositionalParam("amount", "Amount in HETU")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.stake(hre.ethers.parseEther(args.amount), { wrap: args.wrap, dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Staked", formatAmount(hre, r.amount)],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  stakeScope.task("remove", "Remove global stake")
+    .addPositionalParam("amount", "Amount in HETU")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.unstake(hre.ethers.parseEther(args.amount), { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Queued for withdrawal", formatAmount(hre, r.amount)],
+    ["Withdrawal ID", r.id],
+    ["Claimable from block", r.unlockBlock],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  stakeScope.task("withdrawals", "List pending withdrawals and the time left until they can be claimed")
+    .addOptionalParam("user", "Account to list (defaults to the signer)"),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.getPendingWithdrawals(args.user);
+
+  output(args, result, (withdrawals) => (withdrawals.length === 0
+    ? [["Pending withdrawals", "none"]]
+    : withdrawals.map((w) => [
+      `Withdrawal ${w.id}`,
+      `${formatAmount(hre, w.amount)}, ${w.claimable
+        ? "claimable now"
+        : `claimable at block ${w.unlockBlock} (${w.blocksLeft} blocks, ~${formatDuration(w.secondsLeft)})`}`
+    ])));
+  return result;
+});
+
+withCommonParams(
+  stakeScope.task("claim", "Claim a matured withdrawal (all matured withdrawals without --id)")
+    .addOptionalParam("id", "Withdrawal ID")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const id = args.id === undefined ? undefined : BigInt(args.id);
+  const result = await client.claimWithdrawal(id, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Claimed", formatAmount(hre, r.amount)],
+    ["Withdrawal IDs", r.ids.join(", ")],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  stakeScope.task("cancel", "Cancel a pending withdrawal and stake the amount again")
+    .addParam("id", "Withdrawal ID")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.cancelWithdrawal(BigInt(args.id), { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Restaked", formatAmount(hre, r.amount)],
+    ["Withdrawal ID", r.id],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  stakeScope.task("allocate", "Set the stake allocated to a subnet")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("amount", "New allocation in HETU")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.allocate(args.netuid, hre.ethers.parseEther(args.amount), { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Netuid", r.netuid],
+    ["Old allocation", formatAmount(hre, r.oldAmount)],
+    ["New allocation", formatAmount(hre, r.newAmount)],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+// ============ Delegation Commands ============
+
+withCommonParams(
+  delegateScope.task("add", "Delegate global stake to a neuron")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("validator", "Neuron address")
+    .addParam("amount", "Amount in HETU")
+    .addFlag("autoStake", "Add global stake for any shortfall before delegating")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.delegate({
+    netuid: args.netuid,
+    validator: args.validator,
+    amount: hre.ethers.parseEther(args.amount),
+    autoStake: args.autoStake
+  }, { wrap: args.wrap, dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Delegated", formatAmount(hre, r.amount)],
+    ["Validator", r.validator],
+    ["Netuid", r.netuid],
+    ["Validator role", r.isValidator],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  delegateScope.task("remove", "Undelegate stake from a neuron (the amount unbonds first)")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("validator", "Neuron address")
+    .addParam("amount", "Amount in HETU")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.undelegate({
+    netuid: args.netuid,
+    validator: args.validator,
+    amount: hre.ethers.parseEther(args.amount)
+  }, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Undelegated", formatAmount(hre, r.amount)],
+    ["Validator", r.validator],
+    ["Unbonding until block", r.unlockBlock],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  delegateScope.task("commission", "Set the signer's commission on delegators' rewards")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("bps", "Commission in basis points (0 - 10000)", undefined, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.setCommission(args.netuid, args.bps, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Validator", r.validator],
+    ["Old commission (bps)", r.oldCommission],
+    ["New commission (bps)", r.newCommission],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  delegateScope.task("info", "Show a neuron's effective stake, commission and delegators")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("validator", "Neuron address"),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.getDelegation(args.netuid, args.validator);
+
+  output(args, result, (r) => [
+    ["Validator", r.validator],
+    ["Own stake", formatAmount(hre, r.ownStake)],
+    ["Delegated stake", formatAmount(hre, r.delegatedStake)],
+    ["Effective stake", formatAmount(hre, r.effectiveStake)],
+    ["Commission (bps)", r.commission],
+    ["Validator role", r.isValidator],
+    ...r.delegators.map((d) => [`Delegator ${d.delegator}`, formatAmount(hre, d.amount)])
+  ]);
+  return result;
+});
+
+// ============ Reward Commands ============
+
+withCommonParams(
+  rewardsScope.task("pending", "List the epochs of a subnet with unclaimed rewards")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addOptionalParam("account", "Account to list (defaults to the signer)"),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const rewards = await client.getPendingRewards(args.netuid, args.account);
+  const result = { netuid: args.netuid, rewards, total: rewards.reduce((sum, r) => sum + r.amount, 0n) };
+
+  output(args, result, (r) => [
+    ...r.rewards.map(({ epoch, amount }) => [`Epoch ${epoch}`, formatAlpha(hre, amount)]),
+    ["Total", formatAlpha(hre, r.total)]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  rewardsScope.task("claim", "Claim rewards of a subnet (every unclaimed epoch without --epochs)")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addOptionalParam("epochs", "Comma separated epochs to claim")
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const epochs = args.epochs ? args.epochs.split(",").map((epoch) => Number(epoch.trim())) : undefined;
+  const result = await client.claimRewards(args.netuid, epochs, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Claimed", formatAlpha(hre, r.amount)],
+    ["Epochs", r.epochs.join(", ")],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  rewardsScope.task("run", "Distribute due epochs (the signer must be an epoch runner)")
+    .addOptionalParam("netuid", "Subnet ID (defaults to every subnet)", undefined, types.int)
+    .addFlag("plan", "Only show the weights and rewards of the next epoch")
+).setAction(async (args, hre) => {
+  const { EpochRunner } = require("../sdk");
+  const runner = new EpochRunner(await getClient(args, hre));
+
+  if (args.plan) {
+    if (args.netuid === undefined) {
+      throw new Error("--plan needs --netuid");
+    }
+    const result = await runner.plan(args.netuid);
+    output(args, result, (r) => [
+      ["Next epoch block", r.nextEpochBlock],
+      ["Due", r.due],
+      ["Emission", formatAlpha(hre, r.emission)],
+      ...Object.entries(r.preview.rewards).map(([account, amount]) => [account, formatAlpha(hre, amount)])
+    ]);
+    return result;
+  }
+
+  const options = { dryRun: args.dryRun };
+  const result = args.netuid === undefined
+    ? await runner.runDue(options)
+    : [await runner.run(args.netuid, options)].filter(Boolean);
+  if (args.dryRun) {
+    // One distribute call per due subnet, each simulated on its own
+    const summary = { dryRun: true, steps: result.flatMap(({ steps }) => steps) };
+    if (summary.steps.length === 0 && !args.json) {
+      console.log("No epoch due");
+    } else {
+      output(args, summary);
+    }
+    return summary;
+  }
+  if (args.json) {
+    output(args, result);
+  } else if (result.length === 0) {
+    console.log("No epoch due");
+  } else {
+    for (const r of result) {
+      console.log(`Subnet ${r.netuid} epoch ${r.epoch}: minted ${formatAlpha(hre, r.minted)} (${r.hash})`);
+    }
+  }
+  return result;
+});
+
+// ============ AMM Commands ============
+
+withCommonParams(
+  ammScope.task("quote", "Quote a swap against the current pool state")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("amount", "Input amount")
+    .addFlag("sell", "Quote alpha -> HETU instead of HETU -> alpha"),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.quote({
+    netuid: args.netuid,
+    amountIn: hre.ethers.parseEther(args.amount),
+    hetuToAlpha: !args.sell
+  });
+
+  output(args, result, (r) => [
+    ["Amount out", hre.ethers.formatEther(r.amountOut)],
+    ["Swap fee (HETU)", hre.ethers.formatEther(r.fee)],
+    ["Price impact", `${Number(r.priceImpact) / 100}%`],
+    ["New price", hre.ethers.formatEther(r.newPrice)],
+    ["Liquidity sufficient", r.isLiquiditySufficient]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  ammScope.task("swap", "Swap HETU for alpha (or alpha for HETU with --sell)")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("amount", "Input amount")
+    .addFlag("sell", "Swap alpha -> HETU instead of HETU -> alpha")
+    .addOptionalParam("minOut", "Minimum output amount (overrides --slippage)")
+    .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.swap({
+    netuid: args.netuid,
+    amountIn: hre.ethers.parseEther(args.amount),
+    hetuToAlpha: !args.sell,
+    minAmountOut: args.minOut === undefined ? undefined : hre.ethers.parseEther(args.minOut),
+    slippageBps: args.slippage
+  }, { wrap: args.wrap, dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Amount in", hre.ethers.formatEther(r.amountIn)],
+    ["Amount out", hre.ethers.formatEther(r.amountOut)],
+    ["New price", hre.ethers.formatEther(r.newPrice)],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  ammScope.task("route-quote", "Quote an alpha to alpha swap routed through HETU")
+    .addParam("from", "Subnet ID of the alpha to sell", undefined, types.int)
+    .addParam("to", "Subnet ID of the alpha to buy", undefined, types.int)
+    .addParam("amount", "Alpha amount to sell")
+    .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.quoteRoute({
+    fromNetuid: args.from,
+    toNetuid: args.to,
+    amountIn: hre.ethers.parseEther(args.amount),
+    slippageBps: args.slippage
+  });
+
+  output(args, result, (r) => [
+    ["HETU leg", formatAmount(hre, r.hetuAmount)],
+    ["Amount out", hre.ethers.formatEther(r.amountOut)],
+    ["Minimum out", hre.ethers.formatEther(r.minAmountOut)],
+    ["Block", r.blockNumber]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  ammScope.task("twap", "Time weighted average alpha price between two blocks")
+    .addParam("netuid", "Subnet ID", undefined, types.int)
+    .addParam("fromBlock", "Start of the window", undefined, types.int)
+    .addOptionalParam("toBlock", "End of the window (defaults to the latest block)", undefined, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const result = await client.getTwap({
+    netuid: args.netuid,
+    fromBlock: args.fromBlock,
+    toBlock: args.toBlock === undefined ? "latest" : args.toBlock
+  });
+
+  output(args, result, (r) => [
+    ["Blocks", `${r.fromBlock} -> ${r.toBlock}`],
+    ["Seconds", r.seconds],
+    ["TWAP price", hre.ethers.formatEther(r.twapPrice)]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  ammScope.task("route", "Swap one subnet's alpha for another's through the AMM router")
+    .addParam("from", "Subnet ID of the alpha to sell", undefined, types.int)
+    .addParam("to", "Subnet ID of the alpha to buy", undefined, types.int)
+    .addParam("amount", "Alpha amount to sell")
+    .addOptionalParam("minOut", "Minimum output amount (overrides --slippage)")
+    .addOptionalParam("slippage", "Slippage tolerance in basis points", 50, types.int)
+    .addOptionalParam("deadline", "Seconds until the swap expires", 1200, types.int)
+).setAction(async (args, hre) => {
+  const client = await getClient(args, hre);
+  const block = await hre.ethers.provider.getBlock("latest");
+  const result = await client.swapAlphaForAlpha({
+    fromNetuid: args.from,
+    toNetuid: args.to,
+    amountIn: hre.ethers.parseEther(args.amount),
+    minAmountOut: args.minOut === undefined ? undefined : hre.ethers.parseEther(args.minOut),
+    slippageBps: args.slippage,
+    deadline: block.timestamp + args.deadline
+  }, { dryRun: args.dryRun });
+
+  output(args, result, (r) => [
+    ["Amount in", hre.ethers.formatEther(r.amountIn)],
+    ["HETU leg", formatAmount(hre, r.hetuAmount)],
+    ["Amount out", hre.ethers.formatEther(r.amountOut)],
+    ["Transaction", r.hash]
+  ]);
+  return result;
+});
+
+withCommonParams(
+  ammScope.task("backtest", "Replay a trade list against the off-chain SubnetAMM model")
+    .addPositionalParam("file", "JSON file with { pool?, trades } (amounts in wei)")
+    .addOptionalParam("netuid", "Start from the current state of this subnet's pool instead of file.pool", undefined, types.int),
+  { write: false }
+).setAction(async (args, hre) => {
+  const { AmmSimulator } = require("../sdk/simulator");
+  const { pool, trades } = JSON.parse(require("fs").readFileSync(args.file, "utf8"));
+
+  let simulator;
+  if (args.netuid !== undefined) {
+    const client = await getClient(args, hre);
+    simulator = await AmmSimulator.fromPool(await client.getPool(args.netuid));
+  } else if (pool) {
+    simulator = new AmmSimulator(pool);
+  } else {
+    throw new Error("backtest: the file has no pool state, pass --netuid to start from a deployed pool");
+  }
+
+  const result = simulator.replay(trades);
+  if (args.json) {
+    console.log(toJson(result));
+    return result;
+  }
+  const price = (value) => Number(hre.ethers.formatEther(value)).toFixed(6);
+  for (const step of result.steps) {
+    const amounts = step.amountIn > 0n
+      ? ` ${hre.ethers.formatEther(step.amountIn)} -> ${hre.ethers.formatEther(step.amountOut)}`
+      : "";
+    const outcome = step.error
+      ? `failed: ${step.error}`
+      : `price ${price(step.priceAfter)}, moving ${price(step.movingAlphaPrice)}` +
+        (step.slippageBps === null ? "" : `, slippage ${step.slippageBps / 100}%`);
+    console.log(`#${step.index} block ${step.block} ${step.action}${amounts} (${outcome})`);
+  }
+  console.log(`Final reserves: ${formatAmount(hre, result.final.subnetHetu)}, ` +
+    `${hre.ethers.formatEther(result.final.subnetAlphaIn)} alpha`);
+  return result;
+});
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveRoleKeys, networkAccounts, roleAddresses } = require("../config/accounts");
+
+const { ethers } = hre;
+
+describe("Account configuration", function () {
+  // Default Hardhat network mnemonic, so derived roles line up with the local signers
+  const MNEMONIC = "test test test test test test test test test test test junk";
+
+  it("should load no accounts when nothing is configured", function () {
+    expect(networkAccounts({})).to.deep.equal([]);
+    expect(roleAddresses({})).to.deep.equal({});
+  });
+
+  it("should read raw private keys per role", function () {
+    const deployer = ethers.Wallet.createRandom();
+    const system = ethers.Wallet.createRandom();
+
+    const env = {
+      HETU_DEPLOYER_PRIVATE_KEY: deployer.privateKey.slice(2),
+      HETU_SYSTEM_PRIVATE_KEY: system.privateKey
+    };
+
+    expect(networkAccounts(env)).to.deep.equal([deployer.privateKey, system.privateKey]);
+    expect(roleAddresses(env)).to.deep.equal({ deployer: deployer.address, system: system.address });
+  });
+
+  it("should derive roles from a mnemonic and derivation path", async function () {
+    const signers = await ethers.getSigners();
+
+    const addresses = roleAddresses({ HETU_MNEMONIC: MNEMONIC });
+    expect(addresses).to.deep.equal({
+      deployer: signers[0].address,
+      system: signers[1].address,
+      treasury: signers[2].address
+    });
+
+    const custom = roleAddresses({ HETU_MNEMONIC: MNEMONIC, HETU_HD_PATH: "m/44'/60'/1'/0" });
+    expect(custom.deployer).to.equal(ethers.HDNodeWallet.fromPhrase(MNEMONIC, "", "m/44'/60'/1'/0/0").address);
+  });
+
+  it("should unlock an encrypted keystore and prefer it over the mnemonic", function () {
+    const treasury = ethers.Wallet.createRandom();
+    const keystore = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hetu-keys-")), "treasury.json");
+    fs.writeFileSync(keystore, ethers.encryptKeystoreJsonSync(treasury, "secret", { scrypt: { N: 1024 } }));
+
+    const keys = resolveRoleKeys({
+      HETU_MNEMONIC: MNEMONIC,
+      HETU_TREASURY_KEYSTORE: keystore,
+      HETU_KEYSTORE_PASSWORD: "secret"
+    });
+
+    expect(keys.treasury).to.equal(treasury.privateKey);
+    expect(keys.deployer).to.equal(ethers.HDNodeWallet.fromPhrase(MNEMONIC, "", "m/44'/60'/0'/0/0").privateKey);
+
+    expect(() => resolveRoleKeys({ HETU_TREASURY_KEYSTORE: keystore }))
+      .to.throw("HETU_TREASURY_KEYSTORE_PASSWORD");
+  });
+
+  it("should only resolve remote network keys when the network is used", function () {
+    const deployer = ethers.Wallet.createRandom();
+    const previous = process.env.HETU_DEPLOYER_PRIVATE_KEY;
+    try {
+      // The config loaded without a key; a bad key only fails once the accounts are read
+      process.env.HETU_DEPLOYER_PRIVATE_KEY = "0x1234";
+      expect(() => hre.config.networks.customchain.accounts).to.throw("not a 32-byte hex private key");
+      process.env.HETU_DEPLOYER_PRIVATE_KEY = deployer.privateKey;
+      expect(hre.config.networks.customchain.accounts).to.deep.equal([deployer.privateKey]);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.HETU_DEPLOYER_PRIVATE_KEY;
+      } else {
+        process.env.HETU_DEPLOYER_PRIVATE_KEY = previous;
+      }
+    }
+  });
+
+  it("should reject malformed private keys", function () {
+    expect(() => resolveRoleKeys({ HETU_DEPLOYER_PRIVATE_KEY: "0x1234" }))
+      .to.throw("HETU_DEPLOYER_PRIVATE_KEY is not a 32-byte hex private key");
+  });
+});
@@ -0,0 +1,236 @@
+const {
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { AmmSimulator, MECHANISM } = require("../index");
+
+describe("AmmSimulator", function () {
+  const MIN_LIQUIDITY = ethers.parseEther("100");
+  const INITIAL_LIQUIDITY = ethers.parseEther("1000");
+
+  const SWAP_FEE = 30;
+  const PROTOCOL_FEE_SHARE = 2000;
+
+  async function deployPool(mechanism) {
+    const [owner, system, trader, treasury] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const AlphaToken = await ethers.getContractFactory("AlphaToken");
+    const alphaToken = await AlphaToken.deploy("Sim Alpha", "SIM", owner.address, 1, system.address);
+
+    const SubnetAMMFactory = await ethers.getContractFactory("SubnetAMMFactory");
+    const factory = await SubnetAMMFactory.deploy(system.address);
+    await factory.createPool(
+      whetuToken.target,
+      alphaToken.target,
+      1,
+      owner.address,
+      mechanism,
+      MIN_LIQUIDITY,
+      SWAP_FEE,
+      PROTOCOL_FEE_SHARE
+    );
+    const pool = await ethers.getContractAt("SubnetAMM", await factory.getPool(1));
+
+    // Test files share the hardhat accounts, keep the ones later files rely on funded
+    await setBalance(system.address, ethers.parseEther("10000"));
+    await setBalance(trader.address, ethers.parseEther("20000"));
+
+    await alphaToken.mint(system.address, INITIAL_LIQUIDITY * 10n);
+    await whetuToken.connect(system).deposit({ value: INITIAL_LIQUIDITY * 2n });
+    await whetuToken.connect(system).approve(pool.target, ethers.MaxUint256);
+    await alphaToken.connect(system).approve(pool.target, ethers.MaxUint256);
+
+    await whetuToken.connect(trader).deposit({ value: ethers.parseEther("12000") });
+    await whetuToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+    await alphaToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+
+    return { whetuToken, factory, pool, system, trader, treasury };
+  }
+
+  function deployDynamicFixture() {
+    return deployPool(MECHANISM.Dynamic);
+  }
+
+  function deployStableFixture() {
+    return deployPool(MECHANISM.Stable);
+  }
+
+  // Run the same operation on-chain and in the simulator, then compare the full pool state
+  async function step(pool, sim, send, simulate) {
+    let receipt;
+    let chainError;
+    try {
+      receipt = await (await send()).wait();
+    } catch (error) {
+      chainError = error;
+    }
+
+    const block = receipt ? receipt.blockNumber : await ethers.provider.getBlockNumber();
+    if (chainError) {
+      expect(() => simulate(block)).to.throw();
+    } else {
+      simulate(block);
+    }
+
+    const info = await pool.getPoolInfo();
+    const state = sim.getState();
+    expect(state.subnetHetu).to.equal(info._subnetHetu);
+    expect(state.subnetAlphaIn).to.equal(info._subnetAlphaIn);
+    expect(state.subnetAlphaOut).to.equal(info._subnetAlphaOut);
+    expect(state.currentAlphaPrice).to.equal(info._currentPrice);
+    expect(state.totalVolume).to.equal(info._totalVolume);
+    expect(state.totalFees).to.equal(await pool.totalFees());
+    expect(state.totalProtocolFees).to.equal(await pool.totalProtocolFees());
+    expect(sim.getMovingAlphaPrice()).to.equal(await pool.getMovingAlphaPrice());
+    expect(state.priceUpdateBlock).to.equal(Number(await pool.priceUpdateBlock()));
+    expect(sim.getAlphaPrice()).to.equal(await pool.getAlphaPrice());
+
+    for (const probe of ["1", "50", "400", "5000"].map((v) => ethers.parseEther(v))) {
+      expect(sim.simSwapHETUForAlpha(probe)).to.equal(await pool.simSwapHETUForAlpha(probe));
+      expect(sim.simSwapAlphaForHETU(probe)).to.equal(await pool.simSwapAlphaForHETU(probe));
+    }
+    return chainError;
+  }
+
+  it("should match the dynamic pool through swaps, injections and price updates", async function () {
+    const { whetuToken, factory, pool, system, trader, treasury } = await loadFixture(deployDynamicFixture);
+    await factory.connect(system).setFeeTo(treasury.address);
+    const sim = await AmmSimulator.fromPool(pool);
+    expect(sim.feeTo).to.equal(treasury.address);
+    const e = ethers.parseEther;
+
+    await step(pool, sim,
+      () => pool.connect(system).injectLiquidity(INITIAL_LIQUIDITY, INITIAL_LIQUIDITY),
+      (block) => sim.injectLiquidity(INITIAL_LIQUIDITY, INITIAL_LIQUIDITY, block));
+
+    const trades = [
+      { gap: 3, buy: e("120") },
+      { gap: 0, buy: e("75") },
+      { gap: 40, sell: e("60") },
+      { gap: 1500, buy: e("400") },
+      { gap: 7, sell: e("25") },
+      { gap: 200, inject: [e("300"), e("0")] },
+      { gap: 12, buy: e("900") },
+      { gap: 2, update: true },
+      { gap: 5, sell: e("150") }
+    ];
+
+    for (const trade of trades) {
+      if (trade.gap > 0) {
+        await mine(trade.gap);
+      }
+      if (trade.buy) {
+        await step(pool, sim,
+          () => pool.connect(trader).swapHETUForAlpha(trade.buy, 0, trader.address),
+          (block) => sim.swapHETUForAlpha(trade.buy, 0, block));
+      } else if (trade.sell) {
+        await step(pool, sim,
+          () => pool.connect(trader).swapAlphaForHETU(trade.sell, 0, trader.address),
+          (block) => sim.swapAlphaForHETU(trade.sell, 0, block));
+      } else if (trade.inject) {
+        await step(pool, sim,
+          () => pool.connect(system).injectLiquidity(...trade.inject),
+          (block) => sim.injectLiquidity(...trade.inject, block));
+      } else {
+        await step(pool, sim,
+          () => pool.updateMovingPrice(),
+          (block) => sim.updateMovingPrice(block));
+      }
+    }
+
+    expect(sim.totalProtocolFees).to.be.gt(0);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(sim.totalProtocolFees);
+
+    // The price went above 1.0, so the moving average must have used the capped price
+    expect(sim.getAlphaPrice()).to.be.gt(e("1"));
+    expect(sim.getMovingAlphaPrice()).to.be.at.most(e("1"));
+  });
+
+  it("should reject the same trades as the contract", async function () {
+    const { pool, system, trader } = await loadFixture(deployDynamicFixture);
+    const sim = await AmmSimulator.fromPool(pool);
+
+    await step(pool, sim,
+      () => pool.connect(system).injectLiquidity(INITIAL_LIQUIDITY, INITIAL_LIQUIDITY),
+      (block) => sim.injectLiquidity(INITIAL_LIQUIDITY, INITIAL_LIQUIDITY, block));
+
+    // Would leave less than the minimum alpha reserve
+    const tooLarge = ethers.parseEther("9500");
+    expect(await step(pool, sim,
+      () => pool.connect(trader).swapHETUForAlpha(tooLarge, 0, trader.address),
+      (block) => sim.swapHETUForAlpha(tooLarge, 0, block))).to.exist;
+    expect(() => sim.swapHETUForAlpha(tooLarge, 0, sim.block)).to.throw("AMM: INSUFFICIENT_LIQUIDITY");
+
+    const amountIn = ethers.parseEther("10");
+    const quote = sim.simSwapHETUForAlpha(amountIn);
+    expect(() => sim.swapHETUForAlpha(amountIn, quote + 1n, sim.block)).to.throw("AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+    expect(() => sim.withdrawLiquidity(INITIAL_LIQUIDITY - MIN_LIQUIDITY + 1n, 0n, sim.block)).to.throw("AMM: BELOW_MIN_LIQUIDITY");
+    expect(() => sim.swapHETUForAlpha(amountIn, 0n, sim.block - 1)).to.throw("is before the last operation");
+  });
+
+  it("should match the stable 1:1 pool", async function () {
+    const { pool, system, trader } = await loadFixture(deployStableFixture);
+    const sim = await AmmSimulator.fromPool(pool);
+    expect(sim.mechanism).to.equal(MECHANISM.Stable);
+    // Without a fee recipient the whole fee stays in the reserves
+    expect(sim.feeTo).to.equal(null);
+
+    await step(pool, sim,
+      () => pool.connect(system).injectLiquidity(INITIAL_LIQUIDITY, INITIAL_LIQUIDITY),
+      (block) => sim.injectLiquidity(INITIAL_LIQUIDITY, INITIAL_LIQUIDITY, block));
+
+    const amount = ethers.parseEther("250");
+    const amountOut = amount - (amount * BigInt(SWAP_FEE)) / 10000n;
+    await mine(10);
+    await step(pool, sim,
+      () => pool.connect(trader).swapHETUForAlpha(amount, amountOut, trader.address),
+      (block) => sim.swapHETUForAlpha(amount, amountOut, block));
+    await step(pool, sim,
+      () => pool.connect(trader).swapAlphaForHETU(amount / 2n, 0, trader.address),
+      (block) => sim.swapAlphaForHETU(amount / 2n, 0, block));
+  });
+
+  it("should replay a trade list and report prices and slippage", function () {
+    const e = ethers.parseEther;
+    const sim = new AmmSimulator({
+      mechanism: "dynamic",
+      minimumPoolLiquidity: e("100"),
+      subnetHetu: e("1000"),
+      subnetAlphaIn: e("1000"),
+      priceUpdateBlock: 10
+    });
+
+    const { steps, final } = sim.replay([
+      { action: "buy", block: 11, amount: e("100") },
+      { action: "buy", block: 11, amount: e("100"), minOut: e("100") },
+      { action: "sell", block: 20, amount: e("50") },
+      { action: "inject", block: 30, hetu: e("500"), alpha: e("500") },
+      { action: "buy", block: 40, amount: e("50000") },
+      { action: "update", block: 1040 }
+    ]);
+
+    expect(steps).to.have.length(6);
+    expect(steps[0].amountOut).to.equal(e("1000") - (e("1000") * e("1000")) / e("1100"));
+    expect(steps[0].spotOut).to.equal(e("100"));
+    expect(steps[0].slippageBps).to.equal(909);
+    expect(steps[0].movingAlphaPrice).to.equal(steps[0].priceAfter);
+
+    expect(steps[1].error).to.equal("AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+    expect(steps[1].subnetHetu).to.equal(steps[0].subnetHetu);
+    expect(steps[4].error).to.equal("AMM: INSUFFICIENT_LIQUIDITY");
+
+    expect(final.subnetAlphaOut).to.equal(steps[0].amountOut - e("50"));
+    expect(final.priceUpdateBlock).to.equal(1040);
+    // The first update takes the uncapped price, later updates pull it towards the 1.0 cap
+    expect(steps[0].movingAlphaPrice).to.be.gt(e("1"));
+    expect(final.movingAlphaPrice).to.be.lt(steps[3].movingAlphaPrice);
+    expect(final.movingAlphaPrice).to.be.gt(e("1"));
+    expect(() => sim.replay([{ action: "mint", block: 1041 }])).to.throw("unknown action");
+  });
+});
@@ -0,0 +1,165 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, BatchReader, MULTICALL3_ADDRESS, ensureMulticall3, buildDeployment } = require("../index");
+const { mapWithConcurrency } = require("../sdk/multicall");
+
+describe("BatchReader", function () {
+  async function deployFixture() {
+    const [owner, system, creator, ...users] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(
+      subnetManager.target,
+      globalStaking.target,
+      owner.address
+    );
+
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+    await ensureMulticall3(ethers.provider);
+
+    const entry = (contractName, contract) => ({ contractName, address: contract.target });
+    const deployment = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager),
+        multicall3: { contractName: "Multicall3", address: MULTICALL3_ADDRESS }
+      }
+    });
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    const creatorClient = HetuClient.fromDeployment(deployment, creator);
+    const { netuid } = await creatorClient.registerSubnet({
+      name: "Batch Subnet",
+      tokenName: "BatchAlpha",
+      tokenSymbol: "BTCH"
+    }, { wrap: true });
+    await creatorClient.activateSubnet(netuid);
+
+    // Two validators followed by three miners
+    const neurons = users.slice(0, 5);
+    for (const [i, user] of neurons.entries()) {
+      await HetuClient.fromDeployment(deployment, user).registerNeuron({
+        netuid,
+        stake: ethers.parseEther(i < 2 ? "600" : "250"),
+        isValidator: i < 2,
+        autoStake: true
+      }, { wrap: true });
+    }
+
+    const client = HetuClient.fromDeployment(deployment, ethers.provider);
+    return { neurons, subnetManager, neuronManager, globalStaking, client, netuid };
+  }
+
+  it("should page through a subnet's neurons with Multicall3 aggregates", async function () {
+    const { neurons, neuronManager, client, netuid } = await loadFixture(deployFixture);
+    const reader = new BatchReader(client, { batchSize: 2, concurrency: 2 });
+    expect(await reader.hasMulticall()).to.be.true;
+
+    // Count the aggregate3 calls the reader sends
+    const { multicall } = reader;
+    let aggregates = 0;
+    reader.multicall = {
+      target: multicall.target,
+      aggregate3: {
+        staticCall: (...args) => {
+          aggregates++;
+          return multicall.aggregate3.staticCall(...args);
+        }
+      }
+    };
+
+    const all = await reader.getSubnetNeurons(netuid);
+    expect(all.total).to.equal(5);
+    expect(all.neurons.map((n) => n.account)).to.deep.equal(neurons.map((n) => n.address));
+    expect(aggregates).to.equal(3);
+
+    const page = await reader.getSubnetNeurons(netuid, { offset: 3, limit: 10 });
+    expect(page.neurons.map((n) => n.account)).to.deep.equal([neurons[3].address, neurons[4].address]);
+
+    const validators = await reader.getSubnetValidators(netuid);
+    expect(validators.map((n) => n.account)).to.deep.equal([...await neuronManager.getSubnetValidators(netuid)]);
+  });
+
+  it("should read allocations, subnet and pool info in batches", async function () {
+    const { neurons, subnetManager, globalStaking, client, netuid } = await loadFixture(deployFixture);
+    const reader = new BatchReader(client);
+
+    const allocations = await reader.getSubnetAllocations(netuid, neurons.map((n) => n.address));
+    for (const [i, allocation] of allocations.entries()) {
+      const expected = await globalStaking.getSubnetAllocation(neurons[i].address, netuid);
+      expect(allocation.allocated).to.equal(expected.allocated);
+    }
+
+    const [info] = await reader.getSubnetInfos([netuid]);
+    expect(info.name).to.equal("Batch Subnet");
+
+    const [poolInfo] = await reader.getPoolInfos([netuid]);
+    const pool = await ethers.getContractAt("SubnetAMM", (await subnetManager.getSubnetInfo(netuid)).ammPool);
+    expect(poolInfo._subnetHetu).to.equal((await pool.getPoolInfo())._subnetHetu);
+  });
+
+  it("should report failed calls without failing the batch", async function () {
+    const { client, netuid } = await loadFixture(deployFixture);
+    const reader = new BatchReader(client);
+
+    const results = await reader.read([
+      { contract: client.subnetManager, method: "getSubnetInfo", args: [netuid] },
+      { contract: client.subnetManager, method: "getSubnetInfo", args: [99] }
+    ]);
+    expect(results[0].success).to.be.true;
+    expect(results[1]).to.deep.equal({ success: false, error: "SUBNET_NOT_EXISTS" });
+
+    await expect(reader.getSubnetInfos([netuid, 99])).to.be.rejectedWith("getSubnetInfo failed: SUBNET_NOT_EXISTS");
+  });
+
+  it("should fall back to individual calls without Multicall3", async function () {
+    const { neurons, client, netuid } = await loadFixture(deployFixture);
+    const reader = new BatchReader(client, { multicallAddress: ethers.Wallet.createRandom().address });
+    expect(await reader.hasMulticall()).to.be.false;
+
+    const { neurons: infos } = await reader.getSubnetNeurons(netuid);
+    expect(infos.map((n) => n.account)).to.deep.equal(neurons.map((n) => n.address));
+
+    const [, missing] = await reader.read([
+      { contract: client.subnetManager, method: "getSubnetInfo", args: [netuid] },
+      { contract: client.subnetManager, method: "getSubnetInfo", args: [99] }
+    ]);
+    expect(missing).to.deep.equal({ success: false, error: "SUBNET_NOT_EXISTS" });
+  });
+
+  it("should keep at most `limit` tasks in flight and preserve order", async function () {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (delay) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      running--;
+      return delay * 10;
+    });
+
+    expect(peak).to.equal(2);
+    expect(results).to.deep.equal([50, 10, 40, 20, 30]);
+  });
+});
@@ -0,0 +1,128 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  HetuClient,
+  buildDeployment,
+  saveDeployment,
+  getDeployment,
+  listVersions,
+  readDeployment,
+  verifyDeployment
+} = require("../sdk");
+const { abiHash } = require("../sdk/deployments");
+
+describe("Deployment registry", function () {
+  async function deployFixture() {
+    const [owner, system] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+
+    const entry = (contractName, contract) => ({
+      contractName,
+      address: contract.target,
+      txHash: contract.deploymentTransaction().hash
+    });
+    const record = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager)
+      },
+      metadata: { script: "test" }
+    });
+
+    return { owner, system, whetuToken, subnetManager, record };
+  }
+
+  // Fresh registry directory per test; fixtures only snapshot chain state
+  let dir;
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "hetu-registry-"));
+  });
+
+  it("should record chain, block, tx and ABI details", async function () {
+    const { system, subnetManager, record } = await loadFixture(deployFixture);
+
+    expect(record.schemaVersion).to.equal(1);
+    expect(record.chainId).to.equal(31337);
+    expect(record.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+    expect(record.systemAddress).to.equal(system.address);
+    expect(record.gitCommit).to.match(/^[0-9a-f]{40}$/);
+    expect(record.contracts.subnetManager).to.deep.equal({
+      contractName: "SubnetManager",
+      address: subnetManager.target,
+      txHash: subnetManager.deploymentTransaction().hash,
+      abiHash: abiHash("SubnetManager")
+    });
+  });
+
+  it("should store versions and resolve the newest by default", async function () {
+    const { record } = await loadFixture(deployFixture);
+
+    const first = saveDeployment(record, { dir });
+    const second = saveDeployment({ ...record, metadata: { script: "redeploy" } }, { dir });
+
+    expect(first.deployment.version).to.equal(1);
+    expect(second.deployment.version).to.equal(2);
+    expect(second.file).to.equal(path.join(dir, "hardhat", "v2.json"));
+    expect(listVersions("hardhat", { dir })).to.deep.equal([1, 2]);
+
+    expect(getDeployment("hardhat", { dir }).metadata.script).to.equal("redeploy");
+    expect(getDeployment("hardhat", { dir, version: 1 }).metadata.script).to.equal("test");
+    expect(() => getDeployment("hardhat", { dir, version: 3 })).to.throw("has no version 3");
+    expect(() => getDeployment("customchain", { dir })).to.throw("no deployments recorded for customchain");
+  });
+
+  it("should reject records that do not follow the schema", async function () {
+    const { record } = await loadFixture(deployFixture);
+
+    const legacy = path.join(dir, "legacy.json");
+    fs.writeFileSync(legacy, JSON.stringify({ network: "hardhat", contracts: { hetuToken: record.contracts.hetuToken.address } }));
+    expect(() => readDeployment(legacy)).to.throw("unsupported schemaVersion");
+
+    const broken = { ...record, contracts: { ...record.contracts, hetuToken: { contractName: "WHETU", address: "0x1234" } } };
+    expect(() => saveDeployment(broken, { dir })).to.throw("hetuToken has no valid address");
+    expect(listVersions("hardhat", { dir })).to.deep.equal([]);
+  });
+
+  it("should verify the chain and contract code of a deployment", async function () {
+    const { record } = await loadFixture(deployFixture);
+
+    await verifyDeployment(record, ethers.provider);
+
+    await expect(verifyDeployment({ ...record, chainId: 1 }, ethers.provider))
+      .to.be.rejectedWith("recorded for chain 1");
+    const missing = { ...record.contracts.hetuToken, address: ethers.Wallet.createRandom().address };
+    await expect(verifyDeployment({ ...record, contracts: { hetuToken: missing } }, ethers.provider))
+      .to.be.rejectedWith("no contract code for hetuToken");
+  });
+
+  it("should build a client from the registry", async function () {
+    const { owner, subnetManager, record } = await loadFixture(deployFixture);
+    saveDeployment(record, { dir });
+
+    const client = HetuClient.fromRegistry("hardhat", owner, { dir });
+
+    expect(client.subnetManager.target).to.equal(subnetManager.target);
+    expect(await client.subnetManager.systemAddress()).to.equal(record.systemAddress);
+  });
+});
@@ -0,0 +1,132 @@
+const {
+  time,
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, EpochRunner, ensureMulticall3 } = require("../index");
+
+describe("EpochRunner", function () {
+  async function deployFixture() {
+    const [owner, system, creator, validator, miner, delegator] = await ethers.getSigners();
+    for (const account of [creator, validator, miner, delegator]) {
+      await setBalance(account.address, ethers.parseEther("10000"));
+    }
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const RewardDistributor = await ethers.getContractFactory("RewardDistributor");
+    const rewardDistributor = await RewardDistributor.deploy(subnetManager.target, neuronManager.target, owner.address);
+    await neuronManager.setRewardDistributor(rewardDistributor.target);
+    await rewardDistributor.setEpochRunner(system.address, true);
+
+    const addresses = {
+      hetuToken: whetuToken.target,
+      subnetManager: subnetManager.target,
+      globalStaking: globalStaking.target,
+      neuronManager: neuronManager.target,
+      rewardDistributor: rewardDistributor.target
+    };
+    const clientFor = (runner) => new HetuClient({ runner, addresses });
+
+    // Subnet with one validator (backed by a delegator) and one miner
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const owned = clientFor(creator);
+    const { netuid } = await owned.registerSubnet({ name: "Epochs", tokenName: "EpochAlpha", tokenSymbol: "EPA" }, { wrap: true });
+    await owned.activateSubnet(netuid);
+    await subnetManager.connect(creator).addSubnetMinter(netuid, rewardDistributor.target);
+
+    await clientFor(validator).registerNeuron({ netuid, stake: ethers.parseEther("600"), isValidator: true, autoStake: true }, { wrap: true });
+    await clientFor(validator).setCommission(netuid, 2000);
+    await clientFor(miner).registerNeuron({ netuid, stake: ethers.parseEther("300"), autoStake: true }, { wrap: true });
+    await clientFor(delegator).delegate({ netuid, validator: validator.address, amount: ethers.parseEther("200"), autoStake: true }, { wrap: true });
+
+    return { system, creator, validator, miner, delegator, rewardDistributor, clientFor, netuid };
+  }
+
+  it("should submit the planned distribution once per tempo", async function () {
+    const { system, creator, validator, miner, delegator, rewardDistributor, clientFor, netuid } = await loadFixture(deployFixture);
+    const runner = new EpochRunner(clientFor(system));
+
+    const plan = await runner.plan(netuid);
+    expect(plan.due).to.be.true;
+    expect(plan.validators).to.deep.equal([{ account: validator.address, weight: ethers.parseEther("800") }]);
+    expect(plan.miners).to.deep.equal([{ account: miner.address, weight: ethers.parseEther("300") }]);
+
+    // A dry run simulates the distribution without sending it
+    const preview = await runner.run(netuid, { dryRun: true });
+    expect(preview.steps[0]).to.include({ method: "distribute", simulated: true });
+    expect(await rewardDistributor.epochCount(netuid)).to.equal(0);
+    const [rejected] = (await new EpochRunner(clientFor(creator)).run(netuid, { dryRun: true })).steps;
+    expect(rejected.error).to.equal("NOT_EPOCH_RUNNER");
+
+    const result = await runner.run(netuid);
+    expect(result.epoch).to.equal(0);
+    expect(result.minted).to.equal(plan.preview.minted);
+    for (const account of [creator, validator, miner, delegator]) {
+      expect(await rewardDistributor.rewards(netuid, 0, account.address)).to.equal(plan.preview.rewards[account.address]);
+    }
+
+    expect(await runner.run(netuid)).to.be.null;
+    expect(await runner.blocksUntilNextEpoch([netuid])).to.be.greaterThan(0);
+    await mine(await runner.blocksUntilNextEpoch([netuid]));
+    const [next] = await runner.runDue();
+    expect(next.epoch).to.equal(1);
+  });
+
+  it("should use custom miner weights", async function () {
+    const { system, miner, rewardDistributor, clientFor, netuid } = await loadFixture(deployFixture);
+    const runner = new EpochRunner(clientFor(system), {
+      minerWeights: async (_, miners) => miners.map(() => 0n)
+    });
+
+    const plan = await runner.plan(netuid);
+    expect(plan.miners[0].weight).to.equal(0n);
+    expect(plan.preview.minerReward).to.equal(0n);
+
+    await runner.run(netuid);
+    expect(await rewardDistributor.rewards(netuid, 0, miner.address)).to.equal(0);
+    expect((await rewardDistributor.getEpoch(netuid, 0)).minerReward).to.equal(0);
+  });
+
+  it("should list and claim pending rewards through the client", async function () {
+    const { system, delegator, clientFor, netuid } = await loadFixture(deployFixture);
+    const runner = new EpochRunner(clientFor(system));
+    const first = await runner.run(netuid);
+    await mine(await runner.blocksUntilNextEpoch([netuid]));
+    await runner.run(netuid);
+
+    // The per-epoch reads go out as one Multicall3 aggregate
+    await ensureMulticall3(ethers.provider);
+    const client = clientFor(delegator);
+    const { multicall } = client.reader;
+    let aggregates = 0;
+    client.reader.multicall = {
+      target: multicall.target,
+      aggregate3: { staticCall: (...args) => { aggregates++; return multicall.aggregate3.staticCall(...args); } }
+    };
+    const pending = await client.getPendingRewards(netuid);
+    expect(aggregates).to.equal(1);
+    expect(pending.map(({ epoch }) => epoch)).to.deep.equal([0, 1]);
+    expect(pending[0].amount).to.equal(first.rewards[delegator.address]);
+
+    const claimed = await client.claimRewards(netuid);
+    expect(claimed.epochs).to.deep.equal([0, 1]);
+    expect(claimed.amount).to.equal(pending[0].amount + pending[1].amount);
+    expect(await client.getPendingRewards(netuid)).to.deep.equal([]);
+    await expect(client.claimRewards(netuid)).to.be.rejectedWith("no unclaimed rewards");
+  });
+});
@@ -1,5 +1,6 @@
 const {
   time,
+  mine,
   loadFixture,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
 const { expect } = require("chai");
@@ -153,7 +154,9 @@ describe("GlobalStaking - Available Stake Logic", function () {
       const reducedAllocation = ethers.parseEther("300");
       await globalStaking.connect(user1).allocateToSubnet(1, reducedAllocation);
       
-      // 3. Verify increased available stake
+      // 3. The reduction unbonds before it is available
+      expect(await globalStaking.getAvailableStake(user1.address)).to.equal(totalStake - initialAllocation);
+      await mine(7200);
       availableStake = await globalStaking.getAvailableStake(user1.address);
       const expectedAvailable = totalStake - reducedAllocation; // 700 HETU
       expect(availableStake).to.equal(expectedAvailable);
@@ -271,6 +274,33 @@ describe("GlobalStaking - Available Stake Logic", function () {
       // But cannot allocate more than 500 HETU
       expect(await globalStaking.canAllocateToSubnet(user1.address, ethers.parseEther("600"))).to.be.false;
     });
+
+    it("should track network wide totals across users", async function () {
+      const { owner, user1, user2, whetuToken, globalStaking } = await loadFixture(deployGlobalStakingFixture);
+      await globalStaking.setAuthorizedCaller(owner.address, true);
+
+      for (const user of [user1, user2]) {
+        const stake = ethers.parseEther("1000");
+        await whetuToken.connect(user).deposit({ value: stake });
+        await whetuToken.connect(user).approve(globalStaking.target, stake);
+        await globalStaking.connect(user).addGlobalStake(stake);
+      }
+
+      await globalStaking.connect(user1).allocateToSubnet(1, ethers.parseEther("300"));
+      await globalStaking.connect(user2).allocateToSubnet(1, ethers.parseEther("200"));
+      await globalStaking.connect(user2).allocateToSubnet(2, ethers.parseEther("100"));
+      await globalStaking.connect(user1).allocateToSubnet(1, ethers.parseEther("250"));
+      await globalStaking.connect(user2).deallocateFromSubnet(2, ethers.parseEther("40"));
+      await globalStaking.connect(owner).chargeRegistrationCost(user1.address, 1, ethers.parseEther("10"));
+      await globalStaking.connect(user2).removeGlobalStake(ethers.parseEther("500"));
+
+      const [staked, allocated, cost] = await globalStaking.getGlobalTotals();
+      expect(staked).to.equal(ethers.parseEther("1500"));
+      expect(allocated).to.equal(ethers.parseEther("510"));
+      expect(cost).to.equal(ethers.parseEther("10"));
+      expect(await globalStaking.subnetTotalAllocated(1)).to.equal(ethers.parseEther("450"));
+      expect(await globalStaking.subnetTotalAllocated(2)).to.equal(ethers.parseEther("60"));
+    });
   });
 
   describe("Withdrawal Allocation Tests", function () {
@@ -299,7 +329,10 @@ describe("GlobalStaking - Available Stake Logic", function () {
       
       expect(stakeInfo.totalAllocated).to.equal(remainingAllocation);
       expect(allocationInfo.allocated).to.equal(remainingAllocation);
-      expect(availableStake).to.equal(totalStake - remainingAllocation);
+      // The withdrawn amount unbonds first
+      expect(availableStake).to.equal(totalStake - allocation);
+      await mine(7200);
+      expect(await globalStaking.getAvailableStake(user1.address)).to.equal(totalStake - remainingAllocation);
       
       console.log(`✅ Available balance after withdrawal: ${ethers.formatEther(availableStake)} HETU`);
     });
@@ -324,4 +357,87 @@ describe("GlobalStaking - Available Stake Logic", function () {
       ).to.be.revertedWith("INSUFFICIENT_ALLOCATION");
     });
   });
+
+  describe("Withdrawal Queue Tests", function () {
+    const COOLDOWN = 7200;
+
+    async function stakeFixture() {
+      const fixtures = await deployGlobalStakingFixture();
+      const { user1, whetuToken, globalStaking } = fixtures;
+      const totalStake = ethers.parseEther("1000");
+      await whetuToken.connect(user1).deposit({ value: totalStake });
+      await whetuToken.connect(user1).approve(globalStaking.target, totalStake);
+      await globalStaking.connect(user1).addGlobalStake(totalStake);
+      return fixtures;
+    }
+
+    it("should hold removed stake until the cooldown has passed", async function () {
+      const { user1, whetuToken, globalStaking } = await loadFixture(stakeFixture);
+      const amount = ethers.parseEther("400");
+      const balanceBefore = await whetuToken.balanceOf(user1.address);
+
+      const tx = globalStaking.connect(user1).removeGlobalStake(amount);
+      await expect(tx).to.emit(globalStaking, "GlobalStakeRemoved").withArgs(user1.address, amount);
+      const unlockBlock = BigInt(await ethers.provider.getBlockNumber()) + BigInt(COOLDOWN);
+      await expect(tx).to.emit(globalStaking, "WithdrawalRequested").withArgs(user1.address, 1, amount, unlockBlock);
+
+      // The amount has left the stake but not the contract
+      expect((await globalStaking.getStakeInfo(user1.address)).totalStaked).to.equal(ethers.parseEther("600"));
+      expect(await globalStaking.getAvailableStake(user1.address)).to.equal(ethers.parseEther("600"));
+      expect(await globalStaking.totalPendingWithdrawals()).to.equal(amount);
+      expect(await whetuToken.balanceOf(user1.address)).to.equal(balanceBefore);
+      expect(await globalStaking.getPendingWithdrawals(user1.address)).to.deep.equal([[1n, amount, unlockBlock]]);
+
+      await mine(COOLDOWN - 2);
+      await expect(globalStaking.connect(user1).claimWithdrawal(1)).to.be.revertedWith("WITHDRAWAL_NOT_READY");
+
+      await expect(globalStaking.connect(user1).claimWithdrawal(1))
+        .to.emit(globalStaking, "WithdrawalClaimed")
+        .withArgs(user1.address, 1, amount);
+      expect(await whetuToken.balanceOf(user1.address)).to.equal(balanceBefore + amount);
+      expect(await globalStaking.totalPendingWithdrawals()).to.equal(0);
+      expect(await globalStaking.getPendingWithdrawals(user1.address)).to.deep.equal([]);
+      await expect(globalStaking.connect(user1).claimWithdrawal(1)).to.be.revertedWith("WITHDRAWAL_NOT_FOUND");
+    });
+
+    it("should restake cancelled withdrawals and claim matured ones in one call", async function () {
+      const { user1, user2, whetuToken, globalStaking } = await loadFixture(stakeFixture);
+      await globalStaking.connect(user1).removeGlobalStake(ethers.parseEther("100"));
+      await globalStaking.connect(user1).removeGlobalStake(ethers.parseEther("200"));
+      await mine(COOLDOWN);
+      await globalStaking.connect(user1).removeGlobalStake(ethers.parseEther("300"));
+      expect(await globalStaking.getAvailableStake(user1.address)).to.equal(ethers.parseEther("400"));
+
+      await expect(globalStaking.connect(user2).cancelWithdrawal(3)).to.be.revertedWith("WITHDRAWAL_NOT_FOUND");
+      await expect(globalStaking.connect(user1).cancelWithdrawal(3))
+        .to.emit(globalStaking, "WithdrawalCancelled")
+        .withArgs(user1.address, 3, ethers.parseEther("300"));
+      expect(await globalStaking.getAvailableStake(user1.address)).to.equal(ethers.parseEther("700"));
+      expect(await globalStaking.getGlobalTotals()).to.deep.equal([ethers.parseEther("700"), 0n, 0n]);
+
+      const balanceBefore = await whetuToken.balanceOf(user1.address);
+      await expect(globalStaking.connect(user1).claimWithdrawals())
+        .to.emit(globalStaking, "WithdrawalClaimed")
+        .withArgs(user1.address, 1, ethers.parseEther("100"))
+        .and.to.emit(globalStaking, "WithdrawalClaimed")
+        .withArgs(user1.address, 2, ethers.parseEther("200"));
+      expect(await whetuToken.balanceOf(user1.address)).to.equal(balanceBefore + ethers.parseEther("300"));
+      await expect(globalStaking.connect(user1).claimWithdrawals()).to.be.revertedWith("NO_MATURED_WITHDRAWALS");
+      expect(await whetuToken.balanceOf(globalStaking.target)).to.equal(ethers.parseEther("700"));
+    });
+
+    it("should let the owner change the cooldown", async function () {
+      const { user1, globalStaking } = await loadFixture(stakeFixture);
+      await expect(globalStaking.connect(user1).setWithdrawalCooldown(0))
+        .to.be.revertedWithCustomError(globalStaking, "OwnableUnauthorizedAccount");
+      await expect(globalStaking.setWithdrawalCooldown(0))
+        .to.emit(globalStaking, "WithdrawalCooldownUpdated")
+        .withArgs(COOLDOWN, 0);
+
+      // Without a cooldown a withdrawal is claimable right away
+      await globalStaking.connect(user1).removeGlobalStake(ethers.parseEther("1000"));
+      await globalStaking.connect(user1).claimWithdrawal(1);
+      expect(await globalStaking.totalStaked()).to.equal(0);
+    });
+  });
 });
@@ -0,0 +1,222 @@
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { buildDeployment, saveDeployment } = require("../sdk");
+
+const { ethers } = hre;
+
+describe("Hetu CLI tasks", function () {
+  async function deployFixture() {
+    const [owner] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const entry = (contractName, contract) => ({ contractName, address: contract.target });
+    const registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "hetu-cli-"));
+    const { file: deployment } = saveDeployment(await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: owner.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager)
+      }
+    }), { dir: registryDir });
+
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    return { owner, whetuToken, subnetManager, globalStaking, neuronManager, deployment };
+  }
+
+  // Run a task with its printed output kept out of the test log
+  async function run(scope, task, args) {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await hre.run({ scope, task }, { json: true, ...args });
+    } finally {
+      console.log = log;
+    }
+  }
+
+  it("should register, activate and describe a subnet", async function () {
+    const { owner, deployment } = await loadFixture(deployFixture);
+
+    const registration = await run("subnet", "register", {
+      deployment,
+      name: "CLI Subnet",
+      tokenName: "CliAlpha",
+      tokenSymbol: "CLI",
+      wrap: true
+    });
+    expect(registration.netuid).to.equal(1);
+
+    await run("subnet", "activate", { deployment, netuid: registration.netuid });
+
+    const info = await run("subnet", "info", { deployment, netuid: registration.netuid });
+    expect(info.owner).to.equal(owner.address);
+    expect(info.isActive).to.be.true;
+    expect(info.ammPool).to.equal(registration.ammPool);
+    expect(info.hyperparams.tempo).to.equal(99n);
+  });
+
+  it("should hand a subnet over in two steps", async function () {
+    const { owner, subnetManager, deployment } = await loadFixture(deployFixture);
+    const [, newOwner] = await ethers.getSigners();
+    const { netuid } = await run("subnet", "register", {
+      deployment,
+      name: "Handover",
+      tokenName: "HandAlpha",
+      tokenSymbol: "HND",
+      wrap: true
+    });
+
+    const offer = await run("subnet", "transfer-ownership", { deployment, netuid, to: newOwner.address });
+    expect(offer.pendingOwner).to.equal(newOwner.address);
+    expect((await run("subnet", "info", { deployment, netuid })).pendingOwner).to.equal(newOwner.address);
+
+    await run("subnet", "transfer-ownership", { deployment, netuid, cancel: true });
+    expect((await run("subnet", "info", { deployment, netuid })).pendingOwner).to.be.null;
+
+    await run("subnet", "transfer-ownership", { deployment, netuid, to: newOwner.address });
+    await subnetManager.connect(newOwner).acceptSubnetOwnership(netuid);
+    const info = await run("subnet", "info", { deployment, netuid });
+    expect(info.owner).to.equal(newOwner.address);
+    expect(info.pendingOwner).to.be.null;
+    await expect(run("subnet", "accept-ownership", { deployment, netuid })).to.be.rejectedWith("NOT_PENDING_OWNER");
+    expect(await subnetManager.getUserSubnets(owner.address)).to.deep.equal([]);
+  });
+
+  it("should deactivate and dissolve a subnet", async function () {
+    const { owner, whetuToken, subnetManager, deployment } = await loadFixture(deployFixture);
+    const { netuid, poolAmount } = await run("subnet", "register", {
+      deployment,
+      name: "Short Lived",
+      tokenName: "ShortAlpha",
+      tokenSymbol: "SHO",
+      wrap: true
+    });
+    await run("subnet", "activate", { deployment, netuid });
+
+    const { blockNumber } = await run("subnet", "deactivate", { deployment, netuid });
+    const info = await run("subnet", "info", { deployment, netuid });
+    expect(info.isActive).to.be.false;
+    expect(info.inactiveSince).to.equal(blockNumber);
+    expect(info.dissolvableAt).to.equal(blockNumber + await subnetManager.subnetInactivityPeriod());
+    await expect(run("subnet", "dissolve", { deployment, netuid })).to.be.rejectedWith("SUBNET_NOT_INACTIVE_LONG_ENOUGH");
+    await mine(await subnetManager.subnetInactivityPeriod());
+
+    const preview = await run("subnet", "dissolve", { deployment, netuid, dryRun: true });
+    expect(preview.steps[0].simulated).to.be.true;
+    const balanceBefore = await whetuToken.balanceOf(owner.address);
+    const dissolved = await run("subnet", "dissolve", { deployment, netuid });
+    expect(dissolved.refunded).to.equal(poolAmount);
+    expect(await whetuToken.balanceOf(owner.address)).to.equal(balanceBefore + poolAmount);
+    await expect(run("subnet", "info", { deployment, netuid })).to.be.rejectedWith("SUBNET_NOT_EXISTS");
+  });
+
+  it("should forecast the lock cost and register under a maximum cost", async function () {
+    const { deployment } = await loadFixture(deployFixture);
+
+    // The first registration costs the minimum lock, so it does not wait
+    const registration = await run("subnet", "register", {
+      deployment,
+      name: "Capped",
+      tokenName: "CappedAlpha",
+      tokenSymbol: "CAP",
+      maxCost: "100",
+      wrap: true
+    });
+    expect(registration.lockedAmount).to.equal(ethers.parseEther("100"));
+    const { blockNumber: lastLockBlock } = await ethers.provider.getTransactionReceipt(registration.hash);
+
+    const result = await run("subnet", "lock-cost", { deployment, maxCost: "150", plot: true, blocks: 2000 });
+    expect(result.forecast.rateLimited).to.be.true;
+    expect(result.forecast.registrableAt).to.equal(lastLockBlock + 1001);
+    // 200 HETU decaying by 100 HETU every 7200 blocks
+    expect(result.affordableAt).to.equal(lastLockBlock + 7200);
+    expect(result.blocksLeft).to.equal(7200 - 1);
+    expect(result.curve[0]).to.deep.equal(result.forecast);
+    expect(result.curve[result.curve.length - 1].block).to.be.at.most(result.forecast.block + 2000);
+  });
+
+  it("should simulate without sending in dry-run mode", async function () {
+    const { owner, whetuToken, globalStaking, deployment } = await loadFixture(deployFixture);
+
+    await whetuToken.deposit({ value: ethers.parseEther("10") });
+    const nonceBefore = await ethers.provider.getTransactionCount(owner.address);
+
+    const result = await run("stake", "add", { deployment, amount: "10", dryRun: true });
+
+    expect(result.dryRun).to.be.true;
+    expect(result.steps.map((s) => s.method)).to.deep.equal(["approve", "addGlobalStake"]);
+    expect(result.steps[0].simulated).to.be.true;
+    expect(result.steps[0].gasEstimate).to.be.gt(0);
+    // The approval runs on a snapshot, so the stake itself is simulated against it
+    expect(result.steps[1].simulated).to.be.true;
+    expect(result.steps[1].gasEstimate).to.be.gt(0);
+
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonceBefore);
+    expect((await globalStaking.getStakeInfo(owner.address)).totalStaked).to.equal(0);
+    expect(await whetuToken.allowance(owner.address, await globalStaking.getAddress())).to.equal(0);
+
+    // Wrapping the missing HETU first still simulates the stake on top of it
+    const wrapped = await run("stake", "add", { deployment, amount: "20", wrap: true, dryRun: true });
+    expect(wrapped.steps.map((s) => s.simulated)).to.deep.equal(wrapped.steps.map(() => true));
+    expect(wrapped.steps[wrapped.steps.length - 1].method).to.equal("addGlobalStake");
+    expect(await whetuToken.balanceOf(owner.address)).to.equal(ethers.parseEther("10"));
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(nonceBefore);
+  });
+
+  it("should queue, list and cancel withdrawals", async function () {
+    const { globalStaking, deployment } = await loadFixture(deployFixture);
+
+    await run("stake", "add", { deployment, amount: "5", wrap: true });
+    const queued = await run("stake", "remove", { deployment, amount: "2" });
+    expect(queued.id).to.equal(1n);
+
+    const [pending] = await run("stake", "withdrawals", { deployment });
+    expect(pending.amount).to.equal(ethers.parseEther("2"));
+    expect(pending.blocksLeft).to.equal(7200n);
+    expect(pending.claimable).to.be.false;
+
+    const claim = await run("stake", "claim", { deployment, id: "1", dryRun: true });
+    expect(claim.steps[0].error).to.equal("WITHDRAWAL_NOT_READY");
+
+    await run("stake", "cancel", { deployment, id: "1" });
+    expect(await run("stake", "withdrawals", { deployment })).to.deep.equal([]);
+    expect(await globalStaking.totalStaked()).to.equal(ethers.parseEther("5"));
+  });
+
+  it("should report the revert reason of a failing dry run", async function () {
+    const { deployment } = await loadFixture(deployFixture);
+
+    const result = await run("neuron", "deregister", { deployment, netuid: 1, dryRun: true });
+
+    expect(result.steps).to.have.length(1);
+    expect(result.steps[0].simulated).to.be.false;
+    expect(result.steps[0].error).to.equal("NOT_REGISTERED");
+  });
+});
@@ -0,0 +1,306 @@
+const {
+  time,
+  mine,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { HetuClient, buildDeployment } = require("../index");
+const { ARTIFACT_PATHS, BYTECODE_FIELDS, loadArtifact } = require("../sdk/contracts");
+
+describe("HetuClient", function () {
+  async function deployFixture() {
+    const [owner, system, creator, user] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(
+      subnetManager.target,
+      globalStaking.target,
+      owner.address
+    );
+
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const entry = (contractName, contract) => ({
+      contractName,
+      address: contract.target,
+      txHash: contract.deploymentTransaction().hash
+    });
+    const deployment = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager),
+        ammFactory: { contractName: "SubnetAMMFactory", address: await subnetManager.ammFactory() }
+      }
+    });
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    return { owner, system, creator, user, whetuToken, subnetManager, globalStaking, neuronManager, deployment };
+  }
+
+  // Register and activate a subnet through the client
+  async function registerSubnet(fixtures) {
+    const client = HetuClient.fromDeployment(fixtures.deployment, fixtures.creator);
+    const registration = await client.registerSubnet({
+      name: "SDK Subnet",
+      description: "Registered through HetuClient",
+      tokenName: "SdkAlpha",
+      tokenSymbol: "SDK"
+    }, { wrap: true });
+    await client.activateSubnet(registration.netuid);
+    return { client, registration };
+  }
+
+  // Bring pool reserves above the minimum pool liquidity so swaps can execute
+  async function addPoolLiquidity(fixtures, registration, amount = "2000") {
+    const { creator, system, whetuToken, subnetManager } = fixtures;
+    const liquidity = ethers.parseEther(amount);
+
+    const alphaToken = await ethers.getContractAt("AlphaToken", registration.alphaToken);
+    await subnetManager.connect(creator).addSubnetMinter(registration.netuid, creator.address);
+    await alphaToken.connect(creator).mint(system.address, liquidity);
+    await whetuToken.connect(system).deposit({ value: liquidity });
+
+    const pool = await ethers.getContractAt("SubnetAMM", registration.ammPool);
+    await whetuToken.connect(system).approve(pool.target, liquidity);
+    await alphaToken.connect(system).approve(pool.target, liquidity);
+    await pool.connect(system).injectLiquidity(liquidity, liquidity);
+    return { pool, alphaToken };
+  }
+
+  describe("Subnet Registration", function () {
+    it("should wrap, approve and return decoded registration results", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { creator, subnetManager } = fixtures;
+
+      const { registration } = await registerSubnet(fixtures);
+
+      expect(registration.netuid).to.equal(1);
+      expect(registration.owner).to.equal(creator.address);
+      expect(registration.lockedAmount).to.equal(ethers.parseEther("100"));
+
+      const info = await subnetManager.getSubnetInfo(registration.netuid);
+      expect(info.alphaToken).to.equal(registration.alphaToken);
+      expect(info.ammPool).to.equal(registration.ammPool);
+      expect(info.isActive).to.be.true;
+    });
+
+    it("should register with a permit instead of an approval", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { creator, whetuToken, subnetManager } = fixtures;
+
+      const client = HetuClient.fromDeployment(fixtures.deployment, creator);
+      const registration = await client.registerSubnet({
+        name: "Permit Subnet",
+        tokenName: "PermitAlpha",
+        tokenSymbol: "PRMT",
+        usePermit: true
+      }, { wrap: true });
+
+      expect(registration.ammPool).to.not.equal(ethers.ZeroAddress);
+      expect(await whetuToken.allowance(creator.address, subnetManager.target)).to.equal(0);
+    });
+
+    it("should refuse to register without enough WHETU when wrapping is disabled", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const client = HetuClient.fromDeployment(fixtures.deployment, fixtures.user);
+
+      await expect(
+        client.registerSubnet({ name: "No Funds", tokenName: "NF", tokenSymbol: "NF" })
+      ).to.be.rejectedWith("insufficient WHETU balance");
+    });
+  });
+
+  describe("Staking and Neurons", function () {
+    it("should stake, register a neuron and allocate", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { user, globalStaking, neuronManager } = fixtures;
+      const { registration } = await registerSubnet(fixtures);
+
+      const client = HetuClient.fromDeployment(fixtures.deployment, user);
+
+      const staked = await client.stake(ethers.parseEther("1000"), { wrap: true });
+      expect(staked.amount).to.equal(ethers.parseEther("1000"));
+
+      const neuron = await client.registerNeuron({
+        netuid: registration.netuid,
+        stake: ethers.parseEther("600"),
+        isValidator: true,
+        axonEndpoint: "http://127.0.0.1:8080",
+        axonPort: 8080,
+        prometheusEndpoint: "http://127.0.0.1:9090",
+        prometheusPort: 9090
+      });
+      expect(neuron.account).to.equal(user.address);
+      expect(neuron.isValidator).to.be.true;
+      expect(await neuronManager.isValidator(registration.netuid, user.address)).to.be.true;
+
+      const allocation = await client.allocate(2, ethers.parseEther("100"));
+      expect(allocation.oldAmount).to.equal(0);
+      expect(allocation.newAmount).to.equal(ethers.parseEther("100"));
+
+      // 1000 staked - 600 neuron stake - 1 registration cost - 100 allocated
+      expect(await globalStaking.getAvailableStake(user.address)).to.equal(ethers.parseEther("299"));
+    });
+
+    it("should top up global stake when registering with autoStake", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { user, globalStaking } = fixtures;
+      const { registration } = await registerSubnet(fixtures);
+
+      const client = HetuClient.fromDeployment(fixtures.deployment, user);
+      await client.registerNeuron({
+        netuid: registration.netuid,
+        stake: ethers.parseEther("200"),
+        autoStake: true
+      }, { wrap: true });
+
+      const stakeInfo = await globalStaking.getStakeInfo(user.address);
+      expect(stakeInfo.totalStaked).to.equal(ethers.parseEther("201"));
+      expect(await globalStaking.getAvailableStake(user.address)).to.equal(0);
+    });
+  });
+
+  describe("Delegation", function () {
+    it("should delegate to a neuron and report its delegators", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { user, creator } = fixtures;
+      const { registration } = await registerSubnet(fixtures);
+
+      const validator = HetuClient.fromDeployment(fixtures.deployment, user);
+      await validator.registerNeuron({ netuid: registration.netuid, stake: ethers.parseEther("400"), autoStake: true }, { wrap: true });
+      await validator.setCommission(registration.netuid, 500);
+      // Below validatorThreshold, so asking for the role only lets delegations promote the neuron
+      const role = await validator.setValidatorRole(registration.netuid, true);
+      expect(role.requested).to.be.true;
+      expect(role.isValidator).to.be.false;
+
+      const delegator = HetuClient.fromDeployment(fixtures.deployment, creator);
+      const delegated = await delegator.delegate({
+        netuid: registration.netuid,
+        validator: user.address,
+        amount: ethers.parseEther("100"),
+        autoStake: true
+      }, { wrap: true });
+      expect(delegated.isValidator).to.be.true;
+
+      const info = await delegator.getDelegation(registration.netuid, user.address);
+      expect(info.effectiveStake).to.equal(ethers.parseEther("500"));
+      expect(info.commission).to.equal(500);
+      expect(info.delegators).to.deep.equal([{ delegator: creator.address, amount: ethers.parseEther("100") }]);
+
+      const undelegated = await delegator.undelegate({
+        netuid: registration.netuid,
+        validator: user.address,
+        amount: ethers.parseEther("100")
+      });
+      expect((await delegator.getUnbonding()).unlockBlock).to.equal(undelegated.unlockBlock);
+      expect((await delegator.getDelegation(registration.netuid, user.address)).isValidator).to.be.false;
+    });
+  });
+
+  describe("Withdrawals", function () {
+    it("should queue unstaked HETU and report the time left", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { user, whetuToken, globalStaking } = fixtures;
+      const client = HetuClient.fromDeployment(fixtures.deployment, user);
+      await client.stake(ethers.parseEther("100"), { wrap: true });
+      await globalStaking.setWithdrawalCooldown(50);
+
+      const first = await client.unstake(ethers.parseEther("30"));
+      await mine(9);
+      const second = await client.unstake(ethers.parseEther("20"));
+      expect(second.unlockBlock - first.unlockBlock).to.equal(10);
+
+      const pending = await client.getPendingWithdrawals();
+      expect(pending.map((w) => w.id)).to.deep.equal([first.id, second.id]);
+      expect(pending[0].blocksLeft).to.equal(40);
+      expect(pending[0].claimable).to.equal(false);
+      expect(pending[0].secondsLeft).to.be.gt(0);
+
+      await mine(40);
+      const [matured, waiting] = await client.getPendingWithdrawals();
+      expect(matured.claimable).to.equal(true);
+      expect(matured.secondsLeft).to.equal(0);
+      expect(waiting.blocksLeft).to.equal(10);
+
+      const balanceBefore = await whetuToken.balanceOf(user.address);
+      const claimed = await client.claimWithdrawal();
+      expect(claimed.ids).to.deep.equal([first.id]);
+      expect(claimed.amount).to.equal(ethers.parseEther("30"));
+      expect(await whetuToken.balanceOf(user.address)).to.equal(balanceBefore + ethers.parseEther("30"));
+
+      const cancelled = await client.cancelWithdrawal(second.id);
+      expect(cancelled.amount).to.equal(ethers.parseEther("20"));
+      expect(await client.getPendingWithdrawals()).to.deep.equal([]);
+      expect(await client.getAvailableStake()).to.equal(ethers.parseEther("70"));
+    });
+  });
+
+  describe("Swaps", function () {
+    it("should swap HETU for alpha and back", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { user } = fixtures;
+      const { registration } = await registerSubnet(fixtures);
+      const { pool, alphaToken } = await addPoolLiquidity(fixtures, registration);
+
+      const client = HetuClient.fromDeployment(fixtures.deployment, user);
+      const amountIn = ethers.parseEther("10");
+      const expectedOut = await pool.simSwapHETUForAlpha(amountIn);
+
+      const buy = await client.swap({ netuid: registration.netuid, amountIn }, { wrap: true });
+      expect(buy.pool).to.equal(registration.ammPool);
+      expect(buy.amountOut).to.equal(expectedOut);
+      expect(await alphaToken.balanceOf(user.address)).to.equal(expectedOut);
+
+      const sell = await client.swap({
+        netuid: registration.netuid,
+        amountIn: buy.amountOut,
+        hetuToAlpha: false
+      });
+      expect(sell.amountIn).to.equal(buy.amountOut);
+      expect(sell.amountOut).to.be.gt(0);
+      expect(await alphaToken.balanceOf(user.address)).to.equal(0);
+    });
+
+    it("should reject swaps against an illiquid pool", async function () {
+      const fixtures = await loadFixture(deployFixture);
+      const { registration } = await registerSubnet(fixtures);
+
+      const client = HetuClient.fromDeployment(fixtures.deployment, fixtures.user);
+      await expect(
+        client.swap({ netuid: registration.netuid, amountIn: ethers.parseEther("1") }, { wrap: true })
+      ).to.be.rejectedWith("insufficient liquidity");
+    });
+  });
+
+  describe("Shipped ABIs", function () {
+    it("should match the compiled contracts (run `npm run abi` to refresh)", async function () {
+      for (const name of Object.keys(ARTIFACT_PATHS)) {
+        const compiled = await artifacts.readArtifact(name);
+        const shipped = loadArtifact(name);
+        expect(shipped.abi, name).to.deep.equal(compiled.abi);
+        for (const field of BYTECODE_FIELDS[name] || []) {
+          expect(shipped[field], `${name}.${field}`).to.equal(compiled[field]);
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const HetuSubnetModule = require("../ignition/modules/HetuSubnet");
+
+describe("HetuSubnetModule", function () {
+  it("should default every role to the deployer", async function () {
+    const [deployer] = await ethers.getSigners();
+
+    const {
+      subnetManager,
+      globalStaking,
+      neuronManager,
+      rewardDistributor,
+      hyperparamsGovernor
+    } = await ignition.deploy(HetuSubnetModule);
+
+    expect(await subnetManager.systemAddress()).to.equal(deployer.address);
+    expect(await subnetManager.networkRateLimit()).to.equal(1000);
+    expect(await globalStaking.treasury()).to.equal(deployer.address);
+    expect(await globalStaking.owner()).to.equal(deployer.address);
+    expect(await neuronManager.owner()).to.equal(deployer.address);
+    expect(await neuronManager.rewardDistributor()).to.equal(rewardDistributor.target);
+    expect(await rewardDistributor.owner()).to.equal(deployer.address);
+    expect(await rewardDistributor.epochRunners(deployer.address)).to.be.true;
+    expect(await subnetManager.hyperparamsGovernor()).to.equal(hyperparamsGovernor.target);
+    expect(await globalStaking.authorizedCallers(neuronManager.target)).to.be.true;
+  });
+
+  it("should always make the system address an epoch runner", async function () {
+    const [, system, runner] = await ethers.getSigners();
+
+    const { rewardDistributor } = await ignition.deploy(HetuSubnetModule, {
+      parameters: { HetuSubnetModule: { systemAddress: system.address, epochRunner: runner.address } }
+    });
+
+    expect(await rewardDistributor.epochRunners(system.address)).to.be.true;
+    expect(await rewardDistributor.epochRunners(runner.address)).to.be.true;
+  });
+
+  it("should wire addresses and network params from parameters", async function () {
+    const [, system, treasury, admin, runner] = await ethers.getSigners();
+
+    const { subnetManager, globalStaking, neuronManager, rewardDistributor } = await ignition.deploy(HetuSubnetModule, {
+      parameters: {
+        HetuSubnetModule: {
+          systemAddress: system.address,
+          treasury: treasury.address,
+          globalStakingOwner: admin.address,
+          neuronManagerOwner: admin.address,
+          rewardDistributorOwner: admin.address,
+          epochRunner: runner.address,
+          networkMinLock: ethers.parseEther("250"),
+          networkRateLimit: 500n,
+          lockReductionInterval: 2000n
+        }
+      }
+    });
+
+    const ammFactory = await ethers.getContractAt("SubnetAMMFactory", await subnetManager.ammFactory());
+    expect(await subnetManager.systemAddress()).to.equal(system.address);
+    expect(await ammFactory.systemAddress()).to.equal(system.address);
+    expect(await globalStaking.treasury()).to.equal(treasury.address);
+    expect(await globalStaking.owner()).to.equal(admin.address);
+    expect(await neuronManager.owner()).to.equal(admin.address);
+    expect(await neuronManager.rewardDistributor()).to.equal(rewardDistributor.target);
+    expect(await rewardDistributor.owner()).to.equal(admin.address);
+    expect(await rewardDistributor.epochRunners(runner.address)).to.be.true;
+    expect(await globalStaking.authorizedCallers(neuronManager.target)).to.be.true;
+
+    const params = await subnetManager.getNetworkParams();
+    expect(params.minLock).to.equal(ethers.parseEther("250"));
+    expect(params.rateLimit).to.equal(500);
+    expect(params.reductionInterval).to.equal(2000);
+  });
+});
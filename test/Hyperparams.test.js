@@ -0,0 +1,152 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  HetuClient,
+  HyperparamsBuilder,
+  HyperparamsError,
+  HYPERPARAM_PRESETS,
+  DEFAULT_HYPERPARAMS,
+  validateHyperparams
+} = require("../index");
+
+describe("Hyperparameters", function () {
+  async function deployFixture() {
+    const [owner, creator] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+
+    const client = new HetuClient({
+      runner: creator,
+      addresses: {
+        hetuToken: whetuToken.target,
+        subnetManager: subnetManager.target,
+        globalStaking: globalStaking.target,
+        neuronManager: neuronManager.target
+      }
+    });
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    return { owner, creator, subnetManager, client };
+  }
+
+  // Register a subnet with the contract defaults and return its stored hyperparameters
+  async function registerDefault({ client, subnetManager }) {
+    const { netuid } = await client.registerSubnet({ name: "Defaults", tokenName: "DefAlpha", tokenSymbol: "DEF" }, { wrap: true });
+    return { netuid, stored: (await subnetManager.getSubnetHyperparams(netuid)).toObject() };
+  }
+
+  it("should mirror the on-chain defaults, which now pass the contract's own rules", async function () {
+    const fixtures = await loadFixture(deployFixture);
+    const { netuid, stored } = await registerDefault(fixtures);
+    expect(stored).to.deep.equal(DEFAULT_HYPERPARAMS);
+
+    // Every preset is accepted by JS and by DefaultHyperparams.validateHyperparams
+    for (const [name, preset] of Object.entries(HYPERPARAM_PRESETS)) {
+      expect(validateHyperparams(preset), name).to.deep.equal([]);
+      await fixtures.subnetManager.updateSubnetHyperparams(netuid, preset);
+    }
+  });
+
+  it("should report the same violations as the contract", async function () {
+    const fixtures = await loadFixture(deployFixture);
+    const { netuid } = await registerDefault(fixtures);
+
+    const cases = [
+      [{ tempo: 120 }, []],
+      [{ weightsRateLimit: 15000 }, ["weightsRateLimit"]], // The previous default
+      [{ weightsRateLimit: 7200 }, ["weightsRateLimit"]],
+      [{ rho: 0 }, ["rho"]],
+      [{ rho: 1001 }, ["rho"]],
+      [{ kappa: 0 }, ["kappa"]],
+      [{ immunityPeriod: 0 }, ["immunityPeriod"]],
+      [{ tempo: 10001 }, ["tempo"]],
+      [{ maxValidators: 129 }, ["maxValidators"]],
+      [{ activityCutoff: 50001 }, ["activityCutoff"]],
+      [{ maxAllowedUids: 0 }, ["maxAllowedUids"]],
+      [{ maxAllowedValidators: 1001 }, ["maxAllowedValidators"]],
+      [{ maxAllowedValidators: 32 }, ["maxValidators"]],
+      [{ minAllowedWeights: 1001 }, ["minAllowedWeights"]],
+      [{ maxWeightsLimit: 10001 }, ["maxWeightsLimit"]],
+      [{ maxWeightsLimit: 4 }, ["minAllowedWeights"]],
+      [{ baseNeuronCost: 0 }, ["baseNeuronCost"]],
+      [{ currentDifficulty: 0 }, ["currentDifficulty"]],
+      [{ targetRegsPerInterval: 101 }, ["targetRegsPerInterval"]],
+      [{ maxRegsPerBlock: 0 }, ["maxRegsPerBlock"]],
+      [{ commitRevealPeriod: 10001 }, ["commitRevealPeriod"]],
+      [{ servingRateLimit: 0 }, ["servingRateLimit"]],
+      [{ validatorThreshold: ethers.parseEther("100") }, ["validatorThreshold"]],
+      [{ neuronThreshold: 0 }, ["neuronThreshold"]],
+      [{ immunityPeriod: 20000, weightsRateLimit: 20001 }, ["weightsRateLimit"]]
+    ];
+
+    for (const [overrides, fields] of cases) {
+      const params = new HyperparamsBuilder().set(overrides).toObject();
+      const label = JSON.stringify(overrides, (key, v) => (typeof v === "bigint" ? v.toString() : v));
+      expect(validateHyperparams(params).map(({ field }) => field), label).to.deep.equal(fields);
+
+      const update = fixtures.subnetManager.updateSubnetHyperparams(netuid, params);
+      if (fields.length === 0) {
+        await expect(update, label).not.to.be.reverted;
+      } else {
+        await expect(update, label).to.be.revertedWith("INVALID_HYPERPARAMS");
+      }
+    }
+  });
+
+  it("should register with named fields and derive the custom flags", async function () {
+    const { client, subnetManager } = await loadFixture(deployFixture);
+    const builder = new HyperparamsBuilder("testnet").set("tempo", 120);
+
+    const { useCustomFlags } = builder.build();
+    expect(useCustomFlags.filter(Boolean)).to.have.length(6);
+    expect(useCustomFlags[3]).to.be.true; // tempo
+    expect(useCustomFlags[14]).to.be.false; // weightsRateLimit keeps the default
+
+    const { netuid } = await client.registerSubnet({
+      name: "Custom",
+      tokenName: "CustomAlpha",
+      tokenSymbol: "CUS",
+      hyperparams: builder
+    }, { wrap: true });
+    expect((await subnetManager.getSubnetHyperparams(netuid)).toObject()).to.deep.equal(builder.toObject());
+  });
+
+  it("should refuse invalid hyperparameters before sending", async function () {
+    const { client } = await loadFixture(deployFixture);
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    let error;
+    try {
+      await client.registerSubnet({
+        name: "Broken",
+        tokenName: "BrokenAlpha",
+        tokenSymbol: "BRK",
+        hyperparams: { weightsRateLimit: 100, maxRegsPerBlock: 20 }
+      }, { wrap: true });
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(HyperparamsError);
+    expect(error.errors.map(({ field }) => field)).to.deep.equal(["weightsRateLimit", "maxRegsPerBlock"]);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+
+    expect(() => new HyperparamsBuilder().set("tempoo", 1)).to.throw("Unknown hyperparameter: tempoo");
+    expect(() => new HyperparamsBuilder().set("registrationAllowed", 1)).to.throw(HyperparamsError);
+    expect(() => new HyperparamsBuilder("mainnet")).to.throw("Unknown hyperparameter preset");
+    expect(validateHyperparams({ ...DEFAULT_HYPERPARAMS, tempo: 70000n })[0].field).to.equal("tempo");
+  });
+});
@@ -0,0 +1,216 @@
+const {
+  time,
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, HyperparamsError, DEFAULT_HYPERPARAMS } = require("../index");
+
+describe("HyperparamsGovernor", function () {
+  const TIMELOCK = 7200n; // Default timelock
+  const TEMPO = 3; // Field index of tempo
+  const MAX_REGS_PER_BLOCK = 13;
+  const VALIDATOR_THRESHOLD = 19;
+
+  async function deployFixture() {
+    const [owner, creator, alice] = await ethers.getSigners();
+    for (const account of [creator, alice]) {
+      await setBalance(account.address, ethers.parseEther("10000"));
+    }
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+
+    const HyperparamsGovernor = await ethers.getContractFactory("HyperparamsGovernor");
+    const governor = await HyperparamsGovernor.deploy(subnetManager.target);
+    await expect(subnetManager.setHyperparamsGovernor(governor.target))
+      .to.emit(subnetManager, "HyperparamsGovernorUpdated")
+      .withArgs(ethers.ZeroAddress, governor.target);
+
+    // The client finds the governor through SubnetManager
+    const client = new HetuClient({
+      runner: creator,
+      addresses: {
+        hetuToken: whetuToken.target,
+        subnetManager: subnetManager.target,
+        globalStaking: globalStaking.target,
+        neuronManager: neuronManager.target
+      }
+    });
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const { netuid } = await client.registerSubnet({ name: "Governed", tokenName: "GovAlpha", tokenSymbol: "GOV" }, { wrap: true });
+
+    return { owner, creator, alice, subnetManager, governor, client, netuid };
+  }
+
+  it("should apply a proposal after the timelock and report the changes", async function () {
+    const { creator, alice, subnetManager, governor, client, netuid } = await loadFixture(deployFixture);
+
+    const proposal = await client.proposeHyperparams(netuid, { tempo: 120, registrationAllowed: false });
+    expect(proposal.proposer).to.equal(creator.address);
+    expect(proposal.executableAt).to.equal(BigInt(await ethers.provider.getBlockNumber()) + TIMELOCK);
+    expect(proposal.changes).to.deep.equal([
+      { field: "tempo", from: 99n, to: 120n },
+      { field: "registrationAllowed", from: true, to: false }
+    ]);
+
+    const pending = await client.getPendingHyperparams(netuid);
+    expect(pending.executable).to.be.false;
+    expect(pending.blocksLeft).to.equal(TIMELOCK);
+    expect(pending.fields).to.deep.equal(["tempo", "registrationAllowed"]);
+    expect(pending.changes).to.deep.equal(proposal.changes);
+    expect(pending.params).to.deep.equal({ ...DEFAULT_HYPERPARAMS, tempo: 120n, registrationAllowed: false });
+
+    // The next transaction lands one block before the timelock expires
+    await time.advanceBlockTo(proposal.executableAt - 2n);
+    await expect(governor.connect(alice).execute(netuid)).to.be.revertedWith("TIMELOCK_NOT_EXPIRED");
+    expect((await client.getPendingHyperparams(netuid)).blocksLeft).to.equal(1n);
+
+    await expect(governor.connect(alice).execute(netuid))
+      .to.emit(subnetManager, "HyperparamsUpdated")
+      .withArgs(netuid, anyValue, anyValue, governor.target)
+      .and.to.emit(governor, "HyperparamsExecuted")
+      .withArgs(netuid, alice.address);
+    const stored = await subnetManager.getSubnetHyperparams(netuid);
+    expect(stored.tempo).to.equal(120);
+    expect(stored.registrationAllowed).to.be.false;
+    expect(await client.getPendingHyperparams(netuid)).to.be.null;
+    await expect(governor.execute(netuid)).to.be.revertedWith("NO_PENDING_PROPOSAL");
+
+    // executeHyperparams decodes the old and new values of HyperparamsUpdated
+    await client.proposeHyperparams(netuid, { tempo: 150 });
+    await mine(TIMELOCK);
+    const executed = await client.executeHyperparams(netuid);
+    expect(executed.changes).to.deep.equal([{ field: "tempo", from: 120n, to: 150n }]);
+  });
+
+  it("should only apply the proposed fields over changes made during the timelock", async function () {
+    const { creator, subnetManager, governor, client, netuid } = await loadFixture(deployFixture);
+
+    await client.proposeHyperparams(netuid, { tempo: 120 });
+    // The protocol owner changes another field and the proposed one while the proposal waits
+    const current = (await subnetManager.getSubnetHyperparams(netuid)).toObject();
+    await subnetManager.updateSubnetHyperparams(netuid, { ...current, maxRegsPerBlock: 7n, tempo: 120n });
+
+    const pending = await client.getPendingHyperparams(netuid);
+    expect(pending.params.maxRegsPerBlock).to.equal(7n);
+    expect(pending.changes).to.deep.equal([]);
+
+    // The proposal now matches the current values, which does not stop it from executing
+    await mine(TIMELOCK);
+    await expect(governor.connect(creator).execute(netuid)).to.emit(governor, "HyperparamsExecuted");
+    const stored = await subnetManager.getSubnetHyperparams(netuid);
+    expect(stored.maxRegsPerBlock).to.equal(7);
+    expect(stored.tempo).to.equal(120);
+
+    // A merged set that breaks the contract rules is rejected
+    await client.proposeHyperparams(netuid, { neuronThreshold: ethers.parseEther("500") });
+    const raised = (await subnetManager.getSubnetHyperparams(netuid)).toObject();
+    await subnetManager.updateSubnetHyperparams(netuid, { ...raised, validatorThreshold: ethers.parseEther("200") });
+    await mine(TIMELOCK);
+    await expect(governor.execute(netuid)).to.be.revertedWith("INVALID_HYPERPARAMS");
+  });
+
+  it("should check proposals against the contract rules and field bounds", async function () {
+    const { owner, creator, alice, governor, client, netuid } = await loadFixture(deployFixture);
+    const params = (overrides) => ({ ...DEFAULT_HYPERPARAMS, ...overrides });
+
+    await expect(governor.connect(alice).propose(netuid, params({ tempo: 120n }))).to.be.revertedWith("NOT_SUBNET_OWNER");
+    await expect(client.proposeHyperparams(netuid, { weightsRateLimit: 100 })).to.be.rejectedWith(HyperparamsError);
+    await expect(governor.connect(creator).propose(netuid, params({ weightsRateLimit: 100n })))
+      .to.be.revertedWith("INVALID_HYPERPARAMS");
+    await expect(governor.connect(creator).propose(netuid, params({}))).to.be.revertedWith("NO_CHANGE");
+
+    await expect(governor.connect(alice).setFieldBound(TEMPO, 50, 200)).to.be.revertedWith("NOT_PROTOCOL_OWNER");
+    await expect(governor.setFieldBound(21, 50, 200)).to.be.revertedWith("INVALID_FIELD");
+    await expect(governor.setFieldBound(TEMPO, 200, 50)).to.be.revertedWith("INVALID_BOUND");
+    await expect(governor.connect(owner).setFieldBound(TEMPO, 50, 200))
+      .to.emit(governor, "FieldBoundUpdated")
+      .withArgs(TEMPO, 50, 200);
+
+    await expect(client.proposeHyperparams(netuid, { tempo: 300 })).to.be.rejectedWith("FIELD_OUT_OF_BOUNDS");
+    // Unchanged fields are not bounded, so other fields can still change
+    await client.proposeHyperparams(netuid, { tempo: 150, maxRegsPerBlock: 5 });
+
+    // Bounds are checked again on execution
+    await governor.setFieldBound(TEMPO, 50, 100);
+    await mine(TIMELOCK);
+    await expect(governor.execute(netuid)).to.be.revertedWith("FIELD_OUT_OF_BOUNDS");
+
+    // A bound with min == max pins the field, clearing it leaves only validateHyperparams
+    await governor.setFieldBound(MAX_REGS_PER_BLOCK, 1, 1);
+    await expect(client.proposeHyperparams(netuid, { maxRegsPerBlock: 2 })).to.be.rejectedWith("FIELD_OUT_OF_BOUNDS");
+    await expect(governor.connect(alice).clearFieldBound(TEMPO)).to.be.revertedWith("NOT_PROTOCOL_OWNER");
+    await expect(governor.clearFieldBound(TEMPO))
+      .to.emit(governor, "FieldBoundCleared")
+      .withArgs(TEMPO);
+    expect(await governor.getFieldBound(TEMPO)).to.deep.equal([0n, 0n, false]);
+    await client.proposeHyperparams(netuid, { tempo: 5000 });
+  });
+
+  it("should bound the economic fields from deployment", async function () {
+    const { creator, governor, client, netuid } = await loadFixture(deployFixture);
+
+    expect(await governor.getFieldBound(TEMPO)).to.deep.equal([10n, 1000n, true]);
+    expect(await governor.getFieldBound(VALIDATOR_THRESHOLD)).to.deep.equal([ethers.parseEther("1"), ethers.parseEther("100000"), true]);
+    expect((await governor.getFieldBound(MAX_REGS_PER_BLOCK)).set).to.be.false;
+
+    // Without any setup by the protocol owner
+    await expect(client.proposeHyperparams(netuid, { tempo: 5 })).to.be.rejectedWith("FIELD_OUT_OF_BOUNDS");
+    await expect(client.proposeHyperparams(netuid, { tempo: 5000 })).to.be.rejectedWith("FIELD_OUT_OF_BOUNDS");
+    await expect(governor.connect(creator).propose(netuid, { ...DEFAULT_HYPERPARAMS, baseNeuronCost: ethers.parseEther("1000") }))
+      .to.be.revertedWith("FIELD_OUT_OF_BOUNDS");
+    await expect(
+      client.proposeHyperparams(netuid, { validatorThreshold: ethers.parseEther("1000000"), neuronThreshold: ethers.parseEther("1000") })
+    ).to.be.rejectedWith("FIELD_OUT_OF_BOUNDS");
+    await client.proposeHyperparams(netuid, { tempo: 1000, maxRegsPerBlock: 10 });
+  });
+
+  it("should let the subnet owner cancel and the protocol owner veto", async function () {
+    const { owner, creator, alice, subnetManager, governor, client, netuid } = await loadFixture(deployFixture);
+
+    await client.proposeHyperparams(netuid, { tempo: 120 });
+    // A new proposal replaces the pending one
+    await expect(governor.connect(creator).propose(netuid, { ...DEFAULT_HYPERPARAMS, tempo: 130n }))
+      .to.emit(governor, "HyperparamsCancelled")
+      .withArgs(netuid, creator.address)
+      .and.to.emit(governor, "HyperparamsProposed");
+    expect((await client.getPendingHyperparams(netuid)).params.tempo).to.equal(130n);
+
+    await expect(governor.connect(alice).cancel(netuid)).to.be.revertedWith("NOT_SUBNET_OWNER");
+    await client.cancelHyperparams(netuid);
+    expect(await client.getPendingHyperparams(netuid)).to.be.null;
+    await expect(client.cancelHyperparams(netuid)).to.be.rejectedWith("NO_PENDING_PROPOSAL");
+
+    await client.proposeHyperparams(netuid, { tempo: 120 });
+    await expect(governor.connect(alice).veto(netuid)).to.be.revertedWith("NOT_PROTOCOL_OWNER");
+    await expect(governor.connect(owner).veto(netuid))
+      .to.emit(governor, "HyperparamsVetoed")
+      .withArgs(netuid, owner.address);
+    await mine(TIMELOCK);
+    await expect(governor.execute(netuid)).to.be.revertedWith("NO_PENDING_PROPOSAL");
+
+    // Only the protocol owner and the governor may write hyperparameters directly
+    const params = { ...DEFAULT_HYPERPARAMS, tempo: 110n };
+    await expect(subnetManager.connect(alice).updateSubnetHyperparams(netuid, params))
+      .to.be.revertedWithCustomError(subnetManager, "OwnableUnauthorizedAccount");
+    await expect(subnetManager.updateSubnetHyperparams(netuid, params))
+      .to.emit(subnetManager, "HyperparamsUpdated")
+      .withArgs(netuid, anyValue, anyValue, owner.address);
+
+    await expect(governor.connect(alice).setTimelock(10)).to.be.revertedWith("NOT_PROTOCOL_OWNER");
+    await expect(governor.setTimelock(10)).to.emit(governor, "TimelockUpdated").withArgs(TIMELOCK, 10);
+  });
+});
@@ -0,0 +1,207 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HetuClient, HetuIndexer, JsonFileStore, buildDeployment } = require("../index");
+const { reduceEvents } = require("../sdk/indexer");
+
+describe("HetuIndexer", function () {
+  let storeFile;
+
+  beforeEach(function () {
+    storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "hetu-indexer-")), "store.json");
+  });
+
+  async function deployFixture() {
+    const [owner, system, creator, alice, bob] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(
+      subnetManager.target,
+      globalStaking.target,
+      owner.address
+    );
+
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const entry = (contractName, contract) => ({
+      contractName,
+      address: contract.target,
+      txHash: contract.deploymentTransaction().hash
+    });
+    const deployment = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager)
+      }
+    });
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    const registration = await HetuClient.fromDeployment(deployment, creator).registerSubnet({
+      name: "Indexed Subnet",
+      tokenName: "IndexAlpha",
+      tokenSymbol: "IDX"
+    }, { wrap: true });
+
+    return { owner, creator, alice, bob, subnetManager, globalStaking, neuronManager, deployment, netuid: registration.netuid };
+  }
+
+  function createIndexer(deployment, options = {}) {
+    return HetuIndexer.fromDeployment(deployment, ethers.provider, {
+      store: new JsonFileStore(storeFile),
+      batchSize: 500,
+      ...options
+    });
+  }
+
+  async function expectStakeMatchesChain(indexer, globalStaking, account, netuid) {
+    const info = await globalStaking.getStakeInfo(account);
+    const allocation = await globalStaking.getSubnetAllocation(account, netuid);
+    const stake = indexer.getStake(account);
+    const indexed = stake.allocations[netuid] || { allocated: "0", cost: "0" };
+
+    expect(stake.totalStaked).to.equal(info.totalStaked.toString());
+    expect(stake.totalAllocated).to.equal(info.totalAllocated.toString());
+    expect(stake.totalCost).to.equal(info.totalCost.toString());
+    expect(indexed.allocated).to.equal(allocation.allocated.toString());
+    expect(indexed.cost).to.equal(allocation.cost.toString());
+  }
+
+  it("should rebuild subnet, neuron and stake state from events", async function () {
+    const { owner, creator, alice, bob, subnetManager, globalStaking, neuronManager, deployment, netuid } = await loadFixture(deployFixture);
+
+    await HetuClient.fromDeployment(deployment, creator).activateSubnet(netuid);
+    const aliceClient = HetuClient.fromDeployment(deployment, alice);
+    const bobClient = HetuClient.fromDeployment(deployment, bob);
+    await HetuClient.fromDeployment(deployment, creator).transferSubnetOwnership(netuid, alice.address);
+    await aliceClient.acceptSubnetOwnership(netuid);
+    await aliceClient.registerNeuron({
+      netuid,
+      stake: ethers.parseEther("600"),
+      isValidator: true,
+      axonEndpoint: "http://alice",
+      axonPort: 8080,
+      autoStake: true
+    }, { wrap: true });
+    await bobClient.registerNeuron({ netuid, stake: ethers.parseEther("250"), autoStake: true }, { wrap: true });
+
+    await neuronManager.connect(alice).updateNeuronService(netuid, "http://alice-v2", 8081, "http://metrics", 9090);
+    await aliceClient.updateNeuronStake({ netuid, stake: ethers.parseEther("700"), autoStake: true }, { wrap: true });
+    const left = await bobClient.deregisterNeuron(netuid);
+    expect(left.released).to.equal(ethers.parseEther("250"));
+    expect(await bobClient.getUnbonding()).to.deep.equal({
+      amount: left.released,
+      unlockBlock: left.unlockBlock,
+      releases: [{ amount: left.released, unlockBlock: left.unlockBlock }]
+    });
+
+    const indexer = createIndexer(deployment);
+    const result = await indexer.sync();
+    expect(result.toBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(result.reorg).to.equal(null);
+
+    const subnet = indexer.getSubnet(netuid);
+    const info = await subnetManager.getSubnetInfo(netuid);
+    expect(subnet.owner).to.equal(alice.address);
+    expect(subnet.ammPool).to.equal(info.ammPool);
+    expect(subnet.isActive).to.equal(true);
+
+    const onChain = await neuronManager.getNeuronInfo(netuid, alice.address);
+    const neuron = indexer.getNeuron(netuid, alice.address);
+    expect(neuron.stake).to.equal(onChain.stake.toString());
+    expect(neuron.isValidator).to.equal(true);
+    expect(neuron.axonEndpoint).to.equal("http://alice-v2");
+    expect(neuron.prometheusPort).to.equal(9090);
+    expect(indexer.getNeuron(netuid, bob.address)).to.equal(null);
+    expect(indexer.getNeurons(netuid)).to.have.length(1);
+
+    await expectStakeMatchesChain(indexer, globalStaking, alice.address, netuid);
+    await expectStakeMatchesChain(indexer, globalStaking, bob.address, netuid);
+
+    // Dissolving drops the subnet, its remaining neuron leaves through NeuronDeregistered
+    await subnetManager.connect(owner).setSubnetInactivityPeriod(0);
+    await aliceClient.deactivateSubnet(netuid);
+    await aliceClient.dissolveSubnet(netuid);
+    await bobClient.removeDissolvedNeurons(netuid);
+    await indexer.sync();
+    expect(indexer.getSubnet(netuid)).to.equal(null);
+    expect(indexer.getNeurons(netuid)).to.have.length(0);
+    await expectStakeMatchesChain(indexer, globalStaking, alice.address, netuid);
+  });
+
+  it("should resume from the stored checkpoint", async function () {
+    const { alice, globalStaking, deployment, netuid } = await loadFixture(deployFixture);
+    const aliceClient = HetuClient.fromDeployment(deployment, alice);
+
+    await aliceClient.stake(ethers.parseEther("100"), { wrap: true });
+    const first = await createIndexer(deployment).sync();
+
+    await aliceClient.allocate(netuid, ethers.parseEther("40"));
+
+    const resumed = createIndexer(deployment);
+    expect(resumed.checkpoint.blockNumber).to.equal(first.toBlock);
+
+    const second = await resumed.sync();
+    expect(second.fromBlock).to.equal(first.toBlock + 1);
+    expect(second.events).to.equal(1);
+
+    await expectStakeMatchesChain(resumed, globalStaking, alice.address, netuid);
+    expect(resumed.state).to.deep.equal(reduceEvents(resumed.events));
+  });
+
+  it("should roll back events from blocks dropped by a reorg", async function () {
+    const { alice, bob, globalStaking, deployment, netuid } = await loadFixture(deployFixture);
+    const indexer = createIndexer(deployment);
+    await indexer.sync();
+    const forkPoint = indexer.checkpoint.blockNumber;
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await HetuClient.fromDeployment(deployment, alice).stake(ethers.parseEther("100"), { wrap: true });
+    await indexer.sync();
+    expect(indexer.getStake(alice.address).totalStaked).to.equal(ethers.parseEther("100").toString());
+
+    // Replace the indexed blocks with a longer chain that carries different events
+    await network.provider.send("evm_revert", [snapshot]);
+    await HetuClient.fromDeployment(deployment, bob).stake(ethers.parseEther("50"), { wrap: true });
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 5);
+
+    const result = await indexer.sync();
+    expect(result.reorg.to).to.be.at.most(forkPoint);
+
+    expect(indexer.getStake(alice.address)).to.equal(null);
+    await expectStakeMatchesChain(indexer, globalStaking, bob.address, netuid);
+    expect(indexer.state).to.deep.equal(reduceEvents(indexer.events));
+  });
+
+  it("should refuse a store built for other contracts", async function () {
+    const { deployment } = await loadFixture(deployFixture);
+    await createIndexer(deployment).sync();
+
+    const other = { ...deployment, contracts: { ...deployment.contracts } };
+    other.contracts.globalStaking = { ...deployment.contracts.globalStaking, address: ethers.Wallet.createRandom().address };
+
+    await expect(createIndexer(other).sync()).to.be.rejectedWith("store was built for globalStaking");
+  });
+});
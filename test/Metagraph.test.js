@@ -0,0 +1,188 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { HetuClient, buildDeployment, saveDeployment, formatMetagraph, diffMetagraphs } = require("../index");
+
+const { ethers } = hre;
+
+describe("Metagraph snapshots", function () {
+  async function deployFixture() {
+    const [owner, system, creator, alice, bob] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(
+      subnetManager.target,
+      globalStaking.target,
+      owner.address
+    );
+
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const entry = (contractName, contract) => ({ contractName, address: contract.target });
+    const { deployment, file } = saveDeployment(await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager)
+      }
+    }), { dir: fs.mkdtempSync(path.join(os.tmpdir(), "hetu-metagraph-")) });
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    const creatorClient = HetuClient.fromDeployment(deployment, creator);
+    const { netuid } = await creatorClient.registerSubnet({
+      name: "Metagraph Subnet",
+      tokenName: "GraphAlpha",
+      tokenSymbol: "GRPH"
+    }, { wrap: true });
+    await creatorClient.activateSubnet(netuid);
+
+    await HetuClient.fromDeployment(deployment, alice).registerNeuron({
+      netuid,
+      stake: ethers.parseEther("600"),
+      isValidator: true,
+      axonEndpoint: "http://alice,axon",
+      axonPort: 8080,
+      prometheusEndpoint: "http://alice-metrics",
+      prometheusPort: 9090,
+      autoStake: true
+    }, { wrap: true });
+
+    return { alice, bob, neuronManager, deployment, deploymentFile: file, netuid };
+  }
+
+  it("should snapshot every neuron and the hyperparameters at one block", async function () {
+    const { alice, bob, neuronManager, deployment, netuid } = await loadFixture(deployFixture);
+    const reader = HetuClient.fromDeployment(deployment, ethers.provider);
+    const block = await ethers.provider.getBlockNumber();
+
+    // Registered after the snapshot block, so it must not show up
+    await HetuClient.fromDeployment(deployment, bob).registerNeuron({
+      netuid,
+      stake: ethers.parseEther("250"),
+      autoStake: true
+    }, { wrap: true });
+
+    const snapshot = await reader.getMetagraph(netuid, { blockTag: block, batchSize: 1 });
+    expect(snapshot.blockNumber).to.equal(block);
+    expect(snapshot.hyperparams.validatorThreshold).to.equal(ethers.parseEther("500").toString());
+    expect(snapshot.hyperparams.registrationAllowed).to.equal(true);
+    expect(snapshot.neurons).to.have.length(1);
+
+    const [neuron] = snapshot.neurons;
+    const info = await neuronManager.getNeuronInfo(netuid, alice.address);
+    expect(neuron).to.deep.equal({
+      uid: 0,
+      account: alice.address,
+      isValidator: true,
+      stake: info.stake.toString(),
+      registrationBlock: Number(info.registrationBlock),
+      lastUpdate: Number(info.lastUpdate),
+      axonEndpoint: "http://alice,axon",
+      axonPort: 8080,
+      prometheusEndpoint: "http://alice-metrics",
+      prometheusPort: 9090
+    });
+
+    const latest = await reader.getMetagraph(netuid);
+    expect(latest.neurons.map((n) => n.account)).to.deep.equal([alice.address, bob.address]);
+  });
+
+  it("should export CSV and columnar layouts", async function () {
+    const { alice, deployment, netuid } = await loadFixture(deployFixture);
+    const snapshot = await HetuClient.fromDeployment(deployment, ethers.provider).getMetagraph(netuid);
+
+    const [header, row] = formatMetagraph(snapshot, "csv").trim().split("\n");
+    expect(header).to.equal(
+      "netuid,blockNumber,uid,account,isValidator,stake,registrationBlock,lastUpdate," +
+      "axonEndpoint,axonPort,prometheusEndpoint,prometheusPort"
+    );
+    expect(row).to.contain(`${alice.address},true,`);
+    expect(row).to.contain("\"http://alice,axon\",8080");
+
+    const columnar = JSON.parse(formatMetagraph(snapshot, "columnar"));
+    expect(columnar.numRows).to.equal(1);
+    expect(columnar.schema.find((c) => c.name === "stake").type).to.equal("uint256");
+    expect(columnar.columns.account).to.deep.equal([alice.address]);
+    expect(columnar.hyperparams).to.deep.equal(snapshot.hyperparams);
+
+    expect(() => formatMetagraph(snapshot, "parquet")).to.throw("unknown format parquet");
+  });
+
+  it("should diff snapshots taken at different blocks", async function () {
+    const { alice, bob, neuronManager, deployment, netuid } = await loadFixture(deployFixture);
+    const reader = HetuClient.fromDeployment(deployment, ethers.provider);
+    const before = await reader.getMetagraph(netuid);
+
+    await HetuClient.fromDeployment(deployment, bob).registerNeuron({
+      netuid,
+      stake: ethers.parseEther("250"),
+      autoStake: true
+    }, { wrap: true });
+    await neuronManager.connect(alice).updateNeuronService(netuid, "http://alice-v2", 8081, "http://alice-metrics", 9090);
+
+    const after = await reader.getMetagraph(netuid);
+    const diff = diffMetagraphs(before, after);
+
+    expect(diff.fromBlock).to.equal(before.blockNumber);
+    expect(diff.toBlock).to.equal(after.blockNumber);
+    expect(diff.added.map((n) => n.account)).to.deep.equal([bob.address]);
+    expect(diff.removed).to.deep.equal([]);
+    expect(diff.changed).to.have.length(1);
+    expect(diff.changed[0].account).to.equal(alice.address);
+    expect(diff.changed[0].changes.axonEndpoint).to.deep.equal({ from: "http://alice,axon", to: "http://alice-v2" });
+    expect(diff.hyperparams).to.deep.equal({});
+    expect(diff.stakeDelta).to.equal(ethers.parseEther("250").toString());
+
+    expect(() => diffMetagraphs(before, { ...after, netuid: 2 })).to.throw("cannot diff subnet");
+  });
+
+  it("should export and diff snapshots from the command line", async function () {
+    const { bob, deployment, deploymentFile, netuid } = await loadFixture(deployFixture);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "hetu-metagraph-cli-"));
+    // Task output is kept out of the test log
+    const run = async (task, args) => {
+      const log = console.log;
+      console.log = () => {};
+      try {
+        return await hre.run({ scope: "subnet", task }, { json: true, ...args });
+      } finally {
+        console.log = log;
+      }
+    };
+
+    await run("metagraph", { deployment: deploymentFile, netuid, out: path.join(dir, "before.json") });
+    await HetuClient.fromDeployment(deployment, bob).registerNeuron({
+      netuid,
+      stake: ethers.parseEther("250"),
+      autoStake: true
+    }, { wrap: true });
+    await run("metagraph", { deployment: deploymentFile, netuid, out: path.join(dir, "after.json") });
+    await run("metagraph", { deployment: deploymentFile, netuid, format: "csv", out: path.join(dir, "after.csv") });
+
+    const diff = await run("metagraph-diff", { before: path.join(dir, "before.json"), after: path.join(dir, "after.json") });
+    expect(diff.added.map((n) => n.account)).to.deep.equal([bob.address]);
+    expect(fs.readFileSync(path.join(dir, "after.csv"), "utf8").trim().split("\n")).to.have.length(3);
+  });
+});
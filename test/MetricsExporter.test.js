@@ -0,0 +1,153 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, MetricsExporter, renderPrometheus, ensureMulticall3, buildDeployment } = require("../index");
+
+describe("MetricsExporter", function () {
+  async function deployFixture() {
+    const [owner, system, creator, validator] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(
+      subnetManager.target,
+      globalStaking.target,
+      owner.address
+    );
+
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+    await ensureMulticall3(ethers.provider);
+
+    const entry = (contractName, contract) => ({ contractName, address: contract.target });
+    const deployment = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager)
+      }
+    });
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+
+    const creatorClient = HetuClient.fromDeployment(deployment, creator);
+    const registration = await creatorClient.registerSubnet({
+      name: "Metrics \"Subnet\"",
+      tokenName: "MetricAlpha",
+      tokenSymbol: "MTRC"
+    }, { wrap: true });
+    await creatorClient.activateSubnet(registration.netuid);
+
+    await HetuClient.fromDeployment(deployment, validator).registerNeuron({
+      netuid: registration.netuid,
+      stake: ethers.parseEther("600"),
+      isValidator: true,
+      autoStake: true
+    }, { wrap: true });
+
+    return { subnetManager, globalStaking, deployment, registration };
+  }
+
+  // Parse exposition text into { "name{labels}": value }
+  function parseMetrics(text) {
+    return Object.fromEntries(
+      text.split("\n")
+        .filter((line) => line && !line.startsWith("#"))
+        .map((line) => {
+          const index = line.lastIndexOf(" ");
+          return [line.slice(0, index), Number(line.slice(index + 1))];
+        })
+    );
+  }
+
+  it("should serve pool, staking, neuron and lock cost metrics", async function () {
+    const { subnetManager, globalStaking, deployment, registration } = await loadFixture(deployFixture);
+    const exporter = new MetricsExporter(HetuClient.fromDeployment(deployment, ethers.provider), { intervalMs: 60000 });
+    const server = await exporter.start(0, "127.0.0.1");
+
+    try {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      const response = await fetch(`${base}/metrics`);
+      expect(response.status).to.equal(200);
+      expect(response.headers.get("content-type")).to.contain("text/plain; version=0.0.4");
+
+      const text = await response.text();
+      expect(text).to.contain("# TYPE hetu_pool_volume_hetu_total counter");
+      expect(text).to.contain("# TYPE hetu_pool_fees_hetu_total counter");
+      expect(text).to.contain("name=\"Metrics \\\"Subnet\\\"\"");
+
+      const metrics = parseMetrics(text);
+      const pool = await ethers.getContractAt("SubnetAMM", registration.ammPool);
+      const poolInfo = await pool.getPoolInfo();
+      const [staked, allocated] = await globalStaking.getGlobalTotals();
+
+      expect(metrics.hetu_exporter_up).to.equal(1);
+      expect(metrics.hetu_network_lock_cost_hetu).to.equal(Number(ethers.formatEther(await subnetManager.getNetworkLockCost())));
+      expect(metrics.hetu_network_subnets).to.equal(1);
+      expect(metrics.hetu_staking_staked_hetu).to.equal(Number(ethers.formatEther(staked)));
+      expect(metrics.hetu_staking_allocated_hetu).to.equal(Number(ethers.formatEther(allocated)));
+      expect(metrics["hetu_subnet_neurons{netuid=\"1\"}"]).to.equal(1);
+      expect(metrics["hetu_subnet_validators{netuid=\"1\"}"]).to.equal(1);
+      expect(metrics["hetu_subnet_allocated_hetu{netuid=\"1\"}"]).to.equal(600);
+      expect(metrics["hetu_pool_hetu_reserve_hetu{netuid=\"1\"}"]).to.equal(Number(ethers.formatEther(poolInfo._subnetHetu)));
+      expect(metrics["hetu_pool_price_hetu{netuid=\"1\"}"]).to.equal(Number(ethers.formatEther(poolInfo._currentPrice)));
+      expect(metrics["hetu_pool_healthy{netuid=\"1\"}"]).to.equal(0);
+
+      expect((await fetch(`${base}/healthz`)).status).to.equal(200);
+      expect((await fetch(`${base}/other`)).status).to.equal(404);
+    } finally {
+      await exporter.stop();
+    }
+  });
+
+  it("should keep serving with hetu_exporter_up 0 when a poll fails", async function () {
+    const { deployment } = await loadFixture(deployFixture);
+    const client = HetuClient.fromDeployment(deployment, ethers.provider);
+    const errors = [];
+    const exporter = new MetricsExporter(client, { intervalMs: 60000, onError: (e) => errors.push(e) });
+
+    expect(await exporter.poll()).to.be.true;
+    const healthy = exporter.render();
+
+    // Point the client at an address without code so the next poll fails
+    client.globalStaking = client.globalStaking.attach(ethers.Wallet.createRandom().address);
+    expect(await exporter.poll()).to.be.false;
+    expect(errors).to.have.length(1);
+
+    const metrics = parseMetrics(exporter.render());
+    expect(metrics.hetu_exporter_up).to.equal(0);
+    expect(metrics.hetu_network_subnets).to.equal(parseMetrics(healthy).hetu_network_subnets);
+  });
+
+  it("should render the Prometheus text format", function () {
+    const text = renderPrometheus([
+      { name: "hetu_example", help: "Example metric", type: "gauge", samples: [
+        { value: 1 },
+        { labels: { netuid: 2, name: "a\\b\nc" }, value: 0.5 }
+      ] }
+    ]);
+
+    expect(text).to.equal(
+      "# HELP hetu_example Example metric\n" +
+      "# TYPE hetu_example gauge\n" +
+      "hetu_example 1\n" +
+      "hetu_example{netuid=\"2\",name=\"a\\\\b\\nc\"} 0.5\n"
+    );
+  });
+});
@@ -0,0 +1,159 @@
+const {
+  time,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("NeuronManager - Delegation", function () {
+  const MINER_STAKE = ethers.parseEther("300");
+  const UNBONDING_PERIOD = 7200;
+
+  async function deployFixture() {
+    const [owner, creator, miner, alice, bob] = await ethers.getSigners();
+    for (const account of [creator, miner, alice, bob]) {
+      await setBalance(account.address, ethers.parseEther("10000"));
+    }
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    // Create and activate a subnet
+    const lockCost = await subnetManager.getNetworkLockCost();
+    await whetuToken.connect(creator).deposit({ value: lockCost });
+    await whetuToken.connect(creator).approve(subnetManager.target, lockCost);
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const netuid = await subnetManager.getNextNetuid();
+    await subnetManager.connect(creator).registerNetwork("Test Subnet", "Test Description", "TestToken", "TEST");
+    await subnetManager.connect(creator).activateSubnet(netuid);
+
+    for (const account of [miner, alice, bob]) {
+      const stake = ethers.parseEther("1000");
+      await whetuToken.connect(account).deposit({ value: stake });
+      await whetuToken.connect(account).approve(globalStaking.target, stake);
+      await globalStaking.connect(account).addGlobalStake(stake);
+    }
+    await neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, MINER_STAKE, false, "", 0, "", 0);
+
+    return { miner, alice, bob, globalStaking, neuronManager, netuid };
+  }
+
+  it("should count delegated stake toward the validator threshold", async function () {
+    const { miner, alice, bob, globalStaking, neuronManager, netuid } = await loadFixture(deployFixture);
+
+    await expect(neuronManager.connect(alice).delegate(netuid, miner.address, ethers.parseEther("150")))
+      .to.emit(neuronManager, "Delegated")
+      .withArgs(netuid, miner.address, alice.address, ethers.parseEther("150"), anyValue)
+      .and.not.to.emit(neuronManager, "ValidatorStatusChanged");
+    expect(await globalStaking.delegatedStake(alice.address)).to.equal(ethers.parseEther("150"));
+    expect(await globalStaking.getAvailableStake(alice.address)).to.equal(ethers.parseEther("850"));
+
+    // 300 own + 150 + 100 delegated crosses the 500 HETU validatorThreshold, but delegators cannot
+    // turn a neuron registered as a miner into a validator
+    await expect(neuronManager.connect(bob).delegate(netuid, miner.address, ethers.parseEther("100")))
+      .not.to.emit(neuronManager, "ValidatorStatusChanged");
+    expect(await neuronManager.getEffectiveStake(netuid, miner.address)).to.equal(ethers.parseEther("550"));
+    expect(await neuronManager.isValidator(netuid, miner.address)).to.equal(false);
+
+    // Asking for the role promotes it, giving the role up demotes it
+    await expect(neuronManager.connect(alice).setValidatorRole(netuid, true)).to.be.revertedWith("NOT_REGISTERED");
+    await expect(neuronManager.connect(miner).setValidatorRole(netuid, true))
+      .to.emit(neuronManager, "ValidatorStatusChanged")
+      .withArgs(netuid, miner.address, true, anyValue);
+    await expect(neuronManager.connect(miner).setValidatorRole(netuid, false))
+      .to.emit(neuronManager, "ValidatorStatusChanged")
+      .withArgs(netuid, miner.address, false, anyValue);
+    await neuronManager.connect(miner).setValidatorRole(netuid, true);
+    expect(await neuronManager.isValidator(netuid, miner.address)).to.equal(true);
+
+    await neuronManager.connect(alice).delegate(netuid, miner.address, ethers.parseEther("50"));
+    const [delegators, amounts] = await neuronManager.getDelegators(netuid, miner.address);
+    expect(delegators).to.deep.equal([alice.address, bob.address]);
+    expect(amounts).to.deep.equal([ethers.parseEther("200"), ethers.parseEther("100")]);
+
+    // Leaving drops the effective stake below the threshold again
+    await expect(neuronManager.connect(alice).undelegate(netuid, miner.address, ethers.parseEther("200")))
+      .to.emit(neuronManager, "Undelegated")
+      .withArgs(netuid, miner.address, alice.address, ethers.parseEther("200"), anyValue)
+      .and.to.emit(neuronManager, "ValidatorStatusChanged")
+      .withArgs(netuid, miner.address, false, anyValue);
+    const [remaining] = await neuronManager.getDelegators(netuid, miner.address);
+    expect(remaining).to.deep.equal([bob.address]);
+    expect(await neuronManager.delegatedStake(netuid, miner.address)).to.equal(ethers.parseEther("100"));
+    expect(await globalStaking.totalDelegated()).to.equal(ethers.parseEther("100"));
+
+    // Undelegated stake unbonds before it is available
+    const unlockBlock = BigInt(await ethers.provider.getBlockNumber()) + BigInt(UNBONDING_PERIOD);
+    expect(await globalStaking.delegatedStake(alice.address)).to.equal(0);
+    expect(await globalStaking.getUnbonding(alice.address)).to.deep.equal([ethers.parseEther("200"), unlockBlock]);
+    expect(await globalStaking.getAvailableStake(alice.address)).to.equal(ethers.parseEther("800"));
+  });
+
+  it("should keep delegations withdrawable after the neuron deregisters", async function () {
+    const { miner, alice, neuronManager, netuid } = await loadFixture(deployFixture);
+    await expect(
+      neuronManager.connect(alice).delegate(netuid, alice.address, ethers.parseEther("100"))
+    ).to.be.revertedWith("NEURON_NOT_ACTIVE");
+    await expect(
+      neuronManager.connect(alice).delegate(netuid, miner.address, ethers.parseEther("1001"))
+    ).to.be.revertedWith("INSUFFICIENT_AVAILABLE_STAKE");
+
+    await neuronManager.connect(alice).delegate(netuid, miner.address, ethers.parseEther("100"));
+    await expect(
+      neuronManager.connect(alice).undelegate(netuid, miner.address, ethers.parseEther("101"))
+    ).to.be.revertedWith("INSUFFICIENT_DELEGATION");
+
+    await neuronManager.connect(miner).deregisterNeuron(netuid);
+    await expect(neuronManager.connect(alice).delegate(netuid, miner.address, 1)).to.be.revertedWith("NEURON_NOT_ACTIVE");
+    await neuronManager.connect(alice).undelegate(netuid, miner.address, ethers.parseEther("100"));
+    expect(await neuronManager.delegatedStake(netuid, miner.address)).to.equal(0);
+    const [delegators] = await neuronManager.getDelegators(netuid, miner.address);
+    expect(delegators).to.deep.equal([]);
+  });
+
+  it("should count kept delegations toward the validator role at registration", async function () {
+    const { miner, alice, bob, neuronManager, netuid } = await loadFixture(deployFixture);
+    await neuronManager.connect(alice).delegate(netuid, miner.address, ethers.parseEther("250"));
+    await neuronManager.connect(miner).deregisterNeuron(netuid);
+
+    // 300 own stake is short of the 500 HETU validatorThreshold on its own
+    await expect(
+      neuronManager.connect(bob).registerNeuronWithStakeAllocation(netuid, MINER_STAKE, true, "", 0, "", 0)
+    ).to.be.revertedWith("INSUFFICIENT_VALIDATOR_STAKE");
+
+    // With the 250 delegated to it, the miner comes back as a validator
+    await expect(neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, MINER_STAKE, true, "", 0, "", 0))
+      .to.emit(neuronManager, "NeuronRegistered")
+      .withArgs(netuid, miner.address, MINER_STAKE, true, true, "", 0, "", 0, anyValue);
+    expect(await neuronManager.getEffectiveStake(netuid, miner.address)).to.equal(ethers.parseEther("550"));
+    expect(await neuronManager.isValidator(netuid, miner.address)).to.equal(true);
+  });
+
+  it("should let neurons set a bounded commission", async function () {
+    const { miner, alice, globalStaking, neuronManager, netuid } = await loadFixture(deployFixture);
+
+    await expect(neuronManager.connect(miner).setCommission(netuid, 1800))
+      .to.emit(neuronManager, "CommissionUpdated")
+      .withArgs(netuid, miner.address, 0, 1800);
+    expect(await neuronManager.commission(netuid, miner.address)).to.equal(1800);
+
+    await expect(neuronManager.connect(miner).setCommission(netuid, 10001)).to.be.revertedWith("COMMISSION_TOO_HIGH");
+    await expect(neuronManager.connect(alice).setCommission(netuid, 100)).to.be.revertedWith("NOT_REGISTERED");
+
+    // Delegated stake is only moved through NeuronManager
+    await expect(globalStaking.connect(alice).lockDelegatedStake(alice.address, 1)).to.be.revertedWith("UNAUTHORIZED_CALLER");
+    await expect(globalStaking.connect(alice).releaseDelegatedStake(alice.address, 1)).to.be.revertedWith("UNAUTHORIZED_CALLER");
+  });
+});
@@ -0,0 +1,167 @@
+const {
+  time,
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("NeuronManager - Deregistration", function () {
+  const STAKE = ethers.parseEther("1000");
+  const ALLOCATION = ethers.parseEther("300");
+  const COST = ethers.parseEther("1"); // Default baseNeuronCost
+  const IMMUNITY_PERIOD = 7200; // Default immunityPeriod
+  const UNBONDING_PERIOD = 7200;
+
+  const Policy = { Treasury: 0, Burn: 1, RefundAfterImmunity: 2 };
+
+  async function deployFixture() {
+    const [owner, creator, miner, treasury] = await ethers.getSigners();
+    await setBalance(creator.address, ethers.parseEther("10000"));
+    await setBalance(miner.address, ethers.parseEther("10000"));
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, treasury.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    // Create and activate a subnet
+    const lockCost = await subnetManager.getNetworkLockCost();
+    await whetuToken.connect(creator).deposit({ value: lockCost });
+    await whetuToken.connect(creator).approve(subnetManager.target, lockCost);
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const netuid = await subnetManager.getNextNetuid();
+    await subnetManager.connect(creator).registerNetwork("Test Subnet", "Test Description", "TestToken", "TEST");
+    await subnetManager.connect(creator).activateSubnet(netuid);
+
+    await whetuToken.connect(miner).deposit({ value: STAKE });
+    await whetuToken.connect(miner).approve(globalStaking.target, STAKE);
+    await globalStaking.connect(miner).addGlobalStake(STAKE);
+
+    return { owner, miner, treasury, whetuToken, globalStaking, neuronManager, netuid };
+  }
+
+  async function register({ miner, neuronManager, netuid }) {
+    await neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, ALLOCATION, false, "", 0, "", 0);
+  }
+
+  it("should release the allocation through unbonding and keep the paid cost spent", async function () {
+    const fixtures = await loadFixture(deployFixture);
+    const { miner, treasury, whetuToken, globalStaking, neuronManager, netuid } = fixtures;
+    await register(fixtures);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(COST);
+    expect(await globalStaking.getAvailableStake(miner.address)).to.equal(STAKE - ALLOCATION - COST);
+
+    await expect(neuronManager.connect(miner).deregisterNeuron(netuid))
+      .to.emit(globalStaking, "DeallocatedFromSubnet")
+      .withArgs(miner.address, netuid, ALLOCATION)
+      .and.to.emit(globalStaking, "RegistrationCostSettled")
+      .withArgs(miner.address, netuid, COST, 0);
+    const unlockBlock = BigInt(await ethers.provider.getBlockNumber()) + BigInt(UNBONDING_PERIOD);
+
+    const allocation = await globalStaking.getSubnetAllocation(miner.address, netuid);
+    expect(allocation.allocated).to.equal(0);
+    expect(allocation.cost).to.equal(0);
+    const stakeInfo = await globalStaking.getStakeInfo(miner.address);
+    expect(stakeInfo.totalStaked).to.equal(STAKE - COST);
+    expect(stakeInfo.totalAllocated).to.equal(0);
+    expect(stakeInfo.totalCost).to.equal(0);
+    expect(await globalStaking.getGlobalTotals()).to.deep.equal([STAKE - COST, 0n, 0n]);
+    expect(await globalStaking.subnetTotalAllocated(netuid)).to.equal(0);
+
+    // The released allocation is locked until the unbonding period ends
+    expect(await globalStaking.getUnbonding(miner.address)).to.deep.equal([ALLOCATION, unlockBlock]);
+    expect(await globalStaking.getAvailableStake(miner.address)).to.equal(STAKE - ALLOCATION - COST);
+    await expect(globalStaking.connect(miner).removeGlobalStake(STAKE - COST)).to.be.revertedWith("AMOUNT_NOT_AVAILABLE");
+
+    await mine(UNBONDING_PERIOD);
+    expect(await globalStaking.getUnbonding(miner.address)).to.deep.equal([0n, 0n]);
+    expect(await globalStaking.getAvailableStake(miner.address)).to.equal(STAKE - COST);
+
+    await globalStaking.connect(miner).removeGlobalStake(STAKE - COST);
+    expect(await globalStaking.totalStaked()).to.equal(0);
+    expect(await whetuToken.balanceOf(globalStaking.target)).to.equal(STAKE - COST);
+  });
+
+  it("should refund a held cost once the immunity period has passed", async function () {
+    const fixtures = await loadFixture(deployFixture);
+    const { miner, treasury, whetuToken, globalStaking, neuronManager, netuid } = fixtures;
+    await expect(globalStaking.setCostPolicy(Policy.RefundAfterImmunity))
+      .to.emit(globalStaking, "CostPolicyUpdated")
+      .withArgs(Policy.Treasury, Policy.RefundAfterImmunity);
+    await register(fixtures);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(0);
+    expect(await globalStaking.escrowedCost(miner.address, netuid)).to.equal(COST);
+
+    await mine(IMMUNITY_PERIOD);
+    await expect(neuronManager.connect(miner).deregisterNeuron(netuid))
+      .to.emit(globalStaking, "RegistrationCostSettled")
+      .withArgs(miner.address, netuid, COST, COST);
+
+    expect(await globalStaking.escrowedCost(miner.address, netuid)).to.equal(0);
+    expect(await globalStaking.getGlobalTotals()).to.deep.equal([STAKE, 0n, 0n]);
+    expect((await globalStaking.getUnbonding(miner.address))[0]).to.equal(ALLOCATION + COST);
+    expect(await globalStaking.getAvailableStake(miner.address)).to.equal(STAKE - ALLOCATION - COST);
+
+    await mine(UNBONDING_PERIOD);
+    await globalStaking.connect(miner).removeGlobalStake(STAKE);
+    expect(await globalStaking.totalStaked()).to.equal(0);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(0);
+    expect(await whetuToken.balanceOf(globalStaking.target)).to.equal(STAKE);
+  });
+
+  it("should forfeit a held cost to the treasury when deregistering during immunity", async function () {
+    const fixtures = await loadFixture(deployFixture);
+    const { miner, treasury, whetuToken, globalStaking, neuronManager, netuid } = fixtures;
+    await globalStaking.setCostPolicy(Policy.RefundAfterImmunity);
+    await register(fixtures);
+
+    await expect(neuronManager.connect(miner).deregisterNeuron(netuid))
+      .to.emit(globalStaking, "RegistrationCostSettled")
+      .withArgs(miner.address, netuid, COST, 0);
+
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(COST);
+    expect(await globalStaking.getGlobalTotals()).to.deep.equal([STAKE - COST, 0n, 0n]);
+    expect((await globalStaking.getUnbonding(miner.address))[0]).to.equal(ALLOCATION);
+    expect(await whetuToken.balanceOf(globalStaking.target)).to.equal(STAKE - COST);
+  });
+
+  it("should burn the cost at registration under the burn policy", async function () {
+    const fixtures = await loadFixture(deployFixture);
+    const { miner, treasury, whetuToken, globalStaking, neuronManager, netuid } = fixtures;
+    await globalStaking.setCostPolicy(Policy.Burn);
+    const burnAddress = await globalStaking.BURN_ADDRESS();
+    const burnedBefore = await whetuToken.balanceOf(burnAddress);
+    await register(fixtures);
+    expect(await whetuToken.balanceOf(burnAddress)).to.equal(burnedBefore + COST);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(0);
+
+    // Immunity does not bring a burned cost back
+    await mine(IMMUNITY_PERIOD);
+    await neuronManager.connect(miner).deregisterNeuron(netuid);
+    expect(await globalStaking.getGlobalTotals()).to.deep.equal([STAKE - COST, 0n, 0n]);
+    expect(await whetuToken.balanceOf(globalStaking.target)).to.equal(STAKE - COST);
+  });
+
+  it("should restrict stake release and policy changes", async function () {
+    const { miner, globalStaking, netuid } = await loadFixture(deployFixture);
+    await expect(globalStaking.releaseSubnetStake(miner.address, netuid, true)).to.be.revertedWith("UNAUTHORIZED_CALLER");
+    await expect(globalStaking.connect(miner).setCostPolicy(Policy.Burn))
+      .to.be.revertedWithCustomError(globalStaking, "OwnableUnauthorizedAccount");
+    await expect(globalStaking.connect(miner).setUnbondingPeriod(0))
+      .to.be.revertedWithCustomError(globalStaking, "OwnableUnauthorizedAccount");
+
+    await expect(globalStaking.setUnbondingPeriod(10))
+      .to.emit(globalStaking, "UnbondingPeriodUpdated")
+      .withArgs(UNBONDING_PERIOD, 10);
+  });
+});
@@ -1,7 +1,9 @@
 const {
   time,
+  mine,
   loadFixture,
 } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
@@ -319,4 +321,133 @@ describe("NeuronManager - User Controlled Allocation", function () {
       console.log(`   Remaining: ${ethers.formatEther(availableStake)} HETU`);
     });
   });
+
+  describe("Updating Stake Allocation", function () {
+    it("Should move allocation and promote or demote at the validator threshold", async function () {
+      const fixtures = await loadFixture(deployNeuronManagerFixture);
+      const { miner, globalStaking, neuronManager } = fixtures;
+      const netuid = await setupSubnet(fixtures);
+      await setupStaking(fixtures, miner);
+      await neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, ethers.parseEther("300"), false, "", 0, "", 0);
+      const availableAfterRegistration = await globalStaking.getAvailableStake(miner.address);
+
+      // Topping up past validatorThreshold (500 HETU) keeps a miner a miner until it asks for the role
+      await expect(neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("600")))
+        .to.emit(neuronManager, "StakeAllocationChanged")
+        .and.not.to.emit(neuronManager, "ValidatorStatusChanged");
+      expect(await neuronManager.isValidator(netuid, miner.address)).to.equal(false);
+      await expect(neuronManager.connect(miner).setValidatorRole(netuid, true))
+        .to.emit(neuronManager, "ValidatorStatusChanged")
+        .withArgs(netuid, miner.address, true, anyValue);
+      expect((await neuronManager.getNeuronInfo(netuid, miner.address)).requestedValidator).to.equal(true);
+      expect((await globalStaking.getSubnetAllocation(miner.address, netuid)).allocated).to.equal(ethers.parseEther("600"));
+      expect(await globalStaking.subnetTotalAllocated(netuid)).to.equal(ethers.parseEther("600"));
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(availableAfterRegistration - ethers.parseEther("300"));
+      expect(await neuronManager.isValidator(netuid, miner.address)).to.equal(true);
+
+      // Staying above the threshold keeps the role
+      await expect(neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("550")))
+        .not.to.emit(neuronManager, "ValidatorStatusChanged");
+
+      // Dropping below it demotes and unbonds the stake before it is available again
+      await expect(neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("250")))
+        .to.emit(globalStaking, "DeallocatedFromSubnet")
+        .withArgs(miner.address, netuid, ethers.parseEther("300"))
+        .and.to.emit(neuronManager, "ValidatorStatusChanged")
+        .withArgs(netuid, miner.address, false, anyValue);
+      const neuron = await neuronManager.getNeuronInfo(netuid, miner.address);
+      expect(neuron.stake).to.equal(ethers.parseEther("250"));
+      expect(neuron.isValidator).to.equal(false);
+      expect((await globalStaking.getSubnetAllocation(miner.address, netuid)).allocated).to.equal(ethers.parseEther("250"));
+      const unlockBlock = BigInt(await ethers.provider.getBlockNumber()) + 7200n;
+      expect(await globalStaking.getUnbonding(miner.address)).to.deep.equal([ethers.parseEther("350"), unlockBlock]);
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(availableAfterRegistration - ethers.parseEther("300"));
+      await mine(7200);
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(availableAfterRegistration + ethers.parseEther("50"));
+    });
+
+    it("Should unbond every release on its own schedule", async function () {
+      const fixtures = await loadFixture(deployNeuronManagerFixture);
+      const { miner, globalStaking, neuronManager } = fixtures;
+      const netuid = await setupSubnet(fixtures);
+      await setupStaking(fixtures, miner);
+      await neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, ethers.parseEther("600"), false, "", 0, "", 0);
+      const available = await globalStaking.getAvailableStake(miner.address);
+
+      await neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("500"));
+      const firstUnlock = BigInt(await ethers.provider.getBlockNumber()) + 7200n;
+      await mine(3600);
+      await expect(neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("400")))
+        .to.emit(globalStaking, "StakeUnbonding")
+        .withArgs(miner.address, ethers.parseEther("100"), anyValue);
+      const secondUnlock = BigInt(await ethers.provider.getBlockNumber()) + 7200n;
+      expect(await globalStaking.getUnbondings(miner.address)).to.deep.equal([
+        [ethers.parseEther("100"), firstUnlock],
+        [ethers.parseEther("100"), secondUnlock]
+      ]);
+      expect(await globalStaking.getUnbonding(miner.address)).to.deep.equal([ethers.parseEther("200"), secondUnlock]);
+
+      // The second release does not hold back the first
+      await time.advanceBlockTo(firstUnlock);
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(available + ethers.parseEther("100"));
+      expect(await globalStaking.getUnbonding(miner.address)).to.deep.equal([ethers.parseEther("100"), secondUnlock]);
+      await time.advanceBlockTo(secondUnlock);
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(available + ethers.parseEther("200"));
+      expect(await globalStaking.getUnbondings(miner.address)).to.deep.equal([]);
+    });
+
+    it("Should keep direct deallocations above the neuron stake and unbond them", async function () {
+      const fixtures = await loadFixture(deployNeuronManagerFixture);
+      const { miner, globalStaking, neuronManager } = fixtures;
+      const netuid = await setupSubnet(fixtures);
+      await setupStaking(fixtures, miner);
+      await neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, ethers.parseEther("300"), false, "", 0, "", 0);
+      expect(await globalStaking.neuronStake(miner.address, netuid)).to.equal(ethers.parseEther("300"));
+
+      // Stake allocated on top of the neuron's can be taken back, the neuron's can't
+      await globalStaking.connect(miner).allocateToSubnet(netuid, ethers.parseEther("400"));
+      const available = await globalStaking.getAvailableStake(miner.address);
+      await expect(
+        globalStaking.connect(miner).deallocateFromSubnet(netuid, ethers.parseEther("101"))
+      ).to.be.revertedWith("BELOW_NEURON_STAKE");
+      await expect(
+        globalStaking.connect(miner).allocateToSubnet(netuid, ethers.parseEther("299"))
+      ).to.be.revertedWith("BELOW_NEURON_STAKE");
+
+      await globalStaking.connect(miner).allocateToSubnet(netuid, ethers.parseEther("350"));
+      await globalStaking.connect(miner).deallocateFromSubnet(netuid, ethers.parseEther("50"));
+      expect((await globalStaking.getSubnetAllocation(miner.address, netuid)).allocated).to.equal(ethers.parseEther("300"));
+      expect((await globalStaking.getUnbonding(miner.address))[0]).to.equal(ethers.parseEther("100"));
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(available);
+      await mine(7200);
+      expect(await globalStaking.getAvailableStake(miner.address)).to.equal(available + ethers.parseEther("100"));
+
+      await neuronManager.connect(miner).deregisterNeuron(netuid);
+      expect(await globalStaking.neuronStake(miner.address, netuid)).to.equal(0);
+    });
+
+    it("Should only let the neuron owner update within available stake", async function () {
+      const fixtures = await loadFixture(deployNeuronManagerFixture);
+      const { miner, otherAccount, globalStaking, neuronManager } = fixtures;
+      const netuid = await setupSubnet(fixtures);
+      await setupStaking(fixtures, miner);
+      await neuronManager.connect(miner).registerNeuronWithStakeAllocation(netuid, ethers.parseEther("300"), false, "", 0, "", 0);
+
+      await expect(
+        neuronManager.connect(otherAccount).updateStakeAllocation(netuid, miner.address, ethers.parseEther("900"))
+      ).to.be.revertedWith("NOT_NEURON_OWNER");
+      await expect(
+        neuronManager.connect(otherAccount).updateStakeAllocation(netuid, otherAccount.address, ethers.parseEther("300"))
+      ).to.be.revertedWith("NEURON_NOT_ACTIVE");
+      await expect(
+        neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("100"))
+      ).to.be.revertedWith("NEURON_STAKE_BELOW_THRESHOLD");
+      await expect(
+        neuronManager.connect(miner).updateStakeAllocation(netuid, miner.address, ethers.parseEther("1000"))
+      ).to.be.revertedWith("INSUFFICIENT_AVAILABLE_STAKE");
+      await expect(
+        globalStaking.connect(miner).setNeuronStake(miner.address, netuid, ethers.parseEther("1"))
+      ).to.be.revertedWith("UNAUTHORIZED_CALLER");
+    });
+  });
 });
@@ -0,0 +1,172 @@
+const {
+  time,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("RewardDistributor", function () {
+  const TEMPO = 99n; // Default tempo
+  const EMISSION = ethers.parseEther("1") * TEMPO; // Default emissionPerBlock
+  const OWNER_REWARD = EMISSION * 1800n / 10000n;
+  const VALIDATOR_POOL = EMISSION * 4100n / 10000n;
+  const MINER_POOL = EMISSION * 4100n / 10000n;
+
+  const VALIDATOR_STAKE = ethers.parseEther("600");
+  const MINER1_STAKE = ethers.parseEther("300");
+  const MINER2_STAKE = ethers.parseEther("200");
+
+  async function deployFixture() {
+    const [owner, creator, validator, miner1, miner2, alice] = await ethers.getSigners();
+    for (const account of [creator, validator, miner1, miner2, alice]) {
+      await setBalance(account.address, ethers.parseEther("10000"));
+    }
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const RewardDistributor = await ethers.getContractFactory("RewardDistributor");
+    const distributor = await RewardDistributor.deploy(subnetManager.target, neuronManager.target, owner.address);
+    await neuronManager.setRewardDistributor(distributor.target);
+    await distributor.setEpochRunner(owner.address, true);
+
+    // Create and activate a subnet that lets the distributor mint its alpha
+    const lockCost = await subnetManager.getNetworkLockCost();
+    await whetuToken.connect(creator).deposit({ value: lockCost });
+    await whetuToken.connect(creator).approve(subnetManager.target, lockCost);
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const netuid = await subnetManager.getNextNetuid();
+    await subnetManager.connect(creator).registerNetwork("Test Subnet", "Test Description", "TestToken", "TEST");
+    await subnetManager.connect(creator).activateSubnet(netuid);
+    await subnetManager.connect(creator).addSubnetMinter(netuid, distributor.target);
+    const alphaToken = await ethers.getContractAt("AlphaToken", (await subnetManager.getSubnetInfo(netuid)).alphaToken);
+
+    for (const account of [validator, miner1, miner2, alice]) {
+      const stake = ethers.parseEther("1000");
+      await whetuToken.connect(account).deposit({ value: stake });
+      await whetuToken.connect(account).approve(globalStaking.target, stake);
+      await globalStaking.connect(account).addGlobalStake(stake);
+    }
+    await neuronManager.connect(validator).registerNeuronWithStakeAllocation(netuid, VALIDATOR_STAKE, true, "", 0, "", 0);
+    await neuronManager.connect(miner1).registerNeuronWithStakeAllocation(netuid, MINER1_STAKE, false, "", 0, "", 0);
+    await neuronManager.connect(miner2).registerNeuronWithStakeAllocation(netuid, MINER2_STAKE, false, "", 0, "", 0);
+
+    return {
+      owner, creator, validator, miner1, miner2, alice,
+      subnetManager, neuronManager, distributor, alphaToken, netuid
+    };
+  }
+
+  it("should split an epoch by stake share when no weights are submitted", async function () {
+    const { creator, validator, miner1, miner2, neuronManager, distributor, alphaToken, netuid } = await loadFixture(deployFixture);
+    expect(await neuronManager.isValidator(netuid, validator.address)).to.equal(true);
+
+    await expect(distributor.distribute(netuid, [], [], [], []))
+      .to.emit(distributor, "EpochDistributed")
+      .withArgs(netuid, 0, EMISSION, EMISSION, anyValue);
+    const blockNumber = BigInt(await ethers.provider.getBlockNumber());
+
+    const miner1Reward = MINER_POOL * MINER1_STAKE / (MINER1_STAKE + MINER2_STAKE);
+    const miner2Reward = MINER_POOL * MINER2_STAKE / (MINER1_STAKE + MINER2_STAKE);
+    expect(await distributor.rewards(netuid, 0, creator.address)).to.equal(OWNER_REWARD);
+    expect(await distributor.rewards(netuid, 0, validator.address)).to.equal(VALIDATOR_POOL);
+    expect(await distributor.rewards(netuid, 0, miner1.address)).to.equal(miner1Reward);
+    expect(await distributor.rewards(netuid, 0, miner2.address)).to.equal(miner2Reward);
+
+    const epoch = await distributor.getEpoch(netuid, 0);
+    expect(epoch.blockNumber).to.equal(blockNumber);
+    expect(epoch.ownerReward + epoch.validatorReward + epoch.minerReward).to.equal(EMISSION);
+    expect(await alphaToken.balanceOf(distributor.target)).to.equal(EMISSION);
+    expect(await distributor.epochCount(netuid)).to.equal(1);
+    expect(await distributor.nextEpochBlock(netuid)).to.equal(blockNumber + TEMPO);
+  });
+
+  it("should distribute once per tempo and pay claims per epoch", async function () {
+    const { miner1, distributor, alphaToken, netuid } = await loadFixture(deployFixture);
+    const miner1Reward = MINER_POOL * MINER1_STAKE / (MINER1_STAKE + MINER2_STAKE);
+
+    await distributor.distribute(netuid, [], [], [], []);
+    await expect(distributor.distribute(netuid, [], [], [], [])).to.be.revertedWith("EPOCH_NOT_DUE");
+    // The next transaction lands one block before the epoch is due
+    await time.advanceBlockTo((await distributor.nextEpochBlock(netuid)) - 2n);
+    await expect(distributor.distribute(netuid, [], [], [], [])).to.be.revertedWith("EPOCH_NOT_DUE");
+    await distributor.distribute(netuid, [], [], [], []);
+
+    await expect(distributor.connect(miner1).claim(netuid, 0))
+      .to.emit(distributor, "RewardClaimed")
+      .withArgs(netuid, 0, miner1.address, miner1Reward);
+    expect(await alphaToken.balanceOf(miner1.address)).to.equal(miner1Reward);
+    await expect(distributor.connect(miner1).claim(netuid, 0)).to.be.revertedWith("NO_REWARD");
+
+    // Already claimed epochs are skipped
+    await distributor.connect(miner1).claimEpochs(netuid, [0, 1]);
+    expect(await alphaToken.balanceOf(miner1.address)).to.equal(miner1Reward * 2n);
+    expect(await distributor.rewards(netuid, 1, miner1.address)).to.equal(0);
+    await expect(distributor.connect(miner1).claimEpochs(netuid, [0, 1])).to.be.revertedWith("NO_REWARD");
+  });
+
+  it("should weight submitted validators and miners and check their roles", async function () {
+    const { validator, miner1, miner2, alice, distributor, netuid } = await loadFixture(deployFixture);
+    const miners = [miner1.address, miner2.address];
+
+    await expect(distributor.distribute(netuid, [alice.address], [1], [], [])).to.be.revertedWith("NOT_VALIDATOR");
+    await expect(distributor.distribute(netuid, [], [], [validator.address], [1])).to.be.revertedWith("NOT_MINER");
+    await expect(distributor.distribute(netuid, [], [], [alice.address], [1])).to.be.revertedWith("NOT_NEURON");
+    await expect(distributor.distribute(netuid, [], [], miners, [1])).to.be.revertedWith("LENGTH_MISMATCH");
+
+    await distributor.distribute(netuid, [validator.address], [5], miners, [1, 3]);
+    expect(await distributor.rewards(netuid, 0, validator.address)).to.equal(VALIDATOR_POOL);
+    expect(await distributor.rewards(netuid, 0, miner1.address)).to.equal(MINER_POOL / 4n);
+    expect(await distributor.rewards(netuid, 0, miner2.address)).to.equal(MINER_POOL * 3n / 4n);
+  });
+
+  it("should pass validator rewards to delegators minus commission", async function () {
+    const { validator, alice, neuronManager, distributor, netuid } = await loadFixture(deployFixture);
+    const delegated = ethers.parseEther("100");
+    await neuronManager.connect(alice).delegate(netuid, validator.address, delegated);
+    await neuronManager.connect(validator).setCommission(netuid, 1000);
+
+    await distributor.distribute(netuid, [], [], [], []);
+
+    const delegatorPool = VALIDATOR_POOL * delegated / (VALIDATOR_STAKE + delegated);
+    const aliceReward = delegatorPool - delegatorPool * 1000n / 10000n;
+    expect(await distributor.rewards(netuid, 0, alice.address)).to.equal(aliceReward);
+    expect(await distributor.rewards(netuid, 0, validator.address)).to.equal(VALIDATOR_POOL - aliceReward);
+  });
+
+  it("should restrict epochs and configuration", async function () {
+    const { owner, alice, subnetManager, neuronManager, distributor, netuid } = await loadFixture(deployFixture);
+
+    await expect(distributor.connect(alice).distribute(netuid, [], [], [], [])).to.be.revertedWith("NOT_EPOCH_RUNNER");
+    await expect(distributor.connect(alice).setEpochRunner(alice.address, true))
+      .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+    await expect(distributor.connect(alice).setEmissionPerBlock(1))
+      .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+    await expect(distributor.setEmissionSplit(1800, 4100, 4000)).to.be.revertedWith("INVALID_SPLIT");
+
+    await expect(distributor.setEmissionSplit(0, 5000, 5000))
+      .to.emit(distributor, "EmissionSplitUpdated")
+      .withArgs(0, 5000, 5000);
+    await expect(distributor.setEmissionPerBlock(ethers.parseEther("2")))
+      .to.emit(distributor, "EmissionPerBlockUpdated")
+      .withArgs(ethers.parseEther("1"), ethers.parseEther("2"));
+
+    // A distributor that NeuronManager does not point at cannot mint
+    const RewardDistributor = await ethers.getContractFactory("RewardDistributor");
+    const other = await RewardDistributor.deploy(subnetManager.target, neuronManager.target, owner.address);
+    await other.setEpochRunner(owner.address, true);
+    await expect(other.distribute(netuid, [], [], [], [])).to.be.revertedWith("NOT_REWARD_DISTRIBUTOR");
+  });
+});
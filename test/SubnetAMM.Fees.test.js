@@ -0,0 +1,150 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("SubnetAMM - Swap Fees", function () {
+  const LIQUIDITY = ethers.parseEther("2000");
+  const MIN_LIQUIDITY = ethers.parseEther("100");
+  const SWAP_FEE = 100n; // 1%
+  const PROTOCOL_FEE_SHARE = 2500n; // 25% of the fee
+
+  async function deployFixture() {
+    const [owner, system, trader, treasury, other] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const AlphaToken = await ethers.getContractFactory("AlphaToken");
+    const alphaToken = await AlphaToken.deploy("Fee Alpha", "FEE", owner.address, 1, system.address);
+
+    const SubnetAMMFactory = await ethers.getContractFactory("SubnetAMMFactory");
+    const factory = await SubnetAMMFactory.deploy(system.address);
+    await factory.createPool(
+      whetuToken.target, alphaToken.target, 1, owner.address, 1, MIN_LIQUIDITY, SWAP_FEE, PROTOCOL_FEE_SHARE
+    );
+    const pool = await ethers.getContractAt("SubnetAMM", await factory.getPool(1));
+
+    await alphaToken.mint(owner.address, LIQUIDITY);
+    await whetuToken.deposit({ value: LIQUIDITY });
+    await whetuToken.approve(pool.target, LIQUIDITY);
+    await alphaToken.approve(pool.target, LIQUIDITY);
+    await pool.injectLiquidity(LIQUIDITY, LIQUIDITY);
+
+    await whetuToken.connect(trader).deposit({ value: ethers.parseEther("500") });
+    await whetuToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+    await alphaToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+
+    return { owner, whetuToken, alphaToken, factory, pool, system, trader, treasury, other };
+  }
+
+  // Constant product output without fee
+  function getAmountOut(amountIn, reserveIn, reserveOut) {
+    return reserveOut - (reserveIn * reserveOut) / (reserveIn + amountIn);
+  }
+
+  it("should take the fee from the HETU input and keep it in the reserves without feeTo", async function () {
+    const { pool, trader } = await loadFixture(deployFixture);
+    const amountIn = ethers.parseEther("100");
+    const fee = (amountIn * SWAP_FEE) / 10000n;
+    const expectedOut = getAmountOut(amountIn - fee, LIQUIDITY, LIQUIDITY);
+
+    expect(await pool.simSwapHETUForAlpha(amountIn)).to.equal(expectedOut);
+    const [quotedFee, quotedProtocolFee] = await pool.getSwapFee(amountIn, true);
+    expect(quotedFee).to.equal(fee);
+    expect(quotedProtocolFee).to.equal(0);
+
+    await expect(pool.connect(trader).swapHETUForAlpha(amountIn, expectedOut, trader.address))
+      .to.emit(pool, "SwapFeeCharged")
+      .withArgs(trader.address, fee, 0, ethers.ZeroAddress);
+
+    expect(await pool.subnetHetu()).to.equal(LIQUIDITY + amountIn);
+    expect(await pool.totalFees()).to.equal(fee);
+    expect((await pool.verifyReserves()).isConsistent).to.be.true;
+  });
+
+  it("should send the protocol share of the fee to the factory's feeTo", async function () {
+    const { whetuToken, factory, pool, system, trader, treasury, other } = await loadFixture(deployFixture);
+    await expect(factory.connect(other).setFeeTo(treasury.address)).to.be.revertedWith("Factory: ONLY_SYSTEM");
+    await expect(factory.connect(system).setFeeTo(treasury.address))
+      .to.emit(factory, "FeeToUpdated")
+      .withArgs(ethers.ZeroAddress, treasury.address);
+
+    // Buy: fee on the HETU input
+    const hetuIn = ethers.parseEther("100");
+    const buyFee = (hetuIn * SWAP_FEE) / 10000n;
+    const buyProtocolFee = (buyFee * PROTOCOL_FEE_SHARE) / 10000n;
+    await pool.connect(trader).swapHETUForAlpha(hetuIn, 0, trader.address);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(buyProtocolFee);
+    expect(await pool.subnetHetu()).to.equal(LIQUIDITY + hetuIn - buyProtocolFee);
+
+    // Sell: fee on the HETU output
+    const alphaIn = ethers.parseEther("50");
+    const reserveHetu = await pool.subnetHetu();
+    const gross = getAmountOut(alphaIn, await pool.subnetAlphaIn(), reserveHetu);
+    const sellFee = (gross * SWAP_FEE) / 10000n;
+    const sellProtocolFee = (sellFee * PROTOCOL_FEE_SHARE) / 10000n;
+    expect(await pool.simSwapAlphaForHETU(alphaIn)).to.equal(gross - sellFee);
+
+    const preview = await pool.getSwapPreview(alphaIn, false);
+    await expect(pool.connect(trader).swapAlphaForHETU(alphaIn, gross - sellFee, trader.address))
+      .to.emit(pool, "SwapFeeCharged")
+      .withArgs(trader.address, sellFee, sellProtocolFee, treasury.address);
+    expect(await pool.subnetHetu()).to.equal(reserveHetu - gross + sellFee - sellProtocolFee);
+    expect(await pool.getAlphaPrice()).to.equal(preview.newPrice);
+    expect(await whetuToken.balanceOf(treasury.address)).to.equal(buyProtocolFee + sellProtocolFee);
+
+    const stats = await pool.getStatistics();
+    expect(stats._totalFees).to.equal(buyFee + sellFee);
+    expect(stats._totalProtocolFees).to.equal(buyProtocolFee + sellProtocolFee);
+    expect((await pool.verifyReserves()).isConsistent).to.be.true;
+  });
+
+  it("should include the fee in the slippage", async function () {
+    const { pool } = await loadFixture(deployFixture);
+    // A tiny trade has almost no price impact, so the slippage is the fee
+    expect(await pool.calculateSlippage(ethers.parseEther("0.001"), true)).to.equal(SWAP_FEE);
+    expect(await pool.calculateSlippage(ethers.parseEther("100"), true)).to.be.gt(SWAP_FEE);
+  });
+
+  it("should validate fees at pool creation", async function () {
+    const { owner, whetuToken, alphaToken, factory } = await loadFixture(deployFixture);
+    const maxFee = await factory.MAX_SWAP_FEE();
+
+    await expect(
+      factory.createPool(whetuToken.target, alphaToken.target, 2, owner.address, 1, MIN_LIQUIDITY, maxFee + 1n, 0)
+    ).to.be.revertedWith("Factory: SWAP_FEE_TOO_HIGH");
+    await expect(
+      factory.createPool(whetuToken.target, alphaToken.target, 2, owner.address, 1, MIN_LIQUIDITY, 30, 10001)
+    ).to.be.revertedWith("Factory: INVALID_PROTOCOL_FEE_SHARE");
+  });
+
+  it("should create SubnetManager pools with the configured fees", async function () {
+    const [owner, system, other] = await ethers.getSigners();
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    await expect(subnetManager.connect(other).updatePoolFees(50, 1000))
+      .to.be.revertedWithCustomError(subnetManager, "OwnableUnauthorizedAccount");
+    await expect(subnetManager.updatePoolFees(1001, 1000)).to.be.revertedWith("INVALID_SWAP_FEE");
+    await expect(subnetManager.updatePoolFees(50, 1000))
+      .to.emit(subnetManager, "NetworkConfigUpdated")
+      .withArgs("poolSwapFee", 30, 50, owner.address);
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const lockCost = await subnetManager.getNetworkLockCost();
+    await whetuToken.deposit({ value: lockCost });
+    await whetuToken.approve(subnetManager.target, lockCost);
+    await subnetManager.registerNetwork("Fee Subnet", "", "FeeAlpha", "FEEA");
+
+    const pool = await ethers.getContractAt("SubnetAMM", (await subnetManager.getSubnetInfo(1)).ammPool);
+    expect(await pool.swapFee()).to.equal(50);
+    expect(await pool.protocolFeeShare()).to.equal(1000);
+    expect(await pool.factory()).to.equal(await subnetManager.ammFactory());
+  });
+});
@@ -0,0 +1,184 @@
+const {
+  time,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, buildDeployment } = require("../index");
+
+describe("SubnetAMM - TWAP Oracle", function () {
+  const LIQUIDITY = ethers.parseEther("2000");
+  const MIN_LIQUIDITY = ethers.parseEther("100");
+
+  async function deployFixture() {
+    const [owner, system, trader] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const AlphaToken = await ethers.getContractFactory("AlphaToken");
+    const alphaToken = await AlphaToken.deploy("Oracle Alpha", "ORA", owner.address, 1, system.address);
+
+    const SubnetAMMFactory = await ethers.getContractFactory("SubnetAMMFactory");
+    const factory = await SubnetAMMFactory.deploy(system.address);
+    await factory.createPool(whetuToken.target, alphaToken.target, 1, owner.address, 1, MIN_LIQUIDITY, 30, 0);
+    const pool = await ethers.getContractAt("SubnetAMM", await factory.getPool(1));
+
+    await alphaToken.mint(owner.address, LIQUIDITY);
+    await whetuToken.deposit({ value: LIQUIDITY });
+    await whetuToken.approve(pool.target, LIQUIDITY);
+    await alphaToken.approve(pool.target, LIQUIDITY);
+
+    await whetuToken.connect(trader).deposit({ value: ethers.parseEther("500") });
+    await whetuToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+    await alphaToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+
+    return { pool, owner, trader };
+  }
+
+  // Send a transaction in a block with the given timestamp
+  async function at(timestamp, send) {
+    await time.setNextBlockTimestamp(timestamp);
+    return (await send()).wait();
+  }
+
+  it("should accumulate the spot price and interpolate between observations", async function () {
+    const { pool, owner, trader } = await loadFixture(deployFixture);
+    await pool.increaseObservationCardinalityNext(10);
+
+    const t0 = (await time.latest()) + 10;
+    await at(t0, () => pool.connect(owner).injectLiquidity(LIQUIDITY, LIQUIDITY));
+    const p0 = await pool.getAlphaPrice();
+
+    await at(t0 + 100, () => pool.connect(trader).swapHETUForAlpha(ethers.parseEther("200"), 0, trader.address));
+    const p1 = await pool.getAlphaPrice();
+    expect(p1).to.be.gt(p0);
+
+    await at(t0 + 160, () => pool.connect(trader).swapAlphaForHETU(ethers.parseEther("50"), 0, trader.address));
+    const p2 = await pool.getAlphaPrice();
+    await time.increaseTo(t0 + 200);
+
+    expect(await pool.observationCardinality()).to.equal(10);
+    expect(await pool.observationIndex()).to.equal(3);
+
+    const cumulatives = await pool.observe([0, 40, 70, 100, 200]);
+    expect(cumulatives[0]).to.equal(p0 * 100n + p1 * 60n + p2 * 40n);
+    expect(cumulatives[1]).to.equal(p0 * 100n + p1 * 60n);
+    expect(cumulatives[2]).to.equal(p0 * 100n + p1 * 30n);
+    expect(cumulatives[3]).to.equal(p0 * 100n);
+    // Before the injection the pool had no price
+    expect(cumulatives[4]).to.equal(0);
+
+    expect(await pool.consult(100)).to.equal((p1 * 60n + p2 * 40n) / 100n);
+    expect(await pool.consult(200)).to.equal((p0 * 100n + p1 * 60n + p2 * 40n) / 200n);
+    await expect(pool.consult(0)).to.be.revertedWith("AMM: ZERO_PERIOD");
+
+    const createdAt = await pool.createdAt();
+    await expect(pool.observe([BigInt(t0 + 200) - createdAt + 1n])).to.be.revertedWith("AMM: OLD");
+  });
+
+  it("should only reach back as far as the observation buffer", async function () {
+    const { pool, owner, trader } = await loadFixture(deployFixture);
+    const t0 = (await time.latest()) + 10;
+    await at(t0, () => pool.connect(owner).injectLiquidity(LIQUIDITY, LIQUIDITY));
+    await at(t0 + 10, () => pool.connect(trader).swapHETUForAlpha(ethers.parseEther("10"), 0, trader.address));
+
+    // A single observation only extrapolates forward
+    expect(await pool.observationCardinality()).to.equal(1);
+    await time.increaseTo(t0 + 20);
+    await pool.observe([5]);
+    await expect(pool.observe([15])).to.be.revertedWith("AMM: OLD");
+
+    await expect(pool.increaseObservationCardinalityNext(3))
+      .to.emit(pool, "ObservationCardinalityIncreased")
+      .withArgs(1, 3);
+    await expect(pool.increaseObservationCardinalityNext(2)).not.to.emit(pool, "ObservationCardinalityIncreased");
+    // The buffer grows on the next write
+    expect(await pool.observationCardinality()).to.equal(1);
+
+    for (let i = 1; i <= 4; i++) {
+      await at(t0 + 20 + i * 10, () => pool.connect(trader).swapHETUForAlpha(ethers.parseEther("10"), 0, trader.address));
+    }
+    expect(await pool.observationCardinality()).to.equal(3);
+
+    // Only the observations at t0+40, t0+50 and t0+60 remain
+    expect(await time.latest()).to.equal(t0 + 60);
+    await pool.observe([20, 15, 0]);
+    await expect(pool.observe([21])).to.be.revertedWith("AMM: OLD");
+  });
+
+  it("should compute the TWAP between two blocks through HetuClient", async function () {
+    const [owner, system, creator, trader] = await ethers.getSigners();
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+
+    const entry = (contractName, contract) => ({ contractName, address: contract.target });
+    const deployment = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager)
+      }
+    });
+
+    await setBalance(system.address, ethers.parseEther("10000"));
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const registration = await HetuClient.fromDeployment(deployment, creator).registerSubnet({
+      name: "Oracle Subnet",
+      tokenName: "Oracle Alpha",
+      tokenSymbol: "ORA"
+    }, { wrap: true });
+
+    // Bring pool reserves above the minimum pool liquidity so swaps can execute
+    const alphaToken = await ethers.getContractAt("AlphaToken", registration.alphaToken);
+    const pool = await ethers.getContractAt("SubnetAMM", registration.ammPool);
+    await subnetManager.connect(creator).addSubnetMinter(registration.netuid, creator.address);
+    await alphaToken.connect(creator).mint(system.address, LIQUIDITY);
+    await whetuToken.connect(system).deposit({ value: LIQUIDITY });
+    await whetuToken.connect(system).approve(pool.target, LIQUIDITY);
+    await alphaToken.connect(system).approve(pool.target, LIQUIDITY);
+    await pool.connect(system).injectLiquidity(LIQUIDITY, LIQUIDITY);
+
+    await whetuToken.connect(trader).deposit({ value: ethers.parseEther("100") });
+    await whetuToken.connect(trader).approve(pool.target, ethers.MaxUint256);
+
+    const t0 = (await time.latest()) + 10;
+    const first = await at(t0, () => pool.connect(trader).swapHETUForAlpha(ethers.parseEther("20"), 0, trader.address));
+    const p1 = await pool.getAlphaPrice();
+    const second = await at(t0 + 30, () => pool.connect(trader).swapHETUForAlpha(ethers.parseEther("40"), 0, trader.address));
+    const p2 = await pool.getAlphaPrice();
+    await time.increaseTo(t0 + 50);
+    const latest = await ethers.provider.getBlockNumber();
+
+    const client = HetuClient.fromDeployment(deployment, ethers.provider);
+    // The pool keeps one observation, so the start cumulative is read at its own block
+    expect(await pool.observationCardinality()).to.equal(1);
+    const twap = await client.getTwap({ netuid: registration.netuid, fromBlock: first.blockNumber });
+    expect(twap.toBlock).to.equal(latest);
+    expect(twap.seconds).to.equal(50);
+    expect(twap.twapPrice).to.equal((p1 * 30n + p2 * 20n) / 50n);
+
+    // The latest observation covers the window, so both cumulatives come from toBlock
+    const recent = await client.getTwap({ netuid: registration.netuid, fromBlock: second.blockNumber, toBlock: latest });
+    expect(recent.seconds).to.equal(20);
+    expect(recent.twapPrice).to.equal(p2);
+    expect(recent.twapPrice).to.equal(await pool.consult(20));
+
+    await expect(
+      client.getTwap({ netuid: registration.netuid, fromBlock: latest, toBlock: latest })
+    ).to.be.rejectedWith("at least one second");
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, computePoolAddress } = require("../index");
+
+describe("SubnetAMMFactory", function () {
+  const MIN_LIQUIDITY = ethers.parseEther("100");
+
+  async function deployFixture() {
+    const [owner, system, creator, attacker] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+    const ammFactory = await ethers.getContractAt("SubnetAMMFactory", await subnetManager.ammFactory());
+
+    const AlphaToken = await ethers.getContractFactory("AlphaToken");
+    const fakeAlpha = await AlphaToken.deploy("Fake Alpha", "FAKE", attacker.address, 1, system.address);
+
+    return { owner, system, creator, attacker, whetuToken, subnetManager, ammFactory, fakeAlpha };
+  }
+
+  it("should not let anyone take the pool of the next netuid", async function () {
+    const { system, creator, attacker, whetuToken, subnetManager, ammFactory, fakeAlpha } = await loadFixture(deployFixture);
+    expect(await ammFactory.subnetManager()).to.equal(subnetManager.target);
+
+    const netuid = await subnetManager.getNextNetuid();
+    await expect(
+      ammFactory.connect(attacker).createPool(
+        whetuToken.target, fakeAlpha.target, netuid, attacker.address, 1, MIN_LIQUIDITY, 0, 0
+      )
+    ).to.be.revertedWith("Factory: ONLY_SUBNET_MANAGER");
+
+    const client = new HetuClient({
+      runner: creator,
+      addresses: {
+        hetuToken: whetuToken.target,
+        subnetManager: subnetManager.target,
+        globalStaking: system.address,
+        neuronManager: system.address
+      }
+    });
+    const predicted = await client.predictPoolAddress();
+    expect(predicted.netuid).to.equal(Number(netuid));
+    expect(predicted.pool).to.equal(await ammFactory.computePoolAddress(netuid));
+    expect(await ethers.provider.getCode(predicted.pool)).to.equal("0x");
+
+    // Skip the registration rate limit
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+    const registration = await client.registerSubnet({
+      name: "Grief Proof",
+      tokenName: "Grief Alpha",
+      tokenSymbol: "GRF"
+    }, { wrap: true });
+
+    expect(registration.netuid).to.equal(predicted.netuid);
+    expect(registration.ammPool).to.equal(predicted.pool);
+    expect(await ammFactory.getPool(netuid)).to.equal(predicted.pool);
+  });
+
+  it("should deploy pools at their CREATE2 address with the requested parameters", async function () {
+    const [owner, system] = await ethers.getSigners();
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+    const AlphaToken = await ethers.getContractFactory("AlphaToken");
+    const alphaToken = await AlphaToken.deploy("Direct Alpha", "DIR", owner.address, 7, system.address);
+
+    // A factory deployed outside SubnetManager takes pools from its deployer
+    const SubnetAMMFactory = await ethers.getContractFactory("SubnetAMMFactory");
+    const factory = await SubnetAMMFactory.deploy(system.address);
+    expect(await factory.subnetManager()).to.equal(owner.address);
+
+    const expected = computePoolAddress(factory.target, 7);
+    expect(await factory.computePoolAddress(7)).to.equal(expected);
+    await expect(factory.createPool(whetuToken.target, alphaToken.target, 7, owner.address, 0, MIN_LIQUIDITY, 25, 500))
+      .to.emit(factory, "PoolCreated")
+      .withArgs(7, whetuToken.target, alphaToken.target, expected, 1);
+
+    const pool = await ethers.getContractAt("SubnetAMM", expected);
+    expect(await pool.netuid()).to.equal(7);
+    expect(await pool.alphaToken()).to.equal(alphaToken.target);
+    expect(await pool.mechanism()).to.equal(0);
+    expect(await pool.minimumPoolLiquidity()).to.equal(MIN_LIQUIDITY);
+    expect(await pool.swapFee()).to.equal(25);
+    expect(await pool.protocolFeeShare()).to.equal(500);
+    expect(await pool.factory()).to.equal(factory.target);
+    expect(await pool.getSystemInfo()).to.deep.equal([system.address, owner.address]);
+
+    // The parameters only live for the duration of createPool
+    expect((await factory.parameters()).hetuToken).to.equal(ethers.ZeroAddress);
+    await expect(
+      factory.createPool(whetuToken.target, alphaToken.target, 7, owner.address, 0, MIN_LIQUIDITY, 25, 500)
+    ).to.be.revertedWith("Factory: POOL_EXISTS");
+    // Pools can only be deployed by a factory
+    const SubnetAMM = await ethers.getContractFactory("SubnetAMM");
+    await expect(SubnetAMM.deploy()).to.be.reverted;
+  });
+});
@@ -0,0 +1,178 @@
+const {
+  time,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, buildDeployment } = require("../index");
+
+describe("SubnetAMMRouter", function () {
+  async function deployFixture() {
+    const [owner, system, creator, user] = await ethers.getSigners();
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, system.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(
+      subnetManager.target,
+      globalStaking.target,
+      owner.address
+    );
+
+    const SubnetAMMRouter = await ethers.getContractFactory("SubnetAMMRouter");
+    const router = await SubnetAMMRouter.deploy(await subnetManager.ammFactory(), whetuToken.target);
+
+    const entry = (contractName, contract) => ({ contractName, address: contract.target });
+    const deployment = await buildDeployment({
+      provider: ethers.provider,
+      network: "hardhat",
+      deployer: owner.address,
+      systemAddress: system.address,
+      contracts: {
+        hetuToken: entry("WHETU", whetuToken),
+        subnetManager: entry("SubnetManager", subnetManager),
+        globalStaking: entry("GlobalStaking", globalStaking),
+        neuronManager: entry("NeuronManager", neuronManager),
+        ammRouter: entry("SubnetAMMRouter", router)
+      }
+    });
+
+    // Earlier test files spend the system account's native balance on liquidity
+    await setBalance(system.address, ethers.parseEther("10000"));
+
+    const creatorClient = HetuClient.fromDeployment(deployment, creator);
+    const subnets = [];
+    for (const symbol of ["RTA", "RTB"]) {
+      // Skip the registration rate limit
+      await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+      const registration = await creatorClient.registerSubnet({
+        name: `Router ${symbol}`,
+        tokenName: `Router ${symbol}`,
+        tokenSymbol: symbol
+      }, { wrap: true });
+      await creatorClient.activateSubnet(registration.netuid);
+
+      // Bring pool reserves above the minimum pool liquidity so swaps can execute
+      const liquidity = ethers.parseEther("2000");
+      const alphaToken = await ethers.getContractAt("AlphaToken", registration.alphaToken);
+      const pool = await ethers.getContractAt("SubnetAMM", registration.ammPool);
+      await subnetManager.connect(creator).addSubnetMinter(registration.netuid, creator.address);
+      await alphaToken.connect(creator).mint(system.address, liquidity);
+      await whetuToken.connect(system).deposit({ value: liquidity });
+      await whetuToken.connect(system).approve(pool.target, liquidity);
+      await alphaToken.connect(system).approve(pool.target, liquidity);
+      await pool.connect(system).injectLiquidity(liquidity, liquidity);
+
+      subnets.push({ netuid: registration.netuid, pool, alphaToken });
+    }
+
+    // The user buys alpha of the first subnet to route (the pool only takes back alpha it issued)
+    const hetuIn = ethers.parseEther("100");
+    await whetuToken.connect(user).deposit({ value: hetuIn });
+    await whetuToken.connect(user).approve(subnets[0].pool.target, hetuIn);
+    await subnets[0].pool.connect(user).swapHETUForAlpha(hetuIn, 0, user.address);
+
+    return { whetuToken, router, deployment, user, from: subnets[0], to: subnets[1] };
+  }
+
+  async function deadlineIn(seconds) {
+    return (await time.latest()) + seconds;
+  }
+
+  it("should route alpha to alpha through HETU in one transaction", async function () {
+    const { whetuToken, router, user, from, to } = await loadFixture(deployFixture);
+    const amountIn = ethers.parseEther("10");
+    const [hetuAmount, expectedOut] = await router.quoteAlphaForAlpha(from.netuid, to.netuid, amountIn);
+    expect(hetuAmount).to.equal(await from.pool.simSwapAlphaForHETU(amountIn));
+    expect(expectedOut).to.be.gt(0);
+
+    const balanceBefore = await from.alphaToken.balanceOf(user.address);
+    await from.alphaToken.connect(user).approve(router.target, amountIn);
+    await expect(
+      router.connect(user).swapExactAlphaForAlpha(
+        from.netuid, to.netuid, amountIn, expectedOut, user.address, await deadlineIn(60)
+      )
+    ).to.emit(router, "RouteSwapped")
+      .withArgs(user.address, from.netuid, to.netuid, amountIn, hetuAmount, expectedOut, user.address);
+
+    expect(await to.alphaToken.balanceOf(user.address)).to.equal(expectedOut);
+    expect(await from.alphaToken.balanceOf(user.address)).to.equal(balanceBefore - amountIn);
+    expect(await whetuToken.balanceOf(router.target)).to.equal(0);
+    expect(await from.alphaToken.balanceOf(router.target)).to.equal(0);
+  });
+
+  it("should enforce the deadline and the route minimum output", async function () {
+    const { router, user, from, to } = await loadFixture(deployFixture);
+    const amountIn = ethers.parseEther("10");
+    const [, expectedOut] = await router.quoteAlphaForAlpha(from.netuid, to.netuid, amountIn);
+    await from.alphaToken.connect(user).approve(router.target, amountIn);
+
+    await expect(
+      router.connect(user).swapExactAlphaForAlpha(
+        from.netuid, to.netuid, amountIn, 0, user.address, (await time.latest()) - 1
+      )
+    ).to.be.revertedWith("Router: EXPIRED");
+
+    await expect(
+      router.connect(user).swapExactAlphaForAlpha(
+        from.netuid, to.netuid, amountIn, expectedOut + 1n, user.address, await deadlineIn(60)
+      )
+    ).to.be.revertedWith("AMM: INSUFFICIENT_OUTPUT_AMOUNT");
+
+    await expect(
+      router.connect(user).swapExactAlphaForAlpha(
+        from.netuid, from.netuid, amountIn, 0, user.address, await deadlineIn(60)
+      )
+    ).to.be.revertedWith("Router: IDENTICAL_SUBNETS");
+
+    await expect(
+      router.connect(user).swapExactAlphaForAlpha(
+        from.netuid, 99, amountIn, 0, user.address, await deadlineIn(60)
+      )
+    ).to.be.revertedWith("Router: POOL_NOT_FOUND");
+  });
+
+  it("should swap single pool legs with a deadline", async function () {
+    const { whetuToken, router, user, to } = await loadFixture(deployFixture);
+    const amountIn = ethers.parseEther("5");
+    await whetuToken.connect(user).deposit({ value: amountIn });
+    await whetuToken.connect(user).approve(router.target, amountIn);
+
+    const alphaOut = await to.pool.simSwapHETUForAlpha(amountIn);
+    await router.connect(user).swapExactHETUForAlpha(to.netuid, amountIn, alphaOut, user.address, await deadlineIn(60));
+    expect(await to.alphaToken.balanceOf(user.address)).to.equal(alphaOut);
+
+    const hetuOut = await to.pool.simSwapAlphaForHETU(alphaOut);
+    await to.alphaToken.connect(user).approve(router.target, alphaOut);
+    await router.connect(user).swapExactAlphaForHETU(to.netuid, alphaOut, hetuOut, user.address, await deadlineIn(60));
+    expect(await whetuToken.balanceOf(user.address)).to.equal(hetuOut);
+  });
+
+  it("should quote and swap routes through HetuClient", async function () {
+    const { router, deployment, user, from, to } = await loadFixture(deployFixture);
+    const client = HetuClient.fromDeployment(deployment, user);
+    const amountIn = ethers.parseEther("20");
+
+    const quote = await client.quoteRoute({ fromNetuid: from.netuid, toNetuid: to.netuid, amountIn, slippageBps: 100 });
+    const [hetuAmount, amountOut] = await router.quoteAlphaForAlpha(from.netuid, to.netuid, amountIn);
+    expect(quote.hetuAmount).to.equal(hetuAmount);
+    expect(quote.amountOut).to.equal(amountOut);
+    expect(quote.minAmountOut).to.equal((amountOut * 9900n) / 10000n);
+
+    const result = await client.swapAlphaForAlpha({ fromNetuid: from.netuid, toNetuid: to.netuid, amountIn });
+    expect(result.amountOut).to.equal(quote.amountOut);
+    expect(await to.alphaToken.balanceOf(user.address)).to.equal(quote.amountOut);
+
+    await expect(
+      client.quoteRoute({ fromNetuid: from.netuid, toNetuid: from.netuid, amountIn })
+    ).to.be.rejectedWith("two different subnets");
+  });
+});
@@ -0,0 +1,313 @@
+const {
+  time,
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient } = require("../index");
+
+describe("SubnetManager - Lifecycle", function () {
+  const INACTIVITY_PERIOD = 50400n; // Default subnetInactivityPeriod
+  const STAKE = ethers.parseEther("500");
+
+  async function deployFixture() {
+    const [owner, creator, neuron, alice] = await ethers.getSigners();
+    for (const account of [creator, neuron, alice]) {
+      await setBalance(account.address, ethers.parseEther("10000"));
+    }
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+    const ammFactory = await ethers.getContractAt("SubnetAMMFactory", await subnetManager.ammFactory());
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+    await globalStaking.setAuthorizedCaller(neuronManager.target, true);
+
+    const RewardDistributor = await ethers.getContractFactory("RewardDistributor");
+    const distributor = await RewardDistributor.deploy(subnetManager.target, neuronManager.target, owner.address);
+    await neuronManager.setRewardDistributor(distributor.target);
+    await distributor.setEpochRunner(owner.address, true);
+
+    const HyperparamsGovernor = await ethers.getContractFactory("HyperparamsGovernor");
+    const governor = await HyperparamsGovernor.deploy(subnetManager.target);
+    await subnetManager.setHyperparamsGovernor(governor.target);
+
+    const clientFor = (runner) => new HetuClient({
+      runner,
+      addresses: {
+        hetuToken: whetuToken.target,
+        subnetManager: subnetManager.target,
+        globalStaking: globalStaking.target,
+        neuronManager: neuronManager.target,
+        rewardDistributor: distributor.target
+      }
+    });
+
+    const register = async (account, symbol) => {
+      await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+      return clientFor(account).registerSubnet({ name: symbol, tokenName: `${symbol}Alpha`, tokenSymbol: symbol }, { wrap: true });
+    };
+    const subnet = await register(creator, "OLD");
+    await clientFor(neuron).stake(ethers.parseEther("1000"), { wrap: true });
+
+    return {
+      owner, creator, neuron, alice, whetuToken, subnetManager, ammFactory, globalStaking, neuronManager,
+      distributor, governor, clientFor, register, subnet
+    };
+  }
+
+  it("should pause neuron registrations while the subnet is deactivated", async function () {
+    const { creator, neuron, alice, subnetManager, neuronManager, clientFor, subnet } = await loadFixture(deployFixture);
+    const { netuid } = subnet;
+
+    await clientFor(creator).activateSubnet(netuid);
+    expect(await subnetManager.inactiveSince(netuid)).to.equal(0);
+    await expect(subnetManager.connect(alice).deactivateSubnet(netuid)).to.be.revertedWith("NOT_OWNER");
+
+    const deactivated = await clientFor(creator).deactivateSubnet(netuid);
+    expect(deactivated).to.include({ netuid, owner: creator.address });
+    expect(await subnetManager.inactiveSince(netuid)).to.equal(deactivated.blockNumber);
+    await expect(subnetManager.connect(creator).deactivateSubnet(netuid)).to.be.revertedWith("SUBNET_NOT_ACTIVE");
+    await expect(
+      neuronManager.connect(neuron).registerNeuronWithStakeAllocation(netuid, STAKE, false, "", 0, "", 0)
+    ).to.be.revertedWith("SUBNET_NOT_ACTIVE");
+
+    // Activating again resumes registrations and clears the inactivity clock
+    await clientFor(creator).activateSubnet(netuid);
+    expect(await subnetManager.inactiveSince(netuid)).to.equal(0);
+    expect((await clientFor(creator).getSubnetLifecycle(netuid)).dissolvableAt).to.be.null;
+    await clientFor(neuron).registerNeuron({ netuid, stake: STAKE });
+    await expect(subnetManager.connect(creator).dissolveSubnet(netuid)).to.be.revertedWith("SUBNET_ACTIVE");
+  });
+
+  it("should unwind the pool, refund the unburned lock and free the netuid", async function () {
+    const { owner, creator, alice, whetuToken, subnetManager, ammFactory, clientFor, register, subnet } = await loadFixture(deployFixture);
+    const { netuid, ammPool, alphaToken, poolAmount } = subnet;
+    const pool = await ethers.getContractAt("SubnetAMM", ammPool);
+    const alpha = await ethers.getContractAt("AlphaToken", alphaToken);
+
+    // A second, more expensive registration burns part of its lock
+    const second = await register(creator, "TWO");
+    expect(second.burnedAmount).to.be.greaterThan(0n);
+    expect(await subnetManager.getUserSubnets(creator.address)).to.deep.equal([netuid, second.netuid]);
+
+    const lifecycle = await clientFor(creator).getSubnetLifecycle(second.netuid);
+    expect(lifecycle.refund).to.equal(second.poolAmount);
+    expect(lifecycle.isActive).to.be.false;
+
+    // The system deepens the pool past the minimum liquidity so alpha can be traded
+    const liquidity = ethers.parseEther("2000");
+    await subnetManager.connect(creator).addSubnetMinter(netuid, creator.address);
+    await alpha.connect(creator).mint(owner.address, liquidity);
+    await whetuToken.connect(owner).deposit({ value: liquidity });
+    await whetuToken.connect(owner).approve(ammPool, liquidity);
+    await alpha.connect(owner).approve(ammPool, liquidity);
+    await pool.connect(owner).injectLiquidity(liquidity, liquidity);
+
+    // A trader buys alpha, the HETU paid in stays in the pool on top of the lock
+    await clientFor(alice).swap({ netuid, amountIn: ethers.parseEther("10") }, { wrap: true });
+    const bought = await alpha.balanceOf(alice.address);
+    const traded = (await pool.subnetHetu()) - poolAmount;
+    expect(traded).to.be.greaterThan(0n);
+
+    // The subnet owner waits out the inactivity period too, leaving holders time to sell
+    await expect(subnetManager.connect(creator).dissolveSubnet(netuid)).to.be.revertedWith("SUBNET_NOT_INACTIVE_LONG_ENOUGH");
+    await mine(INACTIVITY_PERIOD);
+
+    const balanceBefore = await whetuToken.balanceOf(creator.address);
+    await expect(subnetManager.connect(creator).dissolveSubnet(netuid))
+      .to.emit(subnetManager, "SubnetDissolved")
+      .withArgs(netuid, creator.address, creator.address, poolAmount, traded)
+      .and.to.emit(ammFactory, "PoolRemoved")
+      .withArgs(netuid, ammPool, 1);
+    expect(await whetuToken.balanceOf(creator.address)).to.equal(balanceBefore + poolAmount);
+    expect(await pool.subnetHetu()).to.equal(0);
+    expect(await pool.subnetAlphaIn()).to.equal(0);
+    expect(await alpha.totalSupply()).to.equal(bought);
+    expect(await subnetManager.redeemableHetu(alphaToken)).to.equal(traded);
+
+    // Alpha holders redeem the traders' HETU pro rata, burning their alpha
+    await expect(subnetManager.connect(owner).redeemAlpha(alphaToken, 1n)).to.be.revertedWith("AlphaToken: INSUFFICIENT_BALANCE");
+    const half = bought / 2n;
+    const firstShare = traded * half / bought;
+    await expect(subnetManager.connect(alice).redeemAlpha(alphaToken, half))
+      .to.emit(subnetManager, "AlphaRedeemed")
+      .withArgs(alphaToken, alice.address, half, firstShare);
+    const hetuBefore = await whetuToken.balanceOf(alice.address);
+    const redeemed = await clientFor(alice).redeemAlpha(alphaToken);
+    expect(redeemed).to.include({ alphaAmount: bought - half, hetuAmount: traded - firstShare });
+    expect(await whetuToken.balanceOf(alice.address)).to.equal(hetuBefore + traded - firstShare);
+    expect(await alpha.totalSupply()).to.equal(0);
+    expect(await subnetManager.redeemableHetu(alphaToken)).to.equal(0);
+    await expect(subnetManager.connect(alice).redeemAlpha(alphaToken, 1n)).to.be.revertedWith("NOTHING_TO_REDEEM");
+    await expect(pool.swapHETUForAlpha(1n, 0, owner.address)).to.be.revertedWith("AMM: INSUFFICIENT_LIQUIDITY");
+
+    expect(await subnetManager.subnetExists(netuid)).to.be.false;
+    expect(await subnetManager.totalNetworks()).to.equal(1);
+    expect(await subnetManager.getUserSubnets(creator.address)).to.deep.equal([second.netuid]);
+    expect(await ammFactory.getPool(netuid)).to.equal(ethers.ZeroAddress);
+    expect(await ammFactory.isPool(ammPool)).to.be.false;
+    await expect(subnetManager.getSubnetInfo(netuid)).to.be.revertedWith("SUBNET_NOT_EXISTS");
+    expect(await clientFor(creator).getSubnetLifecycle(netuid)).to.deep.equal({
+      netuid: Number(netuid), exists: false, isActive: false, inactiveSince: null, dissolvableAt: null, blocksLeft: 0n, secondsLeft: 0, refund: 0n
+    });
+    await expect(subnetManager.connect(creator).dissolveSubnet(netuid)).to.be.revertedWith("SUBNET_NOT_EXISTS");
+
+    // The next registration takes the freed netuid with a pool at the next generation's address
+    const predicted = await clientFor(creator).predictPoolAddress();
+    expect(predicted.netuid).to.equal(netuid);
+    expect(predicted.pool).to.not.equal(ammPool);
+    const reused = await register(owner, "NEW");
+    expect(reused.netuid).to.equal(netuid);
+    expect(reused.ammPool).to.equal(predicted.pool);
+    expect(await subnetManager.getUserSubnets(owner.address)).to.deep.equal([netuid]);
+  });
+
+  it("should let the protocol owner dissolve a subnet only after the inactivity period", async function () {
+    const { owner, creator, alice, governor, subnetManager, clientFor, subnet } = await loadFixture(deployFixture);
+    const { netuid, poolAmount } = subnet;
+    const registeredAt = await subnetManager.inactiveSince(netuid);
+
+    await clientFor(creator).proposeHyperparams(netuid, { tempo: 120 });
+
+    const lifecycle = await clientFor(owner).getSubnetLifecycle(netuid);
+    expect(lifecycle.dissolvableAt).to.equal(registeredAt + INACTIVITY_PERIOD);
+    expect(lifecycle.blocksLeft).to.equal(lifecycle.dissolvableAt - BigInt(await ethers.provider.getBlockNumber()));
+
+    await expect(subnetManager.connect(alice).dissolveSubnet(netuid))
+      .to.be.revertedWithCustomError(subnetManager, "OwnableUnauthorizedAccount");
+    await expect(subnetManager.connect(creator).dissolveSubnet(netuid)).to.be.revertedWith("SUBNET_NOT_INACTIVE_LONG_ENOUGH");
+    // The next transaction lands one block before the period is over
+    await time.advanceBlockTo(lifecycle.dissolvableAt - 2n);
+    await expect(subnetManager.dissolveSubnet(netuid)).to.be.revertedWith("SUBNET_NOT_INACTIVE_LONG_ENOUGH");
+    expect((await clientFor(owner).getSubnetLifecycle(netuid)).blocksLeft).to.equal(1n);
+
+    const dissolved = await clientFor(owner).dissolveSubnet(netuid);
+    expect(dissolved).to.include({ netuid, owner: creator.address, dissolvedBy: owner.address, refunded: poolAmount, redeemable: 0n });
+
+    // A proposal made for the dissolved subnet does not apply to the next subnet with its netuid
+    await clientFor(creator).registerSubnet({ name: "Again", tokenName: "AgainAlpha", tokenSymbol: "AGN" }, { wrap: true });
+    await expect(governor.execute(netuid)).to.be.revertedWith("SUBNET_DISSOLVED");
+
+    await expect(subnetManager.connect(alice).setSubnetInactivityPeriod(10))
+      .to.be.revertedWithCustomError(subnetManager, "OwnableUnauthorizedAccount");
+    await expect(subnetManager.setSubnetInactivityPeriod(10))
+      .to.emit(subnetManager, "NetworkConfigUpdated")
+      .withArgs("subnetInactivityPeriod", INACTIVITY_PERIOD, 10, owner.address);
+  });
+
+  it("should only let neurons of a dissolved subnet leave", async function () {
+    const { owner, creator, neuron, alice, globalStaking, neuronManager, distributor, subnetManager, clientFor, register, subnet } = await loadFixture(deployFixture);
+    const { netuid } = subnet;
+
+    await clientFor(creator).activateSubnet(netuid);
+    await subnetManager.connect(creator).addSubnetMinter(netuid, distributor.target);
+    await clientFor(neuron).registerNeuron({ netuid, stake: STAKE });
+    await clientFor(alice).stake(ethers.parseEther("1000"), { wrap: true });
+    await clientFor(alice).registerNeuron({ netuid, stake: STAKE });
+    await distributor.distribute(netuid, [], [], [], []);
+    const [oldReward] = await clientFor(creator).getPendingRewards(netuid);
+
+    await clientFor(creator).deactivateSubnet(netuid);
+    await mine(INACTIVITY_PERIOD);
+    await clientFor(creator).dissolveSubnet(netuid);
+    expect(await neuronManager.isSubnetDissolved(netuid)).to.be.true;
+    await expect(neuronManager.connect(neuron).updateNeuronService(netuid, "", 0, "", 0)).to.be.revertedWith("SUBNET_DISSOLVED");
+    await expect(neuronManager.connect(neuron).setCommission(netuid, 100)).to.be.revertedWith("SUBNET_DISSOLVED");
+    await expect(neuronManager.connect(alice).delegate(netuid, neuron.address, 1n)).to.be.revertedWith("SUBNET_DISSOLVED");
+    await expect(
+      neuronManager.connect(neuron).updateStakeAllocation(netuid, neuron.address, STAKE * 2n)
+    ).to.be.revertedWith("SUBNET_DISSOLVED");
+
+    // A new subnet with the same netuid takes no neurons before the old ones are gone
+    const reused = await register(owner, "NEW");
+    expect(reused.netuid).to.equal(netuid);
+    await clientFor(owner).activateSubnet(netuid);
+    // Its first epoch is due at once, epoch indexes carry on after the old subnet's
+    expect(await distributor.nextEpochBlock(netuid)).to.equal(0);
+    expect(await distributor.epochCount(netuid)).to.equal(1);
+    expect(await neuronManager.isSubnetDissolved(netuid)).to.be.true;
+    await expect(
+      neuronManager.connect(owner).registerNeuronWithStakeAllocation(netuid, STAKE, false, "", 0, "", 0)
+    ).to.be.revertedWith("DISSOLVED_SUBNET_NEURONS");
+    await expect(distributor.distribute(netuid, [], [], [], [])).to.be.revertedWith("DISSOLVED_SUBNET_NEURONS");
+
+    // Leaving forfeits nothing, whether the neuron deregisters or anyone removes it
+    const escrowed = await globalStaking.escrowedCost(neuron.address, netuid);
+    const left = await clientFor(neuron).deregisterNeuron(netuid);
+    expect(left).to.include({ released: STAKE, refunded: escrowed });
+    await expect(neuronManager.removeDissolvedNeuron(netuid, neuron.address)).to.be.revertedWith("NOT_REGISTERED");
+    const removed = await clientFor(owner).removeDissolvedNeurons(netuid);
+    expect(removed.accounts).to.deep.equal([alice.address]);
+    expect((await globalStaking.getSubnetAllocation(alice.address, netuid)).allocated).to.equal(0);
+
+    await clientFor(owner).stake(ethers.parseEther("1000"), { wrap: true });
+    await clientFor(owner).registerNeuron({ netuid, stake: STAKE });
+    expect(await neuronManager.isSubnetDissolved(netuid)).to.be.false;
+    await expect(neuronManager.removeDissolvedNeuron(netuid, owner.address)).to.be.revertedWith("SUBNET_NOT_DISSOLVED");
+
+    // Rewards of the dissolved subnet are still paid in its own alpha
+    const oldAlpha = await ethers.getContractAt("AlphaToken", subnet.alphaToken);
+    await clientFor(creator).claimRewards(netuid, [oldReward.epoch]);
+    expect(await oldAlpha.balanceOf(creator.address)).to.equal(oldReward.amount);
+  });
+
+  it("should not carry delegations over to a new subnet with the same netuid", async function () {
+    const { owner, creator, neuron, alice, globalStaking, neuronManager, distributor, subnetManager, clientFor, register, subnet } = await loadFixture(deployFixture);
+    const { netuid } = subnet;
+    const DELEGATED = ethers.parseEther("200");
+
+    await clientFor(creator).activateSubnet(netuid);
+    await clientFor(neuron).registerNeuron({ netuid, stake: STAKE, isValidator: true });
+    await clientFor(neuron).setCommission(netuid, 1000);
+    await clientFor(alice).stake(ethers.parseEther("1000"), { wrap: true });
+    await clientFor(alice).delegate({ netuid, validator: neuron.address, amount: DELEGATED });
+
+    await clientFor(creator).deactivateSubnet(netuid);
+    await mine(INACTIVITY_PERIOD);
+    await clientFor(creator).dissolveSubnet(netuid);
+    await clientFor(neuron).deregisterNeuron(netuid);
+    // Still counted while nobody is registered under the netuid, and still withdrawable
+    expect(await neuronManager.delegatedStake(netuid, neuron.address)).to.equal(DELEGATED);
+
+    await register(owner, "NEW");
+    await clientFor(owner).activateSubnet(netuid);
+    await subnetManager.connect(owner).addSubnetMinter(netuid, distributor.target);
+
+    // Registering on the new subnet starts from a clean slate, whatever the number of old delegators
+    await clientFor(neuron).stake(ethers.parseEther("1000"), { wrap: true });
+    await expect(neuronManager.connect(neuron).registerNeuronWithStakeAllocation(netuid, STAKE, true, "", 0, "", 0))
+      .not.to.emit(neuronManager, "Undelegated");
+    expect(await neuronManager.getEffectiveStake(netuid, neuron.address)).to.equal(STAKE);
+    expect(await neuronManager.commission(netuid, neuron.address)).to.equal(0);
+    const [delegators] = await neuronManager.getDelegators(netuid, neuron.address);
+    expect(delegators).to.deep.equal([]);
+
+    // The old delegation stays locked until alice withdraws it herself
+    expect(await neuronManager.delegations(netuid, neuron.address, alice.address)).to.equal(DELEGATED);
+    expect(await globalStaking.delegatedStake(alice.address)).to.equal(DELEGATED);
+    await expect(neuronManager.connect(alice).undelegate(netuid, neuron.address, DELEGATED))
+      .to.emit(neuronManager, "Undelegated")
+      .withArgs(netuid, neuron.address, alice.address, DELEGATED, anyValue)
+      .and.not.to.emit(neuronManager, "ValidatorStatusChanged");
+    expect(await globalStaking.delegatedStake(alice.address)).to.equal(0);
+    expect((await globalStaking.getUnbonding(alice.address))[0]).to.equal(DELEGATED);
+    await expect(neuronManager.connect(alice).undelegate(netuid, neuron.address, DELEGATED)).to.be.revertedWith("INSUFFICIENT_DELEGATION");
+
+    // The whole validator reward goes to the validator
+    await distributor.distribute(netuid, [], [], [], []);
+    const epoch = (await distributor.epochCount(netuid)) - 1n;
+    expect(await distributor.rewards(netuid, epoch, alice.address)).to.equal(0);
+    expect(await distributor.rewards(netuid, epoch, neuron.address)).to.equal((await distributor.getEpoch(netuid, epoch)).validatorReward);
+  });
+});
@@ -0,0 +1,168 @@
+const {
+  time,
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, LockCostForecaster, plotLockCost } = require("../index");
+
+describe("SubnetManager - Lock Cost Forecast", function () {
+  const MIN_LOCK = ethers.parseEther("100");
+  const RATE_LIMIT = 1000;
+  const REDUCTION_INTERVAL = 14400;
+
+  async function deployFixture() {
+    const [owner, creator] = await ethers.getSigners();
+    await setBalance(creator.address, ethers.parseEther("10000"));
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+
+    const clientFor = (runner) => new HetuClient({
+      runner,
+      addresses: {
+        hetuToken: whetuToken.target,
+        subnetManager: subnetManager.target,
+        globalStaking: globalStaking.target,
+        neuronManager: neuronManager.target
+      }
+    });
+
+    // One registration, so the next one costs twice the minimum lock
+    await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + RATE_LIMIT + 1);
+    const { netuid } = await clientFor(creator).registerSubnet({ name: "First", tokenName: "FirstAlpha", tokenSymbol: "FST" }, { wrap: true });
+    const lastLockBlock = Number(await subnetManager.networkLastLockBlock());
+
+    return { creator, whetuToken, subnetManager, clientFor, netuid, lastLockBlock };
+  }
+
+  const registration = (symbol) => ({ name: symbol, tokenName: `${symbol}Alpha`, tokenSymbol: symbol });
+
+  it("should match the contract's lock cost and rate limit", async function () {
+    const { creator, whetuToken, subnetManager, clientFor, lastLockBlock } = await loadFixture(deployFixture);
+    await whetuToken.connect(creator).deposit({ value: 2n * MIN_LOCK });
+    await whetuToken.connect(creator).approve(subnetManager.target, 2n * MIN_LOCK);
+
+    const forecaster = await LockCostForecaster.fromSubnetManager(subnetManager);
+    expect(forecaster.forecast(lastLockBlock)).to.deep.equal({
+      block: lastLockBlock,
+      cost: 2n * MIN_LOCK,
+      rateLimited: true,
+      registrableAt: lastLockBlock + RATE_LIMIT + 1,
+      atMinimum: false
+    });
+    expect(forecaster.forecast(lastLockBlock + REDUCTION_INTERVAL).cost).to.equal(MIN_LOCK);
+    expect(forecaster.forecast(lastLockBlock + REDUCTION_INTERVAL).atMinimum).to.be.true;
+
+    // getNetworkLockCost reads at the current block
+    for (const blocks of [1, 7, 300, 600]) {
+      await mine(blocks);
+      const block = await ethers.provider.getBlockNumber();
+      expect(forecaster.forecast(block).cost).to.equal(await subnetManager.getNetworkLockCost());
+    }
+
+    // The rate limit still rejects the next block, the one after is the first registrable
+    await time.advanceBlockTo(lastLockBlock + RATE_LIMIT - 1);
+    expect(forecaster.forecast().rateLimited).to.be.true;
+    await expect(subnetManager.connect(creator).registerNetwork("Early", "", "EarlyAlpha", "EARLY")).to.be.revertedWith("RATE_LIMIT_EXCEEDED");
+
+    const expected = forecaster.forecast(lastLockBlock + RATE_LIMIT + 1);
+    expect(expected.rateLimited).to.be.false;
+    const { lockedAmount } = await clientFor(creator).registerSubnet(registration("SECOND"));
+    expect(await ethers.provider.getBlockNumber()).to.equal(expected.block);
+    expect(lockedAmount).to.equal(expected.cost);
+
+    // The registration doubles the cost it paid and restarts the decay
+    const next = await LockCostForecaster.fromSubnetManager(subnetManager);
+    expect(next.lastLock).to.equal(lockedAmount);
+    expect(next.forecast(expected.block).cost).to.equal(2n * lockedAmount);
+    await mine(3000);
+    expect(next.forecast(await ethers.provider.getBlockNumber()).cost).to.equal(await subnetManager.getNetworkLockCost());
+  });
+
+  it("should find the first affordable block and plot the decay", async function () {
+    const { subnetManager, clientFor, creator, lastLockBlock } = await loadFixture(deployFixture);
+    const forecaster = await LockCostForecaster.fromSubnetManager(subnetManager);
+
+    const maxCost = ethers.parseEther("150");
+    const affordableAt = forecaster.firstBlockUnder(maxCost);
+    expect(forecaster.forecast(affordableAt).cost).to.be.at.most(maxCost);
+    expect(forecaster.forecast(affordableAt - 1).cost).to.be.above(maxCost);
+    // A cost reached before the rate limit lifts waits for the rate limit
+    expect(forecaster.firstBlockUnder(ethers.parseEther("199"))).to.equal(forecaster.registrableAt);
+    expect(forecaster.firstBlockUnder(MIN_LOCK)).to.equal(lastLockBlock + REDUCTION_INTERVAL);
+    expect(forecaster.firstBlockUnder(MIN_LOCK - 1n)).to.be.null;
+
+    // Without decay the cost stays at twice the last lock
+    const noDecay = new LockCostForecaster({ ...forecaster, reductionInterval: 0 });
+    expect(noDecay.forecast(lastLockBlock + 100000).cost).to.equal(2n * MIN_LOCK);
+    expect(noDecay.firstBlockUnder(ethers.parseEther("150"))).to.be.null;
+    expect(noDecay.firstBlockUnder(2n * MIN_LOCK)).to.equal(noDecay.registrableAt);
+
+    const status = await clientFor(creator).forecastLockCost({ maxCost });
+    expect(status.affordableAt).to.equal(affordableAt);
+    expect(status.blocksLeft).to.equal(affordableAt - status.blockNumber - 1);
+    expect(status.forecast).to.deep.equal(forecaster.forecast(status.blockNumber + 1));
+
+    const curve = forecaster.curve(lastLockBlock, lastLockBlock + REDUCTION_INTERVAL + 400, 400);
+    expect(curve).to.have.length(38);
+    for (let i = 1; i < curve.length; i++) {
+      expect(curve[i].cost).to.be.at.most(curve[i - 1].cost);
+    }
+    const lines = plotLockCost(curve, { height: 8, formatCost: (cost) => ethers.formatEther(cost) }).split("\n");
+    expect(lines).to.have.length(10);
+    expect(lines[0]).to.match(/^ *200\.0 \|x +$/);
+    expect(lines[7]).to.match(/^ *100\.0 \| +\*+$/);
+  });
+
+  it("should wait for the lock cost to drop below the maximum before registering", async function () {
+    const { whetuToken, subnetManager, clientFor, creator, lastLockBlock } = await loadFixture(deployFixture);
+    const client = clientFor(creator);
+    const maxCost = ethers.parseEther("180");
+    // Funded and approved up front, so the registration is the only transaction
+    await whetuToken.connect(creator).deposit({ value: maxCost });
+    await whetuToken.connect(creator).approve(subnetManager.target, maxCost);
+
+    await expect(client.waitAndRegister(registration("CHEAP"), { maxCost: MIN_LOCK - 1n })).to.be.rejectedWith("never gets down to maxCost");
+    await expect(client.waitAndRegister(registration("CHEAP"), { maxCost, maxBlocks: 100 })).to.be.rejectedWith("blocks away");
+
+    const target = (await LockCostForecaster.fromSubnetManager(subnetManager)).firstBlockUnder(maxCost);
+    expect(target).to.be.above(lastLockBlock + RATE_LIMIT + 1);
+
+    const waits = [];
+    let settled = false;
+    const pending = client.waitAndRegister(registration("CHEAP"), {
+      maxCost,
+      pollInterval: 5,
+      onWait: (status) => waits.push(status.blocksLeft)
+    }).finally(() => {
+      settled = true;
+    });
+    // Mine in steps that end right before the target block
+    while (!settled) {
+      const blocksLeft = target - (await ethers.provider.getBlockNumber()) - 1;
+      if (blocksLeft > 0) {
+        await mine(Math.min(blocksLeft, 250));
+      }
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    const result = await pending;
+
+    expect(waits.length).to.be.above(0);
+    const receipt = await ethers.provider.getTransactionReceipt(result.hash);
+    expect(receipt.blockNumber).to.equal(target);
+    expect(result.lockedAmount).to.be.at.most(maxCost);
+    expect(result.lockedAmount).to.equal((await subnetManager.getSubnetInfo(result.netuid)).lockedAmount);
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  time,
+  mine,
+  loadFixture,
+  setBalance,
+} = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { HetuClient, DEFAULT_HYPERPARAMS } = require("../index");
+
+describe("SubnetManager - Ownership Transfer", function () {
+  async function deployFixture() {
+    const [owner, creator, alice, bob] = await ethers.getSigners();
+    for (const account of [creator, alice, bob]) {
+      await setBalance(account.address, ethers.parseEther("10000"));
+    }
+
+    const WHETU = await ethers.getContractFactory("WHETU");
+    const whetuToken = await WHETU.deploy();
+
+    const SubnetManager = await ethers.getContractFactory("SubnetManager");
+    const subnetManager = await SubnetManager.deploy(whetuToken.target, owner.address);
+
+    const GlobalStaking = await ethers.getContractFactory("GlobalStaking");
+    const globalStaking = await GlobalStaking.deploy(whetuToken.target, owner.address, owner.address);
+
+    const NeuronManager = await ethers.getContractFactory("NeuronManager");
+    const neuronManager = await NeuronManager.deploy(subnetManager.target, globalStaking.target, owner.address);
+
+    const HyperparamsGovernor = await ethers.getContractFactory("HyperparamsGovernor");
+    const governor = await HyperparamsGovernor.deploy(subnetManager.target);
+    await subnetManager.setHyperparamsGovernor(governor.target);
+
+    const clientFor = (runner) => new HetuClient({
+      runner,
+      addresses: {
+        hetuToken: whetuToken.target,
+        subnetManager: subnetManager.target,
+        globalStaking: globalStaking.target,
+        neuronManager: neuronManager.target
+      }
+    });
+
+    // creator owns subnets 1 and 2, alice owns subnet 3
+    const netuids = [];
+    for (const [account, symbol] of [[creator, "ONE"], [creator, "TWO"], [alice, "THR"]]) {
+      await time.advanceBlockTo((await ethers.provider.getBlockNumber()) + 1001);
+      const { netuid } = await clientFor(account).registerSubnet({ name: symbol, tokenName: `${symbol}Alpha`, tokenSymbol: symbol }, { wrap: true });
+      netuids.push(netuid);
+    }
+
+    return { creator, alice, bob, subnetManager, governor, clientFor, netuids };
+  }
+
+  // Every listed subnet is owned by the account listing it, and every subnet is listed exactly once
+  async function expectConsistentOwnership(subnetManager, accounts) {
+    const listed = [];
+    for (const account of accounts) {
+      for (const netuid of await subnetManager.getUserSubnets(account.address)) {
+        expect((await subnetManager.getSubnetInfo(netuid)).owner).to.equal(account.address);
+        listed.push(Number(netuid));
+      }
+    }
+    expect(listed.sort()).to.deep.equal([1, 2, 3]);
+  }
+
+  it("should move a subnet to the new owner once accepted", async function () {
+    const { creator, alice, subnetManager, clientFor, netuids } = await loadFixture(deployFixture);
+    const [first] = netuids;
+
+    const offer = await clientFor(creator).transferSubnetOwnership(first, alice.address);
+    expect(offer.pendingOwner).to.equal(alice.address);
+    // Nothing changes until the transfer is accepted
+    expect(await clientFor(creator).getSubnetOwnership(first)).to.deep.equal({ owner: creator.address, pendingOwner: alice.address });
+    expect(await subnetManager.getUserSubnets(creator.address)).to.deep.equal([1, 2]);
+
+    await expect(subnetManager.connect(alice).acceptSubnetOwnership(first))
+      .to.emit(subnetManager, "SubnetOwnershipTransferred")
+      .withArgs(first, creator.address, alice.address);
+    expect(await clientFor(alice).getSubnetOwnership(first)).to.deep.equal({ owner: alice.address, pendingOwner: null });
+    expect(await subnetManager.getUserSubnets(creator.address)).to.deep.equal([2]);
+    expect(await subnetManager.getUserSubnets(alice.address)).to.deep.equal([3, 1]);
+    await expectConsistentOwnership(subnetManager, [creator, alice]);
+
+    // Owner-only actions follow the new owner
+    await expect(subnetManager.connect(creator).activateSubnet(first)).to.be.revertedWith("NOT_OWNER");
+    await expect(subnetManager.connect(creator).addSubnetMinter(first, creator.address)).to.be.revertedWith("NOT_SUBNET_OWNER");
+    await clientFor(alice).activateSubnet(first);
+    await subnetManager.connect(alice).addSubnetMinter(first, alice.address);
+
+    // And back again
+    await clientFor(alice).transferSubnetOwnership(first, creator.address);
+    const accepted = await clientFor(creator).acceptSubnetOwnership(first);
+    expect(accepted).to.include({ netuid: first, previousOwner: alice.address, newOwner: creator.address });
+    expect(await subnetManager.getUserSubnets(alice.address)).to.deep.equal([3]);
+    expect(await subnetManager.getUserSubnets(creator.address)).to.deep.equal([2, 1]);
+    await expectConsistentOwnership(subnetManager, [creator, alice]);
+  });
+
+  it("should only let the owner offer and the pending owner accept", async function () {
+    const { creator, alice, bob, subnetManager, clientFor, netuids } = await loadFixture(deployFixture);
+    const [first, second] = netuids;
+
+    await expect(subnetManager.connect(alice).transferSubnetOwnership(first, alice.address)).to.be.revertedWith("NOT_SUBNET_OWNER");
+    await expect(subnetManager.connect(creator).transferSubnetOwnership(99, alice.address)).to.be.revertedWith("SUBNET_NOT_EXISTS");
+
+    await expect(subnetManager.connect(creator).transferSubnetOwnership(first, alice.address))
+      .to.emit(subnetManager, "SubnetOwnershipTransferStarted")
+      .withArgs(first, creator.address, alice.address);
+    await expect(subnetManager.connect(bob).acceptSubnetOwnership(first)).to.be.revertedWith("NOT_PENDING_OWNER");
+    await expect(subnetManager.connect(alice).acceptSubnetOwnership(second)).to.be.revertedWith("NOT_PENDING_OWNER");
+
+    // A new offer replaces the pending one, zero cancels it
+    await subnetManager.connect(creator).transferSubnetOwnership(first, bob.address);
+    await expect(subnetManager.connect(alice).acceptSubnetOwnership(first)).to.be.revertedWith("NOT_PENDING_OWNER");
+    await clientFor(creator).transferSubnetOwnership(first, ethers.ZeroAddress);
+    expect((await clientFor(creator).getSubnetOwnership(first)).pendingOwner).to.be.null;
+    await expect(subnetManager.connect(bob).acceptSubnetOwnership(first)).to.be.revertedWith("NOT_PENDING_OWNER");
+
+    // Accepting twice is not possible
+    await subnetManager.connect(creator).transferSubnetOwnership(first, bob.address);
+    await subnetManager.connect(bob).acceptSubnetOwnership(first);
+    await expect(subnetManager.connect(bob).acceptSubnetOwnership(first)).to.be.revertedWith("NOT_PENDING_OWNER");
+    await expectConsistentOwnership(subnetManager, [creator, alice, bob]);
+  });
+
+  it("should drop hyperparameter proposals of the previous owner", async function () {
+    const { creator, alice, governor, clientFor, netuids } = await loadFixture(deployFixture);
+    const [first] = netuids;
+
+    await clientFor(creator).proposeHyperparams(first, { tempo: 120 });
+    await clientFor(creator).transferSubnetOwnership(first, alice.address);
+    await clientFor(alice).acceptSubnetOwnership(first);
+    await mine(await governor.timelock());
+    await expect(governor.execute(first)).to.be.revertedWith("PROPOSER_NOT_OWNER");
+
+    // The new owner replaces it with their own proposal
+    await governor.connect(alice).propose(first, { ...DEFAULT_HYPERPARAMS, tempo: 150n });
+    await mine(await governor.timelock());
+    await governor.execute(first);
+  });
+});